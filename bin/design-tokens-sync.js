@@ -15,8 +15,8 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, '../package.json'), 'utf8')
 );
 
-// ASCII Art Logo
-console.log(chalk.cyan(`
+// ASCII Art Logo, on stderr so machine-readable reports (--format json/sarif/junit) keep stdout to themselves
+console.error(chalk.cyan(`
 ╔══════════════════════════════════════╗
 ║   🎨 Design Tokens Sync v${packageJson.version}      ║
 ║   Bridging Design & Development      ║
@@ -43,6 +43,9 @@ program
   .option('-c, --config <path>', 'Path to config file')
   .option('--no-git', 'Skip git operations')
   .option('--force', 'Force update even if no changes')
+  .option('--strict', 'Fail on unresolved token references')
+  .option('--dry-run', 'Show a diff of the generated files without writing them; exits 1 if anything would change')
+  .option('--no-cache', 'Rewrite every generated file, even unchanged ones')
   .action(commands.sync);
 
 // Watch command
@@ -88,7 +91,80 @@ program
   .command('validate')
   .description('Validate tokens.json structure')
   .option('-c, --config <path>', 'Path to config file')
+  .option('--strict', 'Treat unresolved token references as errors')
+  .option('-f, --format <format>', 'Output format: console, json, sarif or junit', 'console')
+  .option('-o, --output <file>', 'Write the report to a file')
   .action(commands.validate);
 
+// Check command
+program
+  .command('check')
+  .description('Check that generated files are in sync with the tokens')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('--strict', 'Fail on unresolved token references')
+  .option('--force', 'Check even if token validation fails')
+  .option('--diff', 'Show a diff for each drifted file')
+  .action(commands.check);
+
+// Diff command
+program
+  .command('diff [from] [to]')
+  .description('Show token changes between two git refs or token files (defaults: HEAD and the working tree)')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-f, --format <format>', 'Output format: console, markdown or json', 'console')
+  .option('-o, --output <file>', 'Write the diff to a file')
+  .action(commands.diff);
+
+// Release command
+program
+  .command('release [from]')
+  .description('Classify token changes since a git ref (defaults to the latest tag) and suggest a version bump')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('--check', 'Exit 1 on breaking changes without a major version bump')
+  .option('--bump', 'Write the suggested version to the version file')
+  .option('--changelog', 'Add a CHANGELOG entry for the token changes')
+  .option('-f, --format <format>', 'Output format: console or json', 'console')
+  .action(commands.release);
+
+// Migrate command
+program
+  .command('migrate')
+  .description('Rewrite references to renamed tokens across the codebase')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-m, --map <file>', 'JSON map of renames ({ "old.token.path": "new.token.path" }) or `dts diff -f json` output')
+  .option('--dry-run', 'Show the changes without writing them')
+  .option('--scan-dirs <dirs...>', 'Directories to scan')
+  .option('--extensions <exts...>', 'File extensions to rewrite')
+  .option('--report <file>', 'Write a JSON report of the changed files')
+  .action(commands.migrate);
+
+// Schema command
+program
+  .command('schema')
+  .description('Write JSON Schemas for tokens.json and the config file, for editor autocomplete and validation')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-o, --output <dir>', 'Directory to write the schemas to', 'schemas')
+  .option('--vscode', 'Map the schemas to the token and config files in .vscode/settings.json')
+  .action(commands.schema);
+
+// Explain command
+program
+  .command('explain <token>')
+  .description('Show how a token resolves: its reference chain, transforms, final value and the name it has in every output')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-f, --format <format>', 'Output format: console or json', 'console')
+  .option('-o, --output <file>', 'Write the explanation as JSON to a file')
+  .action(commands.explain);
+
+// Find command
+program
+  .command('find <value>')
+  .description('Find the tokens with a value, the aliases that reference them and the closest colors or spacing steps')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-l, --limit <count>', 'Number of closest tokens to suggest', '3')
+  .option('-f, --format <format>', 'Output format: console or json', 'console')
+  .option('-o, --output <file>', 'Write the results as JSON to a file')
+  .action(commands.find);
+
 // Parse arguments
 program.parse(process.argv); 
\ No newline at end of file
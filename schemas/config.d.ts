@@ -0,0 +1,173 @@
+// Generated by design-tokens-sync from its configuration schema (dts schema)
+
+export interface DesignTokensConfig {
+  $schema?: string;
+  tokens?: {
+    input?: string | Array<string>;
+    strict?: boolean;
+    sourceComments?: boolean;
+    validation?: {
+      required?: Array<string>;
+      optional?: Array<string>;
+      contrast?: boolean | {
+        error?: "AA" | "AAA" | null;
+        warning?: "AA" | "AAA" | null;
+        size?: "normal" | "large";
+        apca?: boolean | number;
+        pairs?: Array<{
+          foreground: string;
+          background: string;
+          exclude?: string | Array<string>;
+          error?: "AA" | "AAA" | null;
+          warning?: "AA" | "AAA" | null;
+          size?: "normal" | "large";
+          apca?: boolean | number;
+        }>;
+      };
+      naming?: {
+        patterns?: {
+          [key: string]: string | RegExp | Array<string | RegExp>;
+        };
+        case?: "camel" | "pascal" | "kebab" | "snake" | "lower";
+        shades?: Array<string | number> | {
+          [key: string]: Array<string | number>;
+        };
+        bannedWords?: Array<string> | {
+          [key: string]: string | null;
+        };
+        maxDepth?: number;
+      };
+      rules?: {
+        [key: string]: "off" | "warn" | "error" | ["off" | "warn" | "error", Record<string, any>?];
+      };
+      customRules?: {
+        [key: string]: ((...args: any[]) => any) | {
+          severity?: "off" | "warn" | "error";
+          description?: string;
+          check: ((...args: any[]) => any);
+        };
+      };
+    };
+  };
+  output?: {
+    css?: string | Array<string>;
+    tailwind?: string | null;
+    typescript?: string | null;
+    scss?: string | null;
+    javascript?: string | null;
+    json?: string | null;
+    ios?: string | null;
+    android?: string | null;
+    xamarin?: string | null;
+    reactNative?: string | null;
+    flutter?: string | null;
+    kotlinCompose?: string | null;
+    swiftui?: string | null;
+    [key: string]: string | null | string | Array<string> | undefined;
+  };
+  transforms?: Array<string | {
+    name: string;
+    type?: "value" | "name" | "attribute";
+    matcher?: ((...args: any[]) => any);
+    transformer: ((...args: any[]) => any);
+  }>;
+  filters?: Array<string | ((...args: any[]) => any) | {
+    name: string;
+    filter: ((...args: any[]) => any);
+  } | Record<string, any>>;
+  formats?: {
+    [key: string]: ((...args: any[]) => any);
+  };
+  platforms?: {
+    [key: string]: {
+      transformGroup?: string;
+      transforms?: Array<string | {
+        name: string;
+        type?: "value" | "name" | "attribute";
+        matcher?: ((...args: any[]) => any);
+        transformer: ((...args: any[]) => any);
+      }>;
+      buildPath?: string;
+      files: Array<{
+        format: string;
+        destination: string;
+        filter?: string | ((...args: any[]) => any) | {
+          name: string;
+          filter: ((...args: any[]) => any);
+        } | Record<string, any>;
+        options?: Record<string, any>;
+      }>;
+    };
+  };
+  themes?: {
+    default?: string | null;
+    dark?: string | null;
+    selector?: string;
+  };
+  cache?: {
+    enabled?: boolean;
+    dir?: string;
+  };
+  git?: {
+    enabled?: boolean;
+    autoCommit?: boolean;
+    autoPush?: boolean;
+    commitMessage?: string;
+  };
+  release?: {
+    versionFile?: string;
+    changelog?: string;
+  };
+  analytics?: {
+    enabled?: boolean;
+    autoCollect?: boolean;
+    reportSchedule?: string | null;
+    scanDirs?: Array<string>;
+    fileExtensions?: Array<string>;
+    outputDir?: string;
+  };
+  watch?: {
+    enabled?: boolean;
+    ignore?: Array<string>;
+  };
+  react?: {
+    hooks?: string | null;
+    components?: string | null;
+    styledComponents?: boolean;
+    emotionSupport?: boolean;
+  };
+  nextjs?: {
+    appDir?: boolean;
+    pages?: string;
+    components?: string;
+    styles?: string;
+    cssModules?: boolean;
+    styledJsx?: boolean;
+  };
+  vue?: {
+    components?: string | null;
+    composables?: string | null;
+    scoped?: boolean;
+  };
+  build?: {
+    beforeBuild?: string | null;
+    validateBeforeCommit?: boolean;
+    generateStatic?: boolean;
+  };
+  hooks?: {
+    beforeSync?: ((...args: any[]) => any) | Array<((...args: any[]) => any)> | null;
+    beforeProcess?: ((...args: any[]) => any) | Array<((...args: any[]) => any)> | null;
+    beforeValidate?: ((...args: any[]) => any) | Array<((...args: any[]) => any)> | null;
+    afterValidate?: ((...args: any[]) => any) | Array<((...args: any[]) => any)> | null;
+    afterProcess?: ((...args: any[]) => any) | Array<((...args: any[]) => any)> | null;
+    beforeGenerate?: ((...args: any[]) => any) | Array<((...args: any[]) => any)> | null;
+    afterGenerate?: ((...args: any[]) => any) | Array<((...args: any[]) => any)> | null;
+    afterSync?: ((...args: any[]) => any) | Array<((...args: any[]) => any)> | null;
+    failOnError?: boolean;
+    builtIn?: boolean | {
+      metadata?: boolean;
+      referenceCheck?: boolean;
+      componentCSS?: boolean;
+    };
+  };
+}
@@ -1,6 +1,11 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
+import { isDTCGFormat, normalizeDTCGTokens } from '../utils/dtcg.js';
+import { getDeprecation } from '../utils/deprecation.js';
+
+// Token set names that are not part of generated token names
+const TOKEN_SET_ROOTS = ['core', 'semantic', 'component', 'global'];
 
 export class AnalyticsEngine {
   constructor(config = {}) {
@@ -24,6 +29,7 @@ export class AnalyticsEngine {
     this.tokenUsageData = {};
     this.componentData = {};
     this.availableTokens = new Set();
+    this.deprecatedTokens = [];
     this.stats = {
       filesScanned: 0,
       tokensFound: 0,
@@ -39,8 +45,10 @@ export class AnalyticsEngine {
       
       for (const tokenFile of possibleTokenFiles) {
         try {
-          const tokenData = await fs.readJSON(tokenFile);
+          let tokenData = await fs.readJSON(tokenFile);
+          if (isDTCGFormat(tokenData)) tokenData = normalizeDTCGTokens(tokenData);
           this.extractTokenNames(tokenData);
+          this.extractDeprecatedTokens(tokenData);
           if (this.config.debug) {
             console.log(`Debug: Loaded ${this.availableTokens.size} tokens from ${tokenFile}`);
           }
@@ -70,6 +78,74 @@ export class AnalyticsEngine {
     }
   }
 
+  /**
+   * Collect deprecated tokens ({ path, message, replacement }) from a token tree
+   */
+  extractDeprecatedTokens(obj, tokenPath = []) {
+    for (const [key, value] of Object.entries(obj)) {
+      if (key.startsWith('$') || typeof value !== 'object' || value === null) continue;
+
+      const currentPath = [...tokenPath, key];
+      if (value.value !== undefined) {
+        const deprecation = getDeprecation(value, currentPath.join('.'));
+        if (deprecation) this.deprecatedTokens.push(deprecation);
+      } else {
+        this.extractDeprecatedTokens(value, currentPath);
+      }
+    }
+  }
+
+  /**
+   * Split a token or usage name into comparable words:
+   * "UIColor.blue500", "--color-blue-500" and "R.color.blue_500" all end in color, blue, 500
+   * Words are singularized so "colors" matches "color"
+   */
+  getNameWords(name) {
+    return String(name)
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/([a-zA-Z])(\d)/g, '$1 $2')
+      .replace(/(\d)([a-zA-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map(word => word.length > 3 ? word.replace(/s$/, '') : word);
+  }
+
+  /**
+   * Check whether a usage name refers to a token path: it must end with the token's
+   * category followed by its name within the category (color, blue, 500)
+   */
+  matchesTokenPath(usageName, tokenPath) {
+    const segments = tokenPath.split('.');
+    if (segments.length > 2 && TOKEN_SET_ROOTS.includes(segments[0])) segments.shift();
+
+    const expected = segments.flatMap(segment => this.getNameWords(segment));
+    const words = this.getNameWords(usageName);
+    if (expected.length === 0 || words.length < expected.length) return false;
+
+    return expected.every((word, index) => words[words.length - expected.length + index] === word);
+  }
+
+  /**
+   * Find usages of deprecated tokens
+   * Declarations (the generated CSS custom properties) do not count as usages
+   * Returns [{ token, message, replacement, usages: [{ name, count, files }] }]
+   */
+  findDeprecatedUsages() {
+    return this.deprecatedTokens
+      .map(deprecation => ({
+        token: deprecation.path,
+        message: deprecation.message,
+        replacement: deprecation.replacement,
+        usages: Object.entries(this.tokenUsageData)
+          .filter(([name, data]) =>
+            [...data.types].some(type => type !== 'css-definition') && this.matchesTokenPath(name, deprecation.path)
+          )
+          .map(([name, data]) => ({ name, count: data.count, files: data.files }))
+      }))
+      .filter(deprecated => deprecated.usages.length > 0);
+  }
+
   async collectUsageData() {
     console.log('🔍 Scanning project for token usage...');
     
@@ -636,7 +712,8 @@ export class AnalyticsEngine {
       mostUsedToken: this.getMostUsedToken(),
       leastUsedTokens: this.getLeastUsedTokens(),
       tokenTypes: this.getTokenTypeStats(),
-      fileDistribution: this.getFileDistributionStats()
+      fileDistribution: this.getFileDistributionStats(),
+      deprecatedUsages: this.findDeprecatedUsages()
     };
   }
 
@@ -0,0 +1,247 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { AnalyticsEngine } from './AnalyticsEngine.js';
+import { FileGenerator } from '../core/FileGenerator.js';
+
+// Token set names that are not part of generated token names
+const TOKEN_SET_ROOTS = ['core', 'semantic', 'component', 'global'];
+
+const COLOR_UTILITIES = [
+  'bg', 'text', 'border', 'border-x', 'border-y', 'border-t', 'border-r', 'border-b', 'border-l', 'border-s', 'border-e',
+  'ring', 'ring-offset', 'outline', 'divide', 'fill', 'stroke', 'from', 'via', 'to', 'decoration', 'placeholder',
+  'accent', 'caret', 'shadow'
+];
+
+const SPACING_UTILITIES = [
+  'p', 'px', 'py', 'pt', 'pr', 'pb', 'pl', 'ps', 'pe', 'm', 'mx', 'my', 'mt', 'mr', 'mb', 'ml', 'ms', 'me',
+  'gap', 'gap-x', 'gap-y', 'space-x', 'space-y', 'w', 'h', 'size', 'min-w', 'min-h', 'max-w', 'max-h',
+  'inset', 'inset-x', 'inset-y', 'top', 'right', 'bottom', 'left', 'translate-x', 'translate-y', 'scroll-m', 'scroll-p'
+];
+
+const RADIUS_UTILITIES = [
+  'rounded', 'rounded-t', 'rounded-r', 'rounded-b', 'rounded-l', 'rounded-s', 'rounded-e',
+  'rounded-tl', 'rounded-tr', 'rounded-br', 'rounded-bl', 'rounded-ss', 'rounded-se', 'rounded-es', 'rounded-ee'
+];
+
+/**
+ * How each token category is named in the generated outputs (see FileGenerator):
+ * css is the custom property prefix, android the resource name prefix, containers the
+ * iOS/Flutter/Compose/React Native type or object holding the members, tailwind the
+ * utilities the theme key is used with
+ */
+const CATEGORIES = {
+  colors: { css: 'color', android: '', containers: ['Colors?', 'UIColor'], tailwind: COLOR_UTILITIES },
+  spacing: { css: 'spacing', android: 'spacing', containers: ['Spacing'], tailwind: SPACING_UTILITIES },
+  borderRadius: { css: 'border-radius', android: 'border_radius', containers: ['BorderRadius', 'Radius'], tailwind: RADIUS_UTILITIES },
+  shadows: { css: 'shadow', containers: ['Shadows?'], tailwind: ['shadow'] },
+  opacity: { css: 'opacity', containers: ['Opacity'], tailwind: ['opacity'] },
+  zIndex: { css: 'z-index', containers: ['ZIndex'], tailwind: ['z'] },
+  breakpoints: { css: 'breakpoint', containers: ['Breakpoints?'], tailwind: [] },
+  borders: { css: 'border', containers: ['Borders?'], tailwind: [] },
+  gradients: { css: 'gradient', containers: ['Gradients?'], tailwind: ['bg'] },
+  'typography.fontSize': { css: 'typography-fontSize', android: 'font_size', containers: ['FontSize'], tailwind: ['text'] },
+  'typography.fontFamily': { css: 'typography-fontFamily', android: 'font_family', containers: ['FontFamily'], tailwind: ['font'] },
+  'typography.fontWeight': { css: 'typography-fontWeight', containers: ['FontWeight'], tailwind: ['font'] },
+  'typography.lineHeight': { css: 'typography-lineHeight', containers: ['LineHeight'], tailwind: ['leading'] },
+  'typography.letterSpacing': { css: 'typography-letterSpacing', containers: ['LetterSpacing'], tailwind: ['tracking'] },
+  // Composite text styles
+  typography: { css: 'typography-styles', containers: ['TextStyles', 'Typography'], tailwind: ['text'] }
+};
+
+const CATEGORY_ALIASES = { color: 'colors', radius: 'borderRadius', shadow: 'shadows', border: 'borders', gradient: 'gradients', breakpoint: 'breakpoints' };
+
+/**
+ * Reference syntaxes: each matches `prefix` followed by a token `name`
+ */
+const SYNTAXES = {
+  css: { prefix: '(?<![\\w-])--', suffix: '(?![\\w-])' },
+  scss: { prefix: '(?<![\\w-])\\$', suffix: '(?![\\w-])' },
+  tailwind: { prefix: '(?<![\\w-])-?', suffix: '(?![\\w-])' },
+  members: { prefix: '(?<![\\w$])[A-Za-z_$][\\w$]*\\.', suffix: '(?![\\w$])' },
+  android: { prefix: '\\bR\\.(?:color|dimen|string)\\.|@(?:color|dimen|string)\\/', suffix: '(?!\\w)' },
+  references: { prefix: '\\{', suffix: '(?=\\})' }
+};
+
+// Syntaxes rewritten per file extension, following AnalyticsEngine.analyzeFile
+const LANGUAGE_SYNTAXES = {
+  '.css': ['css', 'tailwind'],
+  '.scss': ['css', 'scss', 'tailwind'],
+  '.less': ['css', 'tailwind'],
+  '.html': ['css', 'tailwind'],
+  '.js': ['css', 'tailwind', 'members'],
+  '.jsx': ['css', 'tailwind', 'members'],
+  '.ts': ['css', 'tailwind', 'members'],
+  '.tsx': ['css', 'tailwind', 'members'],
+  '.vue': ['css', 'scss', 'tailwind', 'members'],
+  '.svelte': ['css', 'scss', 'tailwind', 'members'],
+  '.swift': ['members'],
+  '.dart': ['members'],
+  '.kt': ['members', 'android'],
+  '.java': ['members', 'android'],
+  '.xml': ['android'],
+  '.json': ['references']
+};
+
+/**
+ * Token migrator
+ * Rewrites references to renamed tokens across the codebase scanned by analytics:
+ * CSS custom properties, SCSS variables, Tailwind classes, iOS/Flutter/Compose/React
+ * Native members, Android resources and `{token.path}` references
+ */
+export class TokenMigrator {
+  constructor(config = {}) {
+    this.engine = new AnalyticsEngine(config);
+    this.fileGenerator = new FileGenerator();
+    // Generated outputs are regenerated by sync rather than rewritten
+    this.exclude = new Set((config.exclude || []).map(file => path.normalize(file)));
+  }
+
+  /**
+   * Read a rename map: { "old.path": "new.path" }, or the JSON output of `dts diff`
+   * Returns [{ from, to }]
+   */
+  static parseMap(data) {
+    if (Array.isArray(data?.renamed)) {
+      return data.renamed.map(({ from, to }) => ({ from, to }));
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Rename map must be an object of "old.token.path": "new.token.path" entries');
+    }
+
+    return Object.entries(data).map(([from, to]) => {
+      if (typeof to !== 'string' || !to) {
+        throw new Error(`Rename of "${from}" must be a token path, got ${JSON.stringify(to)}`);
+      }
+      return { from, to };
+    });
+  }
+
+  /**
+   * Get the names a token path is generated under
+   * Returns { category, css, android, members: { camel, pascal, container }, tailwind: [class] }
+   */
+  getNames(tokenPath) {
+    const segments = tokenPath.split('.');
+    if (segments.length > 2 && TOKEN_SET_ROOTS.includes(segments[0])) segments.shift();
+
+    let [category, ...parts] = segments;
+    category = CATEGORY_ALIASES[category] || category;
+    if (category === 'typography' && CATEGORIES[`typography.${parts[0]}`] && parts.length > 1) {
+      category = `typography.${parts.shift()}`;
+    }
+
+    const naming = CATEGORIES[category] || {
+      css: this.fileGenerator.kebabCase(category),
+      android: this.fileGenerator.kebabCase(category).replace(/-/g, '_'),
+      containers: [this.fileGenerator.toPascalCase(category)],
+      tailwind: []
+    };
+    const name = parts.join('-');
+    const words = parts.join(' ');
+
+    return {
+      category,
+      css: [naming.css, name].filter(Boolean).join('-'),
+      android: [naming.android, name].filter(Boolean).join('_').replace(/-/g, '_'),
+      members: {
+        camel: this.fileGenerator.toCamelCase(words),
+        pascal: this.fileGenerator.toPascalCase(words),
+        container: new RegExp(`(?:${naming.containers.map(container => `[${container[0]}${container[0].toLowerCase()}]${container.slice(1)}`).join('|')})\\.$`)
+      },
+      tailwind: naming.tailwind.map(utility => `${utility}-${name}`)
+    };
+  }
+
+  /**
+   * Build the old -> new name entries of every syntax for a list of renames
+   * Returns { [syntax]: [{ from, to, rename, container? }] }
+   */
+  createEntries(renames) {
+    const entries = Object.fromEntries(Object.keys(SYNTAXES).map(syntax => [syntax, []]));
+
+    renames.forEach(rename => {
+      const before = this.getNames(rename.from);
+      const after = this.getNames(rename.to);
+      const add = (syntax, from, to, extra = {}) => {
+        if (from && to && from !== to) entries[syntax].push({ from, to, rename, ...extra });
+      };
+
+      add('css', before.css, after.css);
+      add('scss', before.css, after.css);
+      add('android', before.android, after.android);
+      add('references', rename.from, rename.to);
+      add('members', before.members.camel, after.members.camel, { container: before.members.container });
+      add('members', before.members.pascal, after.members.pascal, { container: before.members.container });
+
+      // Utilities differ between categories, so classes only carry over within one
+      if (before.category === after.category) {
+        before.tailwind.forEach((className, index) => add('tailwind', className, after.tailwind[index]));
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Rewrite the references in one file's content
+   * Returns { content, replacements: Map<rename, count> }
+   */
+  migrateContent(content, extension, entries) {
+    const replacements = new Map();
+    let result = content;
+
+    (LANGUAGE_SYNTAXES[extension] || []).forEach(syntax => {
+      const syntaxEntries = entries[syntax];
+      if (syntaxEntries.length === 0) return;
+
+      // One pass per syntax so chained renames (a -> b, b -> c) are not applied twice
+      const names = [...new Set(syntaxEntries.map(entry => entry.from))]
+        .sort((a, b) => b.length - a.length)
+        .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const { prefix, suffix } = SYNTAXES[syntax];
+      const pattern = new RegExp(`(${prefix})(${names.join('|')})${suffix}`, 'g');
+
+      result = result.replace(pattern, (match, matchedPrefix, name) => {
+        const entry = syntaxEntries.find(candidate =>
+          candidate.from === name && (!candidate.container || candidate.container.test(matchedPrefix))
+        );
+        if (!entry) return match;
+
+        replacements.set(entry.rename, (replacements.get(entry.rename) || 0) + 1);
+        return `${matchedPrefix}${entry.to}`;
+      });
+    });
+
+    return { content: result, replacements };
+  }
+
+  /**
+   * Rewrite references to renamed tokens in every scanned file
+   * With options.dryRun nothing is written
+   * Returns { scanned, files: [{ path, before, after, replacements: [{ from, to, count }] }] }
+   */
+  async migrate(renames, options = {}) {
+    const entries = this.createEntries(renames);
+    const files = (await this.engine.getFilesToScan())
+      .filter(file => !this.exclude.has(path.normalize(file)));
+    const changed = [];
+
+    for (const file of files) {
+      const before = await fs.readFile(file, 'utf8');
+      const { content: after, replacements } = this.migrateContent(before, path.extname(file), entries);
+      if (after === before) continue;
+
+      if (!options.dryRun) {
+        await fs.writeFile(file, after);
+      }
+      changed.push({
+        path: file,
+        before,
+        after,
+        replacements: [...replacements].map(([rename, count]) => ({ ...rename, count }))
+      });
+    }
+
+    return { scanned: files.length, files: changed };
+  }
+}
@@ -75,6 +75,10 @@ async function collectAnalytics(config, options) {
       console.log(chalk.cyan(`\n🏆 Most used token: ${data.stats.mostUsedToken.token} (${data.stats.mostUsedToken.count} uses)`));
     }
     
+    if (data.stats.deprecatedUsages?.length > 0) {
+      console.log(chalk.yellow(`\n🚧 ${data.stats.deprecatedUsages.length} deprecated tokens are still in use`));
+    }
+
     if (data.stats.leastUsedTokens && data.stats.leastUsedTokens.length > 0) {
       console.log(chalk.yellow(`\n⚠️ Found ${data.stats.leastUsedTokens.length} potentially unused tokens`));
       console.log(chalk.dim('Run `npx design-tokens-sync analytics report --html` for detailed analysis'));
@@ -150,6 +154,9 @@ async function generateReport(config, options) {
       // Display token types breakdown
       displayTokenTypesBreakdown(data.stats.tokenTypes);
       
+      // Display deprecated tokens that are still used
+      displayDeprecatedUsages(data.stats.deprecatedUsages);
+
       // Display warnings about unused tokens
       displayUnusedTokensWarning(data.stats.leastUsedTokens);
       
@@ -209,6 +216,20 @@ function displayTokenTypesBreakdown(tokenTypes = {}) {
   console.log('');
 }
 
+function displayDeprecatedUsages(deprecatedUsages = []) {
+  if (deprecatedUsages.length === 0) return;
+
+  console.log(chalk.yellow(`🚧 Deprecated Tokens Still In Use (${deprecatedUsages.length}):`));
+  deprecatedUsages.forEach(({ token, message, usages }) => {
+    const count = usages.reduce((sum, usage) => sum + usage.count, 0);
+    console.log(`  ${chalk.red('•')} ${chalk.bold(token)} (${count} uses)${message ? chalk.dim(` - ${message}`) : ''}`);
+    [...new Set(usages.flatMap(usage => usage.files))].slice(0, 5).forEach(file => {
+      console.log(chalk.dim(`      ${file}`));
+    });
+  });
+  console.log('');
+}
+
 function displayUnusedTokensWarning(leastUsedTokens = []) {
   if (leastUsedTokens.length === 0) {
     console.log(chalk.green('✅ No potentially unused tokens found'));
@@ -0,0 +1,54 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { TokenProcessor } from '../core/TokenProcessor.js';
+import { printFileDiff } from './sync.js';
+
+const MESSAGES = {
+  missing: 'not generated yet',
+  modified: 'differs from what the tokens generate (edited by hand or out of date)',
+  stale: 'no longer generated from the tokens'
+};
+
+export async function check(options) {
+  const spinner = ora('Checking generated files...').start();
+
+  try {
+    const processor = new TokenProcessor({
+      configPath: options.config,
+      strict: options.strict
+    });
+
+    await processor.init();
+    const { files, drifted } = await processor.check({ force: options.force });
+
+    if (drifted.length === 0) {
+      spinner.succeed(`All ${files.length} generated files are in sync with the tokens`);
+      return;
+    }
+
+    spinner.fail(`${drifted.length} of ${files.length} generated files have drifted from the tokens`);
+
+    console.log(chalk.red('\n❌ Drifted files:'));
+    drifted.forEach(file => {
+      console.log(`  • ${chalk.bold(file.path)} - ${MESSAGES[file.status]}`);
+    });
+
+    if (options.diff) {
+      drifted.forEach(printFileDiff);
+    }
+
+    console.log(chalk.yellow('\n💡 Generated files must not be edited by hand:'));
+    console.log('  • Change the tokens (or design-tokens.config.js) instead of the generated files');
+    console.log('  • Run `dts sync` to regenerate the files, then commit them');
+    if (!options.diff) {
+      console.log(chalk.dim('  • Run `dts check --diff` to see what differs'));
+    }
+
+    process.exit(1);
+
+  } catch (error) {
+    spinner.fail('Check failed');
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
@@ -1,4 +1,5 @@
 import chalk from 'chalk';
+import path from 'path';
 import { loadConfig } from '../utils/config.js';
 
 export async function config(options) {
@@ -11,7 +12,7 @@ export async function config(options) {
     
     // Display input configuration
     console.log(chalk.bold('📁 Input:'));
-    console.log(`  File: ${chalk.cyan(config.tokens.input)}`);
+    console.log(`  File: ${chalk.cyan([].concat(config.tokens.input).join(', '))}`);
     
     if (config.tokens.validation) {
       console.log(chalk.bold('\n✅ Validation:'));
@@ -25,6 +26,17 @@ export async function config(options) {
       console.log(`  ${format}: ${chalk.cyan(path)}`);
     });
     
+    // Display platforms
+    if (config.platforms) {
+      console.log(chalk.bold('\n📦 Platforms:'));
+      Object.entries(config.platforms).forEach(([name, platform]) => {
+        console.log(`  ${name}${platform.transformGroup ? chalk.dim(` (${platform.transformGroup})`) : ''}:`);
+        platform.files.forEach(file => {
+          console.log(`    ${file.format}: ${chalk.cyan(path.join(platform.buildPath || '', file.destination))}`);
+        });
+      });
+    }
+    
     // Display git configuration
     if (config.git) {
       console.log(chalk.bold('\n🔧 Git:'));
@@ -0,0 +1,99 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { TokenDiff } from '../core/TokenDiff.js';
+import { loadConfig } from '../utils/config.js';
+import { formatLocation } from '../utils/sourceLocation.js';
+
+export async function diff(from, to, options) {
+  try {
+    const config = await loadConfig(options.config);
+    const tokenDiff = new TokenDiff();
+    const result = await tokenDiff.diffSources(from || 'HEAD', to, config);
+
+    let output;
+    switch (options.format) {
+      case 'json':
+        output = JSON.stringify(result, null, 2);
+        break;
+      case 'markdown':
+      case 'md':
+        output = tokenDiff.formatMarkdown(result);
+        break;
+      case 'console':
+      case undefined:
+        output = formatConsole(tokenDiff, result);
+        break;
+      default:
+        throw new Error(`Unknown format "${options.format}". Use console, markdown or json`);
+    }
+
+    if (options.output) {
+      await fs.outputFile(options.output, output + '\n');
+      console.log(chalk.green(`✅ Token diff written to ${options.output}`));
+    } else {
+      console.log(output);
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Token diff failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+function formatConsole(tokenDiff, result) {
+  const lines = [chalk.bold(`\n🎨 Token changes: ${result.from} → ${result.to}\n`)];
+
+  if (result.summary.total === 0) {
+    lines.push(chalk.green('  No token changes'));
+    return lines.join('\n');
+  }
+
+  const value = (token) => {
+    const swatch = tokenDiff.getSwatch(token);
+    return `${swatch ? chalk.bgHex(swatch)('  ') + ' ' : ''}${tokenDiff.formatValue(token.value)}`;
+  };
+  const source = (token) => token.source ? chalk.dim(` ${formatLocation(token.source)}`) : '';
+
+  if (result.added.length > 0) {
+    lines.push(chalk.green.bold(`➕ Added (${result.added.length})`));
+    result.added.forEach(token => lines.push(`  ${chalk.green('+')} ${token.path}: ${value(token)}${source(token)}`));
+    lines.push('');
+  }
+
+  if (result.removed.length > 0) {
+    lines.push(chalk.red.bold(`➖ Removed (${result.removed.length})`));
+    result.removed.forEach(token => lines.push(`  ${chalk.red('-')} ${token.path}: ${value(token)}${source(token)}`));
+    lines.push('');
+  }
+
+  if (result.renamed.length > 0) {
+    lines.push(chalk.blue.bold(`🔀 Renamed (${result.renamed.length})`));
+    result.renamed.forEach(token => lines.push(`  ${chalk.blue('~')} ${token.from} → ${token.to}: ${value(token)}${source(token)}`));
+    lines.push('');
+  }
+
+  if (result.changed.length > 0) {
+    lines.push(chalk.yellow.bold(`✏️  Changed (${result.changed.length})`));
+    result.changed.forEach(token => {
+      const typeChange = token.before.type !== token.after.type
+        ? chalk.dim(` (${token.before.type} → ${token.after.type})`)
+        : '';
+      lines.push(`  ${chalk.yellow('*')} ${token.path}${typeChange}: ${value(token.before)} → ${value(token.after)}${source(token)}`);
+    });
+    lines.push('');
+  }
+
+  if (result.broken.length > 0) {
+    lines.push(chalk.red.bold(`💥 Broken references (${result.broken.length})`));
+    result.broken.forEach(token => {
+      const previous = token.before ? chalk.dim(` (was ${value(token.before)})`) : '';
+      lines.push(`  ${chalk.red('!')} ${token.path} references ${tokenDiff.describeReferences(token).replace(/`/g, '')}${previous}${source(token)}`);
+    });
+    lines.push(chalk.yellow('  💡 Point these references at existing tokens; outputs would contain the literal reference'));
+    lines.push('');
+  }
+
+  const { added, removed, renamed, changed, broken } = result.summary;
+  lines.push(chalk.dim(`${added} added, ${removed} removed, ${renamed} renamed, ${changed} changed, ${broken} broken`));
+  return lines.join('\n');
+}
@@ -0,0 +1,124 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import ora from 'ora';
+import { TokenProcessor } from '../core/TokenProcessor.js';
+import { formatLocation } from '../utils/sourceLocation.js';
+import { toCSSValue } from '../utils/composite.js';
+
+export async function explain(tokenPath, options) {
+  const spinner = options.format === 'json' && !options.output ? null : ora(`Explaining ${tokenPath}...`).start();
+
+  try {
+    if (!['console', 'json', undefined].includes(options.format)) {
+      throw new Error(`Unknown format "${options.format}". Use console or json`);
+    }
+
+    // JSON on stdout leaves out the loading logs
+    const processor = new TokenProcessor({ configPath: options.config, quiet: !spinner });
+    await processor.init();
+    const result = await processor.explain(tokenPath);
+    spinner?.stop();
+
+    if (options.output) {
+      await fs.outputJson(options.output, result, { spaces: 2 });
+      console.log(chalk.green(`✅ Explanation of ${result.path} written to ${options.output}`));
+    } else if (options.format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printExplanation(result);
+    }
+
+  } catch (error) {
+    spinner?.fail('Explain failed');
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function formatValue(value) {
+  if (value === undefined) return chalk.dim('(unresolved)');
+  const cssValue = toCSSValue(value);
+  return typeof cssValue === 'string' ? cssValue : JSON.stringify(cssValue);
+}
+
+function location(source) {
+  return source ? chalk.dim(` ${formatLocation(source)}`) : '';
+}
+
+function printExplanation(result) {
+  console.log(chalk.bold(`\n🔎 ${result.path}`) + (result.type ? chalk.dim(` (${result.type})`) : '') + location(result.location));
+  if (result.description) {
+    console.log(`  ${result.description}`);
+  }
+  if (result.deprecated) {
+    console.log(chalk.yellow(`  ⚠️ Deprecated${result.deprecated.message ? `: ${result.deprecated.message}` : ''}`));
+  }
+
+  console.log(chalk.bold('\n🔗 Reference chain'));
+  result.resolutions.forEach(({ themes, chain }) => {
+    if (themes.length > 0) {
+      console.log(chalk.cyan(`  Theme: ${themes.join(', ')}`));
+    }
+    printTrace(chain, '  ', '');
+  });
+
+  console.log(chalk.bold('\n🔧 Transforms'));
+  result.transforms.forEach(({ platform, transforms, steps, value, name }) => {
+    const label = platform ? `platform ${platform}` : 'output';
+    if (steps.length === 0) {
+      const reason = transforms.length > 0 ? `none of ${transforms.join(', ')} apply` : 'no transforms';
+      console.log(`  ${label}: ${chalk.dim(reason)} → ${formatValue(value)}`);
+      return;
+    }
+
+    console.log(`  ${label}:`);
+    steps.forEach(step => {
+      const changed = JSON.stringify(step.before) !== JSON.stringify(step.after);
+      const before = step.type === 'value' ? formatValue(step.before) : JSON.stringify(step.before);
+      const after = step.type === 'value' ? formatValue(step.after) : JSON.stringify(step.after);
+      console.log(`    ${chalk.cyan(step.transform)} ${chalk.dim(`(${step.type})`)}: ${changed ? `${before} → ${chalk.green(after)}` : chalk.dim(`${before} (unchanged)`)}`);
+    });
+    console.log(`    Final value: ${chalk.green(formatValue(value))}${name !== result.path ? chalk.dim(` as ${name}`) : ''}`);
+  });
+
+  console.log(chalk.bold('\n📤 Outputs'));
+  if (result.outputsError) {
+    console.log(chalk.red(`  Outputs could not be generated: ${result.outputsError}`));
+  } else if (result.outputs.length === 0) {
+    console.log(chalk.dim('  No outputs configured'));
+  }
+  result.outputs.forEach(({ format, platform, file, identifiers }) => {
+    const label = platform ? `${platform}/${format}` : format;
+    if (identifiers.length === 0) {
+      console.log(`  ${label.padEnd(16)} ${chalk.dim(`not emitted in ${file}`)}`);
+      return;
+    }
+    identifiers.forEach(({ identifier, line }) => {
+      console.log(`  ${label.padEnd(16)} ${chalk.green(identifier)} ${chalk.dim(line ? `${file}:${line}` : file)}`);
+    });
+  });
+  console.log('');
+}
+
+/**
+ * Print a reference trace as a tree: each token, its raw value and what it resolves to
+ */
+function printTrace(trace, indent, branch) {
+  if (trace.unresolved) {
+    console.log(`${indent}${branch}${chalk.red(`{${trace.path}}`)} ${chalk.red('unresolved reference')}`);
+    return;
+  }
+
+  const raw = typeof trace.value === 'string' ? trace.value : JSON.stringify(trace.value);
+  const resolved = JSON.stringify(trace.resolved) !== JSON.stringify(trace.value) ? ` → ${formatValue(trace.resolved)}` : '';
+  console.log(`${indent}${branch}${chalk.bold(trace.path)} = ${raw}${chalk.green(resolved)}${location(trace.location)}`);
+  if (trace.modifier) {
+    console.log(`${indent}${branch ? '   ' : ''}  ${chalk.dim(`modifier: ${JSON.stringify(trace.modifier)}`)}`);
+  }
+  if (trace.error) {
+    console.log(`${indent}${branch ? '   ' : ''}  ${chalk.red(trace.error)}`);
+  }
+
+  const childIndent = branch ? `${indent}   ` : indent;
+  trace.references.forEach(reference => printTrace(reference, childIndent, '└─ '));
+}
@@ -0,0 +1,78 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import ora from 'ora';
+import { TokenProcessor } from '../core/TokenProcessor.js';
+import { formatLocation } from '../utils/sourceLocation.js';
+
+const NEAREST_TITLES = {
+  color: 'Closest colors (ΔE 2000)',
+  spacing: 'Closest spacing steps',
+  dimension: 'Closest dimensions'
+};
+
+export async function find(value, options) {
+  const spinner = options.format === 'json' && !options.output ? null : ora(`Looking up ${value}...`).start();
+
+  try {
+    if (!['console', 'json', undefined].includes(options.format)) {
+      throw new Error(`Unknown format "${options.format}". Use console or json`);
+    }
+    const limit = options.limit === undefined ? undefined : parseInt(options.limit, 10);
+    if (limit !== undefined && !(limit >= 0)) {
+      throw new Error(`--limit must be a number, got "${options.limit}"`);
+    }
+
+    // JSON on stdout leaves out the loading logs
+    const processor = new TokenProcessor({ configPath: options.config, quiet: !spinner });
+    await processor.init();
+    const result = await processor.find(value, { limit });
+    spinner?.stop();
+
+    if (options.output) {
+      await fs.outputJson(options.output, result, { spaces: 2 });
+      console.log(chalk.green(`✅ Tokens matching ${result.query} written to ${options.output}`));
+    } else if (options.format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printResult(result);
+    }
+
+  } catch (error) {
+    spinner?.fail('Find failed');
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function describe(token) {
+  const value = typeof token.resolved === 'string' ? token.resolved : JSON.stringify(token.resolved);
+  const raw = token.value !== token.resolved ? chalk.dim(` = ${token.value}`) : '';
+  const themes = token.themes.length > 0 ? chalk.cyan(` [${token.themes.join(', ')}]`) : '';
+  const location = token.location ? chalk.dim(` ${formatLocation(token.location)}`) : '';
+  return `${chalk.bold(token.path)} ${value}${raw}${themes}${location}`;
+}
+
+function printResult(result) {
+  console.log(chalk.bold(`\n🔎 ${result.query}`) + chalk.dim(` (${result.kind})`));
+
+  if (result.matches.length > 0) {
+    console.log(chalk.green(`\n✅ Matching tokens (${result.matches.length})`));
+    result.matches.forEach(token => console.log(`  ${describe(token)}`));
+  } else {
+    console.log(chalk.yellow('\n⚠️ No token has this value'));
+  }
+
+  if (result.aliases.length > 0) {
+    console.log(chalk.bold(`\n🔗 Aliases (${result.aliases.length})`));
+    result.aliases.forEach(token => console.log(`  ${describe(token)}`));
+  }
+
+  if (result.nearest.length > 0) {
+    console.log(chalk.bold(`\n🎯 ${NEAREST_TITLES[result.nearestScope]}`));
+    result.nearest.forEach(token => {
+      const distance = result.kind === 'color' ? `ΔE ${token.distance}` : `±${token.distance}px`;
+      console.log(`  ${describe(token)} ${chalk.yellow(distance)}`);
+    });
+  }
+  console.log('');
+}
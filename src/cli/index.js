@@ -4,4 +4,11 @@ export { sync } from './sync.js';
 export { watch } from './watch.js';
 export { config } from './config.js';
 export { validate } from './validate.js';
+export { check } from './check.js';
+export { diff } from './diff.js';
+export { release } from './release.js';
+export { migrate } from './migrate.js';
+export { schema } from './schema.js';
+export { explain } from './explain.js';
+export { find } from './find.js';
 export { analytics } from './analytics.js'; 
\ No newline at end of file
@@ -945,6 +945,7 @@ async function updateGitignore() {
   const tokenEntries = `
 # Design tokens cache
 .tokens-sync-cache.json
+.tokens-cache/
 
 # Generated token files (optional - you may want to commit these)
 # src/styles/tokens.css
@@ -955,6 +956,8 @@ async function updateGitignore() {
     const existingContent = await fs.readFile(gitignorePath, 'utf8');
     if (!existingContent.includes('.tokens-sync-cache.json')) {
       await fs.appendFile(gitignorePath, tokenEntries);
+    } else if (!existingContent.includes('.tokens-cache/')) {
+      await fs.appendFile(gitignorePath, '.tokens-cache/\n');
     }
   } else {
     const baseGitignore = `# Dependencies
@@ -0,0 +1,99 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import ora from 'ora';
+import { TokenMigrator } from '../analytics/TokenMigrator.js';
+import { BuildCache } from '../core/BuildCache.js';
+import { loadConfig } from '../utils/config.js';
+import { printFileDiff } from './sync.js';
+
+export async function migrate(options) {
+  try {
+    const config = await loadConfig(options.config);
+
+    if (!options.map) {
+      throw new Error('Pass the renames with --map <file> ({ "old.token.path": "new.token.path" })');
+    }
+    const renames = TokenMigrator.parseMap(await fs.readJson(options.map));
+    if (renames.length === 0) {
+      console.log(chalk.yellow(`⚠️ No renames in ${options.map}`));
+      return;
+    }
+
+    const spinner = ora('Scanning project files...').start();
+    // Scan what analytics scans, in every language the migrator rewrites
+    const migrator = new TokenMigrator({
+      scanDirs: options.scanDirs || config.analytics?.scanDirs || ['src/**/*'],
+      fileExtensions: options.extensions || [
+        '.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.css', '.scss', '.less', '.html',
+        '.swift', '.kt', '.java', '.dart', '.xml', '.json'
+      ],
+      excludePatterns: config.analytics?.excludePatterns || ['node_modules', '.git', 'dist', 'build'],
+      exclude: await getGeneratedFiles(config)
+    });
+    const result = await migrator.migrate(renames, { dryRun: options.dryRun });
+    spinner.stop();
+
+    if (options.dryRun) {
+      result.files.forEach(printFileDiff);
+    }
+    printReport(result, renames, options);
+
+    if (options.report) {
+      await fs.outputJson(options.report, {
+        dryRun: !!options.dryRun,
+        scanned: result.scanned,
+        renames,
+        files: result.files.map(({ path, replacements }) => ({ path, replacements }))
+      }, { spaces: 2 });
+      console.log(chalk.green(`\n✅ Migration report written to ${options.report}`));
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Token migration failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Files generated from the tokens: the configured outputs plus everything the last sync recorded
+ */
+async function getGeneratedFiles(config) {
+  const cache = new BuildCache();
+  await cache.load();
+
+  return [
+    ...Object.values(config.output || {}).flat().filter(Boolean),
+    ...Object.keys(cache.manifest.outputs)
+  ];
+}
+
+function printReport(result, renames, options) {
+  const total = result.files.reduce((sum, file) =>
+    sum + file.replacements.reduce((count, replacement) => count + replacement.count, 0), 0);
+
+  console.log(chalk.bold(`\n🔀 Token migration${options.dryRun ? ' (dry run)' : ''}: ${renames.length} renames, ${result.scanned} files scanned\n`));
+
+  if (result.files.length === 0) {
+    console.log(chalk.green('  No references to the renamed tokens found'));
+    return;
+  }
+
+  result.files.forEach(file => {
+    console.log(`  ${chalk.bold(file.path)}`);
+    file.replacements.forEach(replacement => {
+      console.log(chalk.dim(`    ${replacement.from} → ${replacement.to} (${replacement.count})`));
+    });
+  });
+
+  const unused = renames.filter(rename =>
+    !result.files.some(file => file.replacements.some(replacement => replacement.from === rename.from))
+  );
+  if (unused.length > 0) {
+    console.log(chalk.dim(`\n  No references found for: ${unused.map(rename => rename.from).join(', ')}`));
+  }
+
+  console.log(`\n  ${options.dryRun ? 'Would update' : 'Updated'} ${total} references in ${result.files.length} files`);
+  if (options.dryRun) {
+    console.log(chalk.dim('\n💡 Run without --dry-run to write these changes'));
+  }
+}
@@ -0,0 +1,116 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { TokenDiff } from '../core/TokenDiff.js';
+import { GitManager } from '../core/GitManager.js';
+import { loadConfig } from '../utils/config.js';
+import { compareReleaseTypes, getReleaseType } from '../utils/semver.js';
+
+const RELEASE_COLORS = { major: chalk.red, minor: chalk.yellow, patch: chalk.green };
+
+export async function release(from, options) {
+  try {
+    const config = await loadConfig(options.config);
+    const gitManager = new GitManager();
+    const tokenDiff = new TokenDiff();
+
+    const base = from || await gitManager.getLatestTag() || 'HEAD';
+    const result = await tokenDiff.diffSources(base, null, config);
+    const { versionFile } = config.release;
+
+    // The version at the base ref is what this release bumps from
+    const currentVersion = await readVersion(() => fs.readJson(versionFile));
+    const baseVersion = await readVersion(async () => (await gitManager.createRefReader(base)).readJSON(versionFile)) ||
+      currentVersion;
+
+    const required = result.release.type;
+    const announcedType = getReleaseType(baseVersion, currentVersion);
+    const announced = !required || (!!announcedType && compareReleaseTypes(announcedType, required) >= 0);
+    const suggestedVersion = baseVersion ? tokenDiff.suggestVersion(result, baseVersion) : null;
+    const version = announced ? currentVersion : suggestedVersion;
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify({
+        ...result,
+        version: { base: baseVersion, current: currentVersion, suggested: suggestedVersion },
+        announced
+      }, null, 2));
+    } else {
+      console.log(chalk.bold(`\n🏷️  Token release: ${result.from} → ${result.to}\n`));
+
+      if (!required) {
+        console.log(chalk.green('  No token changes - nothing to release'));
+      } else {
+        const { added, removed, renamed, changed, broken } = result.summary;
+        console.log(`  Changes: ${added} added, ${removed} removed, ${renamed} renamed, ${changed} changed, ${broken} broken`);
+        console.log(`  Release type: ${RELEASE_COLORS[required].bold(required)}`);
+
+        if (result.release.breaking.length > 0) {
+          console.log(chalk.red('\n  ⚠️  Breaking changes:'));
+          result.release.breaking.forEach(change => console.log(`    • ${change}`));
+        }
+
+        if (suggestedVersion) {
+          console.log(`\n  Suggested version: ${baseVersion} → ${chalk.bold(suggestedVersion)}`);
+          console.log(announced
+            ? chalk.green(`  ✅ ${versionFile} is already at ${currentVersion}`)
+            : chalk.yellow(`  📝 ${versionFile} is at ${currentVersion}; bump it with \`dts release --bump\``));
+        } else {
+          console.log(chalk.yellow(`\n  ⚠️ No version found in ${versionFile}`));
+        }
+      }
+    }
+
+    if (options.bump && required && !announced && suggestedVersion) {
+      const packageJson = await fs.readJson(versionFile);
+      packageJson.version = suggestedVersion;
+      await fs.writeJson(versionFile, packageJson, { spaces: 2 });
+      console.log(chalk.green(`✅ Bumped ${versionFile} to ${suggestedVersion}`));
+    }
+
+    if (options.changelog && required) {
+      await prependChangelog(config.release.changelog, tokenDiff.formatChangelog(result, { version: version || 'Unreleased' }));
+      console.log(chalk.green(`✅ Added ${version || 'Unreleased'} to ${config.release.changelog}`));
+    }
+
+    // Only breaking changes need announcing; additions and value tweaks can ship in any release
+    if (options.check && result.release.breaking.length > 0 && !announced) {
+      console.error(chalk.red(`\n❌ Breaking token changes without a major version bump (${baseVersion || 'no version'} → ${currentVersion || 'no version'})`));
+      console.error(chalk.yellow('💡 Restore the removed or renamed tokens, or announce the breaking change:'));
+      console.error(`  • Run \`${['dts release', from, '--bump --changelog'].filter(Boolean).join(' ')}\` and commit the result`);
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Token release failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+async function readVersion(read) {
+  try {
+    return (await read()).version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Insert a CHANGELOG entry above the latest release, keeping the file's preamble
+ */
+async function prependChangelog(changelogPath, entry) {
+  if (!await fs.pathExists(changelogPath)) {
+    await fs.outputFile(changelogPath, `# Changelog\n\n${entry}\n`);
+    return;
+  }
+
+  const content = await fs.readFile(changelogPath, 'utf8');
+  const lines = content.split('\n');
+  const index = lines.findIndex(line => /^#{2,3} \[?v?\d/.test(line));
+
+  if (index === -1) {
+    await fs.writeFile(changelogPath, `${content.trimEnd()}\n\n${entry}\n`);
+  } else {
+    lines.splice(index, 0, entry, '');
+    await fs.writeFile(changelogPath, lines.join('\n'));
+  }
+}
@@ -0,0 +1,99 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadConfig } from '../utils/config.js';
+import { createConfigSchema, createTokensSchema, createConfigTypes } from '../utils/jsonSchema.js';
+
+// JSON config files the config schema applies to
+const CONFIG_FILES = ['.design-tokensrc', '.design-tokensrc.json'];
+
+export async function schema(options) {
+  try {
+    const outputDir = options.output || 'schemas';
+    const files = {
+      'tokens.schema.json': JSON.stringify(createTokensSchema(), null, 2),
+      'config.schema.json': JSON.stringify(createConfigSchema(), null, 2),
+      'config.d.ts': createConfigTypes()
+    };
+
+    console.log(chalk.blue('📐 Writing JSON Schemas...\n'));
+
+    for (const [name, content] of Object.entries(files)) {
+      const file = path.join(outputDir, name);
+      await fs.outputFile(file, content.endsWith('\n') ? content : content + '\n');
+      console.log(chalk.green(`  ✅ ${file}`));
+    }
+
+    const config = await loadConfig(options.config);
+    const tokenFiles = [].concat(config.tokens?.input || 'tokens.json');
+
+    if (options.vscode) {
+      const settingsPath = await updateVSCodeSettings(outputDir, tokenFiles);
+      console.log(chalk.green(`\n✅ Schemas mapped in ${settingsPath}`));
+    } else {
+      console.log(chalk.dim('\n💡 Run with --vscode to map them in .vscode/settings.json, or point a JSON file at them with "$schema"'));
+    }
+
+    const configDir = await getConfigDir(options.config);
+    console.log(chalk.dim(`💡 design-tokens.config.js: add /** @type {import('${getImportPath(configDir, path.join(outputDir, 'config'))}').DesignTokensConfig} */ above the export`));
+
+  } catch (error) {
+    console.error(chalk.red('❌ Schema generation failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Add json.schemas entries for the token and config files, replacing earlier ones for the same schemas
+ */
+async function updateVSCodeSettings(outputDir, tokenFiles) {
+  const settingsPath = path.join('.vscode', 'settings.json');
+  let settings = {};
+
+  if (await fs.pathExists(settingsPath)) {
+    try {
+      settings = JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+    } catch {
+      throw new Error(`${settingsPath} is not plain JSON (comments?). Add the json.schemas entries by hand`);
+    }
+  }
+
+  const schemaUrl = (name) => `./${toPosix(path.join(outputDir, name))}`;
+  const entries = [
+    { fileMatch: tokenFiles.map(file => `/${toPosix(file).replace(/^\.?\//, '')}`), url: schemaUrl('tokens.schema.json') },
+    { fileMatch: CONFIG_FILES.map(file => `/${file}`), url: schemaUrl('config.schema.json') }
+  ];
+  const urls = entries.map(entry => entry.url);
+
+  settings['json.schemas'] = [
+    ...(settings['json.schemas'] || []).filter(entry => !urls.includes(entry.url)),
+    ...entries
+  ];
+
+  await fs.outputFile(settingsPath, JSON.stringify(settings, null, 2) + '\n');
+  return settingsPath;
+}
+
+function toPosix(file) {
+  return file.replace(/\\/g, '/');
+}
+
+/**
+ * Directory of the config file: --config names a file or a directory to search from
+ */
+async function getConfigDir(configPath) {
+  if (!configPath) return process.cwd();
+
+  const resolved = path.resolve(configPath);
+  const stats = await fs.stat(resolved).catch(() => null);
+  return stats?.isDirectory() ? resolved : path.dirname(resolved);
+}
+
+/**
+ * Module specifier of a file relative to a directory, "./" prefixed unless it already
+ * starts with "." or "/" (another drive on Windows stays absolute)
+ */
+function getImportPath(fromDir, file) {
+  const relative = toPosix(path.relative(fromDir, path.resolve(file)));
+  return relative.startsWith('.') || relative.startsWith('/') || path.isAbsolute(relative) ? relative : `./${relative}`;
+}
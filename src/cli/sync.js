@@ -1,13 +1,15 @@
 import chalk from 'chalk';
 import ora from 'ora';
 import { TokenProcessor } from '../core/TokenProcessor.js';
+import { createUnifiedDiff } from '../utils/diff.js';
 
 export async function sync(options) {
   const spinner = ora('Starting token sync...').start();
   
   try {
     const processor = new TokenProcessor({
-      configPath: options.config
+      configPath: options.config,
+      strict: options.strict
     });
 
     // Initialize processor
@@ -17,14 +19,28 @@ export async function sync(options) {
     // Perform sync
     const result = await processor.sync({
       force: options.force,
-      noGit: options.noGit
+      noGit: options.noGit,
+      dryRun: options.dryRun,
+      cache: options.cache
     });
 
+    if (result?.dryRun) {
+      spinner.stop();
+      printDryRun(result.changes);
+
+      // Non-zero exit lets CI check that generated files are up to date
+      if (result.changes.length > 0) {
+        process.exit(1);
+      }
+      return;
+    }
+
     if (result) {
       spinner.succeed('Token sync completed successfully!');
       
       console.log(chalk.green('\n✨ Sync Summary:'));
       console.log('  • Tokens processed and validated');
+      console.log(`  • ${result.written.length} files written, ${result.unchanged.length} unchanged`);
       
       // Show which formats were generated
       const config = await processor.config || processor.getConfig();
@@ -39,6 +55,9 @@ export async function sync(options) {
       if (config.output.ios) generatedFormats.push('📱 iOS Swift');
       if (config.output.android) generatedFormats.push('🤖 Android XML');
       if (config.output.xamarin) generatedFormats.push('🔷 Xamarin XAML');
+      Object.keys(config.formats || {})
+        .filter(name => config.output[name])
+        .forEach(name => generatedFormats.push(`🧩 ${name}`));
       
       if (generatedFormats.length > 0) {
         console.log('  • Generated formats:');
@@ -66,4 +85,47 @@ export async function sync(options) {
     
     process.exit(1);
   }
-} 
\ No newline at end of file
+}
+
+function printDryRun(changes) {
+  if (changes.length === 0) {
+    console.log(chalk.green('\n✨ Generated files are up to date'));
+    return;
+  }
+
+  changes.forEach(printFileDiff);
+
+  const count = (status) => changes.filter(change => change.status === status).length;
+  console.log(chalk.bold('\n📋 Dry run summary:'));
+  console.log(`  ${chalk.yellow(`${count('changed')} changed`)}, ${chalk.green(`${count('added')} added`)}, ${chalk.red(`${count('removed')} removed`)}`);
+  changes.forEach(change => {
+    console.log(`    ${change.status.padEnd(7)} ${change.path}`);
+  });
+  console.log(chalk.dim('\n💡 Run `dts sync` to write these changes'));
+}
+
+/**
+ * Print the colored unified diff of a file change ({ path, before, after })
+ * Empty before/after content means the file is added/removed
+ */
+export function printFileDiff(change) {
+  const diff = createUnifiedDiff(change.before, change.after, {
+    oldPath: change.before ? `a/${change.path}` : '/dev/null',
+    newPath: change.after ? `b/${change.path}` : '/dev/null'
+  });
+
+  console.log('');
+  diff.split('\n').forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else {
+      console.log(line);
+    }
+  });
+}
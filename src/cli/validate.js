@@ -1,31 +1,71 @@
 import chalk from 'chalk';
-import ora from 'ora';
 import fs from 'fs-extra';
+import ora from 'ora';
+import path from 'path';
 import { TokenValidator } from '../core/TokenValidator.js';
+import { TokenLoader } from '../core/TokenLoader.js';
 import { loadConfig } from '../utils/config.js';
+import { formatJSON, formatJUnit, formatSARIF } from '../utils/validationFormats.js';
+import { findLocation } from '../utils/sourceLocation.js';
+
+const FORMATS = ['console', 'json', 'sarif', 'junit'];
 
 export async function validate(options) {
-  const spinner = ora('Loading configuration...').start();
+  const format = options.format || 'console';
+  // Machine-readable formats print only the report
+  const spinner = ora({ text: 'Loading configuration...', isSilent: format !== 'console' }).start();
   
   try {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}". Use ${FORMATS.join(', ')}`);
+    }
+
+
     // Load configuration
     const config = await loadConfig(options.config);
     spinner.text = 'Loading tokens...';
 
-    // Load the actual tokens from the file
-    const tokensPath = config.tokens.input;
-    if (!await fs.pathExists(tokensPath)) {
-      throw new Error(`Tokens file not found: ${tokensPath}`);
-    }
-
-    const tokensContent = await fs.readJSON(tokensPath);
+    // Load the actual tokens from every source file
+    const loader = new TokenLoader();
+    const { tokens: tokensContent, collisions, files, locations } = await loader.load(config.tokens.input);
     spinner.text = 'Validating tokens...';
 
     // Initialize validator
-    const validator = new TokenValidator(config);
+    const validator = new TokenValidator({ ...config, strict: options.strict });
     
     // Validate tokens (pass the actual content, not the path)
     const result = await validator.validate(tokensContent);
+
+    // Tokens defined in more than one source file
+    const collisionWarnings = loader.formatCollisions(collisions);
+    result.warnings.push(...collisionWarnings);
+    const issues = [
+      ...result.results,
+      ...collisions.map((collision, index) => ({ ruleId: null, severity: 'warn', path: collision.path, message: collisionWarnings[index], fix: null }))
+    ].map(issue => {
+      // Issues without a token path point at the first token file
+      const location = findLocation(locations, issue.path);
+      return {
+        ...issue,
+        file: path.relative(process.cwd(), location?.file || files[0]).replace(/\\/g, '/'),
+        line: location?.line ?? null,
+        column: location?.column ?? null
+      };
+    });
+
+    if (format !== 'console') {
+      const output = format === 'json'
+        ? formatJSON(issues, result.summary)
+        : format === 'sarif' ? formatSARIF(issues, validator.rules) : formatJUnit(issues, files);
+
+      if (options.output) {
+        await fs.outputFile(options.output, output + '\n');
+      } else {
+        console.log(output);
+      }
+      if (!result.isValid) process.exit(1);
+      return;
+    }
     
     if (result.isValid) {
       spinner.succeed('Token validation passed!');
@@ -41,6 +81,9 @@ export async function validate(options) {
       console.log(chalk.dim('\n📊 Token Categories:'));
       // Show categories based on whether it's Figma format or not
       const validator2 = new TokenValidator();
+      if (validator2.isDTCGFormat(tokensContent)) {
+        console.log(chalk.dim('  • W3C DTCG format detected'));
+      }
       if (validator2.isFigmaTokenStudioFormat(tokensContent)) {
         console.log(chalk.dim('  • Figma Token Studio format detected'));
         const extracted = validator2.extractTokensFromFigmaFormat(tokensContent);
@@ -55,24 +98,18 @@ export async function validate(options) {
       
       if (result.warnings.length > 0) {
         console.log(chalk.yellow('\n⚠️ Warnings:'));
-        result.warnings.forEach(warning => {
-          console.log(chalk.yellow(`  • ${warning}`));
-        });
+        printIssues(issues.filter(issue => issue.severity === 'warn'), chalk.yellow);
       }
       
     } else {
       spinner.fail('Token validation failed');
       
       console.log(chalk.red('\n❌ Validation Errors:'));
-      result.errors.forEach(error => {
-        console.log(chalk.red(`  • ${error}`));
-      });
+      printIssues(issues.filter(issue => issue.severity === 'error'), chalk.red);
       
       if (result.warnings.length > 0) {
         console.log(chalk.yellow('\n⚠️ Warnings:'));
-        result.warnings.forEach(warning => {
-          console.log(chalk.yellow(`  • ${warning}`));
-        });
+        printIssues(issues.filter(issue => issue.severity === 'warn'), chalk.yellow);
       }
       
       console.log(chalk.dim('\n💡 Fix these errors and run validation again'));
@@ -84,4 +121,17 @@ export async function validate(options) {
     console.error(chalk.red('\n❌ Error:'), error.message);
     process.exit(1);
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Print lint results with their rule id, source location and fix suggestion
+ */
+function printIssues(issues, color) {
+  issues.forEach(({ ruleId, message, fix, file, line, column }) => {
+    const details = [ruleId, line ? `${file}:${line}:${column}` : null].filter(Boolean).join(', ');
+    console.log(color(`  • ${message}`) + (details ? chalk.dim(` (${details})`) : ''));
+    if (fix) {
+      console.log(chalk.dim(`    ↳ ${fix}`));
+    }
+  });
+}
@@ -21,7 +21,7 @@ export async function watch(options) {
     spinner.succeed('Initial sync completed');
 
     console.log(chalk.green('✨ Watch mode active!'));
-    console.log(chalk.dim('  • Watching tokens.json for changes'));
+    console.log(chalk.dim(`  • Watching ${[].concat(processor.config.tokens.input).join(', ')} for changes`));
     console.log(chalk.dim('  • Auto-sync enabled'));
     console.log(chalk.dim('  • Press Ctrl+C to stop\n'));
 
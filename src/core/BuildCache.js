@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+const MANIFEST_VERSION = 1;
+
+// Generation timestamps change on every run without changing the tokens
+const TIMESTAMP_REGEX = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g;
+
+/**
+ * Build cache
+ * Keeps `.tokens-cache/manifest.json` with the content hashes of the token sources and
+ * of every generated file, so unchanged outputs are not rewritten (and their mtimes
+ * stay put for bundlers, Xcode and Gradle)
+ */
+export class BuildCache {
+  constructor(options = {}) {
+    this.dir = options.dir || '.tokens-cache';
+    this.manifestPath = path.join(this.dir, 'manifest.json');
+    this.manifest = this.createManifest();
+  }
+
+  createManifest() {
+    return { version: MANIFEST_VERSION, inputs: {}, outputs: {} };
+  }
+
+  /**
+   * Hash file content, ignoring generation timestamps
+   */
+  hash(content) {
+    return crypto.createHash('sha256').update(content.replace(TIMESTAMP_REGEX, '')).digest('hex');
+  }
+
+  async load() {
+    try {
+      const manifest = await fs.readJson(this.manifestPath);
+      this.manifest = manifest.version === MANIFEST_VERSION ? manifest : this.createManifest();
+    } catch (error) {
+      // Missing or corrupt manifest: start from scratch
+      this.manifest = this.createManifest();
+    }
+    return this.manifest;
+  }
+
+  async save() {
+    await fs.ensureDir(this.dir);
+    await fs.writeJson(this.manifestPath, this.manifest, { spaces: 2 });
+  }
+
+  /**
+   * Hash the token source files
+   */
+  async hashInputs(files) {
+    const inputs = {};
+    for (const file of files) {
+      if (await fs.pathExists(file)) {
+        inputs[file] = this.hash(await fs.readFile(file, 'utf8'));
+      }
+    }
+    return inputs;
+  }
+
+  /**
+   * Record the token source files the outputs were generated from
+   */
+  async recordInputs(files) {
+    this.manifest.inputs = await this.hashInputs(files);
+  }
+
+  /**
+   * Check whether the token source files changed since the last recorded sync
+   */
+  async hasInputChanges(files) {
+    const inputs = await this.hashInputs(files);
+    const recorded = this.manifest.inputs || {};
+    const keys = new Set([...Object.keys(inputs), ...Object.keys(recorded)]);
+    return [...keys].some(key => inputs[key] !== recorded[key]);
+  }
+
+  /**
+   * Check whether a file on disk already holds this content
+   * A file untouched since it was recorded (same size and mtime) is trusted without
+   * reading it; otherwise its content is compared
+   */
+  async isUnchanged(outputPath, content) {
+    const hash = this.hash(content);
+    let stats;
+    try {
+      stats = await fs.stat(outputPath);
+    } catch (error) {
+      return false;
+    }
+
+    const recorded = this.manifest.outputs[outputPath];
+    if (recorded && recorded.hash === hash && recorded.size === stats.size && recorded.mtimeMs === stats.mtimeMs) {
+      return true;
+    }
+
+    const unchanged = this.hash(await fs.readFile(outputPath, 'utf8')) === hash;
+    if (unchanged) {
+      this.manifest.outputs[outputPath] = { hash, size: stats.size, mtimeMs: stats.mtimeMs };
+    }
+    return unchanged;
+  }
+
+  /**
+   * Record a file that was just written
+   */
+  async recordOutput(outputPath, content) {
+    const stats = await fs.stat(outputPath);
+    this.manifest.outputs[outputPath] = { hash: this.hash(content), size: stats.size, mtimeMs: stats.mtimeMs };
+  }
+
+  removeOutput(outputPath) {
+    delete this.manifest.outputs[outputPath];
+  }
+}
@@ -1,28 +1,65 @@
+import { withLocation } from '../utils/sourceLocation.js';
+
+// Names of the hooks registered by registerCommonHooks
+const BUILT_IN_HOOKS = ['metadata', 'referenceCheck', 'componentCSS'];
+
 /**
  * Build Hooks - Style Dictionary-like build customization
  * Provides hooks for custom logic during the token processing pipeline
  */
 export class BuildHooks {
-  constructor() {
+  constructor(options = {}) {
+    // Abort the sync when any hook throws instead of logging and carrying on
+    this.failOnError = !!options.failOnError;
+    this.disabledBuiltIns = new Set();
     this.hooks = {
+      beforeSync: [],
       beforeProcess: [],
       afterProcess: [],
       beforeGenerate: [],
       afterGenerate: [],
       beforeValidate: [],
-      afterValidate: []
+      afterValidate: [],
+      afterSync: []
     };
   }
 
   /**
    * Register a hook
+   * options.abortOnError makes a failure of this hook abort the sync
+   * options.builtIn names a built-in hook so it can be disabled from the config
    */
-  registerHook(hookName, callback) {
+  registerHook(hookName, callback, options = {}) {
     if (this.hooks[hookName]) {
-      this.hooks[hookName].push(callback);
+      this.hooks[hookName].push({ callback, ...options });
     }
   }
 
+  /**
+   * Register the hooks of the config `hooks` block, replacing those of a previous config
+   * Each phase takes a function or an array of functions
+   */
+  registerConfigHooks(hooksConfig = {}) {
+    const { failOnError = false, builtIn = true, ...phases } = hooksConfig;
+
+    this.failOnError = failOnError;
+    this.disabledBuiltIns = new Set(
+      builtIn === false
+        ? BUILT_IN_HOOKS
+        : Object.entries(builtIn === true ? {} : builtIn).filter(([, enabled]) => !enabled).map(([name]) => name)
+    );
+
+    Object.keys(this.hooks).forEach(hookName => {
+      this.hooks[hookName] = this.hooks[hookName].filter(hook => !hook.fromConfig);
+    });
+
+    Object.entries(phases).forEach(([hookName, callbacks]) => {
+      [].concat(callbacks || []).forEach(callback => {
+        this.registerHook(hookName, callback, { fromConfig: true });
+      });
+    });
+  }
+
   /**
    * Execute hooks for a specific phase
    */
@@ -30,12 +67,17 @@ export class BuildHooks {
     if (!this.hooks[hookName]) return context;
 
     for (const hook of this.hooks[hookName]) {
+      if (hook.builtIn && this.disabledBuiltIns.has(hook.builtIn)) continue;
+
       try {
-        const result = await hook(context);
+        const result = await hook.callback(context);
         if (result !== undefined) {
           context = result;
         }
       } catch (error) {
+        if (this.failOnError || hook.abortOnError) {
+          throw new Error(`Hook ${hookName} failed: ${error.message}`);
+        }
         console.error(`❌ Hook ${hookName} failed:`, error.message);
       }
     }
@@ -44,7 +86,7 @@ export class BuildHooks {
   }
 
   /**
-   * Register common hooks
+   * Register common hooks (disable them with `hooks.builtIn` in the config)
    */
   registerCommonHooks() {
     // Example: Add metadata to tokens
@@ -57,18 +99,18 @@ export class BuildHooks {
         };
       }
       return context;
-    });
+    }, { builtIn: 'metadata' });
 
     // Example: Validate token references
     this.registerHook('beforeValidate', async (context) => {
       if (context.rawTokens) {
-        const issues = this.validateReferences(context.rawTokens);
+        const issues = this.validateReferences(context.rawTokens, context.locations);
         if (issues.length > 0) {
           console.warn('⚠️ Token reference issues found (UPDATED CODE):', issues);
         }
       }
       return context;
-    });
+    }, { builtIn: 'referenceCheck' });
 
     // Example: Custom CSS generation
     this.registerHook('beforeGenerate', (context) => {
@@ -77,13 +119,14 @@ export class BuildHooks {
         context.customCSS = this.generateComponentCSS(context.tokens.component);
       }
       return context;
-    });
+    }, { builtIn: 'componentCSS' });
   }
 
   /**
    * Validate token references
+   * With the loader's source locations, each issue ends with the file:line:column of its token
    */
-  validateReferences(tokens) {
+  validateReferences(tokens, locations) {
     const issues = [];
     const tokenPaths = new Set();
 
@@ -93,7 +136,7 @@ export class BuildHooks {
         for (const [key, value] of Object.entries(obj)) {
           const currentPath = [...path, key];
 
-          if (value && typeof value === 'object' && value.value !== undefined) {
+          if (value && typeof value === 'object' && (value.value ?? value.$value) !== undefined) {
             tokenPaths.add(currentPath.join('.'));
           } else {
             collectPaths(value, currentPath);
@@ -104,6 +147,13 @@ export class BuildHooks {
 
     collectPaths(tokens);
 
+    // Themed files merge token sets, so references omit the set name
+    if (Array.isArray(tokens.$themes)) {
+      [...tokenPaths].forEach(tokenPath => {
+        tokenPaths.add(tokenPath.split('.').slice(1).join('.'));
+      });
+    }
+
     // Check references
     const checkReferences = (obj, path = []) => {
       if (typeof obj === 'object' && obj !== null) {
@@ -117,18 +167,19 @@ export class BuildHooks {
             while ((match = refRegex.exec(value)) !== null) {
               const refPath = match[1];
               if (!tokenPaths.has(refPath)) {
-                issues.push(`Invalid reference "${refPath}" in ${currentPath.join('.')}`);
+                issues.push(withLocation(`Invalid reference "${refPath}" in ${currentPath.join('.')}`, locations, currentPath.join('.')));
               }
             }
-          } else if (value && typeof value === 'object' && value.value !== undefined) {
-            if (typeof value.value === 'string') {
+          } else if (value && typeof value === 'object' && (value.value ?? value.$value) !== undefined) {
+            const tokenValue = value.value ?? value.$value;
+            if (typeof tokenValue === 'string') {
               // Check for token references in the value string (may contain multiple)
               const refRegex = /\{([^}]+)\}/g;
               let match;
-              while ((match = refRegex.exec(value.value)) !== null) {
+              while ((match = refRegex.exec(tokenValue)) !== null) {
                 const refPath = match[1];
                 if (!tokenPaths.has(refPath)) {
-                  issues.push(`Invalid reference "${refPath}" in ${currentPath.join('.')}`);
+                  issues.push(withLocation(`Invalid reference "${refPath}" in ${currentPath.join('.')}`, locations, currentPath.join('.')));
                 }
               }
             }
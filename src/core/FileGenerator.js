@@ -1,5 +1,53 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { parseColor } from '../utils/color.js';
+import {
+  formatDimension,
+  getFontWeight,
+  getShadowLayers,
+  getTypographyMetrics,
+  isCompositeValue,
+  isShadowValue,
+  toCSSValue,
+  toPixels
+} from '../utils/composite.js';
+import { getDeprecation } from '../utils/deprecation.js';
+
+// Declarations emitted below a token's source comment; qualified names are
+// prefixed with their enclosing objects, structs or classes
+const DECLARATION_PATTERNS = [
+  { pattern: /^\s*(?<name>--[\w-]+)\s*:/, qualified: false }, // CSS custom properties
+  { pattern: /^\s*(?<name>\$[\w-]+)\s*:/, qualified: false }, // SCSS variables
+  { pattern: /\b(?:name|x:Key)="(?<name>[^"]+)"/, qualified: false }, // Android and XAML resources
+  { pattern: /\b(?:let|var|val|const|final)\s+(?:[\w<>?]+\s+)?(?<name>\w+)\s*[:=]/, qualified: true }, // Swift, Kotlin, Dart
+  { pattern: /^\s*(?:readonly\s+)?(["']?)(?<name>[\w$-]+)\1\??\s*:/, qualified: true } // Object keys
+];
+
+const CONTAINER_PATTERNS = [
+  /\b(?:struct|class|object|enum|extension|interface|namespace)\s+(?<name>\w+)/,
+  /\b(?:const|let|var)\s+(?<name>\w+)\s*(?::[^=]*)?=\s*\{/,
+  /^\s*(["']?)(?<name>[\w$-]+)\1\??\s*:\s*\{/
+];
+
+// Tailwind theme keys of the token categories (see generateTailwindConfigContent)
+const TAILWIND_KEYS = {
+  colors: 'colors',
+  spacing: 'spacing',
+  borderRadius: 'borderRadius',
+  'typography.fontFamily': 'fontFamily',
+  'typography.fontSize': 'fontSize',
+  'typography.styles': 'fontSize',
+  'typography.fontWeight': 'fontWeight',
+  'typography.lineHeight': 'lineHeight',
+  'typography.letterSpacing': 'letterSpacing',
+  shadows: 'boxShadow',
+  gradients: 'backgroundImage',
+  opacity: 'opacity',
+  zIndex: 'zIndex',
+  'transitions.duration': 'transitionDuration',
+  'transitions.easing': 'transitionTimingFunction',
+  breakpoints: 'screens'
+};
 
 /**
  * File generation engine
@@ -8,78 +56,393 @@ import path from 'path';
 export class FileGenerator {
   constructor(options = {}) {
     this.options = options;
+    this.formats = new Map();
+    // In dry-run mode files are collected in pendingFiles instead of being written
+    this.dryRun = !!options.dryRun;
+    this.pendingFiles = new Map();
+    // Quiet dry runs (`dts check`) do not log every file they would write
+    this.quiet = false;
+    // BuildCache set by TokenProcessor when incremental sync is enabled
+    this.cache = null;
+    this.writeStats = { written: [], unchanged: [] };
+
+    this.registerBuiltInFormats();
   }
 
   /**
-   * Generate all configured output files
+   * Register built-in formats, named like the `output` config keys
+   * A format receives (tokens, outputPath, context) and writes one file
    */
-  async generateAll(tokens, config, context = {}) {
-    const results = {};
+  registerBuiltInFormats() {
+    const formats = {
+      css: (tokens, outputPath, context) => this.generateCSS(tokens, outputPath, { customCSS: context.customCSS }),
+      tailwind: (tokens, outputPath) => this.generateTailwindConfig(tokens, outputPath),
+      typescript: (tokens, outputPath) => this.generateTypeScript(tokens, outputPath),
+      scss: (tokens, outputPath) => this.generateSCSS(tokens, outputPath),
+      ios: (tokens, outputPath) => this.generateIOS(tokens, outputPath),
+      android: (tokens, outputPath) => this.generateAndroid(tokens, outputPath),
+      xamarin: (tokens, outputPath) => this.generateXamarin(tokens, outputPath),
+      reactNative: (tokens, outputPath) => this.generateReactNative(tokens, outputPath),
+      flutter: (tokens, outputPath) => this.generateFlutter(tokens, outputPath),
+      kotlinCompose: (tokens, outputPath) => this.generateKotlinCompose(tokens, outputPath),
+      swiftui: (tokens, outputPath) => this.generateSwiftUI(tokens, outputPath),
+      json: (tokens, outputPath) => this.generateJSON(tokens, outputPath),
+      javascript: (tokens, outputPath) => this.generateJavaScript(tokens, outputPath)
+    };
 
-    // Generate CSS custom properties
-    if (config.output.css) {
-      const options = { customCSS: context.customCSS };
-      results.css = await this.generateCSS(tokens, config.output.css, options);
-    }
+    Object.entries(formats).forEach(([name, format]) => this.formats.set(name, format));
+  }
 
-    // Generate Tailwind config
-    if (config.output.tailwind) {
-      results.tailwind = await this.generateTailwindConfig(tokens, config.output.tailwind);
+  /**
+   * Write a generated file, or record it when running dry
+   * Files already holding the same content are left untouched when caching
+   */
+  async writeFile(outputPath, content, label) {
+    if (this.dryRun) {
+      this.pendingFiles.set(outputPath, content);
+      if (!this.quiet) console.log(`🔍 Would generate ${label}: ${outputPath}`);
+      return;
     }
 
-    // Generate TypeScript definitions
-    if (config.output.typescript) {
-      results.typescript = await this.generateTypeScript(tokens, config.output.typescript);
+    if (this.cache && await this.cache.isUnchanged(outputPath, content)) {
+      this.writeStats.unchanged.push(outputPath);
+      console.log(`⏭️ Unchanged ${label}: ${outputPath}`);
+      return;
     }
 
-    // Generate SCSS variables
-    if (config.output.scss) {
-      results.scss = await this.generateSCSS(tokens, config.output.scss);
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, content);
+    this.writeStats.written.push(outputPath);
+    if (this.cache) {
+      await this.cache.recordOutput(outputPath, content);
     }
+    console.log(`✅ Generated ${label}: ${outputPath}`);
+  }
 
-    // Generate iOS Swift
-    if (config.output.ios) {
-      results.ios = await this.generateIOS(tokens, config.output.ios);
+  /**
+   * Remove a previously generated file that is no longer produced
+   */
+  async removeFile(outputPath, label) {
+    if (!await fs.pathExists(outputPath)) return;
+
+    if (this.dryRun) {
+      this.pendingFiles.set(outputPath, null);
+      if (!this.quiet) console.log(`🔍 Would remove ${label}: ${outputPath}`);
+      return;
     }
 
-    // Generate Android XML
-    if (config.output.android) {
-      results.android = await this.generateAndroid(tokens, config.output.android);
+    await fs.remove(outputPath);
+    this.cache?.removeOutput(outputPath);
+    console.log(`🗑️ Removed ${label}: ${outputPath}`);
+  }
+
+  /**
+   * Check whether a file on disk was written by this generator
+   */
+  async isGeneratedFile(filePath) {
+    if (!await fs.pathExists(filePath)) return false;
+    const content = await fs.readFile(filePath, 'utf8');
+    return content.includes('Design Tokens - Auto-generated');
+  }
+
+  /**
+   * Compare the files collected during a dry run with what is on disk
+   * Timestamps are ignored, so an unchanged token set reports no changes
+   * Returns [{ path, status: added|changed|removed, before, after }]
+   */
+  async getPendingChanges() {
+    const changes = [];
+    const withoutTimestamps = (content) => content.replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '');
+
+    for (const [outputPath, after] of this.pendingFiles) {
+      const exists = await fs.pathExists(outputPath);
+      const before = exists ? await fs.readFile(outputPath, 'utf8') : null;
+
+      if (after === null) {
+        changes.push({ path: outputPath, status: 'removed', before, after: '' });
+      } else if (before === null) {
+        changes.push({ path: outputPath, status: 'added', before: '', after });
+      } else if (withoutTimestamps(before) !== withoutTimestamps(after)) {
+        changes.push({ path: outputPath, status: 'changed', before, after });
+      }
     }
 
-    // Generate Xamarin (if implemented)
-    if (config.output.xamarin) {
-      results.xamarin = await this.generateXamarin(tokens, config.output.xamarin);
+    return changes;
+  }
+
+  /**
+   * Register a custom format
+   * formatter({ tokens, dictionary, options, platform, file, fileHeader }) returns the
+   * file content (or a promise of it); the generator writes it to the destination
+   */
+  registerFormat(name, formatter) {
+    if (typeof formatter !== 'function') {
+      throw new Error(`Format "${name}" must be a function`);
+    }
+
+    this.formats.set(name, async (tokens, outputPath, context = {}) => {
+      const content = await formatter({
+        tokens,
+        dictionary: this.getDictionary(tokens),
+        options: context.file?.options || {},
+        platform: context.platform || null,
+        file: { ...context.file, format: name, destination: outputPath },
+        fileHeader: (headerOptions) => this.getFileHeader(headerOptions)
+      });
+
+      if (typeof content !== 'string') {
+        throw new Error(`Format "${name}" must return a string, got ${typeof content}`);
+      }
+
+      await this.writeFile(outputPath, content, name);
+      return { path: outputPath, content };
+    });
+  }
+
+  /**
+   * Token dictionary handed to custom formats: the resolved (and transformed) token
+   * tree plus a flat list of every token with its path
+   */
+  getDictionary(tokens) {
+    const tree = tokens._processedTokens || tokens._resolvedTokens || {};
+    const allTokens = [];
+
+    const collect = (obj, tokenPath = []) => {
+      Object.entries(obj).forEach(([key, value]) => {
+        if (key.startsWith('$') || !value || typeof value !== 'object') return;
+
+        const currentPath = [...tokenPath, key];
+        if (value.value !== undefined) {
+          allTokens.push({
+            name: value.name || currentPath.join('.'),
+            path: currentPath,
+            value: value.value,
+            type: value.type,
+            description: value.description,
+            deprecated: getDeprecation(value, currentPath.join('.')),
+            attributes: value.attributes || {}
+          });
+        } else {
+          collect(value, currentPath);
+        }
+      });
+    };
+
+    collect(tree);
+    return { tokens: tree, allTokens };
+  }
+
+  /**
+   * "Auto-generated" file header in the comment style of the target language
+   * commentStyle: block (/* *\/), line (//), xml (<!-- -->) or hash (#)
+   */
+  getFileHeader({ commentStyle = 'block', title = '' } = {}) {
+    const comments = {
+      block: (line) => `/* ${line} */`,
+      line: (line) => `// ${line}`,
+      xml: (line) => `<!-- ${line} -->`,
+      hash: (line) => `# ${line}`
+    };
+    const comment = comments[commentStyle] || comments.block;
+
+    return [
+      comment(`Design Tokens - Auto-generated${title ? ` ${title}` : ''}`),
+      comment('Do not edit this file manually')
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Get the deprecation of an emitted token from its keys in the extracted tokens,
+   * e.g. getDeprecation(tokens, ['colors', 'blue', '500']); null when it is not deprecated
+   */
+  getDeprecation(tokens, keys) {
+    const deprecation = keys.reduce((node, key) => node?.[key], tokens.deprecations);
+    return deprecation && 'path' in deprecation && 'replacement' in deprecation ? deprecation : null;
+  }
+
+  /**
+   * Native deprecation marker of an emitted token, or null when it is not deprecated
+   * style: css, line (//), jsdoc, xml, swift, kotlin or dart
+   */
+  getDeprecationMarker(tokens, keys, style) {
+    const deprecation = this.getDeprecation(tokens, keys);
+    if (!deprecation) return null;
+
+    const { message } = deprecation;
+    // Double-quoted string literal; Kotlin and Dart also interpolate `$`
+    const quoted = JSON.stringify(message || `${deprecation.path} is deprecated`);
+
+    switch (style) {
+      case 'css':
+        return message ? `/* @deprecated ${message.replace(/\*\//g, '*\\/')} */` : '/* @deprecated */';
+      case 'line':
+        return message ? `// @deprecated ${message}` : '// @deprecated';
+      case 'jsdoc':
+        return message ? `/** @deprecated ${message.replace(/\*\//g, '*\\/')} */` : '/** @deprecated */';
+      case 'xml':
+        return message ? `<!-- @deprecated ${message.replace(/--/g, '- -')} -->` : '<!-- @deprecated -->';
+      case 'swift':
+        return message ? `@available(*, deprecated, message: ${quoted})` : '@available(*, deprecated)';
+      case 'kotlin':
+        return `@Deprecated(${quoted.replace(/\$/g, '\\$')})`;
+      case 'dart':
+        return message ? `@Deprecated(${quoted.replace(/\$/g, '\\$')})` : '@deprecated';
+      default:
+        return null;
     }
+  }
 
-    // Generate React Native
-    if (config.output.reactNative) {
-      results.reactNative = await this.generateReactNative(tokens, config.output.reactNative);
+  /**
+   * Source location comment of an emitted token, when `tokens.sourceComments` mapped
+   * one onto tokens.sources (see TokenProcessor.mapOntoCategories)
+   */
+  getSourceComment(tokens, keys, style) {
+    const source = keys.reduce((node, key) => node?.[key], tokens.sources);
+    if (!source || !('file' in source && 'line' in source)) return null;
+
+    const text = `source: ${source.file}:${source.line}:${source.column}`;
+    switch (style) {
+      case 'css':
+      case 'jsdoc':
+        return `/* ${text.replace(/\*\//g, '*\\/')} */`;
+      case 'xml':
+        return `<!-- ${text.replace(/--/g, '- -')} -->`;
+      default:
+        return `// ${text}`;
     }
+  }
+
+  /**
+   * Push the source comment and deprecation marker of an emitted token onto the output lines
+   * The marker goes last, directly above the declaration it annotates
+   */
+  pushTokenComments(lines, tokens, keys, style, indent = '') {
+    const source = this.getSourceComment(tokens, keys, style);
+    if (source) lines.push(`${indent}${source}`);
 
-    // Generate Flutter/Dart
-    if (config.output.flutter) {
-      results.flutter = await this.generateFlutter(tokens, config.output.flutter);
+    const marker = this.getDeprecationMarker(tokens, keys, style);
+    if (marker) lines.push(`${indent}${marker}`);
+  }
+
+  /**
+   * Find the declarations emitted below a source comment (see getSourceComment)
+   * Returns [{ line, identifier, declaration }] with 1-based line numbers
+   */
+  findTokenDeclarations(content, sourceText) {
+    const lines = content.split('\n');
+    const indentOf = (line) => line.match(/^\s*/)[0].length;
+    const declarations = [];
+
+    lines.forEach((line, index) => {
+      if (!line.includes(sourceText)) return;
+
+      // Skip the deprecation marker between the comment and the declaration
+      let next = index + 1;
+      while (next < lines.length && /^\s*(\/\*|\/\/|<!--|@)/.test(lines[next])) next++;
+      const declaration = lines[next];
+      if (declaration === undefined) return;
+
+      const match = DECLARATION_PATTERNS
+        .map(({ pattern, qualified }) => ({ found: declaration.match(pattern), qualified }))
+        .find(({ found }) => found);
+      if (!match) return;
+
+      const names = [match.found.groups.name];
+      if (match.qualified) {
+        let indent = indentOf(declaration);
+        for (let previous = next - 1; previous >= 0 && indent > 0; previous--) {
+          const container = lines[previous];
+          if (!container.trimEnd().endsWith('{') || indentOf(container) >= indent) continue;
+
+          const name = CONTAINER_PATTERNS.map(pattern => container.match(pattern)).find(Boolean)?.groups.name;
+          if (name) names.unshift(name);
+          indent = indentOf(container);
+        }
+      }
+
+      declarations.push({ line: next + 1, identifier: names.join('.'), declaration: declaration.trim() });
+    });
+
+    return declarations;
+  }
+
+  /**
+   * Tailwind theme key of a token, from its keys in the extracted categories
+   * (['colors', 'blue', '500'] -> theme.extend.colors.blue.500); null when Tailwind does not emit it
+   */
+  getTailwindKey(keys) {
+    const [category, group, ...rest] = keys;
+    if (TAILWIND_KEYS[`${category}.${group}`] && rest.length > 0) {
+      return ['theme.extend', TAILWIND_KEYS[`${category}.${group}`], ...rest].join('.');
+    }
+    if (TAILWIND_KEYS[category] && group !== undefined) {
+      return ['theme.extend', TAILWIND_KEYS[category], group, ...rest].join('.');
     }
+    return null;
+  }
 
-    // Generate Kotlin Compose
-    if (config.output.kotlinCompose) {
-      results.kotlinCompose = await this.generateKotlinCompose(tokens, config.output.kotlinCompose);
+  /**
+   * JSON.stringify(value, null, 2) with a JSDoc @deprecated line above deprecated properties
+   * deprecations mirrors value (see TokenProcessor.extractDeprecations)
+   */
+  stringifyWithDeprecations(value, deprecations, indent = '') {
+    if (!deprecations || !value || typeof value !== 'object' || Array.isArray(value)) {
+      return JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
     }
 
-    // Generate SwiftUI
-    if (config.output.swiftui) {
-      results.swiftui = await this.generateSwiftUI(tokens, config.output.swiftui);
+    const entries = Object.entries(value).filter(([, child]) => child !== undefined && typeof child !== 'function');
+    if (entries.length === 0) return '{}';
+
+    const inner = `${indent}  `;
+    const lines = entries.map(([key, child]) => {
+      const marker = this.getDeprecationMarker({ deprecations }, [key], 'jsdoc');
+      const property = `${inner}${JSON.stringify(key)}: ${this.stringifyWithDeprecations(child, marker ? null : deprecations[key], inner)}`;
+      return marker ? `${inner}${marker}\n${property}` : property;
+    });
+
+    return `{\n${lines.join(',\n')}\n${indent}}`;
+  }
+
+  /**
+   * Generate all configured output files
+   */
+  async generateAll(tokens, config, context = {}) {
+    const results = {};
+
+    for (const [format, outputPath] of Object.entries(config.output || {})) {
+      if (!outputPath) continue;
+      results[format] = await this.generateFormat(format, tokens, outputPath, context);
     }
 
-    // Generate JSON output
-    if (config.output.json) {
-      results.json = await this.generateJSON(tokens, config.output.json);
+    return results;
+  }
+
+  /**
+   * Write a single file with a named format
+   */
+  async generateFormat(format, tokens, outputPath, context = {}) {
+    const generate = this.formats.get(format);
+    if (!generate) {
+      throw new Error(`Unknown format "${format}". Available: ${[...this.formats.keys()].join(', ')}`);
     }
+    return generate(tokens, outputPath, context);
+  }
+
+  /**
+   * Generate the files of every configured platform
+   * platforms comes from TokenProcessor.buildPlatformTokens
+   */
+  async generatePlatforms(platforms, context = {}) {
+    const results = {};
 
-    // Generate JavaScript output
-    if (config.output.javascript) {
-      results.javascript = await this.generateJavaScript(tokens, config.output.javascript);
+    for (const [name, platform] of Object.entries(platforms)) {
+      if (!this.quiet) console.log(`📦 Building platform: ${name}`);
+      const { files, ...platformOptions } = platform;
+      results[name] = [];
+      for (const { tokens, ...file } of files) {
+        const fileContext = { ...context, platform: { name, ...platformOptions }, file };
+        results[name].push(await this.generateFormat(file.format, tokens, file.destination, fileContext));
+      }
     }
 
     return results;
@@ -91,10 +454,7 @@ export class FileGenerator {
   async generateCSS(tokens, outputPath) {
     const css = this.generateCSSCustomProperties(tokens);
     
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, css);
-    
-    console.log(`✅ Generated CSS: ${outputPath}`);
+    await this.writeFile(outputPath, css, 'CSS');
     return { path: outputPath, content: css };
   }
 
@@ -109,6 +469,35 @@ export class FileGenerator {
     cssVars.push('/* Do not edit this file manually */');
     cssVars.push('');
     cssVars.push(':root {');
+    cssVars.push(...this.generateCSSVariableLines(tokens));
+    cssVars.push('}');
+    cssVars.push('');
+
+    // Theme overrides (Token Studio $themes)
+    cssVars.push(...this.generateCSSThemeBlocks(tokens));
+
+    // Add utility classes
+    cssVars.push('/* Utility Classes */');
+
+    // Text colors
+    if (tokens.colors) {
+      Object.entries(tokens.colors).forEach(([category, shades]) => {
+        if (shades && typeof shades === 'object') {
+          Object.keys(shades).forEach(shade => {
+            cssVars.push(`.text-${category}-${shade} { color: var(--color-${category}-${shade}); }`);
+          });
+        }
+      });
+    }
+
+    return cssVars.join('\n');
+  }
+
+  /**
+   * Generate the custom property declarations for a token set
+   */
+  generateCSSVariableLines(tokens) {
+    const cssVars = [];
 
     // Colors
     if (tokens.colors) {
@@ -117,6 +506,7 @@ export class FileGenerator {
         if (shades && typeof shades === 'object') {
           Object.entries(shades).forEach(([shade, value]) => {
             const actualValue = this.getTokenValue(value);
+            this.pushTokenComments(cssVars, tokens, ['colors', category, shade], 'css', '  ');
             cssVars.push(`  --color-${category}-${shade}: ${actualValue};`);
           });
         }
@@ -128,6 +518,7 @@ export class FileGenerator {
     if (tokens.spacing) {
       cssVars.push('  /* Spacing */');
       Object.entries(tokens.spacing).forEach(([key, value]) => {
+        this.pushTokenComments(cssVars, tokens, ['spacing', key], 'css', '  ');
         cssVars.push(`  --spacing-${key}: ${value};`);
       });
       cssVars.push('');
@@ -137,6 +528,7 @@ export class FileGenerator {
     if (tokens.borderRadius) {
       cssVars.push('  /* Border Radius */');
       Object.entries(tokens.borderRadius).forEach(([key, value]) => {
+        this.pushTokenComments(cssVars, tokens, ['borderRadius', key], 'css', '  ');
         cssVars.push(`  --border-radius-${key}: ${value};`);
       });
       cssVars.push('');
@@ -148,7 +540,8 @@ export class FileGenerator {
       Object.entries(tokens.typography).forEach(([category, values]) => {
         if (values && typeof values === 'object') {
           Object.entries(values).forEach(([key, value]) => {
-            cssVars.push(`  --typography-${category}-${key}: ${value};`);
+            this.pushTokenComments(cssVars, tokens, ['typography', category, key], 'css', '  ');
+            cssVars.push(`  --typography-${category}-${key}: ${this.formatCSSValue(value)};`);
           });
         }
       });
@@ -159,7 +552,28 @@ export class FileGenerator {
     if (tokens.shadows) {
       cssVars.push('  /* Shadows */');
       Object.entries(tokens.shadows).forEach(([key, value]) => {
-        cssVars.push(`  --shadow-${key}: ${value};`);
+        this.pushTokenComments(cssVars, tokens, ['shadows', key], 'css', '  ');
+        cssVars.push(`  --shadow-${key}: ${this.formatCSSValue(value)};`);
+      });
+      cssVars.push('');
+    }
+
+    // Borders
+    if (tokens.borders) {
+      cssVars.push('  /* Borders */');
+      Object.entries(tokens.borders).forEach(([key, value]) => {
+        this.pushTokenComments(cssVars, tokens, ['borders', key], 'css', '  ');
+        cssVars.push(`  --border-${key}: ${this.formatCSSValue(value)};`);
+      });
+      cssVars.push('');
+    }
+
+    // Gradients
+    if (tokens.gradients) {
+      cssVars.push('  /* Gradients */');
+      Object.entries(tokens.gradients).forEach(([key, value]) => {
+        this.pushTokenComments(cssVars, tokens, ['gradients', key], 'css', '  ');
+        cssVars.push(`  --gradient-${key}: ${this.formatCSSValue(value)};`);
       });
       cssVars.push('');
     }
@@ -168,6 +582,7 @@ export class FileGenerator {
     if (tokens.opacity) {
       cssVars.push('  /* Opacity */');
       Object.entries(tokens.opacity).forEach(([key, value]) => {
+        this.pushTokenComments(cssVars, tokens, ['opacity', key], 'css', '  ');
         cssVars.push(`  --opacity-${key}: ${value};`);
       });
       cssVars.push('');
@@ -177,6 +592,7 @@ export class FileGenerator {
     if (tokens.zIndex) {
       cssVars.push('  /* Z-Index */');
       Object.entries(tokens.zIndex).forEach(([key, value]) => {
+        this.pushTokenComments(cssVars, tokens, ['zIndex', key], 'css', '  ');
         cssVars.push(`  --z-index-${key}: ${value};`);
       });
       cssVars.push('');
@@ -187,14 +603,22 @@ export class FileGenerator {
       cssVars.push('  /* Transitions */');
       if (tokens.transitions.duration) {
         Object.entries(tokens.transitions.duration).forEach(([key, value]) => {
+          this.pushTokenComments(cssVars, tokens, ['transitions', 'duration', key], 'css', '  ');
           cssVars.push(`  --transition-duration-${key}: ${value};`);
         });
       }
       if (tokens.transitions.easing) {
         Object.entries(tokens.transitions.easing).forEach(([key, value]) => {
+          this.pushTokenComments(cssVars, tokens, ['transitions', 'easing', key], 'css', '  ');
           cssVars.push(`  --transition-easing-${key}: ${value};`);
         });
       }
+      if (tokens.transitions.presets) {
+        Object.entries(tokens.transitions.presets).forEach(([key, value]) => {
+          this.pushTokenComments(cssVars, tokens, ['transitions', 'presets', key], 'css', '  ');
+          cssVars.push(`  --transition-${key}: ${this.formatCSSValue(value)};`);
+        });
+      }
       cssVars.push('');
     }
 
@@ -202,6 +626,7 @@ export class FileGenerator {
     if (tokens.breakpoints) {
       cssVars.push('  /* Breakpoints */');
       Object.entries(tokens.breakpoints).forEach(([key, value]) => {
+        this.pushTokenComments(cssVars, tokens, ['breakpoints', key], 'css', '  ');
         cssVars.push(`  --breakpoint-${key}: ${value};`);
       });
       cssVars.push('');
@@ -218,11 +643,13 @@ export class FileGenerator {
               // This is a component variant with multiple properties (e.g., button.primary)
               Object.entries(variantProps).forEach(([propName, propValue]) => {
                 const actualValue = this.getTokenValue(propValue);
+                this.pushTokenComments(cssVars, tokens, ['component', componentName, variantOrPropName, propName], 'css', '  ');
                 cssVars.push(`  --component-${componentName}-${variantOrPropName}-${propName}: ${actualValue};`);
               });
             } else {
               // This is a component with direct properties (e.g., card.backgroundColor)
               const actualValue = this.getTokenValue(variantProps);
+              this.pushTokenComments(cssVars, tokens, ['component', componentName, variantOrPropName], 'css', '  ');
               cssVars.push(`  --component-${componentName}-${variantOrPropName}: ${actualValue};`);
             }
           });
@@ -231,24 +658,43 @@ export class FileGenerator {
       cssVars.push('');
     }
 
-    cssVars.push('}');
-    cssVars.push('');
+    return cssVars;
+  }
 
-    // Add utility classes
-    cssVars.push('/* Utility Classes */');
+  /**
+   * Generate one selector block per non-default theme
+   * Only properties whose value differs from the default theme are emitted
+   */
+  generateCSSThemeBlocks(tokens) {
+    if (!tokens.themes?.sets) return [];
 
-    // Text colors
-    if (tokens.colors) {
-      Object.entries(tokens.colors).forEach(([category, shades]) => {
-        if (shades && typeof shades === 'object') {
-          Object.keys(shades).forEach(shade => {
-            cssVars.push(`.text-${category}-${shade} { color: var(--color-${category}-${shade}); }`);
-          });
-        }
+    const css = [];
+    const declarationRegex = /^\s*(--[\w-]+):\s*(.*);$/;
+    const defaultValues = new Map();
+
+    this.generateCSSVariableLines(tokens).forEach(line => {
+      const match = line.match(declarationRegex);
+      if (match) defaultValues.set(match[1], match[2]);
+    });
+
+    Object.entries(tokens.themes.sets).forEach(([themeName, themeTokens]) => {
+      if (themeName === tokens.themes.default) return;
+
+      const overrides = this.generateCSSVariableLines(themeTokens).filter(line => {
+        const match = line.match(declarationRegex);
+        return match && defaultValues.get(match[1]) !== match[2];
       });
-    }
 
-    return cssVars.join('\n');
+      if (overrides.length === 0) return;
+
+      css.push(`/* Theme: ${themeName} */`);
+      css.push(`${tokens.themes.selectors[themeName]} {`);
+      css.push(...overrides);
+      css.push('}');
+      css.push('');
+    });
+
+    return css;
   }
 
   /**
@@ -257,10 +703,7 @@ export class FileGenerator {
   async generateTailwindConfig(tokens, outputPath) {
     const configContent = this.generateTailwindConfigContent(tokens);
     
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, configContent);
-    
-    console.log(`✅ Generated Tailwind config: ${outputPath}`);
+    await this.writeFile(outputPath, configContent, 'Tailwind config');
     return { path: outputPath, content: configContent };
   }
 
@@ -274,9 +717,14 @@ export class FileGenerator {
       }
     };
 
+    // Dark mode variants follow the dark theme selector
+    if (tokens.themes?.dark) {
+      config.darkMode = ['class', tokens.themes.selectors[tokens.themes.dark]];
+    }
+
     // Colors
     if (tokens.colors && Object.keys(tokens.colors).length > 0) {
-      config.theme.extend.colors = tokens.colors;
+      config.theme.extend.colors = this.getThemedTailwindColors(tokens);
     }
 
     // Spacing
@@ -297,6 +745,13 @@ export class FileGenerator {
       if (tokens.typography.fontSize && Object.keys(tokens.typography.fontSize).length > 0) {
         config.theme.extend.fontSize = tokens.typography.fontSize;
       }
+      // Text styles become fontSize tuples: text-heading-1 sets size, line height and weight
+      if (tokens.typography.styles) {
+        config.theme.extend.fontSize = {
+          ...config.theme.extend.fontSize,
+          ...this.getTailwindTextStyles(tokens.typography.styles)
+        };
+      }
       if (tokens.typography.fontWeight && Object.keys(tokens.typography.fontWeight).length > 0) {
         config.theme.extend.fontWeight = tokens.typography.fontWeight;
       }
@@ -310,7 +765,16 @@ export class FileGenerator {
 
     // Shadows
     if (tokens.shadows && Object.keys(tokens.shadows).length > 0) {
-      config.theme.extend.boxShadow = tokens.shadows;
+      config.theme.extend.boxShadow = Object.fromEntries(
+        Object.entries(tokens.shadows).map(([key, value]) => [key, this.formatCSSValue(value)])
+      );
+    }
+
+    // Gradients
+    if (tokens.gradients && Object.keys(tokens.gradients).length > 0) {
+      config.theme.extend.backgroundImage = Object.fromEntries(
+        Object.entries(tokens.gradients).map(([key, value]) => [key, this.formatCSSValue(value)])
+      );
     }
 
     // Opacity
@@ -348,16 +812,52 @@ export default ${JSON.stringify(config, null, 2)};
     return configString;
   }
 
+  /**
+   * Convert typography styles to Tailwind fontSize tuples: [size, { lineHeight, fontWeight, letterSpacing }]
+   */
+  getTailwindTextStyles(styles) {
+    return Object.fromEntries(Object.entries(styles).map(([key, style]) => {
+      const options = {};
+      if (style.lineHeight !== undefined) options.lineHeight = String(style.lineHeight);
+      if (style.fontWeight !== undefined) options.fontWeight = String(getFontWeight(style.fontWeight) ?? style.fontWeight);
+      if (style.letterSpacing !== undefined) options.letterSpacing = String(style.letterSpacing);
+
+      return [key, [formatDimension(style.fontSize, '1rem'), options]];
+    }));
+  }
+
+  /**
+   * Point colors that vary between themes at their CSS custom property
+   */
+  getThemedTailwindColors(tokens) {
+    if (!tokens.themes?.sets) return tokens.colors;
+
+    const colors = {};
+    Object.entries(tokens.colors).forEach(([category, shades]) => {
+      if (!shades || typeof shades !== 'object') {
+        colors[category] = shades;
+        return;
+      }
+
+      colors[category] = {};
+      Object.entries(shades).forEach(([shade, value]) => {
+        const isThemed = Object.keys(tokens.themes.sets).some(themeName =>
+          this.getThemeColor(tokens, themeName, category, shade) !== this.getTokenValue(value)
+        );
+        colors[category][shade] = isThemed ? `var(--color-${category}-${shade})` : value;
+      });
+    });
+
+    return colors;
+  }
+
   /**
    * Generate TypeScript definitions
    */
   async generateTypeScript(tokens, outputPath) {
     const typeDefinitions = this.generateTypeDefinitions(tokens);
     
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, typeDefinitions);
-    
-    console.log(`✅ Generated TypeScript definitions: ${outputPath}`);
+    await this.writeFile(outputPath, typeDefinitions, 'TypeScript definitions');
     return { path: outputPath, content: typeDefinitions };
   }
 
@@ -378,6 +878,7 @@ export default ${JSON.stringify(config, null, 2)};
         if (shades && typeof shades === 'object') {
           types.push(`  ${category}: {`);
           Object.keys(shades).forEach(shade => {
+            this.pushTokenComments(types, tokens, ['colors', category, shade], 'jsdoc', '    ');
             types.push(`    "${shade}": string;`);
           });
           types.push('  };');
@@ -390,19 +891,33 @@ export default ${JSON.stringify(config, null, 2)};
     if (tokens.spacing) {
       types.push('export interface Spacing {');
       Object.keys(tokens.spacing).forEach(key => {
+        this.pushTokenComments(types, tokens, ['spacing', key], 'jsdoc', '  ');
         types.push(`  "${key}": string;`);
       });
       types.push('}');
       types.push('');
     }
 
+    if (tokens.typography?.styles) {
+      types.push('export interface TypographyStyle {');
+      types.push('  fontFamily?: string | string[];');
+      types.push('  fontSize?: string;');
+      types.push('  fontWeight?: string | number;');
+      types.push('  lineHeight?: string | number;');
+      types.push('  letterSpacing?: string;');
+      types.push('  [property: string]: unknown;');
+      types.push('}');
+      types.push('');
+    }
+
     if (tokens.typography) {
       types.push('export interface Typography {');
       Object.entries(tokens.typography).forEach(([category, values]) => {
         if (values && typeof values === 'object') {
           types.push(`  ${category}: {`);
           Object.keys(values).forEach(key => {
-            types.push(`    "${key}": string;`);
+            this.pushTokenComments(types, tokens, ['typography', category, key], 'jsdoc', '    ');
+            types.push(`    "${key}": ${category === 'styles' ? 'TypographyStyle' : 'string'};`);
           });
           types.push('  };');
         }
@@ -411,19 +926,27 @@ export default ${JSON.stringify(config, null, 2)};
       types.push('');
     }
 
+    // Composite values (shadow layers, borders, transitions, gradient stops) keep their shape
+    const hasComposites = (values) => Object.values(values || {}).some(value => isCompositeValue(value));
+
     // Main design tokens interface
     types.push('export interface DesignTokens {');
     if (tokens.colors) types.push('  colors: Colors;');
     if (tokens.spacing) types.push('  spacing: Spacing;');
     if (tokens.typography) types.push('  typography: Typography;');
     if (tokens.borderRadius) types.push('  borderRadius: Record<string, string>;');
-    if (tokens.shadows) types.push('  shadows: Record<string, string>;');
+    if (tokens.shadows) {
+      types.push(`  shadows: Record<string, ${hasComposites(tokens.shadows) ? 'string | object | object[]' : 'string'}>;`);
+    }
+    if (tokens.borders) types.push('  borders: Record<string, object>;');
+    if (tokens.gradients) types.push('  gradients: Record<string, string | object[]>;');
     if (tokens.opacity) types.push('  opacity: Record<string, string>;');
     if (tokens.zIndex) types.push('  zIndex: Record<string, number>;');
     if (tokens.transitions) {
       types.push('  transitions: {');
       types.push('    duration: Record<string, string>;');
       types.push('    easing: Record<string, string>;');
+      if (tokens.transitions.presets) types.push('    presets: Record<string, object>;');
       types.push('  };');
     }
     if (tokens.breakpoints) types.push('  breakpoints: Record<string, string>;');
@@ -446,10 +969,7 @@ export default ${JSON.stringify(config, null, 2)};
   async generateSCSS(tokens, outputPath) {
     const scss = this.generateSCSSVariables(tokens);
     
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, scss);
-    
-    console.log(`✅ Generated SCSS: ${outputPath}`);
+    await this.writeFile(outputPath, scss, 'SCSS');
     return { path: outputPath, content: scss };
   }
 
@@ -470,6 +990,7 @@ export default ${JSON.stringify(config, null, 2)};
         if (shades && typeof shades === 'object') {
           Object.entries(shades).forEach(([shade, value]) => {
             const actualValue = this.getTokenValue(value);
+            this.pushTokenComments(scss, tokens, ['colors', category, shade], 'line', '');
             scss.push(`$color-${category}-${shade}: ${actualValue};`);
           });
         }
@@ -481,6 +1002,7 @@ export default ${JSON.stringify(config, null, 2)};
     if (tokens.spacing) {
       scss.push('// Spacing');
       Object.entries(tokens.spacing).forEach(([key, value]) => {
+        this.pushTokenComments(scss, tokens, ['spacing', key], 'line', '');
         scss.push(`$spacing-${key}: ${value};`);
       });
       scss.push('');
@@ -492,7 +1014,8 @@ export default ${JSON.stringify(config, null, 2)};
       Object.entries(tokens.typography).forEach(([category, values]) => {
         if (values && typeof values === 'object') {
           Object.entries(values).forEach(([key, value]) => {
-            scss.push(`$typography-${category}-${key}: ${value};`);
+            this.pushTokenComments(scss, tokens, ['typography', category, key], 'line', '');
+            scss.push(`$typography-${category}-${key}: ${this.formatCSSValue(value)};`);
           });
         }
       });
@@ -505,7 +1028,8 @@ export default ${JSON.stringify(config, null, 2)};
         scss.push(`// ${category.charAt(0).toUpperCase() + category.slice(1)}`);
         Object.entries(tokens[category]).forEach(([key, value]) => {
           const variableName = this.kebabCase(category);
-          scss.push(`$${variableName}-${key}: ${value};`);
+          this.pushTokenComments(scss, tokens, [category, key], 'line', '');
+          scss.push(`$${variableName}-${key}: ${this.formatCSSValue(value)};`);
         });
         scss.push('');
       }
@@ -516,14 +1040,42 @@ export default ${JSON.stringify(config, null, 2)};
       scss.push('// Transitions');
       if (tokens.transitions.duration) {
         Object.entries(tokens.transitions.duration).forEach(([key, value]) => {
+          this.pushTokenComments(scss, tokens, ['transitions', 'duration', key], 'line', '');
           scss.push(`$transition-duration-${key}: ${value};`);
         });
       }
       if (tokens.transitions.easing) {
         Object.entries(tokens.transitions.easing).forEach(([key, value]) => {
+          this.pushTokenComments(scss, tokens, ['transitions', 'easing', key], 'line', '');
           scss.push(`$transition-easing-${key}: ${value};`);
         });
       }
+      if (tokens.transitions.presets) {
+        Object.entries(tokens.transitions.presets).forEach(([key, value]) => {
+          this.pushTokenComments(scss, tokens, ['transitions', 'presets', key], 'line', '');
+          scss.push(`$transition-${key}: ${this.formatCSSValue(value)};`);
+        });
+      }
+      scss.push('');
+    }
+
+    // Borders
+    if (tokens.borders) {
+      scss.push('// Borders');
+      Object.entries(tokens.borders).forEach(([key, value]) => {
+        this.pushTokenComments(scss, tokens, ['borders', key], 'line', '');
+        scss.push(`$border-${key}: ${this.formatCSSValue(value)};`);
+      });
+      scss.push('');
+    }
+
+    // Gradients
+    if (tokens.gradients) {
+      scss.push('// Gradients');
+      Object.entries(tokens.gradients).forEach(([key, value]) => {
+        this.pushTokenComments(scss, tokens, ['gradients', key], 'line', '');
+        scss.push(`$gradient-${key}: ${this.formatCSSValue(value)};`);
+      });
       scss.push('');
     }
 
@@ -531,6 +1083,7 @@ export default ${JSON.stringify(config, null, 2)};
     if (tokens.breakpoints) {
       scss.push('// Breakpoints');
       Object.entries(tokens.breakpoints).forEach(([key, value]) => {
+        this.pushTokenComments(scss, tokens, ['breakpoints', key], 'line', '');
         scss.push(`$breakpoint-${key}: ${value};`);
       });
       scss.push('');
@@ -545,70 +1098,62 @@ export default ${JSON.stringify(config, null, 2)};
   async generateIOS(tokens, outputPath) {
     // iOS color definitions
     const swift = this.generateSwiftColors(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, swift);
-    
-    console.log(`✅ Generated iOS Swift: ${outputPath}`);
+    await this.writeFile(outputPath, swift, 'iOS Swift');
     return { path: outputPath, content: swift };
   }
 
   async generateAndroid(tokens, outputPath) {
     // Android XML resources
     const xml = this.generateAndroidXML(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, xml);
-    
-    console.log(`✅ Generated Android XML: ${outputPath}`);
-    return { path: outputPath, content: xml };
+    await this.writeFile(outputPath, xml, 'Android XML');
+    const result = { path: outputPath, content: xml, variants: [] };
+
+    // Dark theme colors go to values-night resources
+    const nightXml = this.generateAndroidNightXML(tokens);
+    if (nightXml) {
+      const nightPath = this.getAndroidNightPath(outputPath);
+      await this.writeFile(nightPath, nightXml, 'Android night XML');
+      result.variants.push({ path: nightPath, content: nightXml });
+    } else if (await this.isGeneratedFile(this.getAndroidNightPath(outputPath))) {
+      // The dark theme was removed: drop its stale night resources
+      await this.removeFile(this.getAndroidNightPath(outputPath), 'Android night XML');
+    }
+
+    return result;
   }
 
   async generateXamarin(tokens, outputPath) {
     // Xamarin XAML resource dictionary
     const xaml = this.generateXamarinXAML(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, xaml);
-    
-    console.log(`✅ Generated Xamarin XAML: ${outputPath}`);
+    await this.writeFile(outputPath, xaml, 'Xamarin XAML');
     return { path: outputPath, content: xaml };
   }
 
   async generateReactNative(tokens, outputPath) {
     // React Native compatible JavaScript/TypeScript
     const content = this.generateReactNativeContent(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, content);
-    
-    console.log(`✅ Generated React Native: ${outputPath}`);
+    await this.writeFile(outputPath, content, 'React Native');
     return { path: outputPath, content };
   }
 
   async generateFlutter(tokens, outputPath) {
     // Flutter/Dart class
     const content = this.generateFlutterContent(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, content);
-    
-    console.log(`✅ Generated Flutter/Dart: ${outputPath}`);
+    await this.writeFile(outputPath, content, 'Flutter/Dart');
     return { path: outputPath, content };
   }
 
   async generateKotlinCompose(tokens, outputPath) {
     // Kotlin Compose class
     const content = this.generateKotlinComposeContent(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, content);
-    
-    console.log(`✅ Generated Kotlin Compose: ${outputPath}`);
+    await this.writeFile(outputPath, content, 'Kotlin Compose');
     return { path: outputPath, content };
   }
 
   async generateSwiftUI(tokens, outputPath) {
     // SwiftUI class
     const content = this.generateSwiftUIContent(tokens);
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, content);
-    
-    console.log(`✅ Generated SwiftUI: ${outputPath}`);
+    await this.writeFile(outputPath, content, 'SwiftUI');
     return { path: outputPath, content };
   }
 
@@ -621,6 +1166,8 @@ export default ${JSON.stringify(config, null, 2)};
    */
   getTokenValue(tokenData) {
     if (tokenData && typeof tokenData === 'object') {
+      // Composite values (shadow layers, typography, ...) are the value themselves
+      if (isCompositeValue(tokenData)) return tokenData;
       // Token Studio format: {value: "...", type: "..."}
       return tokenData.value || tokenData.$value;
     }
@@ -628,6 +1175,32 @@ export default ${JSON.stringify(config, null, 2)};
     return tokenData;
   }
 
+  /**
+   * Render composite values (typography, shadows, borders, ...) as CSS
+   */
+  formatCSSValue(value) {
+    return isCompositeValue(value) ? toCSSValue(value) : value;
+  }
+
+  /**
+   * Get a color value from a theme's token set
+   */
+  getThemeColor(tokens, themeName, category, shade) {
+    const themeTokens = tokens.themes?.sets?.[themeName];
+    return this.getTokenValue(themeTokens?.colors?.[category]?.[shade]);
+  }
+
+  /**
+   * Get the dark theme color when it differs from the default theme
+   */
+  getDarkColor(tokens, category, shade) {
+    if (!tokens.themes?.dark) return null;
+
+    const darkValue = this.getThemeColor(tokens, tokens.themes.dark, category, shade);
+    const value = this.getTokenValue(tokens.colors?.[category]?.[shade]);
+    return typeof darkValue === 'string' && darkValue.startsWith('#') && darkValue !== value ? darkValue : null;
+  }
+
   kebabCase(str) {
     return str.replace(/([a-z0-9]|(?=[A-Z]))([A-Z])/g, '$1-$2').toLowerCase();
   }
@@ -652,40 +1225,22 @@ export default ${JSON.stringify(config, null, 2)};
   }
 
   convertToPoints(cssValue) {
-    if (typeof cssValue !== 'string') return '0';
-    
-    // Remove any whitespace
-    const value = cssValue.trim();
-    
-    // Handle numeric values (assume px)
-    if (/^\d+\.?\d*$/.test(value)) {
-      return value;
-    }
-    
-    // Convert common CSS units to points
-    const match = value.match(/^([\d.]+)(px|rem|em|pt)$/);
-    if (match) {
-      const [, num, unit] = match;
-      const numValue = parseFloat(num);
-      
-      switch (unit) {
-        case 'px':
-          return numValue.toString();
-        case 'rem':
-          return (numValue * 16).toString(); // Assuming 1rem = 16px
-        case 'em':
-          return (numValue * 16).toString(); // Assuming 1em = 16px
-        case 'pt':
-          return numValue.toString();
-        default:
-          return numValue.toString();
-      }
-    }
-    
-    return '0';
+    // Same conversion as the size/unitless transform; unitless values are points
+    return String(toPixels(cssValue) ?? 0);
   }
 
   parseCSShadow(shadowValue) {
+    // Composite shadows: native single-shadow styles use the first layer
+    if (isShadowValue(shadowValue)) {
+      const [layer] = getShadowLayers(shadowValue);
+      return {
+        x: this.convertToPoints(layer.x),
+        y: this.convertToPoints(layer.y),
+        blur: this.convertToPoints(layer.blur),
+        color: layer.color.startsWith('#') ? layer.color : '#000000'
+      };
+    }
+
     // Parse CSS box-shadow value
     // Format: offset-x offset-y blur-radius color
     // Example: "0 2px 4px rgba(0, 0, 0, 0.1)"
@@ -717,100 +1272,15 @@ export default ${JSON.stringify(config, null, 2)};
   }
 
   convertToDp(cssValue) {
-    if (typeof cssValue !== 'string') return '0dp';
-    
-    const value = cssValue.trim();
-    
-    // Handle numeric values (assume px)
-    if (/^\d+\.?\d*$/.test(value)) {
-      return `${value}dp`;
-    }
-    
-    // Convert common CSS units to dp
-    const match = value.match(/^([\d.]+)(px|rem|em|dp)$/);
-    if (match) {
-      const [, num, unit] = match;
-      const numValue = parseFloat(num);
-      
-      switch (unit) {
-        case 'px':
-          return `${numValue}dp`;
-        case 'rem':
-          return `${numValue * 16}dp`; // Assuming 1rem = 16px
-        case 'em':
-          return `${numValue * 16}dp`; // Assuming 1em = 16px
-        case 'dp':
-          return `${numValue}dp`;
-        default:
-          return `${numValue}dp`;
-      }
-    }
-    
-    return '0dp';
+    return `${toPixels(cssValue) ?? 0}dp`;
   }
 
   convertToSp(cssValue) {
-    if (typeof cssValue !== 'string') return '0sp';
-    
-    const value = cssValue.trim();
-    
-    // Handle numeric values (assume px)
-    if (/^\d+\.?\d*$/.test(value)) {
-      return `${value}sp`;
-    }
-    
-    // Convert common CSS units to sp (for text sizes)
-    const match = value.match(/^([\d.]+)(px|rem|em|sp)$/);
-    if (match) {
-      const [, num, unit] = match;
-      const numValue = parseFloat(num);
-      
-      switch (unit) {
-        case 'px':
-          return `${numValue}sp`;
-        case 'rem':
-          return `${numValue * 16}sp`; // Assuming 1rem = 16px
-        case 'em':
-          return `${numValue * 16}sp`; // Assuming 1em = 16px
-        case 'sp':
-          return `${numValue}sp`;
-        default:
-          return `${numValue}sp`;
-      }
-    }
-    
-    return '0sp';
+    return `${toPixels(cssValue) ?? 0}sp`;
   }
 
   convertToRNPoints(cssValue) {
-    if (typeof cssValue !== 'string') return 0;
-    
-    const value = cssValue.trim();
-    
-    // Handle numeric values (assume px)
-    if (/^\d+\.?\d*$/.test(value)) {
-      return parseFloat(value);
-    }
-    
-    // Convert common CSS units to React Native points
-    const match = value.match(/^([\d.]+)(px|rem|em)$/);
-    if (match) {
-      const [, num, unit] = match;
-      const numValue = parseFloat(num);
-      
-      switch (unit) {
-        case 'px':
-          return numValue;
-        case 'rem':
-          return numValue * 16; // Assuming 1rem = 16px
-        case 'em':
-          return numValue * 16; // Assuming 1em = 16px
-        default:
-          return numValue;
-      }
-    }
-    
-    return 0;
+    return toPixels(cssValue) ?? 0;
   }
 
   convertToRNShadow(cssValue) {
@@ -832,7 +1302,11 @@ export default ${JSON.stringify(config, null, 2)};
 
   convertToFlutterColor(hexColor) {
     // Convert hex color to Flutter Color format
-    if (!hexColor.startsWith('#')) return 'Colors.black';
+    if (!hexColor.startsWith('#') || hexColor.length === 9) {
+      // rgb()/hsl()/#rrggbbaa keep their alpha
+      const argb = this.convertToARGBHex(hexColor);
+      return argb ? `Color(0x${argb})` : 'Colors.black';
+    }
     
     const hex = hexColor.replace('#', '');
     if (hex.length === 6) {
@@ -846,6 +1320,19 @@ export default ${JSON.stringify(config, null, 2)};
     return 'Colors.black';
   }
 
+  /**
+   * Convert any CSS color to an AARRGGBB hex string (Flutter/Compose Color literals)
+   */
+  convertToARGBHex(cssColor) {
+    const color = parseColor(cssColor);
+    if (!color) return null;
+
+    return [color.alpha, color.r, color.g, color.b]
+      .map(channel => Math.round(channel * 255).toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase();
+  }
+
   convertToComposeColor(hexColor) {
     // Convert hex color to Jetpack Compose Color format
     if (!hexColor.startsWith('#')) return 'Color.Black';
@@ -884,6 +1371,33 @@ export default ${JSON.stringify(config, null, 2)};
     return `Color(red: ${r.toFixed(3)}, green: ${g.toFixed(3)}, blue: ${b.toFixed(3)})`;
   }
 
+  convertToSwiftUIFont(style) {
+    const metrics = getTypographyMetrics(style);
+    const weights = {
+      100: 'ultraLight', 200: 'thin', 300: 'light', 400: 'regular', 500: 'medium',
+      600: 'semibold', 700: 'bold', 800: 'heavy', 900: 'black'
+    };
+    const weight = metrics.fontWeight ? weights[this.roundFontWeight(metrics.fontWeight)] : null;
+
+    if (!metrics.fontFamily) {
+      return `Font.system(size: ${metrics.fontSize}${weight ? `, weight: .${weight}` : ''})`;
+    }
+    return `Font.custom("${metrics.fontFamily}", size: ${metrics.fontSize})${weight ? `.weight(.${weight})` : ''}`;
+  }
+
+  roundFontWeight(weight) {
+    return Math.min(900, Math.max(100, Math.round(weight / 100) * 100));
+  }
+
+  convertToSwiftUIDynamicColor(lightHex, darkHex) {
+    // Resolve the color per trait collection so it follows light/dark mode
+    const toUIColor = (hex) => this.convertToSwiftUIColor(hex)
+      .replace(/^Color\((.+)\)$/, 'UIColor($1, alpha: 1)')
+      .replace(/^Color\.(\w+)$/, 'UIColor.$1');
+
+    return `Color(UIColor { $0.userInterfaceStyle == .dark ? ${toUIColor(darkHex)} : ${toUIColor(lightHex)} })`;
+  }
+
   generateSwiftColors(tokens) {
     const swift = [];
     swift.push('// Design Tokens - Auto-generated Swift');
@@ -902,13 +1416,20 @@ export default ${JSON.stringify(config, null, 2)};
             const actualValue = this.getTokenValue(colorValue);
             if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
               const varName = this.toCamelCase(`${key} ${shade}`);
-              swift.push(`    static let ${varName} = UIColor(hex: "${actualValue}")`);
+              this.pushTokenComments(swift, tokens, ['colors', key, shade], 'swift', '    ');
+              const darkValue = this.getDarkColor(tokens, key, shade);
+              if (darkValue) {
+                swift.push(`    static let ${varName} = UIColor { $0.userInterfaceStyle == .dark ? UIColor(hex: "${darkValue}") : UIColor(hex: "${actualValue}") }`);
+              } else {
+                swift.push(`    static let ${varName} = UIColor(hex: "${actualValue}")`);
+              }
             }
           });
         } else {
           // Handle flat structure
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+            this.pushTokenComments(swift, tokens, ['colors', key], 'swift', '    ');
             const varName = this.toCamelCase(key);
             swift.push(`    static let ${varName} = UIColor(hex: "${actualValue}")`);
           }
@@ -925,6 +1446,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToPoints(actualValue);
+          this.pushTokenComments(swift, tokens, ['spacing', key], 'swift', '    ');
           swift.push(`    static let ${this.toCamelCase(key)}: CGFloat = ${numericValue}`);
         }
       });
@@ -940,6 +1462,7 @@ export default ${JSON.stringify(config, null, 2)};
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string') {
             const numericValue = this.convertToPoints(actualValue);
+            this.pushTokenComments(swift, tokens, ['typography', 'fontSize', key], 'swift', '    ');
             swift.push(`    static let ${this.toCamelCase(key)}: CGFloat = ${numericValue}`);
           }
         });
@@ -954,6 +1477,7 @@ export default ${JSON.stringify(config, null, 2)};
           if (typeof actualValue === 'string') {
             // Extract first font from font stack for iOS
             const fontName = actualValue.split(',')[0].trim().replace(/['"]/g, '');
+            this.pushTokenComments(swift, tokens, ['typography', 'fontFamily', key], 'swift', '    ');
             swift.push(`    static let ${this.toCamelCase(key)} = "${fontName}"`);
           }
         });
@@ -969,6 +1493,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToPoints(actualValue);
+          this.pushTokenComments(swift, tokens, ['borderRadius', key], 'swift', '    ');
           swift.push(`    static let ${this.toCamelCase(key)}: CGFloat = ${numericValue}`);
         }
       });
@@ -981,9 +1506,10 @@ export default ${JSON.stringify(config, null, 2)};
       swift.push('struct Shadow {');
       Object.entries(tokens.shadows).forEach(([key, value]) => {
         const actualValue = this.getTokenValue(value);
-        if (typeof actualValue === 'string') {
+        if (typeof actualValue === 'string' || isShadowValue(actualValue)) {
           // Parse CSS shadow into iOS shadow properties
           const shadowProps = this.parseCSShadow(actualValue);
+          this.pushTokenComments(swift, tokens, ['shadows', key], 'swift', '    ');
           swift.push(`    static let ${this.toCamelCase(key)} = ShadowStyle(`);
           swift.push(`        offset: CGSize(width: ${shadowProps.x}, height: ${shadowProps.y}),`);
           swift.push(`        blur: ${shadowProps.blur},`);
@@ -1049,6 +1575,7 @@ export default ${JSON.stringify(config, null, 2)};
             // Handle both simple string values and Figma Token Studio format
             const actualValue = this.getTokenValue(colorValue);
             if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+              this.pushTokenComments(xml, tokens, ['colors', key, shade], 'xml', '    ');
               xml.push(`    <color name="${key}_${shade}">${actualValue}</color>`);
             }
           });
@@ -1057,6 +1584,7 @@ export default ${JSON.stringify(config, null, 2)};
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
             const colorName = key.replace(/-/g, '_');
+            this.pushTokenComments(xml, tokens, ['colors', key], 'xml', '    ');
             xml.push(`    <color name="${colorName}">${actualValue}</color>`);
           }
         }
@@ -1072,6 +1600,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const dpValue = this.convertToDp(actualValue);
+          this.pushTokenComments(dimensionTokens, tokens, ['spacing', key], 'xml', '    ');
           dimensionTokens.push(`    <dimen name="spacing_${key}">${dpValue}</dimen>`);
         }
       });
@@ -1082,6 +1611,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const dpValue = this.convertToDp(actualValue);
+          this.pushTokenComments(dimensionTokens, tokens, ['borderRadius', key], 'xml', '    ');
           dimensionTokens.push(`    <dimen name="border_radius_${key}">${dpValue}</dimen>`);
         }
       });
@@ -1092,6 +1622,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const spValue = this.convertToSp(actualValue);
+          this.pushTokenComments(dimensionTokens, tokens, ['typography', 'fontSize', key], 'xml', '    ');
           dimensionTokens.push(`    <dimen name="font_size_${key}">${spValue}</dimen>`);
         }
       });
@@ -1111,6 +1642,7 @@ export default ${JSON.stringify(config, null, 2)};
         if (typeof actualValue === 'string') {
           // Extract first font from font stack for Android
           const fontName = actualValue.split(',')[0].trim().replace(/['"]/g, '');
+          this.pushTokenComments(xml, tokens, ['typography', 'fontFamily', key], 'xml', '    ');
           xml.push(`    <string name="font_family_${key}">${fontName}</string>`);
         }
       });
@@ -1121,6 +1653,48 @@ export default ${JSON.stringify(config, null, 2)};
     return xml.join('\n');
   }
 
+  /**
+   * Generate values-night color overrides for the dark theme
+   */
+  generateAndroidNightXML(tokens) {
+    if (!tokens.themes?.dark || !tokens.colors) return null;
+
+    const colors = [];
+    Object.entries(tokens.colors).forEach(([key, value]) => {
+      if (typeof value === 'object' && value !== null) {
+        Object.keys(value).forEach(shade => {
+          const darkValue = this.getDarkColor(tokens, key, shade);
+          if (darkValue) {
+            colors.push(`    <color name="${key}_${shade}">${darkValue}</color>`);
+          }
+        });
+      }
+    });
+
+    if (colors.length === 0) return null;
+
+    const xml = [];
+    xml.push('<?xml version="1.0" encoding="utf-8"?>');
+    xml.push(`<!-- Design Tokens - Auto-generated Android Resources (${tokens.themes.dark} theme) -->`);
+    xml.push('<!-- Do not edit this file manually -->');
+    xml.push('<resources>');
+    xml.push('');
+    xml.push('    <!-- Colors -->');
+    xml.push(...colors);
+    xml.push('');
+    xml.push('</resources>');
+    return xml.join('\n');
+  }
+
+  getAndroidNightPath(outputPath) {
+    // res/values/colors.xml -> res/values-night/colors.xml
+    const dir = path.dirname(outputPath);
+    const nightDir = /^values(-|$)/.test(path.basename(dir))
+      ? path.join(path.dirname(dir), 'values-night')
+      : path.join(dir, 'values-night');
+    return path.join(nightDir, path.basename(outputPath));
+  }
+
   generateXamarinXAML(tokens) {
     const xaml = [];
     xaml.push('<?xml version="1.0" encoding="utf-8"?>');
@@ -1140,6 +1714,7 @@ export default ${JSON.stringify(config, null, 2)};
             // Handle both simple string values and Figma Token Studio format
             const actualValue = this.getTokenValue(colorValue);
             if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+              this.pushTokenComments(xaml, tokens, ['colors', key, shade], 'xml', '    ');
               const colorName = this.toPascalCase(`${key} ${shade}`);
               xaml.push(`    <Color x:Key="${colorName}">${actualValue}</Color>`);
             }
@@ -1148,6 +1723,7 @@ export default ${JSON.stringify(config, null, 2)};
           // Handle flat structure
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+            this.pushTokenComments(xaml, tokens, ['colors', key], 'xml', '    ');
             const colorName = this.toPascalCase(key);
             xaml.push(`    <Color x:Key="${colorName}">${actualValue}</Color>`);
           }
@@ -1163,6 +1739,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToPoints(actualValue);
+          this.pushTokenComments(xaml, tokens, ['spacing', key], 'xml', '    ');
           const spacingName = this.toPascalCase(`Spacing ${key}`);
           xaml.push(`    <x:Double x:Key="${spacingName}">${numericValue}</x:Double>`);
         }
@@ -1177,6 +1754,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToPoints(actualValue);
+          this.pushTokenComments(xaml, tokens, ['borderRadius', key], 'xml', '    ');
           const radiusName = this.toPascalCase(`BorderRadius ${key}`);
           xaml.push(`    <x:Double x:Key="${radiusName}">${numericValue}</x:Double>`);
         }
@@ -1192,6 +1770,7 @@ export default ${JSON.stringify(config, null, 2)};
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string') {
             const numericValue = this.convertToPoints(actualValue);
+            this.pushTokenComments(xaml, tokens, ['typography', 'fontSize', key], 'xml', '    ');
             const fontSizeName = this.toPascalCase(`FontSize ${key}`);
             xaml.push(`    <x:Double x:Key="${fontSizeName}">${numericValue}</x:Double>`);
           }
@@ -1206,6 +1785,7 @@ export default ${JSON.stringify(config, null, 2)};
           if (typeof actualValue === 'string') {
             // Extract first font from font stack for Xamarin
             const fontName = actualValue.split(',')[0].trim().replace(/['"]/g, '');
+            this.pushTokenComments(xaml, tokens, ['typography', 'fontFamily', key], 'xml', '    ');
             const fontFamilyName = this.toPascalCase(`FontFamily ${key}`);
             xaml.push(`    <x:String x:Key="${fontFamilyName}">${fontName}</x:String>`);
           }
@@ -1239,6 +1819,7 @@ export default ${JSON.stringify(config, null, 2)};
           Object.entries(value).forEach(([shade, colorValue]) => {
             const actualValue = this.getTokenValue(colorValue);
             if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+              this.pushTokenComments(js, tokens, ['colors', key, shade], 'jsdoc', '    ');
               js.push(`    ${this.jsKey(this.toCamelCase(shade))}: '${actualValue}',`);
             }
           });
@@ -1246,6 +1827,7 @@ export default ${JSON.stringify(config, null, 2)};
         } else {
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+            this.pushTokenComments(js, tokens, ['colors', key], 'jsdoc', '  ');
             js.push(`  ${this.jsKey(this.toCamelCase(key))}: '${actualValue}',`);
           }
         }
@@ -1261,6 +1843,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToRNPoints(actualValue);
+          this.pushTokenComments(js, tokens, ['spacing', key], 'jsdoc', '  ');
           js.push(`  ${this.jsKey(this.toCamelCase(key))}: ${numericValue},`);
         }
       });
@@ -1276,6 +1859,7 @@ export default ${JSON.stringify(config, null, 2)};
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string') {
             const numericValue = this.convertToRNPoints(actualValue);
+            this.pushTokenComments(js, tokens, ['typography', 'fontSize', key], 'jsdoc', '  ');
             js.push(`  ${this.jsKey(this.toCamelCase(key))}: ${numericValue},`);
           }
         });
@@ -1290,6 +1874,7 @@ export default ${JSON.stringify(config, null, 2)};
           if (typeof actualValue === 'string') {
             // Extract first font from font stack for React Native
             const fontName = actualValue.split(',')[0].trim().replace(/['"]/g, '');
+            this.pushTokenComments(js, tokens, ['typography', 'fontFamily', key], 'jsdoc', '  ');
             js.push(`  ${this.jsKey(this.toCamelCase(key))}: '${fontName}',`);
           }
         });
@@ -1305,6 +1890,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToRNPoints(actualValue);
+          this.pushTokenComments(js, tokens, ['borderRadius', key], 'jsdoc', '  ');
           js.push(`  ${this.jsKey(this.toCamelCase(key))}: ${numericValue},`);
         }
       });
@@ -1317,8 +1903,9 @@ export default ${JSON.stringify(config, null, 2)};
       js.push('export const shadows = {');
       Object.entries(tokens.shadows).forEach(([key, value]) => {
         const actualValue = this.getTokenValue(value);
-        if (typeof actualValue === 'string') {
+        if (typeof actualValue === 'string' || isShadowValue(actualValue)) {
           const shadowStyle = this.convertToRNShadow(actualValue);
+          this.pushTokenComments(js, tokens, ['shadows', key], 'jsdoc', '  ');
           js.push(`  ${this.jsKey(this.toCamelCase(key))}: ${JSON.stringify(shadowStyle, null, 4).replace(/\n/g, '\n    ')},`);
         }
       });
@@ -1360,6 +1947,7 @@ export default ${JSON.stringify(config, null, 2)};
           Object.entries(value).forEach(([shade, colorValue]) => {
             const actualValue = this.getTokenValue(colorValue);
             if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+              this.pushTokenComments(dart, tokens, ['colors', key, shade], 'dart', '    ');
               const colorName = this.toCamelCase(`${key}_${shade}`);
               const flutterColor = this.convertToFlutterColor(actualValue);
               dart.push(`    static const Color ${colorName} = ${flutterColor};`);
@@ -1368,6 +1956,7 @@ export default ${JSON.stringify(config, null, 2)};
         } else {
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+            this.pushTokenComments(dart, tokens, ['colors', key], 'dart', '    ');
             const colorName = this.toCamelCase(key);
             const flutterColor = this.convertToFlutterColor(actualValue);
             dart.push(`    static const Color ${colorName} = ${flutterColor};`);
@@ -1386,6 +1975,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToRNPoints(actualValue);
+          this.pushTokenComments(dart, tokens, ['spacing', key], 'dart', '    ');
           dart.push(`    static const double ${this.toCamelCase(key)} = ${numericValue};`);
         }
       });
@@ -1402,6 +1992,7 @@ export default ${JSON.stringify(config, null, 2)};
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string') {
             const numericValue = this.convertToRNPoints(actualValue);
+            this.pushTokenComments(dart, tokens, ['typography', 'fontSize', key], 'dart', '    ');
             dart.push(`    static const double ${this.toCamelCase(key)} = ${numericValue};`);
           }
         });
@@ -1416,12 +2007,14 @@ export default ${JSON.stringify(config, null, 2)};
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string') {
             const fontName = actualValue.split(',')[0].trim().replace(/['"]/g, '');
+            this.pushTokenComments(dart, tokens, ['typography', 'fontFamily', key], 'dart', '    ');
             dart.push(`    static const String ${this.toCamelCase(key)} = '${fontName}';`);
           }
         });
         dart.push('  }');
         dart.push('');
       }
+
     }
     
     // Border Radius
@@ -1432,6 +2025,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToRNPoints(actualValue);
+          this.pushTokenComments(dart, tokens, ['borderRadius', key], 'dart', '    ');
           dart.push(`    static const double ${this.toCamelCase(key)} = ${numericValue};`);
         }
       });
@@ -1445,9 +2039,23 @@ export default ${JSON.stringify(config, null, 2)};
       dart.push('  static class Shadows {');
       Object.entries(tokens.shadows).forEach(([key, value]) => {
         const actualValue = this.getTokenValue(value);
-        if (typeof actualValue === 'string') {
+        if (isShadowValue(actualValue)) {
+          // Composite shadows keep every layer; Flutter has no inset shadows
+          this.pushTokenComments(dart, tokens, ['shadows', key], 'dart', '    ');
+          dart.push(`    static const List<BoxShadow> ${this.toCamelCase(key)} = [`);
+          getShadowLayers(actualValue).filter(layer => !layer.inset).forEach(layer => {
+            dart.push('      BoxShadow(');
+            dart.push(`        offset: Offset(${this.convertToPoints(layer.x)}, ${this.convertToPoints(layer.y)}),`);
+            dart.push(`        blurRadius: ${this.convertToPoints(layer.blur)},`);
+            dart.push(`        spreadRadius: ${this.convertToPoints(layer.spread)},`);
+            dart.push(`        color: ${this.convertToFlutterColor(layer.color)},`);
+            dart.push('      ),');
+          });
+          dart.push('    ];');
+        } else if (typeof actualValue === 'string') {
           const shadowProps = this.parseCSShadow(actualValue);
           const flutterColor = this.convertToFlutterColor(shadowProps.color);
+          this.pushTokenComments(dart, tokens, ['shadows', key], 'dart', '    ');
           dart.push(`    static const BoxShadow ${this.toCamelCase(key)} = BoxShadow(`);
           dart.push(`      offset: Offset(${shadowProps.x}, ${shadowProps.y}),`);
           dart.push(`      blurRadius: ${shadowProps.blur},`);
@@ -1460,6 +2068,25 @@ export default ${JSON.stringify(config, null, 2)};
     }
     
     dart.push('}');
+
+    // Dart has no nested classes, so text styles get a top-level class
+    if (tokens.typography?.styles) {
+      dart.push('');
+      dart.push('// Text Styles');
+      dart.push('class AppTextStyles {');
+      Object.entries(tokens.typography.styles).forEach(([key, style]) => {
+        this.pushTokenComments(dart, tokens, ['typography', 'styles', key], 'dart', '  ');
+        const metrics = getTypographyMetrics(style);
+        dart.push(`  static const TextStyle ${this.toCamelCase(key)} = TextStyle(`);
+        if (metrics.fontFamily) dart.push(`    fontFamily: '${metrics.fontFamily}',`);
+        dart.push(`    fontSize: ${metrics.fontSize},`);
+        if (metrics.fontWeight) dart.push(`    fontWeight: FontWeight.w${this.roundFontWeight(metrics.fontWeight)},`);
+        if (metrics.lineHeight !== undefined) dart.push(`    height: ${metrics.lineHeight},`);
+        if (metrics.letterSpacing !== undefined) dart.push(`    letterSpacing: ${metrics.letterSpacing},`);
+        dart.push('  );');
+      });
+      dart.push('}');
+    }
     
     return dart.join('\n');
   }
@@ -1472,7 +2099,15 @@ export default ${JSON.stringify(config, null, 2)};
     kt.push('');
     kt.push('package com.yourapp.designtokens');
     kt.push('');
+    if (tokens.themes?.dark) {
+      kt.push('import androidx.compose.foundation.isSystemInDarkTheme');
+      kt.push('import androidx.compose.runtime.Composable');
+    }
     kt.push('import androidx.compose.ui.graphics.Color');
+    if (tokens.typography?.styles) {
+      kt.push('import androidx.compose.ui.text.TextStyle');
+      kt.push('import androidx.compose.ui.text.font.FontWeight');
+    }
     kt.push('import androidx.compose.ui.unit.dp');
     kt.push('import androidx.compose.ui.unit.sp');
     kt.push('');
@@ -1486,14 +2121,22 @@ export default ${JSON.stringify(config, null, 2)};
           Object.entries(value).forEach(([shade, colorValue]) => {
             const actualValue = this.getTokenValue(colorValue);
             if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+              this.pushTokenComments(kt, tokens, ['colors', key, shade], 'kotlin', '        ');
               const colorName = this.toPascalCase(`${key}_${shade}`);
               const composeColor = this.convertToComposeColor(actualValue);
-              kt.push(`        val ${colorName} = ${composeColor}`);
+              const darkValue = this.getDarkColor(tokens, key, shade);
+              if (darkValue) {
+                const darkColor = this.convertToComposeColor(darkValue);
+                kt.push(`        val ${colorName}: Color @Composable get() = if (isSystemInDarkTheme()) ${darkColor} else ${composeColor}`);
+              } else {
+                kt.push(`        val ${colorName} = ${composeColor}`);
+              }
             }
           });
         } else {
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+            this.pushTokenComments(kt, tokens, ['colors', key], 'kotlin', '        ');
             const colorName = this.toPascalCase(key);
             const composeColor = this.convertToComposeColor(actualValue);
             kt.push(`        val ${colorName} = ${composeColor}`);
@@ -1511,6 +2154,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToRNPoints(actualValue);
+          this.pushTokenComments(kt, tokens, ['spacing', key], 'kotlin', '        ');
           kt.push(`        val ${this.toPascalCase(key)} = ${numericValue}.dp`);
         }
       });
@@ -1526,12 +2170,35 @@ export default ${JSON.stringify(config, null, 2)};
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string') {
             const numericValue = this.convertToRNPoints(actualValue);
+            this.pushTokenComments(kt, tokens, ['typography', 'fontSize', key], 'kotlin', '        ');
             kt.push(`        val ${this.toPascalCase(key)} = ${numericValue}.sp`);
           }
         });
         kt.push('    }');
         kt.push('');
       }
+
+      if (tokens.typography.styles) {
+        kt.push('    object TextStyles {');
+        Object.entries(tokens.typography.styles).forEach(([key, style]) => {
+          const metrics = getTypographyMetrics(style);
+          const args = [`fontSize = ${metrics.fontSize}.sp`];
+          if (metrics.fontWeight) args.push(`fontWeight = FontWeight.W${this.roundFontWeight(metrics.fontWeight)}`);
+          if (metrics.lineHeight !== undefined) {
+            args.push(`lineHeight = ${Number((metrics.lineHeight * metrics.fontSize).toFixed(2))}.sp`);
+          }
+          if (metrics.letterSpacing !== undefined) args.push(`letterSpacing = ${metrics.letterSpacing}.sp`);
+
+          // Compose font families come from app resources
+          if (metrics.fontFamily) kt.push(`        // Font family: ${metrics.fontFamily}`);
+          this.pushTokenComments(kt, tokens, ['typography', 'styles', key], 'kotlin', '        ');
+          kt.push(`        val ${this.toPascalCase(key)} = TextStyle(`);
+          kt.push(args.map(arg => `            ${arg}`).join(',\n'));
+          kt.push('        )');
+        });
+        kt.push('    }');
+        kt.push('');
+      }
     }
     
     // Border Radius
@@ -1541,6 +2208,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToRNPoints(actualValue);
+          this.pushTokenComments(kt, tokens, ['borderRadius', key], 'kotlin', '        ');
           kt.push(`        val ${this.toPascalCase(key)} = ${numericValue}.dp`);
         }
       });
@@ -1571,14 +2239,19 @@ export default ${JSON.stringify(config, null, 2)};
           Object.entries(value).forEach(([shade, colorValue]) => {
             const actualValue = this.getTokenValue(colorValue);
             if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+              this.pushTokenComments(swift, tokens, ['colors', key, shade], 'swift', '        ');
               const colorName = this.toCamelCase(`${key}_${shade}`);
-              const swiftUIColor = this.convertToSwiftUIColor(actualValue);
+              const darkValue = this.getDarkColor(tokens, key, shade);
+              const swiftUIColor = darkValue
+                ? this.convertToSwiftUIDynamicColor(actualValue, darkValue)
+                : this.convertToSwiftUIColor(actualValue);
               swift.push(`        static let ${colorName} = ${swiftUIColor}`);
             }
           });
         } else {
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string' && actualValue.startsWith('#')) {
+            this.pushTokenComments(swift, tokens, ['colors', key], 'swift', '        ');
             const colorName = this.toCamelCase(key);
             const swiftUIColor = this.convertToSwiftUIColor(actualValue);
             swift.push(`        static let ${colorName} = ${swiftUIColor}`);
@@ -1596,6 +2269,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToPoints(actualValue);
+          this.pushTokenComments(swift, tokens, ['spacing', key], 'swift', '        ');
           swift.push(`        static let ${this.toCamelCase(key)}: CGFloat = ${numericValue}`);
         }
       });
@@ -1611,6 +2285,7 @@ export default ${JSON.stringify(config, null, 2)};
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string') {
             const numericValue = this.convertToPoints(actualValue);
+            this.pushTokenComments(swift, tokens, ['typography', 'fontSize', key], 'swift', '        ');
             swift.push(`        static let ${this.toCamelCase(key)}: CGFloat = ${numericValue}`);
           }
         });
@@ -1624,12 +2299,23 @@ export default ${JSON.stringify(config, null, 2)};
           const actualValue = this.getTokenValue(value);
           if (typeof actualValue === 'string') {
             const fontName = actualValue.split(',')[0].trim().replace(/['"]/g, '');
+            this.pushTokenComments(swift, tokens, ['typography', 'fontFamily', key], 'swift', '        ');
             swift.push(`        static let ${this.toCamelCase(key)} = "${fontName}"`);
           }
         });
         swift.push('    }');
         swift.push('');
       }
+
+      if (tokens.typography.styles) {
+        swift.push('    struct Typography {');
+        Object.entries(tokens.typography.styles).forEach(([key, style]) => {
+          this.pushTokenComments(swift, tokens, ['typography', 'styles', key], 'swift', '        ');
+          swift.push(`        static let ${this.toCamelCase(key)} = ${this.convertToSwiftUIFont(style)}`);
+        });
+        swift.push('    }');
+        swift.push('');
+      }
     }
     
     // Border Radius
@@ -1639,6 +2325,7 @@ export default ${JSON.stringify(config, null, 2)};
         const actualValue = this.getTokenValue(value);
         if (typeof actualValue === 'string') {
           const numericValue = this.convertToPoints(actualValue);
+          this.pushTokenComments(swift, tokens, ['borderRadius', key], 'swift', '        ');
           swift.push(`        static let ${this.toCamelCase(key)}: CGFloat = ${numericValue}`);
         }
       });
@@ -1657,10 +2344,7 @@ export default ${JSON.stringify(config, null, 2)};
   async generateJSON(tokens, outputPath) {
     const jsonContent = this.generateJSONContent(tokens);
     
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, jsonContent);
-    
-    console.log(`✅ Generated JSON: ${outputPath}`);
+    await this.writeFile(outputPath, jsonContent, 'JSON');
     return { path: outputPath, content: jsonContent };
   }
 
@@ -1679,6 +2363,9 @@ export default ${JSON.stringify(config, null, 2)};
     // Remove internal metadata
     delete output.source;
     delete output.lastLoaded;
+    delete output.themes;
+    delete output.deprecations;
+    delete output.sources;
 
     return JSON.stringify(output, null, 2);
   }
@@ -1689,10 +2376,7 @@ export default ${JSON.stringify(config, null, 2)};
   async generateJavaScript(tokens, outputPath) {
     const jsContent = this.generateJavaScriptContent(tokens);
     
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeFile(outputPath, jsContent);
-    
-    console.log(`✅ Generated JavaScript: ${outputPath}`);
+    await this.writeFile(outputPath, jsContent, 'JavaScript');
     return { path: outputPath, content: jsContent };
   }
 
@@ -1707,35 +2391,39 @@ export default ${JSON.stringify(config, null, 2)};
     const cleanTokens = { ...tokens };
     delete cleanTokens.source;
     delete cleanTokens.lastLoaded;
+    delete cleanTokens.themes;
+    delete cleanTokens.deprecations;
+    delete cleanTokens.sources;
+    const { deprecations = {} } = tokens;
 
     js.push('// Design tokens as JavaScript object');
-    js.push(`export const tokens = ${JSON.stringify(cleanTokens, null, 2)};`);
+    js.push(`export const tokens = ${this.stringifyWithDeprecations(cleanTokens, tokens.deprecations)};`);
     js.push('');
 
     // Add individual exports for each category
     if (cleanTokens.colors) {
       js.push('// Individual category exports');
-      js.push(`export const colors = ${JSON.stringify(cleanTokens.colors, null, 2)};`);
+      js.push(`export const colors = ${this.stringifyWithDeprecations(cleanTokens.colors, deprecations.colors)};`);
     }
 
     if (cleanTokens.spacing) {
-      js.push(`export const spacing = ${JSON.stringify(cleanTokens.spacing, null, 2)};`);
+      js.push(`export const spacing = ${this.stringifyWithDeprecations(cleanTokens.spacing, deprecations.spacing)};`);
     }
 
     if (cleanTokens.typography) {
-      js.push(`export const typography = ${JSON.stringify(cleanTokens.typography, null, 2)};`);
+      js.push(`export const typography = ${this.stringifyWithDeprecations(cleanTokens.typography, deprecations.typography)};`);
     }
 
     if (cleanTokens.borderRadius) {
-      js.push(`export const borderRadius = ${JSON.stringify(cleanTokens.borderRadius, null, 2)};`);
+      js.push(`export const borderRadius = ${this.stringifyWithDeprecations(cleanTokens.borderRadius, deprecations.borderRadius)};`);
     }
 
     if (cleanTokens.shadows) {
-      js.push(`export const shadows = ${JSON.stringify(cleanTokens.shadows, null, 2)};`);
+      js.push(`export const shadows = ${this.stringifyWithDeprecations(cleanTokens.shadows, deprecations.shadows)};`);
     }
 
     if (cleanTokens.opacity) {
-      js.push(`export const opacity = ${JSON.stringify(cleanTokens.opacity, null, 2)};`);
+      js.push(`export const opacity = ${this.stringifyWithDeprecations(cleanTokens.opacity, deprecations.opacity)};`);
     }
 
     js.push('');
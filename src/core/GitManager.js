@@ -1,6 +1,7 @@
 import { simpleGit } from 'simple-git';
 import fs from 'fs-extra';
 import path from 'path';
+import { matchesGlob } from '../utils/glob.js';
 
 /**
  * Git operations manager
@@ -144,7 +145,7 @@ export class GitManager {
   /**
    * Create a commit with the changes
    */
-  async createCommit(addedFiles, config) {
+  async createCommit(addedFiles, config, changes = null) {
     try {
       const author = await this.getAuthor();
       const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
@@ -155,9 +156,25 @@ export class GitManager {
         commitMessage = commitMessage.replace('{{timestamp}}', timestamp);
       }
 
+      // Classify the token changes (see TokenDiff.classify) so breaking releases stand out
+      const release = changes?.release?.type;
+      if (commitMessage.includes('{{release}}')) {
+        commitMessage = commitMessage.replace('{{release}}', release || 'none');
+      } else if (release) {
+        commitMessage = `${commitMessage} (${release})`;
+      }
+
       // Add file count and details
       const fileList = addedFiles.map(f => path.basename(f)).join(', ');
-      const fullMessage = `${commitMessage}\n\nFiles updated: ${fileList}\nGenerated by design-tokens-sync`;
+      let fullMessage = `${commitMessage}\n\nFiles updated: ${fileList}\n`;
+      if (changes?.summary.total > 0) {
+        const { added, removed, renamed, changed, broken } = changes.summary;
+        fullMessage += `Tokens: ${added} added, ${removed} removed, ${renamed} renamed, ${changed} changed${broken ? `, ${broken} broken` : ''}\n`;
+      }
+      fullMessage += 'Generated by design-tokens-sync';
+      if (changes?.release.breaking.length > 0) {
+        fullMessage += `\n\nBREAKING CHANGE: ${changes.release.breaking.join('; ')}`;
+      }
 
       // Create commit
       await this.git.commit(fullMessage, addedFiles, {
@@ -202,7 +219,7 @@ export class GitManager {
   /**
    * Main commit workflow - adds files and creates commit
    */
-  async commitChanges(config) {
+  async commitChanges(config, changes = null) {
     if (!config.git.enabled) {
       console.log('📴 Git operations disabled in configuration');
       return false;
@@ -217,9 +234,12 @@ export class GitManager {
     try {
       // Check if we have relevant changes
       const filesToAdd = config.git.filesToAdd || [
-        config.tokens.input,
+        ...[].concat(config.tokens.input),
         config.output.css,
-        config.output.tailwind
+        config.output.tailwind,
+        ...Object.values(config.platforms || {}).flatMap(platform =>
+          platform.files.map(file => path.join(platform.buildPath || '', file.destination))
+        )
       ].filter(Boolean);
 
       const hasChanges = await this.hasRelevantChanges(filesToAdd);
@@ -233,7 +253,7 @@ export class GitManager {
       
       // Create commit if auto-commit is enabled
       if (config.git.autoCommit) {
-        await this.createCommit(addedFiles, config);
+        await this.createCommit(addedFiles, config, changes);
         
         // Push if auto-push is enabled
         if (config.git.autoPush) {
@@ -252,6 +272,48 @@ export class GitManager {
     }
   }
 
+  /**
+   * Get the most recent tag reachable from HEAD, or null when there is none
+   */
+  async getLatestTag() {
+    try {
+      return (await this.git.raw(['describe', '--tags', '--abbrev=0'])).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a TokenLoader reader over the files of a git ref (branch, tag or commit)
+   * Paths are relative to the working directory, as in the working tree
+   */
+  async createRefReader(ref) {
+    let files;
+    try {
+      files = (await this.git.raw(['ls-tree', '-r', '--name-only', ref])).split('\n').filter(Boolean);
+    } catch (error) {
+      throw new Error(`Cannot read git ref "${ref}": ${error.message.trim()}`);
+    }
+
+    const toRelative = (file) => path.relative(process.cwd(), path.resolve(file)).replace(/\\/g, '/');
+
+    const readText = (file) => this.git.show([`${ref}:./${toRelative(file)}`]);
+
+    return {
+      glob: async (pattern) => files.filter(file => matchesGlob(file, pattern)),
+      exists: async (file) => files.includes(toRelative(file)),
+      readText,
+      readJSON: async (file) => {
+        const content = await readText(file);
+        try {
+          return JSON.parse(content);
+        } catch (error) {
+          throw new Error(`Invalid JSON in ${toRelative(file)} at ${ref}: ${error.message}`);
+        }
+      }
+    };
+  }
+
   /**
    * Get repository information
    */
@@ -363,6 +425,7 @@ Thumbs.db
 
 # Package cache
 .tokens-sync-cache.json
+.tokens-cache/
 `;
         await fs.writeFile(gitignorePath, gitignoreContent);
         console.log('📝 Created .gitignore file');
@@ -388,7 +451,7 @@ Thumbs.db
       // Pre-commit hook to validate tokens
       const preCommitHook = `#!/bin/sh
 # Auto-generated by design-tokens-sync
-# Validate tokens before commit
+# Validate tokens and check generated files before commit
 
 echo "🔍 Validating design tokens..."
 if npx design-tokens-sync validate; then
@@ -397,6 +460,12 @@ else
   echo "❌ Design tokens validation failed"
   exit 1
 fi
+
+echo "🔍 Checking generated files..."
+if ! npx design-tokens-sync check; then
+  echo "❌ Generated files are out of sync with the design tokens"
+  exit 1
+fi
 `;
 
       const preCommitPath = path.join(hooksDir, 'pre-commit');
@@ -0,0 +1,278 @@
+import { evaluateMathExpression, isMathExpression } from '../utils/math.js';
+import { modifyColor } from '../utils/color.js';
+
+const REFERENCE_REGEX = /\{([^{}]+)\}/g;
+const SINGLE_REFERENCE_REGEX = /^\{([^{}]+)\}$/;
+
+/**
+ * Token reference resolver
+ * Resolves {token.path} references depth-first over the token dependency graph,
+ * memoizing each token so it is resolved once, detecting circular references,
+ * evaluating Token Studio math expressions ({spacing.base} * 2, roundTo(...)) and
+ * applying Token Studio color modifiers
+ */
+export class ReferenceResolver {
+  constructor(tokens, options = {}) {
+    this.tokens = tokens || {};
+    this.strict = !!options.strict;
+    this.resolved = new Map();
+    this.dependencies = new Map();
+    this.unresolved = [];
+  }
+
+  /**
+   * Find the raw token node at a dotted path
+   */
+  getToken(tokenPath) {
+    let current = this.tokens;
+
+    for (const part of tokenPath.split('.')) {
+      if (current && typeof current === 'object' && current[part] !== undefined) {
+        current = current[part];
+      } else {
+        return undefined;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Tokens are objects with a value/$value or direct (non-object) values
+   */
+  isToken(node) {
+    if (node === undefined || node === null) return false;
+    if (typeof node !== 'object') return true;
+    return (node.value ?? node.$value) !== undefined;
+  }
+
+  /**
+   * Get all token paths in the tree
+   */
+  getTokenPaths() {
+    const paths = [];
+
+    const collect = (obj, tokenPath = []) => {
+      for (const [key, value] of Object.entries(obj)) {
+        if (key.startsWith('$')) continue;
+
+        const currentPath = [...tokenPath, key];
+        if (value && typeof value === 'object' && !Array.isArray(value) && !this.isToken(value)) {
+          collect(value, currentPath);
+        } else if (this.isToken(value)) {
+          paths.push(currentPath.join('.'));
+        }
+      }
+    };
+
+    collect(this.tokens);
+    return paths;
+  }
+
+  /**
+   * Resolve a token path to its final value
+   * Returns undefined when the path does not point at a token
+   */
+  resolve(tokenPath, stack = []) {
+    if (this.resolved.has(tokenPath)) {
+      return this.resolved.get(tokenPath);
+    }
+
+    if (stack.includes(tokenPath)) {
+      const chain = [...stack.slice(stack.indexOf(tokenPath)), tokenPath];
+      const error = new Error(`Circular token reference: ${chain.map(part => `{${part}}`).join(' → ')}`);
+      error.cycle = chain;
+      throw error;
+    }
+
+    const node = this.getToken(tokenPath);
+    if (!this.isToken(node)) {
+      return undefined;
+    }
+
+    const value = this.resolveToken(node, tokenPath, [...stack, tokenPath]);
+
+    this.resolved.set(tokenPath, value);
+    return value;
+  }
+
+  /**
+   * Resolve a token node's value, applying Token Studio color modifiers
+   */
+  resolveToken(node, tokenPath = null, stack = tokenPath ? [tokenPath] : []) {
+    if (!node || typeof node !== 'object') {
+      return this.resolveValue(node, tokenPath, stack);
+    }
+
+    const value = this.resolveValue(node.value ?? node.$value, tokenPath, stack);
+    const modifier = node.$extensions?.['studio.tokens']?.modify;
+    if (!modifier || typeof value !== 'string') {
+      return value;
+    }
+
+    // Modifier amounts and mix colors may reference other tokens
+    const resolvedModifier = this.resolveValue(modifier, tokenPath, stack);
+    const modified = modifyColor(value, resolvedModifier);
+    if (modified === undefined) {
+      const message = `Cannot apply ${modifier.type} color modifier to "${value}"${tokenPath ? ` in ${tokenPath}` : ''}`;
+      if (!this.unresolved.some(issue => issue.message === message)) {
+        this.unresolved.push({ reference: null, path: tokenPath, message });
+      }
+      return value;
+    }
+
+    return modified;
+  }
+
+  /**
+   * Resolve every reference inside a value (strings, arrays and composite objects)
+   * tokenPath is the token owning the value, used for cycle detection and messages
+   */
+  resolveValue(value, tokenPath = null, stack = tokenPath ? [tokenPath] : []) {
+    if (typeof value === 'string') {
+      return this.resolveString(value, tokenPath, stack);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveValue(item, tokenPath, stack));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.resolveValue(item, tokenPath, stack)])
+      );
+    }
+
+    return value;
+  }
+
+  resolveString(value, tokenPath, stack) {
+    const references = [...value.matchAll(REFERENCE_REGEX)].map(match => match[1]);
+
+    if (references.length === 0) {
+      return isMathExpression(value) ? evaluateMathExpression(value) ?? value : value;
+    }
+
+    if (tokenPath) {
+      this.dependencies.set(tokenPath, [...new Set([...(this.dependencies.get(tokenPath) || []), ...references])]);
+    }
+
+    // A lone reference keeps composite and primitive values as they are, so numbers stay
+    // numbers; references inside longer strings are interpolated
+    const single = value.match(SINGLE_REFERENCE_REGEX);
+    if (single) {
+      const resolved = this.resolveReference(single[1], tokenPath, stack);
+      if (resolved === undefined) return value;
+      return Array.isArray(resolved) ? String(resolved) : resolved;
+    }
+
+    const substituted = value.replace(REFERENCE_REGEX, (match, reference) => {
+      const resolved = this.resolveReference(reference, tokenPath, stack);
+      return resolved === undefined ? match : String(resolved);
+    });
+
+    return evaluateMathExpression(substituted) ?? substituted;
+  }
+
+  isComposite(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  resolveReference(reference, tokenPath, stack) {
+    const resolved = this.resolve(reference, stack);
+
+    if (resolved === undefined) {
+      const message = tokenPath
+        ? `Unresolved reference "{${reference}}" in ${tokenPath}`
+        : `Unresolved reference "{${reference}}"`;
+
+      if (this.strict) {
+        throw new Error(message);
+      }
+
+      // Extractors re-resolve values that kept their literal reference, so a
+      // reference already reported for a token is not reported again without one
+      const reported = this.unresolved.some(issue =>
+        issue.message === message || (!tokenPath && issue.reference === reference)
+      );
+      if (!reported) {
+        this.unresolved.push({ reference, path: tokenPath, message });
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Trace how a token resolves: its raw value, the tokens it references (each traced
+   * in turn) and its resolved value
+   * Returns { path, value, modifier, resolved, references, error } or undefined when
+   * the path is not a token; references that do not resolve are { path, unresolved: true }
+   */
+  trace(tokenPath, stack = []) {
+    const node = this.getToken(tokenPath);
+    if (!this.isToken(node)) return undefined;
+
+    const value = typeof node === 'object' ? node.value ?? node.$value : node;
+    const modifier = typeof node === 'object' ? node.$extensions?.['studio.tokens']?.modify : undefined;
+    const trace = { path: tokenPath, value, modifier, resolved: undefined, references: [] };
+
+    try {
+      trace.resolved = this.resolve(tokenPath);
+    } catch (error) {
+      trace.error = error.message;
+    }
+
+    // A token on a cycle is traced once
+    if (stack.includes(tokenPath)) return trace;
+
+    trace.references = this.collectReferences([value, modifier]).map(reference =>
+      this.trace(reference, [...stack, tokenPath]) || { path: reference, unresolved: true }
+    );
+    return trace;
+  }
+
+  /**
+   * Collect the distinct references inside a value (strings, arrays and composite objects)
+   */
+  collectReferences(value, references = []) {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(REFERENCE_REGEX)) {
+        if (!references.includes(match[1])) references.push(match[1]);
+      }
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(item => this.collectReferences(item, references));
+    }
+    return references;
+  }
+
+  /**
+   * Resolve every token in the tree, surfacing cycles and missing references
+   * Returns { errors, warnings } instead of throwing, with the same issues as
+   * { path, message } in `cycles` and `unresolved`
+   */
+  check() {
+    const cycles = [];
+    const seen = new Set();
+
+    for (const tokenPath of this.getTokenPaths()) {
+      try {
+        this.resolve(tokenPath);
+      } catch (error) {
+        // Every token on a cycle reports it, starting from a different member
+        const members = error.cycle ? [...new Set(error.cycle)].sort().join(' ') : error.message;
+        if (!seen.has(members)) {
+          seen.add(members);
+          cycles.push({ path: tokenPath, message: error.message });
+        }
+      }
+    }
+
+    return {
+      errors: cycles.map(issue => issue.message),
+      warnings: this.unresolved.map(issue => issue.message),
+      cycles,
+      unresolved: this.unresolved
+    };
+  }
+}
@@ -0,0 +1,127 @@
+import { normalizeTokenSetOrder } from '../utils/tokenSets.js';
+
+/**
+ * Theme Manager - Figma Token Studio $themes support
+ * Builds one token tree per theme from the token sets it selects
+ */
+export class ThemeManager {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Get theme definitions from raw tokens ($themes array)
+   */
+  getThemes(rawTokens) {
+    if (!rawTokens || !Array.isArray(rawTokens.$themes)) {
+      return [];
+    }
+
+    return rawTokens.$themes.filter(theme => theme && theme.name && theme.selectedTokenSets);
+  }
+
+  /**
+   * Check if raw tokens define any themes
+   */
+  hasThemes(rawTokens) {
+    return this.getThemes(rawTokens).length > 0;
+  }
+
+  /**
+   * Get token set names in merge order
+   * Uses $metadata.tokenSetOrder when present, then any remaining sets in file order
+   */
+  getTokenSetOrder(rawTokens) {
+    const tokenSets = Object.keys(rawTokens).filter(key => !key.startsWith('$'));
+    const order = normalizeTokenSetOrder(rawTokens.$metadata?.tokenSetOrder)
+      .filter(setName => tokenSets.includes(setName));
+    return [...order, ...tokenSets.filter(setName => !order.includes(setName))];
+  }
+
+  /**
+   * Get the status of each token set for a theme (enabled, source or disabled)
+   */
+  getSelectedTokenSets(theme) {
+    const selected = theme.selectedTokenSets || {};
+
+    if (Array.isArray(selected)) {
+      // Newer exports: [{ id: "core", status: "source" }]
+      return Object.fromEntries(selected.map(set => [set.id, set.status]));
+    }
+
+    return selected;
+  }
+
+  /**
+   * Build the token trees for a single theme
+   * - tokens: merged `enabled` sets (what gets generated)
+   * - referenceTokens: merged `enabled` and `source` sets (what references resolve against)
+   */
+  buildThemeTokens(rawTokens, theme) {
+    const selectedTokenSets = this.getSelectedTokenSets(theme);
+    const tokens = {};
+    const referenceTokens = {};
+
+    this.getTokenSetOrder(rawTokens).forEach(setName => {
+      const status = selectedTokenSets[setName];
+
+      if (status === 'enabled' || status === 'source') {
+        this.mergeTokenSet(referenceTokens, rawTokens[setName]);
+      }
+      if (status === 'enabled') {
+        this.mergeTokenSet(tokens, rawTokens[setName]);
+      }
+    });
+
+    return { tokens, referenceTokens };
+  }
+
+  /**
+   * Deep merge a token set into a target tree (later sets override earlier tokens)
+   */
+  mergeTokenSet(target, tokenSet) {
+    if (!tokenSet || typeof tokenSet !== 'object') return target;
+
+    for (const [key, value] of Object.entries(tokenSet)) {
+      const isGroup = value && typeof value === 'object' && !Array.isArray(value) && value.value === undefined;
+
+      if (isGroup) {
+        if (!target[key] || typeof target[key] !== 'object' || target[key].value !== undefined) {
+          target[key] = {};
+        }
+        this.mergeTokenSet(target[key], value);
+      } else {
+        target[key] = JSON.parse(JSON.stringify(value));
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Resolve default/dark theme names and the CSS selector from configuration
+   */
+  getThemeOptions(themes, config = {}) {
+    const themeConfig = config.themes || {};
+    const names = themes.map(theme => theme.name);
+
+    const defaultTheme = names.includes(themeConfig.default) ? themeConfig.default : names[0];
+    const darkTheme = names.includes(themeConfig.dark)
+      ? themeConfig.dark
+      : names.find(name => name !== defaultTheme && /dark/i.test(name)) || null;
+
+    return {
+      default: defaultTheme,
+      dark: darkTheme,
+      selector: themeConfig.selector || '[data-theme="{theme}"]'
+    };
+  }
+
+  /**
+   * Get the CSS selector for a theme
+   */
+  getThemeSelector(selector, themeName) {
+    const slug = themeName.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return selector.replace('{theme}', slug);
+  }
+}
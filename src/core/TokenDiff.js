@@ -0,0 +1,397 @@
+import fs from 'fs-extra';
+import { TokenLoader } from './TokenLoader.js';
+import { GitManager } from './GitManager.js';
+import { ThemeManager } from './ThemeManager.js';
+import { ReferenceResolver } from './ReferenceResolver.js';
+import { isDTCGFormat, normalizeDTCGTokens } from '../utils/dtcg.js';
+import { formatColor, parseColor } from '../utils/color.js';
+import { toCSSValue } from '../utils/composite.js';
+import { bumpVersion } from '../utils/semver.js';
+import { findLocation, formatLocation } from '../utils/sourceLocation.js';
+
+/**
+ * Token diff engine
+ * Loads tokens from two git refs or files, resolves both and reports added, removed,
+ * renamed (same type and value under a new path) and value-changed tokens
+ */
+export class TokenDiff {
+  constructor(options = {}) {
+    this.options = options;
+    this.gitManager = new GitManager(options);
+    this.themeManager = new ThemeManager(options);
+  }
+
+  /**
+   * Load raw tokens from a JSON file, a git ref, or the working tree when no source is given
+   * Git refs read the configured `tokens.input` files as they were at that ref
+   * Returns { label, tokens, locations } (see TokenLoader.load)
+   */
+  async load(source, config) {
+    if (!source) {
+      const { tokens, locations } = await new TokenLoader().load(config.tokens.input);
+      return { label: 'working tree', tokens, locations };
+    }
+
+    if (await fs.pathExists(source)) {
+      const { tokens, locations } = await new TokenLoader().load(source);
+      return { label: source, tokens, locations };
+    }
+
+    const reader = await this.gitManager.createRefReader(source);
+    const { tokens, locations } = await new TokenLoader({ reader }).load(config.tokens.input);
+    return { label: source, tokens, locations };
+  }
+
+  /**
+   * Diff two sources (see load); the second defaults to the working tree
+   */
+  async diffSources(from, to, config) {
+    const [before, after] = await Promise.all([this.load(from, config), this.load(to, config)]);
+    return {
+      from: before.label,
+      to: after.label,
+      ...this.compare(before.tokens, after.tokens, config, { before: before.locations, after: after.locations })
+    };
+  }
+
+  /**
+   * Flatten raw tokens into a Map of token path -> { value, type } with references resolved
+   * Tokens whose references do not resolve also list them as `unresolved`
+   * Token Studio $themes files are flattened for their default theme
+   */
+  flatten(rawTokens, config = {}) {
+    let tokens = isDTCGFormat(rawTokens) ? normalizeDTCGTokens(rawTokens) : rawTokens;
+    let referenceTokens = tokens;
+
+    const themes = this.themeManager.getThemes(tokens);
+    if (themes.length > 0) {
+      const { default: defaultTheme } = this.themeManager.getThemeOptions(themes, config);
+      const theme = themes.find(candidate => candidate.name === defaultTheme) || themes[0];
+      ({ tokens, referenceTokens } = this.themeManager.buildThemeTokens(tokens, theme));
+    }
+
+    const resolver = new ReferenceResolver(referenceTokens);
+    const flat = new Map();
+
+    new ReferenceResolver(tokens).getTokenPaths().forEach(tokenPath => {
+      const node = resolver.getToken(tokenPath);
+      let value;
+      try {
+        value = resolver.resolve(tokenPath);
+      } catch (error) {
+        // Circular references keep their raw value
+        value = node?.value ?? node?.$value ?? node;
+      }
+      const entry = {
+        value,
+        type: node && typeof node === 'object' ? node.type ?? node.$type : undefined
+      };
+
+      // References left in a resolved value point at tokens that do not exist
+      const unresolved = resolver.collectReferences(value).filter(reference => !resolver.isToken(resolver.getToken(reference)));
+      if (unresolved.length > 0) {
+        entry.unresolved = unresolved;
+      }
+      flat.set(tokenPath, entry);
+    });
+
+    return flat;
+  }
+
+  /**
+   * Compare two raw token trees
+   * With the source locations of both sides, each entry gets the { file, line, column }
+   * of its token as `source` (removed tokens where they were, the others where they are)
+   * Tokens whose references stopped resolving (an alias of a renamed or removed token) are
+   * `broken` rather than added or changed: { path, type, references, renamedTo, before }
+   * Returns { added, removed, renamed, changed, broken, release, summary }
+   */
+  compare(beforeTokens, afterTokens, config = {}, locations = {}) {
+    const before = this.flatten(beforeTokens, config);
+    const after = this.flatten(afterTokens, config);
+
+    let added = [];
+    let removed = [];
+    let broken = [];
+    const changed = [];
+
+    after.forEach((token, tokenPath) => {
+      if (!token.unresolved) return;
+      const previous = before.get(tokenPath);
+      // Already broken the same way before
+      if (previous && this.serialize(previous.value) === this.serialize(token.value)) return;
+
+      broken.push({
+        path: tokenPath,
+        type: token.type,
+        references: token.unresolved,
+        ...(previous ? { before: { value: previous.value, type: previous.type } } : {})
+      });
+    });
+    const brokenPaths = new Set(broken.map(token => token.path));
+
+    after.forEach((token, tokenPath) => {
+      if (!before.has(tokenPath) && !brokenPaths.has(tokenPath)) {
+        added.push({ path: tokenPath, ...token });
+      }
+    });
+
+    before.forEach((token, tokenPath) => {
+      if (!after.has(tokenPath)) {
+        removed.push({ path: tokenPath, ...token });
+        return;
+      }
+      if (brokenPaths.has(tokenPath)) return;
+
+      const next = after.get(tokenPath);
+      if (this.serialize(token.value) !== this.serialize(next.value) || token.type !== next.type) {
+        changed.push({
+          path: tokenPath,
+          before: { value: token.value, type: token.type },
+          after: { value: next.value, type: next.type }
+        });
+      }
+    });
+
+    const renamed = this.findRenames(removed, added);
+    const renamedFrom = new Set(renamed.map(rename => rename.from));
+    const renamedTo = new Set(renamed.map(rename => rename.to));
+    removed = removed.filter(token => !renamedFrom.has(token.path));
+    added = added.filter(token => !renamedTo.has(token.path));
+
+    // Aliases of a renamed token still reference its old path
+    broken = broken.map(token => {
+      const renames = renamed.filter(rename => token.references.includes(rename.from));
+      return renames.length > 0
+        ? { ...token, renamedTo: Object.fromEntries(renames.map(rename => [rename.from, rename.to])) }
+        : token;
+    });
+
+    const locate = (side, tokenPath) => {
+      const source = findLocation(locations[side], tokenPath);
+      return source ? { source } : {};
+    };
+    added = added.map(token => ({ ...token, ...locate('after', token.path) }));
+    removed = removed.map(token => ({ ...token, ...locate('before', token.path) }));
+    renamed.forEach(token => Object.assign(token, locate('after', token.to)));
+    changed.forEach(token => Object.assign(token, locate('after', token.path)));
+    broken = broken.map(token => ({ ...token, ...locate('after', token.path) }));
+
+    return {
+      added,
+      removed,
+      renamed,
+      changed,
+      broken,
+      release: this.classify({ added, removed, renamed, changed, broken }),
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        renamed: renamed.length,
+        changed: changed.length,
+        broken: broken.length,
+        total: added.length + removed.length + renamed.length + changed.length + broken.length
+      }
+    };
+  }
+
+  /**
+   * Classify a change set as a semver release for consumers of the generated outputs
+   * major: a token was removed, renamed or changed type (variables and types break),
+   * or references stopped resolving (outputs get the literal reference)
+   * minor: a token was added; patch: only values changed
+   * Returns { type: 'major'|'minor'|'patch'|null, breaking: [description] }
+   */
+  classify({ added, removed, renamed, changed, broken = [] }) {
+    const breaking = [
+      ...removed.map(token => `removed \`${token.path}\``),
+      ...renamed.map(token => `renamed \`${token.from}\` to \`${token.to}\``),
+      ...changed
+        .filter(token => token.before.type !== token.after.type)
+        .map(token => `changed the type of \`${token.path}\` from ${token.before.type} to ${token.after.type}`),
+      ...broken.map(token => `broke \`${token.path}\`, which references ${this.describeReferences(token)}`)
+    ];
+
+    let type = null;
+    if (breaking.length > 0) type = 'major';
+    else if (added.length > 0) type = 'minor';
+    else if (changed.length > 0) type = 'patch';
+
+    return { type, breaking };
+  }
+
+  /**
+   * Pair removed and added tokens with the same type and value
+   * When several added tokens match, the one whose path shares the most trailing
+   * segments (e.g. the same leaf name) wins
+   */
+  findRenames(removed, added) {
+    const renamed = [];
+    const available = [...added];
+
+    removed.forEach(token => {
+      const value = this.serialize(token.value);
+      const candidates = available.filter(candidate =>
+        candidate.type === token.type && this.serialize(candidate.value) === value
+      );
+      if (candidates.length === 0) return;
+
+      const best = candidates.reduce((winner, candidate) =>
+        this.sharedSuffix(candidate.path, token.path) > this.sharedSuffix(winner.path, token.path) ? candidate : winner
+      );
+
+      available.splice(available.indexOf(best), 1);
+      renamed.push({ from: token.path, to: best.path, value: token.value, type: token.type });
+    });
+
+    return renamed;
+  }
+
+  /**
+   * Describe the missing references of a broken token, with the new path of renamed ones
+   */
+  describeReferences(token) {
+    return token.references.map(reference => token.renamedTo?.[reference]
+      ? `\`{${reference}}\` (renamed to \`${token.renamedTo[reference]}\`)`
+      : `missing \`{${reference}}\``
+    ).join(', ');
+  }
+
+  sharedSuffix(a, b) {
+    const left = a.split('.').reverse();
+    const right = b.split('.').reverse();
+    let count = 0;
+    while (count < left.length && left[count] === right[count]) count++;
+    return count;
+  }
+
+  serialize(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Display a token value (composites as their CSS shorthand)
+   */
+  formatValue(value) {
+    if (value === undefined) return '';
+    const cssValue = toCSSValue(value);
+    return typeof cssValue === 'string' ? cssValue : JSON.stringify(cssValue);
+  }
+
+  /**
+   * Get the hex swatch color of a color token value, if it has one
+   */
+  getSwatch(token) {
+    if (token.type !== 'color') return null;
+    const color = parseColor(token.value);
+    return color ? formatColor({ ...color, alpha: 1 }) : null;
+  }
+
+  /**
+   * Render a diff result as Markdown for PR comments
+   * Colors are written as `#rrggbb` code spans, which GitHub renders with a swatch
+   */
+  formatMarkdown(result) {
+    const lines = [`## 🎨 Design token changes`, '', `\`${result.from}\` → \`${result.to}\``, ''];
+
+    if (result.summary.total === 0) {
+      lines.push('No token changes.');
+      return lines.join('\n');
+    }
+
+    const broken = result.summary.broken ? ` · **${result.summary.broken}** broken` : '';
+    lines.push(`**${result.summary.added}** added · **${result.summary.removed}** removed · **${result.summary.renamed}** renamed · **${result.summary.changed}** changed${broken}`, '');
+    lines.push(`Release type: **${result.release.type}**`, '');
+
+    if (result.release.breaking.length > 0) {
+      lines.push('### ⚠️ Breaking changes', '');
+      result.release.breaking.forEach(change => lines.push(`- ${change[0].toUpperCase()}${change.slice(1)}`));
+      lines.push('');
+    }
+
+    const cell = (token) => {
+      const value = `\`${this.formatValue(token.value).replace(/\|/g, '\\|')}\``;
+      const swatch = this.getSwatch(token);
+      return swatch && swatch !== token.value ? `${value} \`${swatch}\`` : value;
+    };
+    const name = (tokenPath, token) => {
+      const source = formatLocation(token.source);
+      return source ? `\`${tokenPath}\` <sub>${source}</sub>` : `\`${tokenPath}\``;
+    };
+
+    if (result.added.length > 0) {
+      lines.push('### ➕ Added', '', '| Token | Type | Value |', '| --- | --- | --- |');
+      result.added.forEach(token => lines.push(`| ${name(token.path, token)} | ${token.type || ''} | ${cell(token)} |`));
+      lines.push('');
+    }
+
+    if (result.removed.length > 0) {
+      lines.push('### ➖ Removed', '', '| Token | Type | Value |', '| --- | --- | --- |');
+      result.removed.forEach(token => lines.push(`| ${name(token.path, token)} | ${token.type || ''} | ${cell(token)} |`));
+      lines.push('');
+    }
+
+    if (result.renamed.length > 0) {
+      lines.push('### 🔀 Renamed', '', '| From | To | Value |', '| --- | --- | --- |');
+      result.renamed.forEach(token => lines.push(`| \`${token.from}\` | ${name(token.to, token)} | ${cell(token)} |`));
+      lines.push('');
+    }
+
+    if (result.changed.length > 0) {
+      lines.push('### ✏️ Changed', '', '| Token | Before | After |', '| --- | --- | --- |');
+      result.changed.forEach(token => {
+        const typeChange = token.before.type !== token.after.type ? ` (${token.before.type} → ${token.after.type})` : '';
+        lines.push(`| ${name(token.path, token)}${typeChange} | ${cell(token.before)} | ${cell(token.after)} |`);
+      });
+      lines.push('');
+    }
+
+    if (result.broken?.length > 0) {
+      lines.push('### 💥 Broken references', '', '| Token | References | Before |', '| --- | --- | --- |');
+      result.broken.forEach(token => {
+        lines.push(`| ${name(token.path, token)} | ${this.describeReferences(token)} | ${token.before ? cell(token.before) : ''} |`);
+      });
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a CHANGELOG entry for a release, in the layout of standard-version
+   */
+  formatChangelog(result, { version, date = new Date().toISOString().slice(0, 10) } = {}) {
+    const heading = result.release.type === 'patch' ? '###' : '##';
+    const lines = [`${heading} ${version} (${date})`, ''];
+
+    if (result.release.breaking.length > 0) {
+      lines.push('', '### ⚠ BREAKING CHANGES', '');
+      result.release.breaking.forEach(change => lines.push(`* **tokens:** ${change}`));
+      lines.push('');
+    }
+
+    if (result.added.length > 0) {
+      lines.push('', '### Added Tokens', '');
+      result.added.forEach(token => lines.push(`* \`${token.path}\`: \`${this.formatValue(token.value)}\``));
+      lines.push('');
+    }
+
+    const valueChanges = result.changed.filter(token => token.before.type === token.after.type);
+    if (valueChanges.length > 0) {
+      lines.push('', '### Changed Values', '');
+      valueChanges.forEach(token => lines.push(
+        `* \`${token.path}\`: \`${this.formatValue(token.before.value)}\` → \`${this.formatValue(token.after.value)}\``
+      ));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Suggest the next version for a change set
+   */
+  suggestVersion(result, currentVersion) {
+    return result.release.type ? bumpVersion(currentVersion, result.release.type) : currentVersion;
+  }
+}
@@ -0,0 +1,252 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob, hasMagic } from 'glob';
+import { parseJSONWithLocations } from '../utils/jsonSource.js';
+import { normalizeTokenSetOrder } from '../utils/tokenSets.js';
+
+/**
+ * Token source loader
+ * Resolves `tokens.input` (file, glob or array of both) and merges multi-file
+ * token sources (Token Studio multi-file sync) in a deterministic order
+ */
+export class TokenLoader {
+  constructor(options = {}) {
+    this.options = options;
+    // File access; GitManager.createRefReader provides one reading files at a git ref
+    this.reader = options.reader || {
+      glob: (pattern) => glob(pattern, { nodir: true, posix: true }),
+      exists: (file) => fs.pathExists(file),
+      readJSON: (file) => fs.readJSON(file),
+      readText: (file) => fs.readFile(file, 'utf8')
+    };
+  }
+
+  /**
+   * Load and merge all token source files
+   * Returns the merged raw tokens, the files they came from, any key collisions and
+   * the source location ({ file, line, column }) of every token path
+   */
+  async load(input) {
+    const sources = await this.resolveSources(input);
+
+    if (sources.length === 0) {
+      throw new Error(`Tokens file not found: ${[].concat(input).join(', ')}`);
+    }
+
+    // Single file - use it as-is
+    if (sources.length === 1 && !this.isMetadataFile(sources[0].file)) {
+      const { content, locations } = await this.readSource(sources[0].file);
+      return {
+        tokens: content,
+        files: [sources[0].file],
+        collisions: [],
+        locations: this.createLocations([{ file: sources[0].file, locations }])
+      };
+    }
+
+    const files = [];
+    const sets = [];
+    let themes = null;
+    let metadata = null;
+
+    for (const source of sources) {
+      const { content, locations } = await this.readSource(source.file);
+      files.push(source.file);
+
+      const baseName = path.basename(source.file, '.json');
+      if (baseName === '$themes') {
+        themes = content;
+      } else if (baseName === '$metadata') {
+        metadata = content;
+      } else {
+        sets.push({ ...source, content, locations });
+      }
+    }
+
+    const orderedSets = this.orderTokenSets(sets, metadata?.tokenSetOrder);
+
+    // Themed sources stay keyed by token set so each theme can pick its sets
+    if (Array.isArray(themes)) {
+      const tokens = {};
+      orderedSets.forEach(set => {
+        tokens[set.name] = set.content;
+      });
+      tokens.$themes = themes;
+      tokens.$metadata = { ...metadata, tokenSetOrder: orderedSets.map(set => set.name) };
+      const locations = this.createLocations(orderedSets.map(set => ({ ...set, prefix: set.name })));
+      return { tokens, files, collisions: [], locations };
+    }
+
+    const tokens = {};
+    const provenance = new Map();
+    const collisions = [];
+
+    orderedSets.forEach(set => {
+      this.mergeTokens(tokens, set.content, set.file, provenance, collisions);
+    });
+
+    if (metadata) {
+      tokens.$metadata = metadata;
+    }
+
+    return { tokens, files, collisions, locations: this.createLocations(orderedSets) };
+  }
+
+  /**
+   * Read a token file with the line and column of every key
+   * Readers without readText (e.g. custom ones) give no locations
+   */
+  async readSource(file) {
+    if (!this.reader.readText) {
+      return { content: await this.reader.readJSON(file), locations: new Map() };
+    }
+
+    const text = await this.reader.readText(file);
+    try {
+      const { value, locations } = parseJSONWithLocations(text);
+      return { content: value, locations };
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${path.relative(process.cwd(), file)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Combine per-file key locations into token path -> { file, line, column }
+   * (file relative to the working directory); later files win, as they do when merging; themed sets are prefixed with the set name
+   */
+  createLocations(sets) {
+    const locations = new Map();
+
+    sets.forEach(({ file, locations: fileLocations, prefix }) => {
+      fileLocations.forEach((position, keyPath) => {
+        locations.set(prefix ? `${prefix}.${keyPath}` : keyPath, {
+          file: path.relative(process.cwd(), file).replace(/\\/g, '/'),
+          ...position
+        });
+      });
+    });
+
+    return locations;
+  }
+
+  /**
+   * Resolve input patterns to source files
+   * Each source carries its token set name (path relative to the pattern base, without .json)
+   */
+  async resolveSources(input) {
+    const patterns = [].concat(input || []);
+    const sources = [];
+    const seen = new Set();
+
+    for (const pattern of patterns) {
+      let files;
+      let baseDir;
+
+      if (hasMagic(pattern)) {
+        files = (await this.reader.glob(pattern)).sort();
+        baseDir = this.getPatternBase(pattern);
+      } else {
+        files = await this.reader.exists(pattern) ? [pattern] : [];
+        baseDir = path.dirname(pattern);
+      }
+
+      files.forEach(file => {
+        const resolved = path.resolve(file);
+        if (seen.has(resolved)) return;
+        seen.add(resolved);
+
+        const name = path.relative(baseDir, file).replace(/\\/g, '/').replace(/\.json$/, '');
+        sources.push({ file: resolved, name });
+      });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Get the static directory prefix of a glob pattern (tokens/**\/*.json -> tokens)
+   */
+  getPatternBase(pattern) {
+    const segments = pattern.split('/');
+    const staticSegments = [];
+
+    for (const segment of segments) {
+      if (hasMagic(segment)) break;
+      staticSegments.push(segment);
+    }
+
+    return staticSegments.join('/') || '.';
+  }
+
+  /**
+   * Order token sets using tokenSetOrder when present, then input order
+   */
+  orderTokenSets(sets, declaredOrder) {
+    const tokenSetOrder = normalizeTokenSetOrder(declaredOrder);
+    if (tokenSetOrder.length === 0) {
+      return sets;
+    }
+
+    const rank = (set) => {
+      const index = tokenSetOrder.indexOf(set.name);
+      return index === -1 ? tokenSetOrder.length : index;
+    };
+
+    // Array.prototype.sort is stable, so unlisted sets keep input order
+    return [...sets].sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Deep merge a file's tokens, recording which file defined each token
+   */
+  mergeTokens(target, source, file, provenance, collisions, tokenPath = []) {
+    for (const [key, value] of Object.entries(source)) {
+      const currentPath = [...tokenPath, key];
+      const pathString = currentPath.join('.');
+
+      if (key.startsWith('$')) {
+        // Group metadata ($type, $description, ...) is not a token
+        target[key] = value;
+        continue;
+      }
+
+      if (this.isGroup(value)) {
+        if (!this.isGroup(target[key])) {
+          target[key] = {};
+        }
+        this.mergeTokens(target[key], value, file, provenance, collisions, currentPath);
+        continue;
+      }
+
+      if (target[key] !== undefined && provenance.has(pathString)) {
+        collisions.push({
+          path: pathString,
+          files: [provenance.get(pathString), file]
+        });
+      }
+
+      target[key] = value;
+      provenance.set(pathString, file);
+    }
+
+    return target;
+  }
+
+  isGroup(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+      value.value === undefined && value.$value === undefined;
+  }
+
+  isMetadataFile(file) {
+    return path.basename(file).startsWith('$');
+  }
+
+  /**
+   * Format collisions for console output
+   */
+  formatCollisions(collisions) {
+    return collisions.map(({ path: tokenPath, files }) =>
+      `Token "${tokenPath}" defined in ${path.relative(process.cwd(), files[0])} is overridden by ${path.relative(process.cwd(), files[1])}`
+    );
+  }
+}
@@ -1,12 +1,87 @@
-import fs from 'fs-extra';
-import path from 'path';
 import chokidar from 'chokidar';
+import path from 'path';
 import { loadConfig } from '../utils/config.js';
 import { TokenValidator } from './TokenValidator.js';
 import { FileGenerator } from './FileGenerator.js';
 import { GitManager } from './GitManager.js';
 import { TransformEngine } from './TransformEngine.js';
 import { BuildHooks } from './BuildHooks.js';
+import { ThemeManager } from './ThemeManager.js';
+import { TokenLoader } from './TokenLoader.js';
+import { ReferenceResolver } from './ReferenceResolver.js';
+import { BuildCache } from './BuildCache.js';
+import { TokenDiff } from './TokenDiff.js';
+import { normalizeDTCGTokens } from '../utils/dtcg.js';
+import { getDeprecation } from '../utils/deprecation.js';
+import { findLocation, withLocation } from '../utils/sourceLocation.js';
+import { deltaE, formatColor, parseColor } from '../utils/color.js';
+import { isBorderValue, isTransitionValue, isTypographyValue } from '../utils/composite.js';
+
+// Tags token values while mapping per-token data (deprecations, sources) onto the extracted categories
+const TOKEN_TAG = '\u0000token:';
+
+// Token properties that describe a token rather than hold its value
+const TOKEN_METADATA_KEYS = ['deprecated', 'description', 'type'];
+
+// Categories generators always emit; the defaults fill in what the tokens do not define
+const CATEGORY_DEFAULTS = {
+  fontFamily: {
+    sans: 'Inter, system-ui, sans-serif',
+    mono: 'Fira Code, monospace'
+  },
+  borderRadius: {
+    none: '0',
+    sm: '0.125rem',
+    base: '0.25rem',
+    md: '0.375rem',
+    lg: '0.5rem',
+    xl: '0.75rem',
+    full: '9999px'
+  },
+  shadows: {
+    sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+    md: '0 4px 6px -1px rgb(0 0 0 / 0.1)',
+    lg: '0 10px 15px -3px rgb(0 0 0 / 0.1)',
+    xl: '0 20px 25px -5px rgb(0 0 0 / 0.1)'
+  },
+  opacity: {
+    '0': '0',
+    '25': '0.25',
+    '50': '0.5',
+    '75': '0.75',
+    '100': '1'
+  },
+  zIndex: {
+    auto: 0,
+    base: 1,
+    dropdown: 1000,
+    modal: 1040,
+    popover: 1050,
+    tooltip: 1060
+  },
+  transitionDuration: {
+    fast: '150ms',
+    normal: '300ms',
+    slow: '500ms'
+  },
+  transitionEasing: {
+    linear: 'linear',
+    ease: 'ease',
+    'ease-in': 'ease-in',
+    'ease-out': 'ease-out',
+    'ease-in-out': 'ease-in-out'
+  },
+  breakpoints: {
+    sm: '640px',
+    md: '768px',
+    lg: '1024px',
+    xl: '1280px',
+    '2xl': '1536px'
+  }
+};
+
+// Source comment file marking the token `explain` looks for in the generated outputs
+const EXPLAIN_MARKER = 'dts-explain';
 
 /**
  * Core token processing engine
@@ -24,6 +99,13 @@ export class TokenProcessor {
     this.gitManager = new GitManager(options);
     this.transformEngine = new TransformEngine(options);
     this.buildHooks = new BuildHooks();
+    this.themeManager = new ThemeManager(options);
+    this.tokenLoader = new TokenLoader(options);
+    this.sourceFiles = [];
+    // Token path -> { file, line, column } of the loaded sources
+    this.sourceLocations = new Map();
+    this.validation = null;
+    this.buildCache = null;
 
     // Register common hooks
     this.buildHooks.registerCommonHooks();
@@ -34,9 +116,55 @@ export class TokenProcessor {
    */
   async init() {
     this.config = await loadConfig(this.options.configPath);
+    this.buildHooks.registerConfigHooks(this.config.hooks);
+    this.buildCache = new BuildCache(this.config.cache);
+
+    // Custom formats can be targeted from `output` and platform files
+    Object.entries(this.config.formats || {}).forEach(([name, formatter]) => {
+      this.fileGenerator.registerFormat(name, formatter);
+    });
+
     return this.config;
   }
 
+  /**
+   * Register the transforms and filters defined in the config on the TransformEngine
+   * and check that every transform, group and filter name they use exists
+   */
+  registerConfigTransforms() {
+    const platforms = Object.values(this.config.platforms || {});
+    const transforms = [
+      ...(this.config.transforms || []),
+      ...platforms.flatMap(platform => platform.transforms || [])
+    ];
+    const filters = [
+      ...(this.config.filters || []),
+      ...platforms.flatMap(platform => platform.files.map(file => file.filter).filter(Boolean))
+    ];
+
+    // Register inline definitions first so names can be used before they are defined
+    transforms.filter(transform => typeof transform === 'object').forEach(({ name, ...transform }) => {
+      this.transformEngine.registerTransform(name, transform);
+    });
+    filters.filter(filter => typeof filter?.filter === 'function').forEach(({ name, filter }) => {
+      this.transformEngine.registerFilter(name, filter);
+    });
+
+    transforms.filter(transform => typeof transform === 'string').forEach(name => {
+      if (!this.transformEngine.getTransform(name)) {
+        throw new Error(`Unknown transform "${name}"`);
+      }
+    });
+    filters.filter(filter => typeof filter === 'string').forEach(name => {
+      if (!this.transformEngine.getFilter(name)) {
+        throw new Error(`Unknown filter "${name}"`);
+      }
+    });
+    platforms.forEach(platform => {
+      if (platform.transformGroup) this.transformEngine.getTransformGroup(platform.transformGroup);
+    });
+  }
+
   /**
    * Load and parse tokens from the configured input file0
    */
@@ -59,18 +187,12 @@ export class TokenProcessor {
       if (!this.config) {
         await this.init();
       }
+      this.registerConfigTransforms();
 
-      const tokensPath = path.resolve(this.config.tokens.input);
-      
-      if (!await fs.pathExists(tokensPath)) {
-        throw new Error(`Tokens file not found: ${tokensPath}`);
-      }
-
-      const rawTokens = await fs.readJSON(tokensPath);
+      const rawTokens = await this.readRawTokens();
       this.rawTokens = rawTokens; // Store raw tokens for token resolution
       this.tokens = this.transformTokens(rawTokens);
       
-      console.log(`✅ Design tokens loaded from: ${tokensPath}`);
       return this.tokens;
 
     } catch (error) {
@@ -81,49 +203,289 @@ export class TokenProcessor {
     }
   }
 
+  /**
+   * Read raw tokens from every configured source file (file, glob or array)
+   */
+  async readRawTokens() {
+    const { tokens, files, collisions, locations } = await this.tokenLoader.load(this.config.tokens.input);
+    this.sourceFiles = files;
+    this.sourceLocations = locations || new Map();
+
+    if (collisions.length > 0) {
+      console.warn('⚠️ Token key collisions across source files:', this.tokenLoader.formatCollisions(collisions));
+    }
+
+    if (!this.options.quiet) {
+      console.log(`✅ Design tokens loaded from: ${files.join(', ')}`);
+    }
+    return this.normalizeRawTokens(tokens);
+  }
+
+  /**
+   * Normalize raw tokens into the internal value/type format
+   * (W3C DTCG files use $value/$type/$description)
+   */
+  normalizeRawTokens(rawTokens) {
+    if (this.validator.isDTCGFormat(rawTokens)) {
+      if (!this.options.quiet) console.log('📐 W3C DTCG token format detected');
+      return normalizeDTCGTokens(rawTokens);
+    }
+    return rawTokens;
+  }
+
   /**
    * Transform raw tokens into standardized format with Style Dictionary-like capabilities
+   * When Token Studio $themes are present, one token set is built per theme
+   * options.transforms/options.filters override the configured ones (used per platform)
+   */
+  transformTokens(rawTokens, options = {}) {
+    const themes = this.themeManager.getThemes(rawTokens);
+    if (themes.length === 0) {
+      const transformed = this.transformTokenSet(rawTokens, rawTokens, options);
+      if (options.reportUnresolved !== false) {
+        this.reportUnresolvedReferences([rawTokens]);
+      }
+      return transformed;
+    }
+
+    const themeOptions = this.themeManager.getThemeOptions(themes, this.config);
+    const sets = {};
+    const themeReferenceTokens = [];
+
+    try {
+      themes.forEach(theme => {
+        const { tokens, referenceTokens } = this.themeManager.buildThemeTokens(rawTokens, theme);
+        // Extractors resolve references against this.rawTokens
+        this.rawTokens = referenceTokens;
+        sets[theme.name] = this.transformTokenSet(tokens, referenceTokens, options);
+        themeReferenceTokens.push(referenceTokens);
+      });
+    } finally {
+      this.rawTokens = rawTokens;
+    }
+
+    if (options.reportUnresolved !== false) {
+      this.reportUnresolvedReferences(themeReferenceTokens);
+    }
+
+    const selectors = Object.fromEntries(themes.map(theme => [
+      theme.name,
+      this.themeManager.getThemeSelector(themeOptions.selector, theme.name)
+    ]));
+
+    return {
+      ...sets[themeOptions.default],
+      themes: {
+        ...themeOptions,
+        selectors,
+        sets
+      }
+    };
+  }
+
+  /**
+   * Build the token sets of every configured platform
+   * Each platform runs its transform group (plus extra transforms) over the raw tokens;
+   * each file gets the platform set, narrowed by its filter when it has one
+   * Returns { [platform]: { ...platform, files: [{ ...file, destination, tokens }] } }
+   */
+  buildPlatformTokens(rawTokens) {
+    const platforms = {};
+
+    for (const [name, platform] of Object.entries(this.config.platforms || {})) {
+      const transforms = [
+        ...(platform.transformGroup ? this.transformEngine.getTransformGroup(platform.transformGroup) : []),
+        ...(platform.transforms || [])
+      ];
+
+      let platformTokens;
+      const files = platform.files.map(file => {
+        // Top-level filters only apply to `output`
+        const options = { transforms, filters: [], reportUnresolved: false };
+        let tokens;
+        if (file.filter) {
+          tokens = this.transformTokens(rawTokens, { ...options, filters: [file.filter] });
+        } else {
+          platformTokens = platformTokens || this.transformTokens(rawTokens, options);
+          tokens = platformTokens;
+        }
+
+        return {
+          ...file,
+          destination: path.join(platform.buildPath || '', file.destination),
+          tokens
+        };
+      });
+
+      platforms[name] = { ...platform, buildPath: platform.buildPath || '', files };
+    }
+
+    return platforms;
+  }
+
+  /**
+   * Warn once about each reference that could not be resolved
    */
-  transformTokens(rawTokens) {
+  reportUnresolvedReferences(referenceTrees) {
+    // message -> path of the token holding the reference
+    const messages = new Map();
+
+    referenceTrees.forEach(referenceTokens => {
+      this.getReferenceResolver(referenceTokens).unresolved.forEach(issue => {
+        if (!messages.has(issue.message)) messages.set(issue.message, issue.path);
+      });
+    });
+
+    // Already reported by validation during sync
+    this.validation?.warnings.forEach(warning => messages.delete(warning));
+
+    if (messages.size > 0) {
+      console.warn('⚠️ Unresolved token references:', [...messages].map(([message, tokenPath]) => withLocation(message, this.sourceLocations, tokenPath)));
+    }
+  }
+
+  /**
+   * Transform a single token set, resolving references against referenceTokens
+   */
+  transformTokenSet(rawTokens, referenceTokens = rawTokens, options = {}) {
     // Resolve all token references first
-    const resolvedTokens = this.resolveAllTokenReferences(rawTokens);
+    const resolvedTokens = this.resolveAllTokenReferences(rawTokens, referenceTokens);
 
     // Apply transforms and filters if configured
+    const transforms = options.transforms ?? this.config?.transforms;
+    const filters = options.filters ?? this.config?.filters;
     let processedTokens = resolvedTokens;
-    if (this.config?.transforms) {
-      processedTokens = this.transformEngine.applyTransforms(resolvedTokens, this.config.transforms);
+    if (transforms?.length) {
+      processedTokens = this.transformEngine.applyTransforms(resolvedTokens, transforms);
     }
-    if (this.config?.filters) {
-      processedTokens = this.transformEngine.applyFilters(processedTokens, this.config.filters);
+    if (filters?.length) {
+      processedTokens = this.transformEngine.applyFilters(processedTokens, filters);
     }
 
+    // A filtered set only has the tokens that passed, without the category defaults
+    const categoryOptions = { defaults: !filters?.length };
     const transformed = {
+      ...this.extractCategories(processedTokens, categoryOptions),
+
+      // Metadata
+      source: 'tokens.json',
+      lastLoaded: new Date().toISOString(),
+      _resolvedTokens: resolvedTokens, // Store resolved tokens for advanced processing
+      _processedTokens: processedTokens // Store processed tokens after transforms
+    };
+
+    const deprecations = this.extractDeprecations(processedTokens, categoryOptions);
+    if (deprecations) {
+      transformed.deprecations = deprecations;
+    }
+
+    // Source file:line comments above each emitted token
+    if (this.config?.tokens?.sourceComments) {
+      const sources = this.mapOntoCategories(processedTokens, (node, tokenPath) => findLocation(this.sourceLocations, tokenPath), categoryOptions);
+      if (sources) {
+        transformed.sources = sources;
+      }
+    }
+
+    return transformed;
+  }
+
+  /**
+   * Extract the token categories generators emit (colors, spacing, semantic, component...)
+   * options.defaults: false leaves categories the tokens do not define empty
+   */
+  extractCategories(processedTokens, { defaults = true } = {}) {
+    const fallback = (category) => defaults ? CATEGORY_DEFAULTS[category] : {};
+    const categories = {
       // Core tokens
       colors: this.extractColors(processedTokens),
       spacing: this.extractSpacing(processedTokens),
-      typography: this.extractTypography(processedTokens),
-      borderRadius: this.extractBorderRadius(processedTokens),
+      typography: this.extractTypography(processedTokens, fallback('fontFamily')),
+      borderRadius: this.extractBorderRadius(processedTokens, fallback('borderRadius')),
       sizing: this.extractSizing(processedTokens),
-      shadows: this.extractShadows(processedTokens),
-      opacity: this.extractOpacity(processedTokens),
-      zIndex: this.extractZIndex(processedTokens),
-      transitions: this.extractTransitions(processedTokens),
-      breakpoints: this.extractBreakpoints(processedTokens),
+      shadows: this.extractShadows(processedTokens, fallback('shadows')),
+      opacity: this.extractOpacity(processedTokens, fallback('opacity')),
+      zIndex: this.extractZIndex(processedTokens, fallback('zIndex')),
+      transitions: this.extractTransitions(processedTokens, {
+        duration: fallback('transitionDuration'),
+        easing: fallback('transitionEasing')
+      }),
+      breakpoints: this.extractBreakpoints(processedTokens, fallback('breakpoints')),
 
       // Semantic tokens (new)
       semantic: this.extractSemanticTokens(processedTokens),
 
       // Component tokens (new)
-      component: this.extractComponentTokens(processedTokens),
+      component: this.extractComponentTokens(processedTokens)
+    };
 
-      // Metadata
-      source: 'tokens.json',
-      lastLoaded: new Date().toISOString(),
-      _resolvedTokens: resolvedTokens, // Store resolved tokens for advanced processing
-      _processedTokens: processedTokens // Store processed tokens after transforms
+    // Composite categories only appear when the tokens define them
+    const borders = this.extractBorders(processedTokens);
+    if (Object.keys(borders).length > 0) {
+      categories.borders = borders;
+    }
+    const gradients = this.extractGradients(processedTokens);
+    if (Object.keys(gradients).length > 0) {
+      categories.gradients = gradients;
+    }
+
+    return categories;
+  }
+
+  /**
+   * Map deprecated tokens onto the extracted categories, so generators find the
+   * deprecation of what they emit at the same keys (deprecations.colors.blue['500'])
+   * Returns null when no token is deprecated
+   */
+  extractDeprecations(processedTokens, options = {}) {
+    return this.mapOntoCategories(processedTokens, (node, tokenPath) => getDeprecation(node, tokenPath), options);
+  }
+
+  /**
+   * Map per-token data onto the extracted categories, keyed like what generators emit
+   * describe(node, tokenPath) returns a token's data or null; the extractors run over
+   * a copy whose described values are tagged
+   * Returns null when no token has data
+   */
+  mapOntoCategories(processedTokens, describe, options = {}) {
+    const found = [];
+
+    const tag = (node, tokenPath = []) => {
+      if (!node || typeof node !== 'object' || Array.isArray(node)) return node;
+      if (node.value !== undefined) {
+        const data = describe(node, tokenPath.join('.'));
+        if (!data) return node;
+
+        found.push(data);
+        const marker = found.length - 1;
+        const { value } = node;
+        if (Array.isArray(value)) return { ...node, value: Object.assign([...value], { [TOKEN_TAG]: marker }) };
+        if (value && typeof value === 'object') return { ...node, value: { ...value, [TOKEN_TAG]: marker } };
+        return { ...node, value: `${TOKEN_TAG}${marker}` };
+      }
+      return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, tag(value, [...tokenPath, key])]));
     };
 
-    return transformed;
+    const tagged = tag(processedTokens);
+    if (found.length === 0) return null;
+
+    const collect = (node) => {
+      if (typeof node === 'string') {
+        const index = node.startsWith(TOKEN_TAG) ? parseInt(node.slice(TOKEN_TAG.length), 10) : NaN;
+        return found[index] || null;
+      }
+      if (!node || typeof node !== 'object') return null;
+      if (node[TOKEN_TAG] !== undefined) return found[node[TOKEN_TAG]];
+
+      const mapped = {};
+      Object.entries(node).forEach(([key, value]) => {
+        const data = collect(value);
+        if (data) mapped[key] = data;
+      });
+      return Object.keys(mapped).length > 0 ? mapped : null;
+    };
+
+    return collect(this.extractCategories(tagged, options));
   }
 
   /**
@@ -166,7 +528,7 @@ export class TokenProcessor {
   /**
    * Extract typography tokens
    */
-  extractTypography(rawTokens) {
+  extractTypography(rawTokens, fontFamilyDefaults = CATEGORY_DEFAULTS.fontFamily) {
     const typography = {
       fontFamily: {},
       fontSize: {},
@@ -202,12 +564,15 @@ export class TokenProcessor {
       });
     }
 
+    // Composite typography tokens (text styles) stay intact
+    const styles = this.extractCompositeTokens(typoData, isTypographyValue);
+    if (Object.keys(styles).length > 0) {
+      typography.styles = styles;
+    }
+
     // Provide defaults if empty
     if (Object.keys(typography.fontFamily).length === 0) {
-      typography.fontFamily = {
-        sans: 'Inter, system-ui, sans-serif',
-        mono: 'Fira Code, monospace'
-      };
+      typography.fontFamily = { ...fontFamilyDefaults };
     }
 
     return typography;
@@ -216,7 +581,7 @@ export class TokenProcessor {
   /**
    * Extract border radius tokens
    */
-  extractBorderRadius(rawTokens) {
+  extractBorderRadius(rawTokens, defaults = CATEGORY_DEFAULTS.borderRadius) {
     const borderRadius = {};
     
     if (rawTokens.core?.borderRadius) {
@@ -230,15 +595,7 @@ export class TokenProcessor {
 
     // Provide defaults
     if (Object.keys(borderRadius).length === 0) {
-      return {
-        none: '0',
-        sm: '0.125rem',
-        base: '0.25rem',
-        md: '0.375rem',
-        lg: '0.5rem',
-        xl: '0.75rem',
-        full: '9999px'
-      };
+      return { ...defaults };
     }
 
     return borderRadius;
@@ -262,61 +619,83 @@ export class TokenProcessor {
   /**
    * Extract other token categories with defaults
    */
-  extractShadows(rawTokens) {
-    return this.extractTokenCategory(rawTokens, 'shadows') || {
-      sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
-      md: '0 4px 6px -1px rgb(0 0 0 / 0.1)',
-      lg: '0 10px 15px -3px rgb(0 0 0 / 0.1)',
-      xl: '0 20px 25px -5px rgb(0 0 0 / 0.1)'
-    };
+  extractShadows(rawTokens, defaults = CATEGORY_DEFAULTS.shadows) {
+    return this.extractTokenCategory(rawTokens, 'shadows') ||
+      this.extractTokenCategory(rawTokens, 'boxShadow') || { ...defaults };
   }
 
-  extractOpacity(rawTokens) {
-    return this.extractTokenCategory(rawTokens, 'opacity') || {
-      '0': '0',
-      '25': '0.25',
-      '50': '0.5',
-      '75': '0.75',
-      '100': '1'
-    };
+  extractOpacity(rawTokens, defaults = CATEGORY_DEFAULTS.opacity) {
+    return this.extractTokenCategory(rawTokens, 'opacity') || { ...defaults };
+  }
+
+  extractZIndex(rawTokens, defaults = CATEGORY_DEFAULTS.zIndex) {
+    return this.extractTokenCategory(rawTokens, 'zIndex') || { ...defaults };
   }
 
-  extractZIndex(rawTokens) {
-    return this.extractTokenCategory(rawTokens, 'zIndex') || {
-      auto: 0,
-      base: 1,
-      dropdown: 1000,
-      modal: 1040,
-      popover: 1050,
-      tooltip: 1060
+  extractTransitions(rawTokens, defaults = {
+    duration: CATEGORY_DEFAULTS.transitionDuration,
+    easing: CATEGORY_DEFAULTS.transitionEasing
+  }) {
+    const transitions = {
+      duration: this.extractTokenCategory(rawTokens, 'transitionDuration') || { ...defaults.duration },
+      easing: this.extractTokenCategory(rawTokens, 'transitionEasing') || { ...defaults.easing }
     };
+
+    // Composite transition tokens (duration, timingFunction, delay)
+    const presets = this.extractCompositeTokens(
+      rawTokens.core?.transition || rawTokens.transition || {},
+      isTransitionValue
+    );
+    if (Object.keys(presets).length > 0) {
+      transitions.presets = presets;
+    }
+
+    return transitions;
   }
 
-  extractTransitions(rawTokens) {
-    return {
-      duration: this.extractTokenCategory(rawTokens, 'transitionDuration') || {
-        fast: '150ms',
-        normal: '300ms',
-        slow: '500ms'
-      },
-      easing: this.extractTokenCategory(rawTokens, 'transitionEasing') || {
-        linear: 'linear',
-        ease: 'ease',
-        'ease-in': 'ease-in',
-        'ease-out': 'ease-out',
-        'ease-in-out': 'ease-in-out'
+  /**
+   * Extract composite border tokens (color, width, style)
+   */
+  extractBorders(rawTokens) {
+    return this.extractCompositeTokens(
+      rawTokens.core?.borders || rawTokens.borders || rawTokens.core?.border || rawTokens.border || {},
+      isBorderValue
+    );
+  }
+
+  /**
+   * Extract gradient tokens (CSS gradient strings or DTCG color stops)
+   */
+  extractGradients(rawTokens) {
+    return this.extractTokenCategory(rawTokens, 'gradients') ||
+      this.extractTokenCategory(rawTokens, 'gradient') || {};
+  }
+
+  /**
+   * Collect composite tokens (object or array values) matching a shape, keeping them intact
+   */
+  extractCompositeTokens(obj, matcher, prefix = '') {
+    const composites = {};
+
+    Object.entries(obj).forEach(([key, value]) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value) || key.startsWith('$')) return;
+      const newKey = prefix ? `${prefix}-${key}` : key;
+
+      if (value.value !== undefined) {
+        const resolved = this.resolveTokenValue(value.value, this.rawTokens);
+        if (matcher(resolved)) {
+          composites[newKey] = resolved;
+        }
+      } else {
+        Object.assign(composites, this.extractCompositeTokens(value, matcher, newKey));
       }
-    };
+    });
+
+    return composites;
   }
 
-  extractBreakpoints(rawTokens) {
-    return this.extractTokenCategory(rawTokens, 'breakpoints') || {
-      sm: '640px',
-      md: '768px',
-      lg: '1024px',
-      xl: '1280px',
-      '2xl': '1536px'
-    };
+  extractBreakpoints(rawTokens, defaults = CATEGORY_DEFAULTS.breakpoints) {
+    return this.extractTokenCategory(rawTokens, 'breakpoints') || { ...defaults };
   }
 
   /**
@@ -382,23 +761,29 @@ export class TokenProcessor {
 
   /**
    * Resolve all token references in the entire token tree (Style Dictionary style)
+   * References are resolved through the dependency graph, so chains, cycles and
+   * math expressions are handled once per token
    */
-  resolveAllTokenReferences(rawTokens) {
+  resolveAllTokenReferences(rawTokens, referenceTokens = rawTokens) {
+    const resolver = this.getReferenceResolver(referenceTokens);
     const resolved = JSON.parse(JSON.stringify(rawTokens)); // Deep clone
 
-    // Recursively resolve all references
-    const resolveObject = (obj) => {
+    // Recursively resolve all references, tracking the owning token path
+    const resolveObject = (obj, tokenPath = []) => {
       if (typeof obj === 'string') {
-        return this.resolveTokenValue(obj, rawTokens);
+        return resolver.resolveValue(obj, tokenPath.join('.') || null);
       } else if (Array.isArray(obj)) {
-        return obj.map(item => resolveObject(item));
+        return obj.map(item => resolveObject(item, tokenPath));
       } else if (obj && typeof obj === 'object') {
         const resolvedObj = {};
         for (const [key, value] of Object.entries(obj)) {
-          if (key === 'value' && typeof value === 'string') {
-            resolvedObj[key] = this.resolveTokenValue(value, rawTokens);
+          if (key === 'value') {
+            resolvedObj[key] = resolver.resolveToken(obj, tokenPath.join('.'));
+          } else if (key.startsWith('$') || key === 'deprecated') {
+            // Metadata; deprecation messages keep their {replacement} references
+            resolvedObj[key] = value;
           } else {
-            resolvedObj[key] = resolveObject(value);
+            resolvedObj[key] = resolveObject(value, [...tokenPath, key]);
           }
         }
         return resolvedObj;
@@ -409,6 +794,25 @@ export class TokenProcessor {
     return resolveObject(resolved);
   }
 
+  /**
+   * Get the (cached) reference resolver for a token tree
+   */
+  getReferenceResolver(rawTokens) {
+    if (!this.referenceResolvers) {
+      this.referenceResolvers = new WeakMap();
+    }
+
+    let resolver = this.referenceResolvers.get(rawTokens);
+    if (!resolver) {
+      resolver = new ReferenceResolver(rawTokens, {
+        strict: this.options.strict ?? this.config?.tokens?.strict
+      });
+      this.referenceResolvers.set(rawTokens, resolver);
+    }
+
+    return resolver;
+  }
+
   /**
    * Generic token category extractor
    */
@@ -423,29 +827,38 @@ export class TokenProcessor {
 
   /**
    * Preserve nested structure for colors (category -> shade -> value)
+   * Tokens (nodes with a value) become their resolved value at any depth; their
+   * metadata (deprecated, description, type, $extensions) is not emitted
    */
   preserveNestedStructure(obj) {
     const structured = {};
-    
+
     Object.entries(obj).forEach(([category, shades]) => {
       if (shades && typeof shades === 'object' && !Array.isArray(shades)) {
-        structured[category] = {};
-        
-        Object.entries(shades).forEach(([shade, value]) => {
-          if (value && typeof value === 'object' && value.value !== undefined) {
-            // Token Studio format with .value
-            structured[category][shade] = this.resolveTokenValue(value.value, this.rawTokens);
-          } else {
-            // Direct value
-            structured[category][shade] = this.resolveTokenValue(value, this.rawTokens);
-          }
-        });
+        structured[category] = this.preserveTokenGroup(shades);
       }
     });
 
     return structured;
   }
 
+  preserveTokenGroup(node) {
+    if (node.value !== undefined || node.$value !== undefined) {
+      return this.resolveTokenValue(node.value ?? node.$value, this.rawTokens);
+    }
+
+    const group = {};
+    Object.entries(node).forEach(([key, value]) => {
+      if (key.startsWith('$') || TOKEN_METADATA_KEYS.includes(key)) return;
+
+      group[key] = value && typeof value === 'object' && !Array.isArray(value)
+        ? this.preserveTokenGroup(value)
+        // Direct value
+        : this.resolveTokenValue(value, this.rawTokens);
+    });
+    return group;
+  }
+
   /**
    * Flatten nested token structure
    */
@@ -474,27 +887,12 @@ export class TokenProcessor {
    * Resolve token references (e.g., {core.colors.primary.500})
    */
   resolveTokenValue(value, rawTokens = null) {
-    if (typeof value === 'string') {
-      // Handle strings that may contain multiple token references
-      // Use regex to find all {token.path} patterns and replace them
-      const tokenRefRegex = /\{([^}]+)\}/g;
-      let resolvedValue = value;
-      let match;
-
-      while ((match = tokenRefRegex.exec(value)) !== null) {
-        const tokenPath = match[1]; // Extract token path without braces
-        const resolvedToken = this.resolveTokenReference(tokenPath, rawTokens || this.rawTokens);
-
-        if (resolvedToken !== undefined) {
-          // Replace the token reference with its resolved value
-          const tokenRef = `{${tokenPath}}`;
-          resolvedValue = resolvedValue.replace(tokenRef, resolvedToken);
-        }
-      }
-
-      return resolvedValue;
+    const referenceTokens = rawTokens || this.rawTokens;
+    if (typeof value !== 'string' || !referenceTokens) {
+      return value;
     }
-    return value;
+
+    return this.getReferenceResolver(referenceTokens).resolveValue(value);
   }
 
   /**
@@ -502,54 +900,53 @@ export class TokenProcessor {
    */
   resolveTokenReference(path, rawTokens) {
     if (!rawTokens) return undefined;
-    
-    const pathParts = path.split('.');
-    let current = rawTokens;
-    
-    for (const part of pathParts) {
-      if (current && typeof current === 'object' && current[part] !== undefined) {
-        current = current[part];
-      } else {
-        return undefined;
-      }
-    }
-    
-    // If we found a token object with a value property, return the value
-    if (current && typeof current === 'object' && current.value !== undefined) {
-      // Recursively resolve nested token references
-      return this.resolveTokenValue(current.value, rawTokens);
-    }
-    
-    // If it's a direct value, return it
-    return current;
+
+    return this.getReferenceResolver(rawTokens).resolve(path);
   }
 
   /**
    * Sync tokens - validate, generate files, and commit
+   * With options.dryRun nothing is written or committed; returns { dryRun, changes, files }
+   * listing every generated file that differs from disk and every file checked
+   * Otherwise returns { written, unchanged } lists of generated files; unchanged files
+   * are not rewritten unless caching is disabled (config.cache.enabled or options.cache)
+   * options.quiet leaves out the per-file dry run logs
    */
   async sync(options = {}) {
+    const previousDryRun = this.fileGenerator.dryRun;
+
     try {
-      console.log('🔄 Starting token sync...');
+      console.log(options.dryRun ? '🔄 Starting token sync (dry run)...' : '🔄 Starting token sync...');
+      this.fileGenerator.dryRun = !!options.dryRun;
+      this.fileGenerator.quiet = !!options.quiet;
+      this.fileGenerator.pendingFiles.clear();
 
       // Load raw tokens for validation
       if (!this.config) {
         await this.init();
       }
+      this.registerConfigTransforms();
 
-      const tokensPath = path.resolve(this.config.tokens.input);
-
-      if (!await fs.pathExists(tokensPath)) {
-        throw new Error(`Tokens file not found: ${tokensPath}`);
+      const useCache = !options.dryRun && options.cache !== false && this.config.cache?.enabled !== false;
+      this.fileGenerator.cache = useCache ? this.buildCache : null;
+      this.fileGenerator.writeStats = { written: [], unchanged: [] };
+      if (useCache) {
+        await this.buildCache.load();
       }
 
-      let rawTokens = await fs.readJSON(tokensPath);
-      console.log(`✅ Design tokens loaded from: ${tokensPath}`);
+      // Execute beforeSync hooks
+      let context = await this.buildHooks.executeHooks('beforeSync', {
+        config: this.config,
+        options
+      });
+
+      let rawTokens = await this.readRawTokens();
 
       // Execute beforeProcess hooks
-      let context = await this.buildHooks.executeHooks('beforeProcess', {
+      context = await this.buildHooks.executeHooks('beforeProcess', {
+        ...context,
         rawTokens,
-        config: this.config,
-        options
+        locations: this.sourceLocations
       });
       rawTokens = context.rawTokens;
 
@@ -563,23 +960,27 @@ export class TokenProcessor {
       const { loadConfig } = await import('../utils/config.js');
       const config = await loadConfig(this.options.configPath);
       const { TokenValidator: ValidatorClass } = await import('./TokenValidator.js');
-      const validator = new ValidatorClass(config);
-      const validation = await validator.validate(rawTokens);
+      const validator = new ValidatorClass({ ...config, strict: this.options.strict });
+      const validation = await this.validateTokens(validator, rawTokens);
       if (!validation.isValid && !options.force) {
-        console.error('❌ Token validation failed:', validation.errors);
+        console.error('❌ Token validation failed:', this.formatValidationIssues(validation, 'error'));
         throw new Error('Token validation failed');
       }
 
       if (validation.warnings.length > 0) {
-        console.warn('⚠️ Token warnings:', validation.warnings);
+        console.warn('⚠️ Token warnings:', this.formatValidationIssues(validation, 'warn'));
       }
 
       // Execute afterValidate hooks
+      this.validation = validation;
       context.validation = validation;
       context = await this.buildHooks.executeHooks('afterValidate', context);
 
       // Transform tokens for file generation
       this.tokens = this.transformTokens(rawTokens);
+      if (this.config.platforms) {
+        context.platforms = this.buildPlatformTokens(rawTokens);
+      }
 
       // Execute afterProcess hooks
       context.tokens = this.tokens;
@@ -587,25 +988,499 @@ export class TokenProcessor {
 
       // Execute beforeGenerate hooks
       context = await this.buildHooks.executeHooks('beforeGenerate', context);
+      this.tokens = context.tokens;
 
       // Generate output files
       await this.fileGenerator.generateAll(this.tokens, this.config, context);
+      if (context.platforms) {
+        await this.fileGenerator.generatePlatforms(context.platforms, context);
+      }
 
       // Execute afterGenerate hooks
       context = await this.buildHooks.executeHooks('afterGenerate', context);
 
+      if (useCache) {
+        await this.buildCache.recordInputs(this.sourceFiles);
+        await this.buildCache.save();
+      }
+
+      if (options.dryRun) {
+        const changes = await this.fileGenerator.getPendingChanges();
+        context.changes = changes;
+        await this.buildHooks.executeHooks('afterSync', context);
+
+        console.log(`✅ Dry run completed: ${changes.length} file(s) would change`);
+        return { dryRun: true, changes, files: [...this.fileGenerator.pendingFiles.keys()] };
+      }
+
       // Git operations
       if (this.config.git.enabled && !options.noGit) {
-        await this.gitManager.commitChanges(this.config);
+        context.tokenChanges = await this.getTokenChanges(rawTokens);
+        await this.gitManager.commitChanges(this.config, context.tokenChanges);
       }
 
-      console.log('✅ Token sync completed successfully');
-      return true;
+      // Execute afterSync hooks
+      const { written, unchanged } = this.fileGenerator.writeStats;
+      context.files = { written, unchanged };
+      await this.buildHooks.executeHooks('afterSync', context);
+
+      console.log(`✅ Token sync completed successfully (${written.length} written, ${unchanged.length} unchanged)`);
+      return { written, unchanged };
 
     } catch (error) {
       console.error('❌ Token sync failed:', error.message);
       throw error;
+    } finally {
+      this.fileGenerator.dryRun = previousDryRun;
+      this.fileGenerator.quiet = false;
+    }
+  }
+
+  /**
+   * Compare the tokens with the ones committed at HEAD (see TokenDiff)
+   * Returns null when there is nothing to compare with, e.g. before the first commit
+   */
+  async getTokenChanges(rawTokens) {
+    const tokenDiff = new TokenDiff(this.options);
+    try {
+      const { tokens } = await tokenDiff.load('HEAD', this.config);
+      return tokenDiff.compare(tokens, rawTokens, this.config);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check that the generated files on disk match what the tokens generate
+   * Regenerates every output in memory; returns { files, drifted } where drifted lists
+   * missing, modified and stale files
+   */
+  async check(options = {}) {
+    const { changes, files } = await this.sync({ ...options, dryRun: true, noGit: true, quiet: true });
+    const statuses = { added: 'missing', changed: 'modified', removed: 'stale' };
+
+    return {
+      files,
+      drifted: changes.map(change => ({ ...change, status: statuses[change.status] }))
+    };
+  }
+
+  /**
+   * Explain how a token is built: the references it resolves through (per theme when
+   * Token Studio $themes are present), the transforms applied to it for `output` and
+   * each platform, and the identifiers the generated outputs emit it under
+   * Returns { path, type, description, deprecated, location, resolutions, transforms, outputs, outputsError }
+   */
+  async explain(tokenPath) {
+    if (!this.config) {
+      await this.init();
+    }
+    this.registerConfigTransforms();
+
+    const rawTokens = await this.readRawTokens();
+    this.rawTokens = rawTokens;
+    const requested = tokenPath.replace(/^\{|\}$/g, '');
+
+    // Theme sets are merged, so theme token paths drop the set name
+    const trees = this.getThemeTrees(rawTokens);
+    let candidates = [requested];
+    if (trees[0].theme) {
+      const [setName, ...rest] = requested.split('.');
+      if (rawTokens[setName] && rest.length > 0) candidates = [requested, rest.join('.')];
+    }
+
+    const locate = (trace, theme) => ({
+      ...trace,
+      location: this.findTokenLocation(rawTokens, theme, trace.path),
+      references: (trace.references || []).map(reference => locate(reference, theme))
+    });
+
+    let resolvedPath = null;
+    let node = null;
+    const resolutions = [];
+    trees.forEach(({ theme, tokens }) => {
+      const resolver = this.getReferenceResolver(tokens);
+      const found = candidates.find(candidate => resolver.isToken(resolver.getToken(candidate)));
+      if (!found) return;
+
+      resolvedPath = resolvedPath || found;
+      node = node || resolver.getToken(found);
+      const chain = locate(resolver.trace(found), theme);
+
+      // Themes that resolve the token the same way share one entry
+      const same = resolutions.find(resolution => JSON.stringify(resolution.chain) === JSON.stringify(chain));
+      if (same) {
+        same.themes.push(theme.name);
+      } else {
+        resolutions.push({ themes: theme ? [theme.name] : [], chain });
+      }
+    });
+
+    if (!resolvedPath) {
+      const last = requested.split('.').pop();
+      const suggestions = [...new Set(trees.flatMap(({ tokens }) => this.getReferenceResolver(tokens).getTokenPaths()))]
+        .filter(candidate => candidate.endsWith(`.${requested}`) || candidate.split('.').pop() === last)
+        .slice(0, 5);
+      throw new Error(`Token "${requested}" not found${suggestions.length > 0 ? `. Did you mean ${suggestions.join(', ')}?` : ''}`);
     }
+
+    const token = node && typeof node === 'object' ? node : { value: node };
+    const explanation = {
+      path: resolvedPath,
+      type: token.type,
+      description: token.description,
+      deprecated: getDeprecation(token, resolvedPath),
+      location: resolutions[0].chain.location,
+      resolutions,
+      transforms: this.explainTransforms(resolvedPath, node, resolutions[0].chain.resolved),
+      outputs: []
+    };
+
+    // Outputs cannot be generated while any token is broken (a circular reference, strict mode)
+    try {
+      explanation.outputs = await this.findEmittedIdentifiers(rawTokens, resolvedPath);
+    } catch (error) {
+      explanation.outputsError = error.message;
+    }
+    return explanation;
+  }
+
+  /**
+   * Token trees to look tokens up in: one per Token Studio theme with its sets merged
+   * (default theme first), or the raw tokens as the only tree with a null theme
+   */
+  getThemeTrees(rawTokens) {
+    const themes = this.themeManager.getThemes(rawTokens);
+    if (themes.length === 0) {
+      return [{ theme: null, tokens: rawTokens }];
+    }
+
+    const themeOptions = this.themeManager.getThemeOptions(themes, this.config);
+    return [
+      ...themes.filter(theme => theme.name === themeOptions.default),
+      ...themes.filter(theme => theme.name !== themeOptions.default)
+    ].map(theme => ({ theme, tokens: this.themeManager.buildThemeTokens(rawTokens, theme).referenceTokens }));
+  }
+
+  /**
+   * Where a token is defined; a themed token is defined by the last of the theme's token sets that has it
+   */
+  findTokenLocation(rawTokens, theme, tokenPath) {
+    if (theme) {
+      const selected = this.themeManager.getSelectedTokenSets(theme);
+      const setName = this.themeManager.getTokenSetOrder(rawTokens).reverse().find(name =>
+        (selected[name] === 'enabled' || selected[name] === 'source') && this.sourceLocations.has(`${name}.${tokenPath}`)
+      );
+      if (setName) return this.sourceLocations.get(`${setName}.${tokenPath}`);
+    }
+    return findLocation(this.sourceLocations, tokenPath);
+  }
+
+  /**
+   * Run the transforms of `output` and of every platform over a resolved token value
+   * Returns [{ platform, transforms, steps: [{ transform, type, before, after }], value, name }]
+   * (platform is null for `output`)
+   */
+  explainTransforms(tokenPath, node, resolved) {
+    const pipelines = [
+      { platform: null, transforms: this.config.transforms || [] },
+      ...Object.entries(this.config.platforms || {}).map(([name, platform]) => ({
+        platform: name,
+        transforms: [
+          ...(platform.transformGroup ? this.transformEngine.getTransformGroup(platform.transformGroup) : []),
+          ...(platform.transforms || [])
+        ]
+      }))
+    ];
+
+    return pipelines.map(({ platform, transforms }) => {
+      const steps = [];
+      const isObject = node && typeof node === 'object';
+      const input = {
+        name: tokenPath,
+        value: resolved,
+        type: isObject ? node.type : undefined,
+        path: tokenPath.split('.'),
+        attributes: (isObject && node.attributes) || {}
+      };
+      // Tokens written as plain values are not transformed (see TransformEngine.applyTransforms)
+      const output = isObject ? this.transformEngine.transformToken(input, transforms, steps) : input;
+
+      return {
+        platform,
+        transforms: transforms.map(transform => typeof transform === 'string' ? transform : transform.name),
+        steps,
+        value: output.value,
+        name: output.name
+      };
+    });
+  }
+
+  /**
+   * Generate every output in memory with a source comment marking one token, then read
+   * back the identifiers it was emitted under. Tailwind, JSON and JavaScript outputs
+   * emit no source comments, so their keys come from where the token lands in the categories
+   * Returns [{ format, platform, file, identifiers: [{ identifier, line, declaration }] }]
+   */
+  async findEmittedIdentifiers(rawTokens, tokenPath) {
+    const { config, sourceLocations } = this;
+    const { dryRun, cache, quiet } = this.fileGenerator;
+
+    this.config = { ...config, tokens: { ...config.tokens, sourceComments: true } };
+    this.sourceLocations = new Map([[tokenPath, { file: EXPLAIN_MARKER, line: 0, column: 0 }]]);
+    this.fileGenerator.dryRun = true;
+    this.fileGenerator.quiet = true;
+    this.fileGenerator.cache = null;
+    this.fileGenerator.pendingFiles.clear();
+
+    try {
+      const tokens = this.transformTokens(rawTokens, { reportUnresolved: false });
+      const targets = Object.entries(this.config.output || {}).flatMap(([format, outputPath]) =>
+        [].concat(outputPath || []).map(file => ({ format, platform: null, file, tokens }))
+      );
+      await this.fileGenerator.generateAll(tokens, this.config, { config: this.config });
+
+      if (this.config.platforms) {
+        const platforms = this.buildPlatformTokens(rawTokens);
+        Object.entries(platforms).forEach(([name, platform]) => {
+          platform.files.forEach(file => targets.push({ format: file.format, platform: name, file: file.destination, tokens: file.tokens }));
+        });
+        await this.fileGenerator.generatePlatforms(platforms, { config: this.config });
+      }
+
+      const findKeys = (node, keys = []) => {
+        if (!node || typeof node !== 'object') return null;
+        if (node.file === EXPLAIN_MARKER) return keys;
+        for (const [key, child] of Object.entries(node)) {
+          const found = findKeys(child, [...keys, key]);
+          if (found) return found;
+        }
+        return null;
+      };
+
+      return targets.map(({ format, platform, file, tokens: fileTokens }) => {
+        const content = this.fileGenerator.pendingFiles.get(file);
+        const identifiers = content
+          ? this.fileGenerator.findTokenDeclarations(content, `source: ${EXPLAIN_MARKER}:`)
+            .filter((found, index, all) => all.findIndex(other => other.identifier === found.identifier) === index)
+          : [];
+
+        const keys = findKeys(fileTokens.sources);
+        if (identifiers.length === 0 && keys) {
+          const identifier = {
+            tailwind: this.fileGenerator.getTailwindKey(keys),
+            json: keys.join('.'),
+            javascript: ['tokens', ...keys].join('.')
+          }[format];
+          if (identifier) identifiers.push({ identifier, line: null, declaration: null });
+        }
+
+        return { format, platform, file, identifiers };
+      });
+    } finally {
+      this.config = config;
+      this.sourceLocations = sourceLocations;
+      this.fileGenerator.dryRun = dryRun;
+      this.fileGenerator.cache = cache;
+      this.fileGenerator.quiet = quiet;
+      this.fileGenerator.pendingFiles.clear();
+    }
+  }
+
+  /**
+   * Find tokens by value (`dts find`): the tokens that resolve to it, the aliases that
+   * reference them and the nearest colors (CIEDE2000) or spacing steps
+   * Colors match whatever their notation (#fff, rgb(255 255 255)) and dimensions in px, rem or em
+   * by their px size. Returns { query, kind, matches, aliases, nearest, nearestScope };
+   * aliases are single references ({ path, references }) and nearest entries carry a distance
+   */
+  async find(query, options = {}) {
+    if (!this.config) {
+      await this.init();
+    }
+
+    const limit = options.limit ?? 3;
+    const target = this.parseLookupValue(query);
+    if (!target) {
+      throw new Error(`Cannot look up "${query}": pass a color, a dimension or a literal value`);
+    }
+    const rawTokens = await this.readRawTokens();
+    const found = new Map();
+
+    // Token values are collected per theme; a token that resolves the same way in several themes is listed once
+    this.getThemeTrees(rawTokens).forEach(({ theme, tokens }) => {
+      const resolver = this.getReferenceResolver(tokens);
+
+      this.validator.collectValues(tokens).forEach(({ path: tokenPath, value, modifier, type }) => {
+        let resolved;
+        try {
+          resolved = resolver.resolve(tokenPath);
+        } catch (error) {
+          // Broken references are reported by `dts validate`
+          return;
+        }
+
+        const lookup = this.parseLookupValue(resolved);
+        if (!lookup || lookup.kind !== target.kind) return;
+
+        const key = `${tokenPath} ${JSON.stringify(resolved)}`;
+        if (found.has(key)) {
+          if (theme) found.get(key).themes.push(theme.name);
+          return;
+        }
+
+        const references = resolver.collectReferences(value);
+        const isAlias = !modifier && references.length === 1 && typeof value === 'string' && value.trim() === `{${references[0]}}`;
+        found.set(key, {
+          path: tokenPath,
+          value,
+          resolved,
+          type,
+          location: this.findTokenLocation(rawTokens, theme, tokenPath),
+          themes: theme ? [theme.name] : [],
+          references: isAlias ? references[0] : null,
+          distance: this.getLookupDistance(target, lookup)
+        });
+      });
+    });
+
+    const tokens = [...found.values()];
+    const exact = tokens.filter(token => token.distance === 0);
+    // Spacing steps are the spacing tokens, or every dimension when there are none
+    const hasNearest = target.kind === 'color' || target.kind === 'dimension';
+    let candidates = hasNearest ? tokens.filter(token => token.distance > 0 && !token.references) : [];
+    let nearestScope = target.kind === 'color' ? 'color' : 'dimension';
+    if (target.kind === 'dimension') {
+      const spacing = candidates.filter(token => token.type === 'spacing' || token.path.split('.').some(part => /^spac(e|ing)$/i.test(part)));
+      if (spacing.length > 0) {
+        candidates = spacing;
+        nearestScope = 'spacing';
+      }
+    }
+
+    const strip = ({ distance, references, ...token }) => token;
+    return {
+      query,
+      kind: target.kind,
+      matches: exact.filter(token => !token.references).map(strip),
+      aliases: exact.filter(token => token.references).map(token => ({ ...strip(token), references: token.references })),
+      nearest: candidates
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(token => ({ ...strip(token), distance: Number(token.distance.toFixed(2)) })),
+      nearestScope
+    };
+  }
+
+  /**
+   * Classify a value for `find`: a color, a dimension (px size), a number or any other value
+   * Returns null for values that cannot be compared (composites, unresolved references)
+   */
+  parseLookupValue(value) {
+    if (typeof value === 'number') {
+      return { kind: 'number', number: value };
+    }
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    const color = parseColor(text);
+    if (color) {
+      return { kind: 'color', color, hex: formatColor(color) };
+    }
+
+    const dimension = text.match(/^(-?\d*\.?\d+)(px|rem|em)$/i);
+    if (dimension) {
+      const number = parseFloat(dimension[1]);
+      return { kind: 'dimension', px: dimension[2].toLowerCase() === 'px' ? number : number * 16 };
+    }
+    if (/^-?\d*\.?\d+$/.test(text)) {
+      return { kind: 'number', number: parseFloat(text) };
+    }
+    return text && !text.includes('{') ? { kind: 'value', text: text.toLowerCase() } : null;
+  }
+
+  /**
+   * Distance between two lookup values of the same kind; 0 is a match
+   */
+  getLookupDistance(target, lookup) {
+    switch (target.kind) {
+      case 'color':
+        return target.hex === lookup.hex ? 0 : Math.max(deltaE(target.color, lookup.color), 0.01);
+      case 'dimension':
+        return Math.abs(target.px - lookup.px);
+      case 'number':
+        return Math.abs(target.number - lookup.number);
+      default:
+        return target.text === lookup.text ? 0 : Infinity;
+    }
+  }
+
+  /**
+   * Validate raw tokens, once per theme when Token Studio $themes are present
+   * Theme-specific issues are prefixed with the theme name; results carry the
+   * file, line and column of their token
+   */
+  async validateTokens(validator, rawTokens) {
+    const validation = await this.validateThemes(validator, rawTokens);
+
+    validation.results = validation.results.map(issue => {
+      const location = findLocation(this.sourceLocations, issue.path);
+      return location ? { ...issue, ...location } : issue;
+    });
+    return validation;
+  }
+
+  /**
+   * Validation messages of one severity, with the location of their token
+   */
+  formatValidationIssues(validation, severity) {
+    return validation.results
+      .filter(issue => issue.severity === severity)
+      .map(issue => issue.line ? `${issue.message} (${issue.file}:${issue.line}:${issue.column})` : issue.message);
+  }
+
+  async validateThemes(validator, rawTokens) {
+    const themes = this.themeManager.getThemes(rawTokens);
+    if (themes.length === 0) {
+      return validator.validate(rawTokens);
+    }
+
+    const themeOptions = this.themeManager.getThemeOptions(themes, this.config);
+    const orderedThemes = [
+      ...themes.filter(theme => theme.name === themeOptions.default),
+      ...themes.filter(theme => theme.name !== themeOptions.default)
+    ];
+
+    let summary = null;
+    const results = [];
+
+    for (const theme of orderedThemes) {
+      const { referenceTokens } = this.themeManager.buildThemeTokens(rawTokens, theme);
+      const result = await validator.validate(referenceTokens);
+      const isDefault = theme.name === themeOptions.default;
+
+      summary = summary || result.summary;
+      result.results.forEach(issue => {
+        if (results.some(existing => existing.message === issue.message)) return;
+        results.push(isDefault ? issue : { ...issue, theme: theme.name, message: `[${theme.name}] ${issue.message}` });
+      });
+    }
+
+    const errors = results.filter(issue => issue.severity === 'error').map(issue => issue.message);
+    const warnings = results.filter(issue => issue.severity === 'warn').map(issue => issue.message);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      warnings,
+      results,
+      summary: {
+        ...summary,
+        themes: themes.length,
+        errorCount: errors.length,
+        warningCount: warnings.length
+      }
+    };
   }
 
   /**
@@ -616,19 +1491,28 @@ export class TokenProcessor {
       await this.init();
     }
 
-    const tokensPath = path.resolve(this.config.tokens.input);
+    // Watch every source pattern so added/removed token files trigger a sync too
+    const tokenSources = [].concat(this.config.tokens.input);
 
-    console.log(`👀 Watching for changes: ${tokensPath}`);
+    console.log(`👀 Watching for changes: ${tokenSources.join(', ')}`);
 
-    this.watcher = chokidar.watch(tokensPath, {
-      ignored: this.config.watch.ignore,
+    this.watcher = chokidar.watch(tokenSources, {
+      ignored: this.config.watch?.ignore,
       persistent: true,
       ignoreInitial: true
     });
 
-    this.watcher.on('change', async (path) => {
-      console.log(`📝 Token file changed: ${path}`);
+    const eventLabels = { change: 'changed', add: 'added', unlink: 'removed' };
+    const handleChange = (event) => async (path) => {
+      console.log(`📝 Token file ${eventLabels[event]}: ${path}`);
       try {
+        // Editors and git checkouts touch files without changing them
+        if (event === 'change' && this.buildCache && this.config.cache?.enabled !== false &&
+          !await this.buildCache.hasInputChanges(this.sourceFiles)) {
+          console.log('⏭️ Token content unchanged - skipping sync');
+          return;
+        }
+
         // Clear cached tokens to force reload
         this.tokens = null;
         this.rawTokens = null;
@@ -636,7 +1520,7 @@ export class TokenProcessor {
 
         // Call optional callback
         if (onChange) {
-          onChange('change', path);
+          onChange(event, path);
         }
       } catch (error) {
         console.error('❌ Auto-sync failed:', error.message);
@@ -645,7 +1529,11 @@ export class TokenProcessor {
           onError(error);
         }
       }
-    });
+    };
+
+    this.watcher.on('change', handleChange('change'));
+    this.watcher.on('add', handleChange('add'));
+    this.watcher.on('unlink', handleChange('unlink'));
 
     this.watcher.on('error', (error) => {
       console.error('❌ Watch error:', error.message);
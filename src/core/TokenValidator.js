@@ -1,59 +1,317 @@
 import { loadConfig } from '../utils/config.js';
+import { isDTCGFormat, normalizeDTCGTokens } from '../utils/dtcg.js';
+import { isMathExpression } from '../utils/math.js';
+import { ReferenceResolver } from './ReferenceResolver.js';
+import { getDeprecation, isDeprecated } from '../utils/deprecation.js';
+import { ThemeManager } from './ThemeManager.js';
+import { parseColor } from '../utils/color.js';
+import { APCA_THRESHOLDS, WCAG_THRESHOLDS, getAPCAContrast, getContrastRatio, getLuminance } from '../utils/contrast.js';
+import { tokenPatternToRegExp } from '../utils/glob.js';
+import { CASE_PATTERNS, detectCase, isCase, splitWords, toCase } from '../utils/naming.js';
+import { normalizeTokenSetOrder } from '../utils/tokenSets.js';
+
+// Checked when `tokens.validation.contrast` is enabled without pairs; each text color
+// is paired with the background of the same role (`text.inverse` on `background.inverse`)
+// and, unless it is inverse text, with the default/primary background of its group
+const DEFAULT_CONTRAST_PAIRS = [
+  { foreground: '<group>.text.<role>', background: '<group>.background.<role>' },
+  { foreground: '<group>.text.*', background: '<group>.background.default', exclude: ['**.inverse'] },
+  { foreground: '<group>.text.*', background: '<group>.background.primary', exclude: ['**.inverse'] },
+  { foreground: '<group>.text', background: '<group>.background' },
+  { foreground: 'component.<component>.textColor', background: 'component.<component>.backgroundColor' }
+];
+
+// Inline suppressions live in `$extensions["design-tokens-sync"].disable`
+const EXTENSION_KEY = 'design-tokens-sync';
+
+const SEVERITIES = ['off', 'warn', 'error'];
 
 /**
  * Token validation engine
  * Validates design tokens structure, values, and consistency
  * Supports both flat format and Figma Token Studio format
+ *
+ * Checks are named lint rules with `error`, `warn` or `off` severities, configured in
+ * `tokens.validation.rules`; custom rules come from `tokens.validation.customRules`
  */
 export class TokenValidator {
   constructor(options = {}) {
     this.options = options;
     this.config = null;
+    this.rules = new Map();
+
+    this.registerBuiltInRules();
   }
 
   async init() {
     if (!this.config) {
       this.config = await loadConfig();
     }
+
+    Object.entries(this.getValidationConfig().customRules || {}).forEach(([id, rule]) => this.registerRule(id, rule));
+  }
+
+  /**
+   * Validation settings; a config passed to the constructor wins over the one found on disk
+   */
+  getValidationConfig() {
+    return this.options.tokens?.validation || this.config?.tokens?.validation || {};
+  }
+
+  registerBuiltInRules() {
+    const strict = () => this.options.strict ?? this.config?.tokens?.strict;
+    // Naming rules are on when their tokens.validation.naming setting is configured
+    const naming = (setting) => () => this.getValidationConfig().naming?.[setting] ? 'error' : 'off';
+
+    const rules = {
+      'structure': {
+        severity: 'warn',
+        description: 'No misspelled category names (colour, spacings...) or malformed $themes/$metadata',
+        check: (context) => this.validateStructure(context)
+      },
+      'required-categories': {
+        severity: 'error',
+        description: 'Categories listed in tokens.validation.required exist',
+        check: (context) => this.validateRequiredCategories(context)
+      },
+      'optional-categories': {
+        severity: 'warn',
+        description: 'Categories listed in tokens.validation.optional exist',
+        check: (context) => this.validateOptionalCategories(context)
+      },
+      'valid-color': {
+        severity: 'error',
+        description: 'Color tokens hold hex, rgb(), hsl() or named colors',
+        check: (context) => this.validateColors(context)
+      },
+      'color-shades': {
+        severity: 'warn',
+        description: 'Numeric color shades follow the 50-950 scale without gaps',
+        check: (context) => this.validateColorShades(context)
+      },
+      'valid-spacing': {
+        severity: 'error',
+        description: 'Spacing tokens hold CSS lengths',
+        check: (context) => this.validateSpacing(context)
+      },
+      'spacing-scale': {
+        severity: 'warn',
+        description: 'The spacing scale has the common steps',
+        check: (context) => this.validateSpacingScale(context)
+      },
+      'valid-typography': {
+        severity: 'error',
+        description: 'Font families are not empty and font sizes are CSS sizes',
+        check: (context) => this.validateTypography(context)
+      },
+      'typography-recommendations': {
+        severity: 'warn',
+        description: 'A sans-serif font family is defined and font names are usable',
+        check: (context) => this.validateTypographyRecommendations(context)
+      },
+      'no-duplicate-values': {
+        severity: 'warn',
+        description: 'Tokens reference each other instead of repeating a value',
+        check: (context) => this.validateConsistency(context)
+      },
+      'no-circular-references': {
+        severity: 'error',
+        description: 'References do not form cycles',
+        check: (context) => this.validateCircularReferences(context)
+      },
+      'no-unresolved-references': {
+        // Errors in strict mode
+        severity: () => strict() ? 'error' : 'warn',
+        description: 'Referenced tokens exist',
+        check: (context) => this.validateUnresolvedReferences(context)
+      },
+      'no-deprecated-references': {
+        severity: 'warn',
+        description: 'Tokens do not reference deprecated tokens',
+        check: (context) => this.validateDeprecatedReferences(context)
+      },
+      'contrast': {
+        // On when tokens.validation.contrast is configured
+        severity: () => this.getValidationConfig().contrast ? 'error' : 'off',
+        description: 'Foreground/background pairs meet WCAG contrast thresholds',
+        check: (context) => this.validateContrast(context)
+      },
+      'naming-pattern': {
+        severity: naming('patterns'),
+        description: 'Token paths match the pattern of their tier',
+        check: (context) => this.validateNamingPatterns(context)
+      },
+      'naming-case': {
+        severity: naming('case'),
+        description: 'Group and token names use the configured case',
+        check: (context) => this.validateNamingCase(context)
+      },
+      'naming-banned-words': {
+        severity: naming('bannedWords'),
+        description: 'Names do not contain banned words',
+        check: (context) => this.validateBannedWords(context)
+      },
+      'naming-max-depth': {
+        severity: naming('maxDepth'),
+        description: 'Token paths are not nested deeper than the maximum',
+        check: (context) => this.validateMaxDepth(context)
+      },
+      'naming-shades': {
+        severity: naming('shades'),
+        description: 'Color ramps have exactly the required shades',
+        check: (context) => this.validateShadeSets(context)
+      }
+    };
+
+    Object.entries(rules).forEach(([id, rule]) => this.registerRule(id, rule));
+  }
+
+  /**
+   * Register a lint rule: a check(context) function or { severity, description, check }
+   * check reports issues with context.report({ path, message, fix })
+   */
+  registerRule(id, rule) {
+    const definition = typeof rule === 'function' ? { check: rule } : rule;
+    if (!definition || typeof definition.check !== 'function') {
+      throw new Error(`Rule "${id}" must be a function or an object with a check function`);
+    }
+
+    this.rules.set(id, { severity: 'warn', description: '', ...definition });
+  }
+
+  /**
+   * Get a rule's severity and options
+   * `tokens.validation.rules[id]` is a severity ('off', 'warn', 'error') or [severity, options]
+   */
+  getRuleSetting(id) {
+    const rule = this.rules.get(id);
+    const configured = this.getValidationConfig().rules?.[id];
+    const [severity, options] = Array.isArray(configured) ? configured : [configured];
+
+    return {
+      severity: severity ?? (typeof rule.severity === 'function' ? rule.severity() : rule.severity),
+      options: options || {}
+    };
+  }
+
+  /**
+   * Check for an inline suppression on a token or any group above it:
+   * "$extensions": { "design-tokens-sync": { "disable": ["no-duplicate-values"] } }
+   * `"disable": true` turns off every rule
+   */
+  isSuppressed(trees, tokenPath, ruleId) {
+    if (!tokenPath) return false;
+
+    return trees.some(tree => {
+      let node = tree;
+      return tokenPath.split('.').some(segment => {
+        node = node && typeof node === 'object' ? node[segment] : undefined;
+        const disable = node?.$extensions?.[EXTENSION_KEY]?.disable;
+        return disable === true || (Array.isArray(disable) && disable.includes(ruleId));
+      });
+    });
+  }
+
+  /**
+   * Object entries without $-prefixed metadata ($extensions, $description...)
+   */
+  getEntries(obj) {
+    return Object.entries(obj || {}).filter(([key]) => !key.startsWith('$'));
+  }
+
+  /**
+   * Call callback(token, path) for every token (nodes with a value)
+   */
+  forEachToken(obj, callback, tokenPath = []) {
+    this.getEntries(obj).forEach(([key, value]) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+
+      if (this.getTokenValue(value) !== undefined) {
+        callback(value, [...tokenPath, key].join('.'));
+      } else {
+        this.forEachToken(value, callback, [...tokenPath, key]);
+      }
+    });
   }
 
   /**
    * Validate design tokens
+   * Returns { isValid, errors, warnings, results, summary }; results are
+   * { ruleId, severity, path, message, fix } and errors/warnings their messages
    */
   async validate(tokens) {
     await this.init();
 
-    const errors = [];
-    const warnings = [];
-    
-    // Validate structure
-    this.validateStructure(tokens, errors, warnings);
-    
-    // Validate required categories
-    this.validateRequiredCategories(tokens, errors, warnings);
-    
-    // Validate optional categories
-    this.validateOptionalCategories(tokens, errors, warnings);
-    
-    // Validate color values
-    this.validateColors(tokens, errors, warnings);
-    
-    // Validate spacing values
-    this.validateSpacing(tokens, errors, warnings);
-    
-    // Validate typography
-    this.validateTypography(tokens, errors, warnings);
-    
-    // Validate consistency
-    this.validateConsistency(tokens, errors, warnings);
+    // W3C DTCG files are validated in the internal value/type format
+    if (this.isDTCGFormat(tokens)) {
+      tokens = normalizeDTCGTokens(tokens);
+    }
+
+    if (!tokens || typeof tokens !== 'object') {
+      return this.createResult(tokens, [{ ruleId: 'structure', severity: 'error', path: null, message: 'Tokens must be an object', fix: null }]);
+    }
+
+    const unknown = Object.keys(this.getValidationConfig().rules || {}).filter(id => !this.rules.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown validation rule(s): ${unknown.join(', ')}`);
+    }
+
+    const extracted = this.isFigmaTokenStudioFormat(tokens) ? this.extractTokensFromFigmaFormat(tokens) : tokens;
+    const results = [];
+    let references = null;
+
+    this.rules.forEach((rule, id) => {
+      const { severity, options } = this.getRuleSetting(id);
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid severity "${severity}" for rule ${id} (use off, warn or error)`);
+      }
+      if (severity === 'off') return;
+
+      rule.check({
+        tokens,
+        // Category tree, with Token Studio core/semantic sets merged
+        extracted,
+        options,
+        getTokenValue: (token) => this.getTokenValue(token),
+        eachToken: (callback) => this.forEachToken(tokens, callback),
+        // ReferenceResolver that has resolved every token, with its check() result
+        getReferences: () => {
+          if (!references) {
+            const resolver = new ReferenceResolver(tokens);
+            references = { resolver, ...resolver.check() };
+          }
+          return references;
+        },
+        isSuppressed: (tokenPath) => this.isSuppressed([tokens, extracted], tokenPath, id),
+        // A report's severity can only lower the rule's (contrast warns below AAA)
+        report: ({ path = null, message, fix = null, severity: reported }) => {
+          if (this.isSuppressed([tokens, extracted], path, id)) return;
+          results.push({
+            ruleId: id,
+            severity: severity === 'warn' || reported === 'warn' ? 'warn' : 'error',
+            path,
+            message,
+            fix
+          });
+        }
+      });
+    });
+
+    return this.createResult(tokens, results);
+  }
+
+  createResult(tokens, results) {
+    const errors = results.filter(result => result.severity === 'error').map(result => result.message);
+    const warnings = results.filter(result => result.severity === 'warn').map(result => result.message);
 
     return {
       isValid: errors.length === 0,
       errors,
       warnings,
+      results,
       summary: {
-        totalCategories: this.countCategories(tokens),
-        validatedTokens: this.countTokens(tokens),
+        totalCategories: tokens && typeof tokens === 'object' ? this.countCategories(tokens) : 0,
+        validatedTokens: tokens && typeof tokens === 'object' ? this.countTokens(tokens) : 0,
         errorCount: errors.length,
         warningCount: warnings.length
       }
@@ -78,6 +336,13 @@ export class TokenValidator {
     ));
   }
 
+  /**
+   * Check if tokens are in W3C Design Tokens Community Group format ($value/$type)
+   */
+  isDTCGFormat(tokens) {
+    return isDTCGFormat(tokens);
+  }
+
   /**
    * Extract tokens from Figma Token Studio format
    */
@@ -139,26 +404,15 @@ export class TokenValidator {
   /**
    * Validate basic structure
    */
-  validateStructure(tokens, errors, warnings) {
-    if (!tokens || typeof tokens !== 'object') {
-      errors.push('Tokens must be an object');
-      return;
-    }
-
-    // Handle Figma Token Studio format
-    const isFigmaFormat = this.isFigmaTokenStudioFormat(tokens);
-    let tokensToValidate = tokens;
-    
-    if (isFigmaFormat) {
-      tokensToValidate = this.extractTokensFromFigmaFormat(tokens);
-      
-      // Validate Figma Token Studio specific structure
+  validateStructure({ tokens, extracted, report }) {
+    // Validate Figma Token Studio specific structure
+    if (this.isFigmaTokenStudioFormat(tokens)) {
       if (tokens.$themes && !Array.isArray(tokens.$themes)) {
-        warnings.push('$themes should be an array in Figma Token Studio format');
+        report({ path: '$themes', message: '$themes should be an array in Figma Token Studio format', fix: 'List the themes in a $themes array' });
       }
-      
+
       if (tokens.$metadata && typeof tokens.$metadata !== 'object') {
-        warnings.push('$metadata should be an object in Figma Token Studio format');
+        report({ path: '$metadata', message: '$metadata should be an object in Figma Token Studio format', fix: 'Make $metadata an object such as { "tokenSetOrder": [...] }' });
       }
     }
 
@@ -168,8 +422,9 @@ export class TokenValidator {
     // Check for common typos or incorrect structures
     const commonTypos = ['colour', 'color', 'spacings', 'typo', 'fonts'];
     commonTypos.forEach(typo => {
-      if (tokensToValidate[typo] && !tokensToValidate[this.getCorrectCategory(typo)]) {
-        warnings.push(`Found "${typo}" - did you mean "${this.getCorrectCategory(typo)}"?`);
+      const correct = this.getCorrectCategory(typo);
+      if (extracted[typo] && !extracted[correct]) {
+        report({ path: typo, message: `Found "${typo}" - did you mean "${correct}"?`, fix: `Rename "${typo}" to "${correct}"` });
       }
     });
   }
@@ -177,27 +432,22 @@ export class TokenValidator {
   /**
    * Validate required categories
    */
-  validateRequiredCategories(tokens, errors, warnings) {
+  validateRequiredCategories({ tokens, extracted, report }) {
     const required = this.config?.tokens?.validation?.required || ['colors'];
-    
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-    
+
     required.forEach(category => {
       // Handle nested category references like 'core.colors'
       const categoryPath = category.split('.');
-      
+
       // For Figma format, if the category looks like a nested path (e.g., 'core.colors'),
       // try both the original structure and the extracted structure
       let found = false;
-      
+
       if (this.isFigmaTokenStudioFormat(tokens) && categoryPath.length > 1) {
         // Try to find in original nested structure first
         let currentObject = tokens;
         let tempFound = true;
-        
+
         for (const segment of categoryPath) {
           if (!currentObject || !currentObject[segment]) {
             tempFound = false;
@@ -205,37 +455,44 @@ export class TokenValidator {
           }
           currentObject = currentObject[segment];
         }
-        
+
         if (tempFound && currentObject && typeof currentObject === 'object' && Object.keys(currentObject).length > 0) {
           found = true;
         }
       }
-      
+
       // If not found in nested structure or not a nested path, check extracted tokens
       if (!found) {
         // For simple category names (like 'colors'), check in extracted tokens
         const simpleCategoryName = categoryPath[categoryPath.length - 1];
-        if (tokensToValidate[simpleCategoryName] && 
-            typeof tokensToValidate[simpleCategoryName] === 'object' && 
-            Object.keys(tokensToValidate[simpleCategoryName]).length > 0) {
+        if (extracted[simpleCategoryName] &&
+            typeof extracted[simpleCategoryName] === 'object' &&
+            Object.keys(extracted[simpleCategoryName]).length > 0) {
           found = true;
         }
       }
-      
+
       if (!found) {
-        errors.push(`Missing required token category: ${category}`);
+        report({
+          message: `Missing required token category: ${category}`,
+          fix: `Add a "${category}" group or remove it from tokens.validation.required`
+        });
       }
     });
 
     // Specific color validation - check in extracted tokens
-    if (tokensToValidate.colors) {
-      const hasAnyColorCategory = Object.keys(tokensToValidate.colors).some(key => 
-        tokensToValidate.colors[key] && typeof tokensToValidate.colors[key] === 'object' && 
-        Object.keys(tokensToValidate.colors[key]).length > 0
+    if (extracted.colors) {
+      const hasAnyColorCategory = Object.keys(extracted.colors).some(key =>
+        extracted.colors[key] && typeof extracted.colors[key] === 'object' &&
+        Object.keys(extracted.colors[key]).length > 0
       );
-      
+
       if (!hasAnyColorCategory) {
-        errors.push(`Missing required color category: colors must contain at least one color group`);
+        report({
+          path: 'colors',
+          message: `Missing required color category: colors must contain at least one color group`,
+          fix: 'Group colors by name, e.g. colors.primary.500'
+        });
       }
     }
   }
@@ -243,17 +500,15 @@ export class TokenValidator {
   /**
    * Validate optional categories
    */
-  validateOptionalCategories(tokens, errors, warnings) {
+  validateOptionalCategories({ extracted, report }) {
     const optional = this.config?.tokens?.validation?.optional || ['spacing', 'typography', 'borderRadius'];
-    
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-    
+
     optional.forEach(category => {
-      if (!tokensToValidate[category]) {
-        warnings.push(`Optional token category not found: ${category}`);
+      if (!extracted[category]) {
+        report({
+          message: `Optional token category not found: ${category}`,
+          fix: `Add a "${category}" group or remove it from tokens.validation.optional`
+        });
       }
     });
   }
@@ -261,47 +516,69 @@ export class TokenValidator {
   /**
    * Validate color values
    */
-  validateColors(tokens, errors, warnings) {
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens)
-      ? this.extractTokensFromFigmaFormat(tokens)
-      : tokens;
+  validateColors({ extracted, report }) {
+    const fix = 'Use a hex, rgb(), hsl() or named color, or a {reference}';
+
+    // Validate core colors (shade-based structure like primary.500)
+    if (extracted.colors) {
+      this.getEntries(extracted.colors).forEach(([category, shades]) => {
+        if (!shades || typeof shades !== 'object') {
+          report({ path: `colors.${category}`, message: `Invalid color category structure: colors.${category}`, fix: 'Group color shades in an object, e.g. colors.primary.500' });
+          return;
+        }
 
-    // Validate core colors (shade-based structure)
-    if (tokensToValidate.colors) {
-      this.validateCoreColors(tokensToValidate.colors, errors, warnings);
+        this.getEntries(shades).forEach(([shade, tokenData]) => {
+          // Handle both Token Studio format {value, type} and simple string values
+          const value = this.getTokenValue(tokenData);
+
+          if (!this.isValidColor(value)) {
+            report({ path: `colors.${category}.${shade}`, message: `Invalid color value: colors.${category}.${shade} = "${value}"`, fix });
+          }
+        });
+      });
     }
 
-    // Validate semantic colors (semantic structure)
-    if (tokensToValidate.semanticColors) {
-      this.validateSemanticColors(tokensToValidate.semanticColors, errors, warnings);
+    // Validate semantic colors (semantic structure like text.primary)
+    if (extracted.semanticColors) {
+      const validateSemanticColorCategory = (obj, path = '') => {
+        this.getEntries(obj).forEach(([key, value]) => {
+          const currentPath = path ? `${path}.${key}` : key;
+
+          if (value && typeof value === 'object' && value.value !== undefined) {
+            // This is a semantic color token
+            const tokenValue = this.getTokenValue(value);
+            if (!this.isValidColor(tokenValue)) {
+              report({ path: `semantic.colors.${currentPath}`, message: `Invalid semantic color value: colors.${currentPath} = "${tokenValue}"`, fix });
+            }
+          } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            // This is a nested semantic category
+            validateSemanticColorCategory(value, currentPath);
+          }
+        });
+      };
+
+      validateSemanticColorCategory(extracted.semanticColors);
     }
   }
 
   /**
-   * Validate core colors (shade-based structure like primary.500)
+   * Validate numeric color shades (primary.500) against the 50-950 scale
    */
-  validateCoreColors(colors, errors, warnings) {
-    Object.entries(colors).forEach(([category, shades]) => {
-      if (!shades || typeof shades !== 'object') {
-        errors.push(`Invalid color category structure: colors.${category}`);
-        return;
-      }
+  validateColorShades({ extracted, report }) {
+    if (!extracted.colors) return;
 
-      Object.entries(shades).forEach(([shade, tokenData]) => {
-        // Handle both Token Studio format {value, type} and simple string values
-        const value = this.getTokenValue(tokenData);
+    this.getEntries(extracted.colors).forEach(([category, shades]) => {
+      if (!shades || typeof shades !== 'object') return;
 
-        if (!this.isValidColor(value)) {
-          errors.push(`Invalid color value: colors.${category}.${shade} = "${value}"`);
-        }
-
-        // Check for common shade inconsistencies
-        if (this.isNumericShade(shade)) {
-          const shadeNum = parseInt(shade);
-          if (shadeNum < 50 || shadeNum > 950 || shadeNum % 50 !== 0) {
-            warnings.push(`Unusual shade value: colors.${category}.${shade} (consider using 50, 100, 200... 900, 950)`);
-          }
+      // Check for common shade inconsistencies
+      Object.keys(shades).filter(shade => this.isNumericShade(shade)).forEach(shade => {
+        const shadeNum = parseInt(shade);
+        if (shadeNum < 50 || shadeNum > 950 || shadeNum % 50 !== 0) {
+          report({
+            path: `colors.${category}.${shade}`,
+            message: `Unusual shade value: colors.${category}.${shade} (consider using 50, 100, 200... 900, 950)`,
+            fix: 'Rename the shade to a step of the 50-950 scale'
+          });
         }
       });
 
@@ -311,151 +588,353 @@ export class TokenValidator {
         const commonShades = ['100', '200', '300', '400', '500', '600', '700', '800', '900'];
         const missingShades = commonShades.filter(shade => !shades[shade]);
         if (missingShades.length > 0) {
-          warnings.push(`Consider adding common shades to colors.${category}: ${missingShades.join(', ')}`);
+          report({
+            path: `colors.${category}`,
+            message: `Consider adding common shades to colors.${category}: ${missingShades.join(', ')}`,
+            fix: `Add colors.${category}.${missingShades.join(`, colors.${category}.`)}`
+          });
         }
       }
     });
   }
 
   /**
-   * Validate semantic colors (semantic structure like text.primary)
+   * Validate that tokens are not circular references
    */
-  validateSemanticColors(colors, errors, warnings) {
-    const validateSemanticColorCategory = (obj, path = '') => {
-      Object.entries(obj).forEach(([key, value]) => {
-        const currentPath = path ? `${path}.${key}` : key;
+  validateCircularReferences({ tokens, getReferences, report }) {
+    // Themed sources are validated per theme, where set names are merged away
+    if (Array.isArray(tokens.$themes)) return;
 
-        if (value && typeof value === 'object' && value.value !== undefined) {
-          // This is a semantic color token
-          const tokenValue = this.getTokenValue(value);
-          if (!this.isValidColor(tokenValue)) {
-            errors.push(`Invalid semantic color value: colors.${currentPath} = "${tokenValue}"`);
-          }
-        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
-          // This is a nested semantic category
-          validateSemanticColorCategory(value, currentPath);
+    getReferences().cycles.forEach(({ path, message }) => {
+      report({ path, message, fix: 'Give one token in the cycle a value instead of a reference' });
+    });
+  }
+
+  /**
+   * Validate that referenced tokens exist
+   */
+  validateUnresolvedReferences({ tokens, getReferences, report }) {
+    if (Array.isArray(tokens.$themes)) return;
+
+    getReferences().unresolved.forEach(({ path, reference, message }) => {
+      report({ path, message, fix: `Define {${reference}} or point the reference at an existing token` });
+    });
+  }
+
+  /**
+   * Warn about tokens referencing deprecated tokens (deprecated tokens may still
+   * reference each other while they are phased out)
+   */
+  validateDeprecatedReferences({ tokens, getReferences, report }) {
+    if (Array.isArray(tokens.$themes)) return;
+
+    const { resolver } = getReferences();
+    resolver.dependencies.forEach((references, tokenPath) => {
+      if (isDeprecated(resolver.getToken(tokenPath))) return;
+
+      references.forEach(reference => {
+        const deprecation = getDeprecation(resolver.getToken(reference), reference);
+        if (deprecation) {
+          report({
+            path: tokenPath,
+            message: `${tokenPath} references deprecated token {${reference}}${deprecation.message ? ` (${deprecation.message})` : ''}`,
+            fix: deprecation.replacement ? `Reference {${deprecation.replacement}} instead` : 'Reference a token that is not deprecated'
+          });
         }
       });
+    });
+  }
+
+  /**
+   * Validate WCAG 2.1 (and optionally APCA) contrast of foreground/background color pairs
+   * configured in `tokens.validation.contrast`, overridden by the rule's options;
+   * Token Studio $themes are checked per theme
+   */
+  validateContrast({ tokens, options: ruleOptions, report }) {
+    const contrast = this.getValidationConfig().contrast;
+    const options = { ...(contrast && contrast !== true ? contrast : {}), ...ruleOptions };
+    const pairs = options.pairs || DEFAULT_CONTRAST_PAIRS;
+
+    if (Array.isArray(tokens.$themes)) {
+      const themeManager = new ThemeManager();
+      themeManager.getThemes(tokens).forEach(theme => {
+        const { referenceTokens } = themeManager.buildThemeTokens(tokens, theme);
+        this.checkContrastPairs(referenceTokens, pairs, options, `[${theme.name}] `, report);
+      });
+      return;
+    }
+
+    this.checkContrastPairs(tokens, pairs, options, '', report);
+  }
+
+  checkContrastPairs(tokens, pairs, options, prefix, report) {
+    const resolver = new ReferenceResolver(tokens);
+    const colors = [];
+
+    resolver.getTokenPaths().forEach(tokenPath => {
+      try {
+        const color = parseColor(resolver.resolve(tokenPath));
+        if (color) colors.push({ path: tokenPath, color });
+      } catch (error) {
+        // Broken references are reported by their own rules
+      }
+    });
+
+    const match = (pattern, exclude = []) => {
+      const regex = tokenPatternToRegExp(pattern);
+      const excluded = [].concat(exclude).map(tokenPatternToRegExp);
+      return colors.flatMap(token => {
+        const result = regex.exec(token.path);
+        if (!result || excluded.some(excludedPattern => excludedPattern.test(token.path))) return [];
+        return [{ ...token, groups: result.groups || {} }];
+      });
     };
+    // Pairs matched by more than one pattern with the same settings are checked once
+    const checked = new Set();
+
+    pairs.forEach(pair => {
+      // Pair settings override the global ones; null turns a level off
+      const setting = (name, fallback) => [pair[name], options[name], fallback].find(value => value !== undefined);
+      const size = setting('size', 'normal');
+      const errorLevel = setting('error', 'AA');
+      const warningLevel = setting('warning', null);
+      const apca = setting('apca', false);
+      const backgrounds = match(pair.background, pair.exclude);
 
-    validateSemanticColorCategory(colors);
+      match(pair.foreground, pair.exclude).forEach(foreground => {
+        backgrounds
+          // Placeholders used in both patterns must capture the same segments
+          .filter(background => Object.entries(foreground.groups)
+            .every(([name, value]) => background.groups[name] === undefined || background.groups[name] === value))
+          .forEach(background => {
+            if (foreground.path === background.path) return;
+            const key = JSON.stringify([foreground.path, background.path, size, errorLevel, warningLevel, apca]);
+            if (checked.has(key)) return;
+            checked.add(key);
+
+            const label = `${prefix}${foreground.path} on ${background.path}`;
+            const ratio = getContrastRatio(foreground.color, background.color);
+            const failed = [errorLevel, warningLevel].find(level => level && ratio < WCAG_THRESHOLDS[level][size]);
+            const fix = getLuminance(foreground.color) < getLuminance(background.color)
+              ? `Darken ${foreground.path} or lighten ${background.path}`
+              : `Lighten ${foreground.path} or darken ${background.path}`;
+
+            if (failed) {
+              report({
+                path: foreground.path,
+                message: `Insufficient contrast: ${label} is ${ratio.toFixed(2)}:1 (WCAG ${failed} needs ${WCAG_THRESHOLDS[failed][size]}:1 for ${size} text)`,
+                fix,
+                severity: failed === errorLevel ? 'error' : 'warn'
+              });
+            }
+
+            // APCA is a draft for WCAG 3, so it only warns
+            if (apca) {
+              const minimum = typeof apca === 'number' ? apca : APCA_THRESHOLDS[size];
+              const lc = Math.abs(getAPCAContrast(foreground.color, background.color));
+              if (lc < minimum) {
+                report({
+                  path: foreground.path,
+                  message: `Low APCA contrast: ${label} is Lc ${lc.toFixed(1)} (needs Lc ${minimum})`,
+                  fix,
+                  severity: 'warn'
+                });
+              }
+            }
+          });
+      });
+    });
   }
 
   /**
    * Validate spacing values
    */
-  validateSpacing(tokens, errors, warnings) {
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-      
-    if (!tokensToValidate.spacing) return;
+  validateSpacing({ extracted, report }) {
+    if (!extracted.spacing) return;
 
-    Object.entries(tokensToValidate.spacing).forEach(([key, tokenData]) => {
+    this.getEntries(extracted.spacing).forEach(([key, tokenData]) => {
       const value = this.getTokenValue(tokenData);
-      
+
       if (!this.isValidSpacing(value)) {
-        errors.push(`Invalid spacing value: spacing.${key} = "${value}"`);
+        report({
+          path: `spacing.${key}`,
+          message: `Invalid spacing value: spacing.${key} = "${value}"`,
+          fix: 'Use a CSS length such as 16px or 1rem, a math expression or a {reference}'
+        });
       }
     });
+  }
+
+  /**
+   * Validate that the spacing scale has the common steps
+   */
+  validateSpacingScale({ extracted, report }) {
+    if (!extracted.spacing) return;
 
-    // Check for common spacing values
     const commonSpacing = ['0', '1', '2', '4', '8', '16'];
-    const missingSpacing = commonSpacing.filter(spacing => !tokensToValidate.spacing[spacing]);
+    const missingSpacing = commonSpacing.filter(spacing => !extracted.spacing[spacing]);
     if (missingSpacing.length > 0) {
-      warnings.push(`Consider adding common spacing values: ${missingSpacing.join(', ')}`);
+      report({
+        path: 'spacing',
+        message: `Consider adding common spacing values: ${missingSpacing.join(', ')}`,
+        fix: `Add spacing.${missingSpacing.join(', spacing.')}`
+      });
     }
   }
 
   /**
    * Validate typography
    */
-  validateTypography(tokens, errors, warnings) {
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
-      
-    if (!tokensToValidate.typography) return;
-
-    // Check required typography categories
-    const requiredTypo = ['fontFamily'];
-    requiredTypo.forEach(category => {
-      if (!tokensToValidate.typography[category]) {
-        warnings.push(`Missing typography category: typography.${category}`);
-      }
-    });
+  validateTypography({ extracted, report }) {
+    if (!extracted.typography) return;
 
     // Validate font families
-    if (tokensToValidate.typography.fontFamily) {
-      Object.entries(tokensToValidate.typography.fontFamily).forEach(([key, tokenData]) => {
+    if (extracted.typography.fontFamily) {
+      this.getEntries(extracted.typography.fontFamily).forEach(([key, tokenData]) => {
         const value = this.getTokenValue(tokenData);
-        
+        const path = `typography.fontFamily.${key}`;
+
         // Handle both string and array font family values
         if (Array.isArray(value)) {
           if (value.length === 0) {
-            errors.push(`Empty font family array: typography.fontFamily.${key}`);
-          } else {
-            // Check each font in the array
-            const invalidFonts = value.filter(font => !this.isValidFontFamily(font));
-            if (invalidFonts.length > 0) {
-              warnings.push(`Invalid fonts in family: typography.fontFamily.${key} = [${invalidFonts.join(', ')}]`);
-            }
+            report({ path, message: `Empty font family array: ${path}`, fix: 'List at least one font name' });
           }
         } else if (typeof value === 'string') {
           if (value.trim().length === 0) {
-            errors.push(`Empty font family: typography.fontFamily.${key}`);
-          } else {
-            // Check for valid CSS font family syntax
-            if (!this.isValidFontFamily(value)) {
-              warnings.push(`Font family may need quotes: typography.fontFamily.${key} = "${value}"`);
-            }
+            report({ path, message: `Empty font family: ${path}`, fix: 'Give the font family a value' });
           }
         } else if (value !== undefined && value !== null) {
-          errors.push(`Invalid font family type: typography.fontFamily.${key} = "${value}" (expected string or array)`);
+          report({ path, message: `Invalid font family type: ${path} = "${value}" (expected string or array)`, fix: 'Use a string or an array of font names' });
         }
       });
-      
-      // Check for recommended font families
-      if (!tokensToValidate.typography.fontFamily.sans && !tokensToValidate.typography.fontFamily.primary) {
-        warnings.push('Consider adding a sans-serif font family (typography.fontFamily.sans or typography.fontFamily.primary)');
-      }
     }
 
     // Validate font sizes
-    if (tokensToValidate.typography.fontSize) {
-      Object.entries(tokensToValidate.typography.fontSize).forEach(([key, tokenData]) => {
+    if (extracted.typography.fontSize) {
+      this.getEntries(extracted.typography.fontSize).forEach(([key, tokenData]) => {
         const value = this.getTokenValue(tokenData);
         if (!this.isValidSize(value)) {
-          errors.push(`Invalid font size: typography.fontSize.${key} = "${value}"`);
+          report({
+            path: `typography.fontSize.${key}`,
+            message: `Invalid font size: typography.fontSize.${key} = "${value}"`,
+            fix: 'Use a CSS size such as 16px or 1rem, a math expression or a {reference}'
+          });
         }
       });
     }
   }
 
+  /**
+   * Typography recommendations: font families defined, font names usable, a sans-serif family
+   */
+  validateTypographyRecommendations({ extracted, report }) {
+    if (!extracted.typography) return;
+
+    // Check required typography categories
+    const requiredTypo = ['fontFamily'];
+    requiredTypo.forEach(category => {
+      if (!extracted.typography[category]) {
+        report({ path: `typography.${category}`, message: `Missing typography category: typography.${category}`, fix: `Add typography.${category} tokens` });
+      }
+    });
+
+    if (!extracted.typography.fontFamily) return;
+
+    this.getEntries(extracted.typography.fontFamily).forEach(([key, tokenData]) => {
+      const value = this.getTokenValue(tokenData);
+      const path = `typography.fontFamily.${key}`;
+
+      if (Array.isArray(value) && value.length > 0) {
+        // Check each font in the array
+        const invalidFonts = value.filter(font => !this.isValidFontFamily(font));
+        if (invalidFonts.length > 0) {
+          report({ path, message: `Invalid fonts in family: ${path} = [${invalidFonts.join(', ')}]`, fix: 'Remove empty or non-string font names' });
+        }
+      } else if (typeof value === 'string' && value.trim().length > 0 && !this.isValidFontFamily(value)) {
+        // Check for valid CSS font family syntax
+        report({ path, message: `Font family may need quotes: ${path} = "${value}"`, fix: 'Quote font names that contain spaces' });
+      }
+    });
+
+    // Check for recommended font families
+    if (!extracted.typography.fontFamily.sans && !extracted.typography.fontFamily.primary) {
+      report({
+        path: 'typography.fontFamily',
+        message: 'Consider adding a sans-serif font family (typography.fontFamily.sans or typography.fontFamily.primary)',
+        fix: 'Add typography.fontFamily.sans'
+      });
+    }
+  }
+
   /**
    * Validate token consistency
+   * Values are compared across the real token tree so reports carry token paths and
+   * locations; references and tokens that suppress the rule are left out. Token Studio
+   * sets of themed sources are compared by their paths without the set name, which is
+   * how they reference each other
    */
-  validateConsistency(tokens, errors, warnings) {
-    // Extract tokens if in Figma format
-    const tokensToValidate = this.isFigmaTokenStudioFormat(tokens) 
-      ? this.extractTokensFromFigmaFormat(tokens) 
-      : tokens;
+  validateConsistency({ tokens, isSuppressed, report }) {
+    const resolver = new ReferenceResolver(tokens);
+    const sets = Array.isArray(tokens.$themes) ? new ThemeManager().getTokenSetOrder(tokens) : [null];
+
+    const allValues = sets.flatMap(setName => {
+      const tree = setName ? tokens[setName] : tokens;
+      return this.collectValues(tree).map(entry => ({
+        ...entry,
+        reference: entry.path,
+        path: setName ? `${setName}.${entry.path}` : entry.path
+      }));
+    });
+
+    // Find duplicates
+    const valueCounts = {};
+    allValues
+      .filter(({ path }) => !isSuppressed(path))
+      // Aliases that share a reference are not repeated values
+      .filter(({ path }) => resolver.collectReferences(this.getTokenValue(resolver.getToken(path))).length === 0)
+      .forEach(({ path, reference, value, modifier }) => {
+        const key = modifier ? `${value} ${modifier}` : value;
+        if (!valueCounts[key]) {
+          valueCounts[key] = { value, tokens: [] };
+        }
+        // A set overriding a token of another set is not a duplicate
+        if (!valueCounts[key].tokens.some(token => token.reference === reference)) {
+          valueCounts[key].tokens.push({ path, reference });
+        }
+      });
 
-    // Collect all values to check for duplicates
+    Object.values(valueCounts).forEach(({ value, tokens: duplicates }) => {
+      if (duplicates.length > 1 && value !== '0' && value !== 'transparent') {
+        report({
+          path: duplicates[1].path,
+          message: `Duplicate value "${value}" found in: ${duplicates.map(token => token.path).join(', ')}`,
+          fix: `Reference {${duplicates[0].reference}} instead of repeating the value`
+        });
+      }
+    });
+  }
+
+  /**
+   * Every token value as { path, value, modifier, type }, also used by `dts find`
+   * Composite values are JSON strings and color modifiers (JSON) make values distinct
+   */
+  collectValues(tokens) {
     const allValues = [];
-    
+
     const collectValues = (obj, path = '') => {
-      Object.entries(obj).forEach(([key, value]) => {
+      this.getEntries(obj).forEach(([key, value]) => {
         const currentPath = path ? `${path}.${key}` : key;
-        
+
         if (value && typeof value === 'object') {
           if (this.getTokenValue(value) !== undefined) {
             // This is a token
+            const tokenValue = this.getTokenValue(value);
+            const modifier = value.$extensions?.['studio.tokens']?.modify;
             allValues.push({
               path: currentPath,
-              value: this.getTokenValue(value)
+              value: typeof tokenValue === 'object' ? JSON.stringify(tokenValue) : tokenValue,
+              modifier: modifier ? JSON.stringify(modifier) : null,
+              type: value.type ?? value.$type
             });
           } else {
             // This is a nested object
@@ -471,21 +950,173 @@ export class TokenValidator {
       });
     };
 
-    collectValues(tokensToValidate);
+    collectValues(tokens);
+    return allValues;
+  }
 
-    // Find duplicates
-    const valueCounts = {};
-    allValues.forEach(({ path, value }) => {
-      if (!valueCounts[value]) {
-        valueCounts[value] = [];
+  /**
+   * Naming settings from `tokens.validation.naming`, overridden by the rule's options
+   */
+  getNamingOptions(options) {
+    return { ...(this.getValidationConfig().naming || {}), ...options };
+  }
+
+  /**
+   * Every group and token as { path, segments, node, isToken }
+   * Token Studio set names (from $metadata.tokenSetOrder) are not names to check
+   */
+  getNamingNodes(tokens, node = tokens, segments = []) {
+    const sets = segments.length === 0 ? normalizeTokenSetOrder(tokens.$metadata?.tokenSetOrder) : [];
+
+    return this.getEntries(node).flatMap(([key, value]) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return [];
+
+      const nodeSegments = [...segments, key];
+      const isToken = this.getTokenValue(value) !== undefined;
+      const entry = { path: nodeSegments.join('.'), segments: nodeSegments, node: value, isToken, isSet: sets.includes(key) };
+      return isToken ? [entry] : [entry, ...this.getNamingNodes(tokens, value, nodeSegments)];
+    });
+  }
+
+  /**
+   * Validate token paths against a regex per tier (first path segment):
+   * `patterns: { semantic: "^semantic\\.(color|spacing)\\.[a-z]+(\\.(hover|active))?$", "*": ... }`
+   */
+  validateNamingPatterns({ tokens, options, report }) {
+    const { patterns } = this.getNamingOptions(options);
+    if (!patterns) return;
+
+    const regexes = new Map();
+
+    this.getNamingNodes(tokens).filter(node => node.isToken).forEach(({ path, segments }) => {
+      const tier = patterns[segments[0]] !== undefined ? segments[0] : '*';
+      if (patterns[tier] === undefined) return;
+
+      if (!regexes.has(tier)) {
+        regexes.set(tier, [].concat(patterns[tier]).map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern)));
       }
-      valueCounts[value].push(path);
+      if (regexes.get(tier).some(regex => regex.test(path))) return;
+
+      report({
+        path,
+        message: `Token path does not match the ${tier === '*' ? 'default' : tier} naming pattern: ${path}`,
+        fix: `Rename to match ${regexes.get(tier).map(String).join(' or ')}`
+      });
     });
+  }
+
+  /**
+   * Validate the case of every group and token name
+   */
+  validateNamingCase({ tokens, options, report }) {
+    const { case: casing } = this.getNamingOptions(options);
+    if (!casing) return;
+    if (!CASE_PATTERNS[casing]) {
+      throw new Error(`Unknown naming case "${casing}" (use ${Object.keys(CASE_PATTERNS).join(', ')})`);
+    }
 
-    Object.entries(valueCounts).forEach(([value, paths]) => {
-      if (paths.length > 1 && value !== '0' && value !== 'transparent') {
-        warnings.push(`Duplicate value "${value}" found in: ${paths.join(', ')}`);
+    this.getNamingNodes(tokens).forEach(({ path, segments, isSet }) => {
+      const name = segments[segments.length - 1];
+      if (isSet || isCase(name, casing)) return;
+
+      report({
+        path,
+        message: `"${name}" is not ${casing} case: ${path}`,
+        fix: `Rename to ${[...segments.slice(0, -1), toCase(name, casing)].join('.')}`
+      });
+    });
+  }
+
+  /**
+   * Validate that names do not contain banned words
+   * `bannedWords` is a list, or an object mapping each word to its replacement (or null)
+   */
+  validateBannedWords({ tokens, options, report }) {
+    const { bannedWords, case: casing } = this.getNamingOptions(options);
+    if (!bannedWords) return;
+
+    const replacements = Array.isArray(bannedWords)
+      ? Object.fromEntries(bannedWords.map(word => [word.toLowerCase(), null]))
+      : Object.fromEntries(Object.entries(bannedWords).map(([word, replacement]) => [word.toLowerCase(), replacement]));
+
+    this.getNamingNodes(tokens).forEach(({ path, segments, isSet }) => {
+      if (isSet) return;
+
+      const name = segments[segments.length - 1];
+      const words = splitWords(name);
+
+      words.filter(word => Object.hasOwn(replacements, word)).forEach(word => {
+        const replacement = replacements[word];
+        const renamed = words.flatMap(current => current === word ? splitWords(replacement || '') : [current]);
+        const suggestion = renamed.length > 0
+          ? `Rename to ${[...segments.slice(0, -1), toCase(renamed.join(' '), casing || detectCase(name))].join('.')}`
+          : `Rename ${path} without "${word}"`;
+
+        report({ path, message: `Banned word "${word}" in ${path}`, fix: suggestion });
+      });
+    });
+  }
+
+  /**
+   * Validate that token paths are at most `maxDepth` segments long
+   */
+  validateMaxDepth({ tokens, options, report }) {
+    const { maxDepth, case: casing } = this.getNamingOptions(options);
+    if (!maxDepth) return;
+
+    this.getNamingNodes(tokens).filter(node => node.isToken).forEach(({ path, segments }) => {
+      if (segments.length <= maxDepth) return;
+
+      // Suggest joining the extra segments into the token name
+      const kept = segments.slice(0, maxDepth - 1);
+      const joined = toCase(segments.slice(maxDepth - 1).join(' '), casing || detectCase(segments[segments.length - 1]));
+      report({
+        path,
+        message: `Token path is ${segments.length} levels deep (max ${maxDepth}): ${path}`,
+        fix: `Flatten to ${[...kept, joined].join('.')}`
+      });
+    });
+  }
+
+  /**
+   * Validate that color ramps (groups of numeric shades) have exactly the required shades
+   * `shades` is a list for every ramp, or an object of token path patterns to lists
+   */
+  validateShadeSets({ tokens, options, report }) {
+    const { shades } = this.getNamingOptions(options);
+    if (!shades) return;
+
+    const ramps = Object.entries(Array.isArray(shades) ? { '**': shades } : shades)
+      .map(([pattern, required]) => ({ regex: tokenPatternToRegExp(pattern), required: required.map(String) }));
+
+    this.getNamingNodes(tokens).filter(node => !node.isToken).forEach(({ path, node }) => {
+      const entries = this.getEntries(node);
+      const isRamp = entries.length > 0 && entries.every(([shade, token]) =>
+        this.isNumericShade(shade) && token && typeof token === 'object' &&
+        (token.type === 'color' || this.isValidColor(this.getTokenValue(token)))
+      );
+      const ramp = isRamp && ramps.find(({ regex }) => regex.test(path));
+      if (!ramp) return;
+
+      const present = entries.map(([shade]) => shade);
+      const missing = ramp.required.filter(shade => !present.includes(shade));
+      if (missing.length > 0) {
+        report({
+          path,
+          message: `Color ramp ${path} is missing shades: ${missing.join(', ')}`,
+          fix: `Add ${missing.map(shade => `${path}.${shade}`).join(', ')}`
+        });
       }
+
+      present.filter(shade => !ramp.required.includes(shade)).forEach(shade => {
+        // The closest missing shade is the likely intended name
+        const closest = [...missing].sort((a, b) => Math.abs(a - shade) - Math.abs(b - shade))[0];
+        report({
+          path: `${path}.${shade}`,
+          message: `Shade ${path}.${shade} is not in the scale (${ramp.required.join(', ')})`,
+          fix: closest ? `Rename to ${path}.${closest}` : `Remove ${path}.${shade}`
+        });
+      });
     });
   }
 
@@ -495,7 +1126,7 @@ export class TokenValidator {
   getTokenValue(tokenData) {
     if (tokenData && typeof tokenData === 'object') {
       // Token Studio format: {value: "...", type: "..."}
-      return tokenData.value || tokenData.$value;
+      return tokenData.value ?? tokenData.$value;
     }
     // Direct value
     return tokenData;
@@ -545,6 +1176,9 @@ export class TokenValidator {
     // Zero
     if (value === '0') return true;
     
+    // Math expressions ({spacing.base} * 2, roundTo(14.6px))
+    if (isMathExpression(value)) return true;
+    
     // Token references
     if (value.startsWith('{') && value.endsWith('}')) return true;
     
@@ -557,6 +1191,9 @@ export class TokenValidator {
     // CSS size units
     if (/^[\d.]+([a-z%]+)?$/i.test(value)) return true;
     
+    // Math expressions ({spacing.base} * 2, roundTo(14.6px))
+    if (isMathExpression(value)) return true;
+    
     // Token references
     if (value.startsWith('{') && value.endsWith('}')) return true;
     
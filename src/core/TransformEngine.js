@@ -1,3 +1,8 @@
+import { toPixels } from '../utils/composite.js';
+
+// Token property each transform type changes
+const TRANSFORMED_PROPERTIES = { value: 'value', name: 'name', attribute: 'attributes' };
+
 /**
  * Transform Engine - Style Dictionary-like token transformations
  * Provides custom transforms, filters, and advanced token processing
@@ -7,9 +12,11 @@ export class TransformEngine {
     this.options = options;
     this.transforms = new Map();
     this.filters = new Map();
+    this.transformGroups = new Map();
 
     // Register built-in transforms
     this.registerBuiltInTransforms();
+    this.registerBuiltInTransformGroups();
   }
 
   /**
@@ -23,6 +30,7 @@ export class TransformEngine {
       transformer: (token) => {
         // Ensure hex format
         const value = token.value;
+        if (typeof value !== 'string') return value;
         if (value.startsWith('#')) return value;
         if (value.startsWith('rgb')) return value; // Keep rgb/hsl as-is for CSS
         return value;
@@ -41,7 +49,7 @@ export class TransformEngine {
     // Size transforms
     this.registerTransform('size/rem', {
       type: 'value',
-      matcher: (token) => ['spacing', 'sizing', 'borderRadius'].includes(token.type),
+      matcher: (token) => ['spacing', 'sizing', 'borderRadius', 'dimension'].includes(token.type),
       transformer: (token) => {
         const value = token.value;
         if (typeof value === 'string' && value.endsWith('px')) {
@@ -52,6 +60,18 @@ export class TransformEngine {
       }
     });
 
+    // Native platforms take plain numbers (points on iOS, dp on Android)
+    this.registerTransform('size/unitless', {
+      type: 'value',
+      matcher: (token) => ['spacing', 'sizing', 'borderRadius', 'dimension', 'fontSizes'].includes(token.type),
+      transformer: (token) => {
+        const value = token.value;
+        if (typeof value !== 'string') return value;
+        const pixels = toPixels(value);
+        return pixels === undefined ? value : String(pixels);
+      }
+    });
+
     // Typography transforms
     this.registerTransform('typography/css/shorthand', {
       type: 'value',
@@ -72,13 +92,55 @@ export class TransformEngine {
     });
   }
 
+  /**
+   * Register built-in transform groups (one per platform, Style Dictionary style)
+   */
+  registerBuiltInTransformGroups() {
+    this.registerTransformGroup('web', ['color/hex', 'size/rem']);
+    this.registerTransformGroup('scss', ['color/hex', 'size/rem']);
+    this.registerTransformGroup('js', ['color/hex']);
+    this.registerTransformGroup('ios', ['color/hex', 'size/unitless']);
+    this.registerTransformGroup('android', ['color/hex', 'size/unitless']);
+    this.registerTransformGroup('compose', ['color/hex', 'size/unitless']);
+    this.registerTransformGroup('flutter', ['color/hex', 'size/unitless']);
+    this.registerTransformGroup('react-native', ['color/hex', 'size/unitless']);
+  }
+
+  /**
+   * Register a named list of transforms
+   */
+  registerTransformGroup(name, transformNames) {
+    this.transformGroups.set(name, transformNames);
+  }
+
+  /**
+   * Get the transforms of a transform group
+   */
+  getTransformGroup(name) {
+    const transformNames = this.transformGroups.get(name);
+    if (!transformNames) {
+      throw new Error(`Unknown transform group "${name}". Available: ${[...this.transformGroups.keys()].join(', ')}`);
+    }
+    return transformNames;
+  }
+
   /**
    * Register a custom transform
+   * transform: { type: value|name|attribute, matcher?, transformer }
+   * Attribute transformers return an object merged into the token's attributes
    */
   registerTransform(name, transform) {
     this.transforms.set(name, transform);
   }
 
+  /**
+   * Get a transform from a registered name or an inline definition
+   */
+  getTransform(transform) {
+    if (typeof transform === 'string') return this.transforms.get(transform);
+    return transform && typeof transform.transformer === 'function' ? transform : null;
+  }
+
   /**
    * Register a custom filter
    */
@@ -109,26 +171,18 @@ export class TransformEngine {
               name: currentPath.join('.'),
               value: value.value,
               type: value.type,
-              path: currentPath
+              path: currentPath,
+              attributes: value.attributes || {}
             };
 
-            // Apply transforms
-            let transformedToken = { ...token };
-            for (const transformName of transformNames) {
-              const transform = this.transforms.get(transformName);
-              if (transform && (!transform.matcher || transform.matcher(transformedToken))) {
-                if (transform.type === 'value') {
-                  transformedToken.value = transform.transformer(transformedToken);
-                } else if (transform.type === 'name') {
-                  transformedToken.name = transform.transformer(transformedToken);
-                }
-              }
-            }
+            const transformedToken = this.transformToken(token, transformNames);
 
-            // Update the token
+            // Update the token, keeping renamed tokens and attributes for formats
             obj[key] = {
               ...value,
-              value: transformedToken.value
+              value: transformedToken.value,
+              ...(transformedToken.name !== token.name && { name: transformedToken.name }),
+              ...(Object.keys(transformedToken.attributes).length > 0 && { attributes: transformedToken.attributes })
             };
           } else {
             // Recurse into nested objects
@@ -142,6 +196,44 @@ export class TransformEngine {
     return transformedTokens;
   }
 
+  /**
+   * Run transforms over a single token ({ name, value, type, path, attributes })
+   * When steps is an array, each transform that matched is recorded in it as
+   * { transform, type, before, after }
+   */
+  transformToken(token, transformNames, steps = null) {
+    const transformedToken = { ...token };
+
+    for (const transformName of transformNames) {
+      const transform = this.getTransform(transformName);
+      if (!transform || (transform.matcher && !transform.matcher(transformedToken))) continue;
+
+      const property = TRANSFORMED_PROPERTIES[transform.type];
+      if (!property) continue;
+      const before = transformedToken[property];
+
+      if (transform.type === 'value') {
+        transformedToken.value = transform.transformer(transformedToken);
+      } else if (transform.type === 'name') {
+        transformedToken.name = transform.transformer(transformedToken);
+      } else {
+        transformedToken.attributes = {
+          ...transformedToken.attributes,
+          ...transform.transformer(transformedToken)
+        };
+      }
+
+      steps?.push({
+        transform: typeof transformName === 'string' ? transformName : transformName.name,
+        type: property,
+        before,
+        after: transformedToken[property]
+      });
+    }
+
+    return transformedToken;
+  }
+
   /**
    * Apply filters to tokens
    */
@@ -167,7 +259,7 @@ export class TransformEngine {
             // Check if token passes all filters
             let passesFilters = true;
             for (const filterName of filterNames) {
-              const filter = this.filters.get(filterName);
+              const filter = this.getFilter(filterName);
               if (filter && !filter(token)) {
                 passesFilters = false;
                 break;
@@ -175,18 +267,14 @@ export class TransformEngine {
             }
 
             if (passesFilters) {
-              // Add to result
-              let current = result;
-              for (let i = 0; i < currentPath.length - 1; i++) {
-                if (!current[currentPath[i]]) current[currentPath[i]] = {};
-                current = current[currentPath[i]];
-              }
-              current[key] = value;
+              // Add to result (result is already the parent group)
+              result[key] = value;
             }
-          } else {
-            // Recurse into nested objects
-            if (!result[key]) result[key] = {};
-            processTokens(value, result[key], currentPath);
+          } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            // Recurse into nested objects, dropping groups left empty
+            const group = {};
+            processTokens(value, group, currentPath);
+            if (Object.keys(group).length > 0) result[key] = group;
           }
         }
       }
@@ -196,6 +284,20 @@ export class TransformEngine {
     return filteredTokens;
   }
 
+  /**
+   * Get a filter function from a registered name, a function, a named definition
+   * ({ name, filter }) or an object whose properties must all match the token ({ type: 'color' })
+   */
+  getFilter(filter) {
+    if (typeof filter === 'function') return filter;
+    if (typeof filter === 'string') return this.filters.get(filter);
+    if (typeof filter?.filter === 'function') return filter.filter;
+    if (filter && typeof filter === 'object') {
+      return (token) => Object.entries(filter).every(([key, value]) => token[key] === value);
+    }
+    return null;
+  }
+
   /**
    * Advanced token composition (Style Dictionary style)
    */
@@ -221,15 +323,7 @@ export class TransformEngine {
    * Create platform-specific token sets
    */
   createPlatformTokens(tokens, platform) {
-    const platformTransforms = {
-      web: ['color/hex', 'size/rem'],
-      ios: ['color/hex', 'size/rem'],
-      android: ['color/hex', 'size/rem'],
-      react: ['color/hex', 'size/rem'],
-      flutter: ['color/hex', 'size/rem']
-    };
-
-    const transforms = platformTransforms[platform] || [];
+    const transforms = this.transformGroups.get(platform) || [];
     return this.applyTransforms(tokens, transforms);
   }
 }
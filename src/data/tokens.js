@@ -5,36 +5,38 @@
 export const tokens = {
   "colors": {
     "primary": {
-      "50": "#F8FEFF",
-      "100": "#F0F9FF",
-      "200": "#E5F5FF",
-      "300": "#C3E7FF",
-      "400": "#C1E4FB",
-      "500": "#0F3340",
-      "600": "#0F1F40",
-      "700": "#0074A5",
-      "800": "#556A7D",
-      "900": "#475A66"
+      "50": "#F7E9F2",
+      "100": "#F0D3E6",
+      "200": "#E8BDD9",
+      "300": "#E0A7CD",
+      "400": "#D991C1",
+      "500": "#673391",
+      "600": "#76479B",
+      "700": "#835AA5",
+      "800": "#926EB0",
+      "900": "#4F286F"
     },
-    "gray": {
-      "50": "#FFFFFF",
-      "100": "#FAFAFA",
-      "200": "#F3F8FC",
-      "300": "#F0F6FA",
-      "400": "#FAFDFF",
-      "500": "#E7EDF0",
-      "600": "#909BAA",
-      "700": "#757575",
-      "800": "#708497",
-      "900": "#000000"
+    "accent": {
+      "50": "#F7E9F2",
+      "100": "#F0D3E6",
+      "200": "#E8BDD9",
+      "300": "#E0A7CD",
+      "400": "#D991C1",
+      "500": "#B22382",
+      "600": "#BA398F",
+      "700": "#C965A7",
+      "800": "#7A1057",
+      "900": "#7A1057"
     },
     "success": {
       "50": "#E6F4EC",
-      "100": "#2D8659"
+      "100": "#2D8659",
+      "200": "#51A037",
+      "300": "#3E7D2B"
     },
     "warning": {
-      "50": "#E0F5FF",
-      "100": "#0074A5"
+      "50": "#FFF8E1",
+      "100": "#FF9800"
     },
     "error": {
       "50": "#FCF0EE",
@@ -42,51 +44,24 @@ export const tokens = {
       "200": "#FAEDED",
       "300": "#A22F2F"
     },
-    "info": {
-      "50": "#F9ECF3",
-      "100": "#7C3A60"
-    },
     "neutral": {
-      "50": "#FFF1DF",
-      "100": "#AC732B",
-      "200": "#F7EFE4",
-      "300": "#7A5E3A"
-    },
-    "text": {
-      "primary": "#0F3340",
-      "secondary": "#757575",
-      "tertiary": "#909BAA",
-      "inverse": "#FFFFFF",
-      "muted": "#708497"
-    },
-    "background": {
-      "primary": "#F8FEFF",
-      "secondary": "#FFFFFF",
-      "tertiary": "#F3F8FC",
-      "inverse": "#0F3340"
-    },
-    "border": {
-      "default": "#E7EDF0",
-      "hover": "#C1E4FB",
-      "focus": "#0F3340",
-      "light": "#E7EDF0"
-    },
-    "brand": {
-      "primary": "#0F3340",
-      "secondary": "#0F1F40",
-      "tertiary": "#E5F5FF"
+      "50": "#FFFFFF",
+      "100": "#FAFAFA",
+      "200": "#F3F8FC",
+      "300": "#F0F6FA",
+      "400": "#FAFDFF",
+      "500": "#E7EDF0",
+      "600": "#909BAA",
+      "700": "#757575",
+      "800": "#708497",
+      "900": "#000000"
     },
-    "feedback": {
+    "status": {
       "success": "#2D8659",
-      "success-bg": "#E6F4EC",
-      "warning": "#0074A5",
-      "warning-bg": "#E0F5FF",
+      "warning": "#FF9800",
       "error": "#CA7373",
-      "error-bg": "#FCF0EE",
-      "info": "#7C3A60",
-      "info-bg": "#F9ECF3",
-      "neutral": "#AC732B",
-      "neutral-bg": "#FFF1DF"
+      "info": "#BA398F",
+      "verified": "#51A037"
     }
   },
   "spacing": {
@@ -106,9 +81,13 @@ export const tokens = {
   },
   "typography": {
     "fontFamily": {
-      "sans": [
-        "Helvetica Neue",
-        "Inter",
+      "primary": [
+        "Roboto",
+        "system-ui",
+        "sans-serif"
+      ],
+      "secondary": [
+        "DM Sans",
         "system-ui",
         "sans-serif"
       ],
@@ -200,96 +179,189 @@ export const tokens = {
   "semantic": {
     "colors": {
       "text": {
-        "primary": "#0F3340",
+        "primary": "#673391",
         "secondary": "#757575",
         "tertiary": "#909BAA",
         "inverse": "#FFFFFF",
-        "muted": "#708497"
+        "muted": "#708497",
+        "success": "#2D8659",
+        "warning": "#FF9800",
+        "error": "#CA7373"
       },
       "background": {
-        "primary": "#F8FEFF",
+        "primary": "#F7E9F2",
         "secondary": "#FFFFFF",
         "tertiary": "#F3F8FC",
-        "inverse": "#0F3340"
+        "inverse": "#673391",
+        "surface": "#FFFFFF",
+        "overlay": "rgba(0, 0, 0, 0.75)"
       },
       "border": {
         "default": "#E7EDF0",
-        "hover": "#C1E4FB",
-        "focus": "#0F3340",
-        "light": "#E7EDF0"
+        "hover": "#D991C1",
+        "focus": "#673391",
+        "light": "#E7EDF0",
+        "success": "#51A037",
+        "error": "#CA7373"
       },
       "brand": {
-        "primary": "#0F3340",
-        "secondary": "#0F1F40",
-        "tertiary": "#E5F5FF"
+        "primary": "#673391",
+        "secondary": "#76479B",
+        "tertiary": "#E8BDD9",
+        "accent": "#B22382"
       },
-      "feedback": {
-        "success": "#2D8659",
-        "success-bg": "#E6F4EC",
-        "warning": "#0074A5",
-        "warning-bg": "#E0F5FF",
-        "error": "#CA7373",
-        "error-bg": "#FCF0EE",
-        "info": "#7C3A60",
-        "info-bg": "#F9ECF3",
-        "neutral": "#AC732B",
-        "neutral-bg": "#FFF1DF"
+      "status": {
+        "success": {
+          "background": "#E6F4EC",
+          "text": "#2D8659",
+          "border": "#51A037"
+        },
+        "warning": {
+          "background": "#FFF8E1",
+          "text": "#FF9800"
+        },
+        "error": {
+          "background": "#FCF0EE",
+          "text": "#CA7373",
+          "border": "#A22F2F"
+        },
+        "info": {
+          "background": "#F7E9F2",
+          "text": "#C965A7"
+        },
+        "verified": {
+          "background": "#51A037",
+          "text": "#FFFFFF"
+        }
       }
     }
   },
   "component": {
     "button": {
       "primary": {
-        "backgroundColor": "#0F3340",
+        "backgroundColor": "#673391",
         "textColor": "#FFFFFF",
         "borderRadius": "0.375rem",
         "padding": "0.75rem 1.5rem",
-        "fontWeight": "500"
+        "fontWeight": "500",
+        "fontSize": "1.125rem"
       },
       "secondary": {
         "backgroundColor": "transparent",
-        "textColor": "#0F3340",
-        "borderColor": "#0F3340",
+        "textColor": "#673391",
+        "borderColor": "#673391",
         "borderRadius": "0.375rem",
-        "padding": "0.75rem"
+        "padding": "0.75rem 1.5rem"
       },
-      "gradient": {
-        "backgroundColor": "linear-gradient(180deg, #FFFFFF 0%, #F6FCFF 100%)",
-        "borderColor": "#E7EDF0",
-        "textColor": "#0F3340",
-        "borderRadius": "0.75rem",
-        "padding": "0.75rem"
+      "success": {
+        "backgroundColor": "#51A037",
+        "textColor": "#FFFFFF",
+        "borderRadius": "9999px",
+        "padding": "0.75rem 0.75rem"
+      },
+      "destructive": {
+        "backgroundColor": "#CA7373",
+        "textColor": "#FFFFFF",
+        "borderRadius": "0.375rem",
+        "padding": "0.75rem 1.5rem"
       }
     },
     "card": {
-      "backgroundColor": "#FFFFFF",
-      "borderColor": "#E7EDF0",
-      "borderRadius": "0.75rem",
-      "padding": "1.5rem",
-      "shadow": "0px 1px 3px 0px rgba(0, 0, 0, 0.1), 0px 1px 2px -1px rgba(0, 0, 0, 0.1)"
+      "default": {
+        "backgroundColor": "#FFFFFF",
+        "borderColor": "#E7EDF0",
+        "borderRadius": "0.75rem",
+        "padding": "1.5rem",
+        "shadow": "0px 1px 3px 0px rgba(0, 0, 0, 0.1), 0px 1px 2px -1px rgba(0, 0, 0, 0.1)"
+      },
+      "account": {
+        "backgroundColor": "#FFFFFF",
+        "borderColor": "#51A037",
+        "borderRadius": "0.5rem",
+        "padding": "1rem",
+        "shadow": "0px 1px 2px 0px rgba(0, 0, 0, 0.06), 0px 1px 3px 0px rgba(0, 0, 0, 0.1)"
+      },
+      "otp": {
+        "backgroundColor": "#FAFAFA",
+        "borderColor": "#E7EDF0",
+        "borderRadius": "0.75rem",
+        "padding": "1.5rem"
+      }
     },
     "input": {
-      "backgroundColor": "#FFFFFF",
-      "borderColor": "#E7EDF0",
-      "borderRadius": "0.5rem",
-      "padding": "0.75rem 1rem",
-      "fontSize": "1rem"
+      "default": {
+        "backgroundColor": "#FFFFFF",
+        "borderColor": "#E7EDF0",
+        "borderRadius": "0.5rem",
+        "padding": "0.75rem 1rem",
+        "fontSize": "1rem",
+        "color": "#673391"
+      },
+      "focus": {
+        "borderColor": "#673391"
+      },
+      "error": {
+        "borderColor": "#CA7373"
+      }
     },
     "navbar": {
       "backgroundColor": "#FFFFFF",
       "borderColor": "#E7EDF0",
-      "activeBackground": "#F0F9FF",
+      "activeBackground": "#F0D3E6",
       "activeBorder": "#E7EDF0",
       "iconColor": "#708497",
-      "activeIconColor": "#0F3340"
+      "activeIconColor": "#673391"
     },
-    "table": {
-      "headerBackground": "linear-gradient(180deg, #FFFFFF 0%, #F0F9FF 100%)",
-      "headerText": "#556A7D",
-      "rowBackground": "#FFFFFF",
-      "alternateRowBackground": "#F3F8FC",
-      "borderColor": "#E7EDF0",
-      "textColor": "#000000"
+    "text": {
+      "heading1": {
+        "fontFamily": "Roboto,system-ui,sans-serif",
+        "fontSize": "3rem",
+        "fontWeight": "700",
+        "lineHeight": "1.22",
+        "color": "#673391"
+      },
+      "heading2": {
+        "fontFamily": "Roboto,system-ui,sans-serif",
+        "fontSize": "2.25rem",
+        "fontWeight": "600",
+        "lineHeight": "1.22",
+        "color": "#673391"
+      },
+      "heading3": {
+        "fontFamily": "Roboto,system-ui,sans-serif",
+        "fontSize": "1.875rem",
+        "fontWeight": "600",
+        "lineHeight": "1.22",
+        "color": "#673391"
+      },
+      "body": {
+        "fontFamily": "Roboto,system-ui,sans-serif",
+        "fontSize": "1rem",
+        "fontWeight": "400",
+        "lineHeight": "1.5",
+        "color": "#673391"
+      },
+      "bodySecondary": {
+        "fontFamily": "Roboto,system-ui,sans-serif",
+        "fontSize": "0.875rem",
+        "fontWeight": "400",
+        "lineHeight": "1.5",
+        "color": "#757575"
+      },
+      "caption": {
+        "fontFamily": "DM Sans,system-ui,sans-serif",
+        "fontSize": "0.75rem",
+        "fontWeight": "500",
+        "lineHeight": "1.5",
+        "color": "#909BAA"
+      },
+      "success": {
+        "fontFamily": "Roboto,system-ui,sans-serif",
+        "fontSize": "0.875rem",
+        "fontWeight": "500",
+        "lineHeight": "1.5",
+        "color": "#2D8659"
+      }
     },
     "status": {
       "active": {
@@ -297,28 +369,50 @@ export const tokens = {
         "textColor": "#2D8659"
       },
       "pending": {
-        "backgroundColor": "#E0F5FF",
-        "textColor": "#0074A5"
+        "backgroundColor": "#FFF8E1",
+        "textColor": "#FF9800"
       },
       "rejected": {
         "backgroundColor": "#FCF0EE",
         "textColor": "#CA7373"
       },
       "revoked": {
-        "backgroundColor": "#F9ECF3",
-        "textColor": "#7C3A60"
+        "backgroundColor": "#F7E9F2",
+        "textColor": "#C965A7"
       },
       "paused": {
-        "backgroundColor": "#FFF1DF",
-        "textColor": "#AC732B"
+        "backgroundColor": "#F3F8FC",
+        "textColor": "#757575"
       },
       "failed": {
-        "backgroundColor": "#FAEDED",
+        "backgroundColor": "#FCF0EE",
         "textColor": "#A22F2F"
       },
       "expired": {
-        "backgroundColor": "#F7EFE4",
-        "textColor": "#7A5E3A"
+        "backgroundColor": "#F3F8FC",
+        "textColor": "#757575"
+      },
+      "verified": {
+        "backgroundColor": "#51A037",
+        "textColor": "#FFFFFF"
+      }
+    },
+    "consent": {
+      "card": {
+        "backgroundColor": "#FAFAFA",
+        "borderRadius": "0.5rem",
+        "padding": "1rem",
+        "borderColor": "#673391"
+      },
+      "title": {
+        "fontSize": "1.125rem",
+        "fontWeight": "600",
+        "color": "#673391"
+      },
+      "description": {
+        "fontSize": "0.875rem",
+        "fontWeight": "400",
+        "color": "#757575"
       }
     }
   },
@@ -347,85 +441,85 @@ export const tokens = {
       "colors": {
         "primary": {
           "50": {
-            "value": "#F8FEFF",
+            "value": "#F7E9F2",
             "type": "color"
           },
           "100": {
-            "value": "#F0F9FF",
+            "value": "#F0D3E6",
             "type": "color"
           },
           "200": {
-            "value": "#E5F5FF",
+            "value": "#E8BDD9",
             "type": "color"
           },
           "300": {
-            "value": "#C3E7FF",
+            "value": "#E0A7CD",
             "type": "color"
           },
           "400": {
-            "value": "#C1E4FB",
+            "value": "#D991C1",
             "type": "color"
           },
           "500": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "600": {
-            "value": "#0F1F40",
+            "value": "#76479B",
             "type": "color"
           },
           "700": {
-            "value": "#0074A5",
+            "value": "#835AA5",
             "type": "color"
           },
           "800": {
-            "value": "#556A7D",
+            "value": "#926EB0",
             "type": "color"
           },
           "900": {
-            "value": "#475A66",
+            "value": "#4F286F",
             "type": "color"
           }
         },
-        "gray": {
+        "accent": {
           "50": {
-            "value": "#FFFFFF",
+            "value": "#F7E9F2",
             "type": "color"
           },
           "100": {
-            "value": "#FAFAFA",
+            "value": "#F0D3E6",
             "type": "color"
           },
           "200": {
-            "value": "#F3F8FC",
+            "value": "#E8BDD9",
             "type": "color"
           },
           "300": {
-            "value": "#F0F6FA",
+            "value": "#E0A7CD",
             "type": "color"
           },
           "400": {
-            "value": "#FAFDFF",
+            "value": "#D991C1",
             "type": "color"
           },
           "500": {
-            "value": "#E7EDF0",
+            "value": "#B22382",
             "type": "color"
           },
           "600": {
-            "value": "#909BAA",
+            "value": "#BA398F",
             "type": "color"
           },
           "700": {
-            "value": "#757575",
+            "value": "#C965A7",
             "type": "color"
           },
           "800": {
-            "value": "#708497",
+            "value": "#7A1057",
             "type": "color"
           },
           "900": {
-            "value": "#000000",
+            "value": "#7A1057",
             "type": "color"
           }
         },
@@ -437,15 +531,23 @@ export const tokens = {
           "100": {
             "value": "#2D8659",
             "type": "color"
+          },
+          "200": {
+            "value": "#51A037",
+            "type": "color"
+          },
+          "300": {
+            "value": "#3E7D2B",
+            "type": "color"
           }
         },
         "warning": {
           "50": {
-            "value": "#E0F5FF",
+            "value": "#FFF8E1",
             "type": "color"
           },
           "100": {
-            "value": "#0074A5",
+            "value": "#FF9800",
             "type": "color"
           }
         },
@@ -467,145 +569,67 @@ export const tokens = {
             "type": "color"
           }
         },
-        "info": {
-          "50": {
-            "value": "#F9ECF3",
-            "type": "color"
-          },
-          "100": {
-            "value": "#7C3A60",
-            "type": "color"
-          }
-        },
         "neutral": {
           "50": {
-            "value": "#FFF1DF",
+            "value": "#FFFFFF",
             "type": "color"
           },
           "100": {
-            "value": "#AC732B",
+            "value": "#FAFAFA",
             "type": "color"
           },
           "200": {
-            "value": "#F7EFE4",
+            "value": "#F3F8FC",
             "type": "color"
           },
           "300": {
-            "value": "#7A5E3A",
-            "type": "color"
-          }
-        },
-        "text": {
-          "primary": {
-            "value": "#0F3340",
-            "type": "color"
-          },
-          "secondary": {
-            "value": "#757575",
-            "type": "color"
-          },
-          "tertiary": {
-            "value": "#909BAA",
-            "type": "color"
-          },
-          "inverse": {
-            "value": "#FFFFFF",
-            "type": "color"
-          },
-          "muted": {
-            "value": "#708497",
-            "type": "color"
-          }
-        },
-        "background": {
-          "primary": {
-            "value": "#F8FEFF",
-            "type": "color"
-          },
-          "secondary": {
-            "value": "#FFFFFF",
+            "value": "#F0F6FA",
             "type": "color"
           },
-          "tertiary": {
-            "value": "#F3F8FC",
+          "400": {
+            "value": "#FAFDFF",
             "type": "color"
           },
-          "inverse": {
-            "value": "#0F3340",
-            "type": "color"
-          }
-        },
-        "border": {
-          "default": {
+          "500": {
             "value": "#E7EDF0",
             "type": "color"
           },
-          "hover": {
-            "value": "#C1E4FB",
-            "type": "color"
-          },
-          "focus": {
-            "value": "#0F3340",
+          "600": {
+            "value": "#909BAA",
             "type": "color"
           },
-          "light": {
-            "value": "#E7EDF0",
-            "type": "color"
-          }
-        },
-        "brand": {
-          "primary": {
-            "value": "#0F3340",
+          "700": {
+            "value": "#757575",
             "type": "color"
           },
-          "secondary": {
-            "value": "#0F1F40",
+          "800": {
+            "value": "#708497",
             "type": "color"
           },
-          "tertiary": {
-            "value": "#E5F5FF",
+          "900": {
+            "value": "#000000",
             "type": "color"
           }
         },
-        "feedback": {
+        "status": {
           "success": {
             "value": "#2D8659",
             "type": "color"
           },
-          "success-bg": {
-            "value": "#E6F4EC",
-            "type": "color"
-          },
           "warning": {
-            "value": "#0074A5",
-            "type": "color"
-          },
-          "warning-bg": {
-            "value": "#E0F5FF",
+            "value": "#FF9800",
             "type": "color"
           },
           "error": {
             "value": "#CA7373",
             "type": "color"
           },
-          "error-bg": {
-            "value": "#FCF0EE",
-            "type": "color"
-          },
           "info": {
-            "value": "#7C3A60",
-            "type": "color"
-          },
-          "info-bg": {
-            "value": "#F9ECF3",
-            "type": "color"
-          },
-          "neutral": {
-            "value": "#AC732B",
+            "value": "#BA398F",
             "type": "color"
           },
-          "neutral-bg": {
-            "value": "#FFF1DF",
+          "verified": {
+            "value": "#51A037",
             "type": "color"
           }
         }
@@ -666,10 +690,17 @@ export const tokens = {
       },
       "typography": {
         "fontFamily": {
-          "sans": {
+          "primary": {
+            "value": [
+              "Roboto",
+              "system-ui",
+              "sans-serif"
+            ],
+            "type": "fontFamilies"
+          },
+          "secondary": {
             "value": [
-              "Helvetica Neue",
-              "Inter",
+              "DM Sans",
               "system-ui",
               "sans-serif"
             ],
@@ -817,7 +848,7 @@ export const tokens = {
       "colors": {
         "text": {
           "primary": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "secondary": {
@@ -835,11 +866,23 @@ export const tokens = {
           "muted": {
             "value": "#708497",
             "type": "color"
+          },
+          "success": {
+            "value": "#2D8659",
+            "type": "color"
+          },
+          "warning": {
+            "value": "#FF9800",
+            "type": "color"
+          },
+          "error": {
+            "value": "#CA7373",
+            "type": "color"
           }
         },
         "background": {
           "primary": {
-            "value": "#F8FEFF",
+            "value": "#F7E9F2",
             "type": "color"
           },
           "secondary": {
@@ -851,7 +894,15 @@ export const tokens = {
             "type": "color"
           },
           "inverse": {
-            "value": "#0F3340",
+            "value": "#673391",
+            "type": "color"
+          },
+          "surface": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "overlay": {
+            "value": "rgba(0, 0, 0, 0.75)",
             "type": "color"
           }
         },
@@ -861,72 +912,102 @@ export const tokens = {
             "type": "color"
           },
           "hover": {
-            "value": "#C1E4FB",
+            "value": "#D991C1",
             "type": "color"
           },
           "focus": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "light": {
             "value": "#E7EDF0",
             "type": "color"
+          },
+          "success": {
+            "value": "#51A037",
+            "type": "color"
+          },
+          "error": {
+            "value": "#CA7373",
+            "type": "color"
           }
         },
         "brand": {
           "primary": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "secondary": {
-            "value": "#0F1F40",
+            "value": "#76479B",
             "type": "color"
           },
           "tertiary": {
-            "value": "#E5F5FF",
+            "value": "#E8BDD9",
+            "type": "color"
+          },
+          "accent": {
+            "value": "#B22382",
             "type": "color"
           }
         },
-        "feedback": {
+        "status": {
           "success": {
-            "value": "#2D8659",
-            "type": "color"
-          },
-          "success-bg": {
-            "value": "#E6F4EC",
-            "type": "color"
+            "background": {
+              "value": "#E6F4EC",
+              "type": "color"
+            },
+            "text": {
+              "value": "#2D8659",
+              "type": "color"
+            },
+            "border": {
+              "value": "#51A037",
+              "type": "color"
+            }
           },
           "warning": {
-            "value": "#0074A5",
-            "type": "color"
-          },
-          "warning-bg": {
-            "value": "#E0F5FF",
-            "type": "color"
+            "background": {
+              "value": "#FFF8E1",
+              "type": "color"
+            },
+            "text": {
+              "value": "#FF9800",
+              "type": "color"
+            }
           },
           "error": {
-            "value": "#CA7373",
-            "type": "color"
-          },
-          "error-bg": {
-            "value": "#FCF0EE",
-            "type": "color"
+            "background": {
+              "value": "#FCF0EE",
+              "type": "color"
+            },
+            "text": {
+              "value": "#CA7373",
+              "type": "color"
+            },
+            "border": {
+              "value": "#A22F2F",
+              "type": "color"
+            }
           },
           "info": {
-            "value": "#7C3A60",
-            "type": "color"
-          },
-          "info-bg": {
-            "value": "#F9ECF3",
-            "type": "color"
-          },
-          "neutral": {
-            "value": "#AC732B",
-            "type": "color"
-          },
-          "neutral-bg": {
-            "value": "#FFF1DF",
-            "type": "color"
+            "background": {
+              "value": "#F7E9F2",
+              "type": "color"
+            },
+            "text": {
+              "value": "#C965A7",
+              "type": "color"
+            }
+          },
+          "verified": {
+            "background": {
+              "value": "#51A037",
+              "type": "color"
+            },
+            "text": {
+              "value": "#FFFFFF",
+              "type": "color"
+            }
           }
         }
       }
@@ -935,7 +1016,7 @@ export const tokens = {
       "button": {
         "primary": {
           "backgroundColor": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "textColor": {
@@ -953,6 +1034,10 @@ export const tokens = {
           "fontWeight": {
             "value": "500",
             "type": "fontWeights"
+          },
+          "fontSize": {
+            "value": "1.125rem",
+            "type": "fontSizes"
           }
         },
         "secondary": {
@@ -961,11 +1046,11 @@ export const tokens = {
             "type": "color"
           },
           "textColor": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "borderColor": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "borderRadius": {
@@ -973,75 +1058,149 @@ export const tokens = {
             "type": "borderRadius"
           },
           "padding": {
-            "value": "0.75rem",
+            "value": "0.75rem 1.5rem",
             "type": "spacing"
           }
         },
-        "gradient": {
+        "success": {
           "backgroundColor": {
-            "value": "linear-gradient(180deg, #FFFFFF 0%, #F6FCFF 100%)",
-            "type": "color"
-          },
-          "borderColor": {
-            "value": "#E7EDF0",
+            "value": "#51A037",
             "type": "color"
           },
           "textColor": {
-            "value": "#0F3340",
+            "value": "#FFFFFF",
             "type": "color"
           },
           "borderRadius": {
-            "value": "0.75rem",
+            "value": "9999px",
             "type": "borderRadius"
           },
           "padding": {
-            "value": "0.75rem",
+            "value": "0.75rem 0.75rem",
             "type": "spacing"
           }
-        }
-      },
-      "card": {
-        "backgroundColor": {
-          "value": "#FFFFFF",
-          "type": "color"
         },
-        "borderColor": {
-          "value": "#E7EDF0",
-          "type": "color"
-        },
-        "borderRadius": {
-          "value": "0.75rem",
-          "type": "borderRadius"
+        "destructive": {
+          "backgroundColor": {
+            "value": "#CA7373",
+            "type": "color"
+          },
+          "textColor": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.375rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "0.75rem 1.5rem",
+            "type": "spacing"
+          }
+        }
+      },
+      "card": {
+        "default": {
+          "backgroundColor": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "borderColor": {
+            "value": "#E7EDF0",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.75rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "1.5rem",
+            "type": "spacing"
+          },
+          "shadow": {
+            "value": "0px 1px 3px 0px rgba(0, 0, 0, 0.1), 0px 1px 2px -1px rgba(0, 0, 0, 0.1)",
+            "type": "boxShadow"
+          }
         },
-        "padding": {
-          "value": "1.5rem",
-          "type": "spacing"
+        "account": {
+          "backgroundColor": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "borderColor": {
+            "value": "#51A037",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.5rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "1rem",
+            "type": "spacing"
+          },
+          "shadow": {
+            "value": "0px 1px 2px 0px rgba(0, 0, 0, 0.06), 0px 1px 3px 0px rgba(0, 0, 0, 0.1)",
+            "type": "boxShadow"
+          }
         },
-        "shadow": {
-          "value": "0px 1px 3px 0px rgba(0, 0, 0, 0.1), 0px 1px 2px -1px rgba(0, 0, 0, 0.1)",
-          "type": "boxShadow"
+        "otp": {
+          "backgroundColor": {
+            "value": "#FAFAFA",
+            "type": "color"
+          },
+          "borderColor": {
+            "value": "#E7EDF0",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.75rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "1.5rem",
+            "type": "spacing"
+          }
         }
       },
       "input": {
-        "backgroundColor": {
-          "value": "#FFFFFF",
-          "type": "color"
-        },
-        "borderColor": {
-          "value": "#E7EDF0",
-          "type": "color"
-        },
-        "borderRadius": {
-          "value": "0.5rem",
-          "type": "borderRadius"
+        "default": {
+          "backgroundColor": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "borderColor": {
+            "value": "#E7EDF0",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.5rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "0.75rem 1rem",
+            "type": "spacing"
+          },
+          "fontSize": {
+            "value": "1rem",
+            "type": "fontSizes"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "padding": {
-          "value": "0.75rem 1rem",
-          "type": "spacing"
+        "focus": {
+          "borderColor": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "fontSize": {
-          "value": "1rem",
-          "type": "fontSizes"
+        "error": {
+          "borderColor": {
+            "value": "#CA7373",
+            "type": "color"
+          }
         }
       },
       "navbar": {
@@ -1054,7 +1213,7 @@ export const tokens = {
           "type": "color"
         },
         "activeBackground": {
-          "value": "#F0F9FF",
+          "value": "#F0D3E6",
           "type": "color"
         },
         "activeBorder": {
@@ -1066,34 +1225,164 @@ export const tokens = {
           "type": "color"
         },
         "activeIconColor": {
-          "value": "#0F3340",
+          "value": "#673391",
           "type": "color"
         }
       },
-      "table": {
-        "headerBackground": {
-          "value": "linear-gradient(180deg, #FFFFFF 0%, #F0F9FF 100%)",
-          "type": "color"
+      "text": {
+        "heading1": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "3rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "700",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.22",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "headerText": {
-          "value": "#556A7D",
-          "type": "color"
+        "heading2": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "2.25rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "600",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.22",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "rowBackground": {
-          "value": "#FFFFFF",
-          "type": "color"
+        "heading3": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "1.875rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "600",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.22",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "alternateRowBackground": {
-          "value": "#F3F8FC",
-          "type": "color"
+        "body": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "1rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "400",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.5",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "borderColor": {
-          "value": "#E7EDF0",
-          "type": "color"
+        "bodySecondary": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "0.875rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "400",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.5",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#757575",
+            "type": "color"
+          }
         },
-        "textColor": {
-          "value": "#000000",
-          "type": "color"
+        "caption": {
+          "fontFamily": {
+            "value": "DM Sans,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "0.75rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "500",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.5",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#909BAA",
+            "type": "color"
+          }
+        },
+        "success": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "0.875rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "500",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.5",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#2D8659",
+            "type": "color"
+          }
         }
       },
       "status": {
@@ -1109,11 +1398,11 @@ export const tokens = {
         },
         "pending": {
           "backgroundColor": {
-            "value": "#E0F5FF",
+            "value": "#FFF8E1",
             "type": "color"
           },
           "textColor": {
-            "value": "#0074A5",
+            "value": "#FF9800",
             "type": "color"
           }
         },
@@ -1129,41 +1418,99 @@ export const tokens = {
         },
         "revoked": {
           "backgroundColor": {
-            "value": "#F9ECF3",
+            "value": "#F7E9F2",
             "type": "color"
           },
           "textColor": {
-            "value": "#7C3A60",
+            "value": "#C965A7",
             "type": "color"
           }
         },
         "paused": {
           "backgroundColor": {
-            "value": "#FFF1DF",
+            "value": "#F3F8FC",
             "type": "color"
           },
           "textColor": {
-            "value": "#AC732B",
+            "value": "#757575",
             "type": "color"
           }
         },
         "failed": {
           "backgroundColor": {
-            "value": "#FAEDED",
+            "value": "#FCF0EE",
+            "type": "color"
+          },
+          "textColor": {
+            "value": "#A22F2F",
+            "type": "color"
+          }
+        },
+        "expired": {
+          "backgroundColor": {
+            "value": "#F3F8FC",
             "type": "color"
           },
-          "textColor": {
-            "value": "#A22F2F",
+          "textColor": {
+            "value": "#757575",
+            "type": "color"
+          }
+        },
+        "verified": {
+          "backgroundColor": {
+            "value": "#51A037",
+            "type": "color"
+          },
+          "textColor": {
+            "value": "#FFFFFF",
+            "type": "color"
+          }
+        }
+      },
+      "consent": {
+        "card": {
+          "backgroundColor": {
+            "value": "#FAFAFA",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.5rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "1rem",
+            "type": "spacing"
+          },
+          "borderColor": {
+            "value": "#673391",
+            "type": "color"
+          }
+        },
+        "title": {
+          "fontSize": {
+            "value": "1.125rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "600",
+            "type": "fontWeights"
+          },
+          "color": {
+            "value": "#673391",
             "type": "color"
           }
         },
-        "expired": {
-          "backgroundColor": {
-            "value": "#F7EFE4",
-            "type": "color"
+        "description": {
+          "fontSize": {
+            "value": "0.875rem",
+            "type": "fontSizes"
           },
-          "textColor": {
-            "value": "#7A5E3A",
+          "fontWeight": {
+            "value": "400",
+            "type": "fontWeights"
+          },
+          "color": {
+            "value": "#757575",
             "type": "color"
           }
         }
@@ -1195,85 +1542,85 @@ export const tokens = {
       "colors": {
         "primary": {
           "50": {
-            "value": "#F8FEFF",
+            "value": "#F7E9F2",
             "type": "color"
           },
           "100": {
-            "value": "#F0F9FF",
+            "value": "#F0D3E6",
             "type": "color"
           },
           "200": {
-            "value": "#E5F5FF",
+            "value": "#E8BDD9",
             "type": "color"
           },
           "300": {
-            "value": "#C3E7FF",
+            "value": "#E0A7CD",
             "type": "color"
           },
           "400": {
-            "value": "#C1E4FB",
+            "value": "#D991C1",
             "type": "color"
           },
           "500": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "600": {
-            "value": "#0F1F40",
+            "value": "#76479B",
             "type": "color"
           },
           "700": {
-            "value": "#0074A5",
+            "value": "#835AA5",
             "type": "color"
           },
           "800": {
-            "value": "#556A7D",
+            "value": "#926EB0",
             "type": "color"
           },
           "900": {
-            "value": "#475A66",
+            "value": "#4F286F",
             "type": "color"
           }
         },
-        "gray": {
+        "accent": {
           "50": {
-            "value": "#FFFFFF",
+            "value": "#F7E9F2",
             "type": "color"
           },
           "100": {
-            "value": "#FAFAFA",
+            "value": "#F0D3E6",
             "type": "color"
           },
           "200": {
-            "value": "#F3F8FC",
+            "value": "#E8BDD9",
             "type": "color"
           },
           "300": {
-            "value": "#F0F6FA",
+            "value": "#E0A7CD",
             "type": "color"
           },
           "400": {
-            "value": "#FAFDFF",
+            "value": "#D991C1",
             "type": "color"
           },
           "500": {
-            "value": "#E7EDF0",
+            "value": "#B22382",
             "type": "color"
           },
           "600": {
-            "value": "#909BAA",
+            "value": "#BA398F",
             "type": "color"
           },
           "700": {
-            "value": "#757575",
+            "value": "#C965A7",
             "type": "color"
           },
           "800": {
-            "value": "#708497",
+            "value": "#7A1057",
             "type": "color"
           },
           "900": {
-            "value": "#000000",
+            "value": "#7A1057",
             "type": "color"
           }
         },
@@ -1285,15 +1632,23 @@ export const tokens = {
           "100": {
             "value": "#2D8659",
             "type": "color"
+          },
+          "200": {
+            "value": "#51A037",
+            "type": "color"
+          },
+          "300": {
+            "value": "#3E7D2B",
+            "type": "color"
           }
         },
         "warning": {
           "50": {
-            "value": "#E0F5FF",
+            "value": "#FFF8E1",
             "type": "color"
           },
           "100": {
-            "value": "#0074A5",
+            "value": "#FF9800",
             "type": "color"
           }
         },
@@ -1315,145 +1670,67 @@ export const tokens = {
             "type": "color"
           }
         },
-        "info": {
-          "50": {
-            "value": "#F9ECF3",
-            "type": "color"
-          },
-          "100": {
-            "value": "#7C3A60",
-            "type": "color"
-          }
-        },
         "neutral": {
           "50": {
-            "value": "#FFF1DF",
+            "value": "#FFFFFF",
             "type": "color"
           },
           "100": {
-            "value": "#AC732B",
+            "value": "#FAFAFA",
             "type": "color"
           },
           "200": {
-            "value": "#F7EFE4",
+            "value": "#F3F8FC",
             "type": "color"
           },
           "300": {
-            "value": "#7A5E3A",
-            "type": "color"
-          }
-        },
-        "text": {
-          "primary": {
-            "value": "#0F3340",
-            "type": "color"
-          },
-          "secondary": {
-            "value": "#757575",
-            "type": "color"
-          },
-          "tertiary": {
-            "value": "#909BAA",
-            "type": "color"
-          },
-          "inverse": {
-            "value": "#FFFFFF",
-            "type": "color"
-          },
-          "muted": {
-            "value": "#708497",
-            "type": "color"
-          }
-        },
-        "background": {
-          "primary": {
-            "value": "#F8FEFF",
-            "type": "color"
-          },
-          "secondary": {
-            "value": "#FFFFFF",
+            "value": "#F0F6FA",
             "type": "color"
           },
-          "tertiary": {
-            "value": "#F3F8FC",
+          "400": {
+            "value": "#FAFDFF",
             "type": "color"
           },
-          "inverse": {
-            "value": "#0F3340",
-            "type": "color"
-          }
-        },
-        "border": {
-          "default": {
+          "500": {
             "value": "#E7EDF0",
             "type": "color"
           },
-          "hover": {
-            "value": "#C1E4FB",
-            "type": "color"
-          },
-          "focus": {
-            "value": "#0F3340",
+          "600": {
+            "value": "#909BAA",
             "type": "color"
           },
-          "light": {
-            "value": "#E7EDF0",
-            "type": "color"
-          }
-        },
-        "brand": {
-          "primary": {
-            "value": "#0F3340",
+          "700": {
+            "value": "#757575",
             "type": "color"
           },
-          "secondary": {
-            "value": "#0F1F40",
+          "800": {
+            "value": "#708497",
             "type": "color"
           },
-          "tertiary": {
-            "value": "#E5F5FF",
+          "900": {
+            "value": "#000000",
             "type": "color"
           }
         },
-        "feedback": {
+        "status": {
           "success": {
             "value": "#2D8659",
             "type": "color"
           },
-          "success-bg": {
-            "value": "#E6F4EC",
-            "type": "color"
-          },
           "warning": {
-            "value": "#0074A5",
-            "type": "color"
-          },
-          "warning-bg": {
-            "value": "#E0F5FF",
+            "value": "#FF9800",
             "type": "color"
           },
           "error": {
             "value": "#CA7373",
             "type": "color"
           },
-          "error-bg": {
-            "value": "#FCF0EE",
-            "type": "color"
-          },
           "info": {
-            "value": "#7C3A60",
-            "type": "color"
-          },
-          "info-bg": {
-            "value": "#F9ECF3",
-            "type": "color"
-          },
-          "neutral": {
-            "value": "#AC732B",
+            "value": "#BA398F",
             "type": "color"
           },
-          "neutral-bg": {
-            "value": "#FFF1DF",
+          "verified": {
+            "value": "#51A037",
             "type": "color"
           }
         }
@@ -1514,10 +1791,17 @@ export const tokens = {
       },
       "typography": {
         "fontFamily": {
-          "sans": {
+          "primary": {
+            "value": [
+              "Roboto",
+              "system-ui",
+              "sans-serif"
+            ],
+            "type": "fontFamilies"
+          },
+          "secondary": {
             "value": [
-              "Helvetica Neue",
-              "Inter",
+              "DM Sans",
               "system-ui",
               "sans-serif"
             ],
@@ -1665,7 +1949,7 @@ export const tokens = {
       "colors": {
         "text": {
           "primary": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "secondary": {
@@ -1683,11 +1967,23 @@ export const tokens = {
           "muted": {
             "value": "#708497",
             "type": "color"
+          },
+          "success": {
+            "value": "#2D8659",
+            "type": "color"
+          },
+          "warning": {
+            "value": "#FF9800",
+            "type": "color"
+          },
+          "error": {
+            "value": "#CA7373",
+            "type": "color"
           }
         },
         "background": {
           "primary": {
-            "value": "#F8FEFF",
+            "value": "#F7E9F2",
             "type": "color"
           },
           "secondary": {
@@ -1699,7 +1995,15 @@ export const tokens = {
             "type": "color"
           },
           "inverse": {
-            "value": "#0F3340",
+            "value": "#673391",
+            "type": "color"
+          },
+          "surface": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "overlay": {
+            "value": "rgba(0, 0, 0, 0.75)",
             "type": "color"
           }
         },
@@ -1709,72 +2013,102 @@ export const tokens = {
             "type": "color"
           },
           "hover": {
-            "value": "#C1E4FB",
+            "value": "#D991C1",
             "type": "color"
           },
           "focus": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "light": {
             "value": "#E7EDF0",
             "type": "color"
+          },
+          "success": {
+            "value": "#51A037",
+            "type": "color"
+          },
+          "error": {
+            "value": "#CA7373",
+            "type": "color"
           }
         },
         "brand": {
           "primary": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "secondary": {
-            "value": "#0F1F40",
+            "value": "#76479B",
             "type": "color"
           },
           "tertiary": {
-            "value": "#E5F5FF",
+            "value": "#E8BDD9",
+            "type": "color"
+          },
+          "accent": {
+            "value": "#B22382",
             "type": "color"
           }
         },
-        "feedback": {
+        "status": {
           "success": {
-            "value": "#2D8659",
-            "type": "color"
-          },
-          "success-bg": {
-            "value": "#E6F4EC",
-            "type": "color"
+            "background": {
+              "value": "#E6F4EC",
+              "type": "color"
+            },
+            "text": {
+              "value": "#2D8659",
+              "type": "color"
+            },
+            "border": {
+              "value": "#51A037",
+              "type": "color"
+            }
           },
           "warning": {
-            "value": "#0074A5",
-            "type": "color"
-          },
-          "warning-bg": {
-            "value": "#E0F5FF",
-            "type": "color"
+            "background": {
+              "value": "#FFF8E1",
+              "type": "color"
+            },
+            "text": {
+              "value": "#FF9800",
+              "type": "color"
+            }
           },
           "error": {
-            "value": "#CA7373",
-            "type": "color"
-          },
-          "error-bg": {
-            "value": "#FCF0EE",
-            "type": "color"
+            "background": {
+              "value": "#FCF0EE",
+              "type": "color"
+            },
+            "text": {
+              "value": "#CA7373",
+              "type": "color"
+            },
+            "border": {
+              "value": "#A22F2F",
+              "type": "color"
+            }
           },
           "info": {
-            "value": "#7C3A60",
-            "type": "color"
-          },
-          "info-bg": {
-            "value": "#F9ECF3",
-            "type": "color"
-          },
-          "neutral": {
-            "value": "#AC732B",
-            "type": "color"
-          },
-          "neutral-bg": {
-            "value": "#FFF1DF",
-            "type": "color"
+            "background": {
+              "value": "#F7E9F2",
+              "type": "color"
+            },
+            "text": {
+              "value": "#C965A7",
+              "type": "color"
+            }
+          },
+          "verified": {
+            "background": {
+              "value": "#51A037",
+              "type": "color"
+            },
+            "text": {
+              "value": "#FFFFFF",
+              "type": "color"
+            }
           }
         }
       }
@@ -1783,7 +2117,7 @@ export const tokens = {
       "button": {
         "primary": {
           "backgroundColor": {
-            "value": "#0F3340",
+            "value": "#673391",
             "type": "color"
           },
           "textColor": {
@@ -1801,6 +2135,10 @@ export const tokens = {
           "fontWeight": {
             "value": "500",
             "type": "fontWeights"
+          },
+          "fontSize": {
+            "value": "1.125rem",
+            "type": "fontSizes"
           }
         },
         "secondary": {
@@ -1809,87 +2147,161 @@ export const tokens = {
             "type": "color"
           },
           "textColor": {
-            "value": "#0F3340",
+            "value": "#673391",
+            "type": "color"
+          },
+          "borderColor": {
+            "value": "#673391",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.375rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "0.75rem 1.5rem",
+            "type": "spacing"
+          }
+        },
+        "success": {
+          "backgroundColor": {
+            "value": "#51A037",
+            "type": "color"
+          },
+          "textColor": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "9999px",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "0.75rem 0.75rem",
+            "type": "spacing"
+          }
+        },
+        "destructive": {
+          "backgroundColor": {
+            "value": "#CA7373",
+            "type": "color"
+          },
+          "textColor": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.375rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "0.75rem 1.5rem",
+            "type": "spacing"
+          }
+        }
+      },
+      "card": {
+        "default": {
+          "backgroundColor": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "borderColor": {
+            "value": "#E7EDF0",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.75rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "1.5rem",
+            "type": "spacing"
+          },
+          "shadow": {
+            "value": "0px 1px 3px 0px rgba(0, 0, 0, 0.1), 0px 1px 2px -1px rgba(0, 0, 0, 0.1)",
+            "type": "boxShadow"
+          }
+        },
+        "account": {
+          "backgroundColor": {
+            "value": "#FFFFFF",
+            "type": "color"
+          },
+          "borderColor": {
+            "value": "#51A037",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.5rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "1rem",
+            "type": "spacing"
+          },
+          "shadow": {
+            "value": "0px 1px 2px 0px rgba(0, 0, 0, 0.06), 0px 1px 3px 0px rgba(0, 0, 0, 0.1)",
+            "type": "boxShadow"
+          }
+        },
+        "otp": {
+          "backgroundColor": {
+            "value": "#FAFAFA",
             "type": "color"
           },
           "borderColor": {
-            "value": "#0F3340",
+            "value": "#E7EDF0",
             "type": "color"
           },
           "borderRadius": {
-            "value": "0.375rem",
+            "value": "0.75rem",
             "type": "borderRadius"
           },
           "padding": {
-            "value": "0.75rem",
+            "value": "1.5rem",
             "type": "spacing"
           }
-        },
-        "gradient": {
+        }
+      },
+      "input": {
+        "default": {
           "backgroundColor": {
-            "value": "linear-gradient(180deg, #FFFFFF 0%, #F6FCFF 100%)",
+            "value": "#FFFFFF",
             "type": "color"
           },
           "borderColor": {
             "value": "#E7EDF0",
             "type": "color"
           },
-          "textColor": {
-            "value": "#0F3340",
-            "type": "color"
-          },
           "borderRadius": {
-            "value": "0.75rem",
+            "value": "0.5rem",
             "type": "borderRadius"
           },
           "padding": {
-            "value": "0.75rem",
+            "value": "0.75rem 1rem",
             "type": "spacing"
+          },
+          "fontSize": {
+            "value": "1rem",
+            "type": "fontSizes"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
           }
-        }
-      },
-      "card": {
-        "backgroundColor": {
-          "value": "#FFFFFF",
-          "type": "color"
-        },
-        "borderColor": {
-          "value": "#E7EDF0",
-          "type": "color"
-        },
-        "borderRadius": {
-          "value": "0.75rem",
-          "type": "borderRadius"
-        },
-        "padding": {
-          "value": "1.5rem",
-          "type": "spacing"
-        },
-        "shadow": {
-          "value": "0px 1px 3px 0px rgba(0, 0, 0, 0.1), 0px 1px 2px -1px rgba(0, 0, 0, 0.1)",
-          "type": "boxShadow"
-        }
-      },
-      "input": {
-        "backgroundColor": {
-          "value": "#FFFFFF",
-          "type": "color"
-        },
-        "borderColor": {
-          "value": "#E7EDF0",
-          "type": "color"
-        },
-        "borderRadius": {
-          "value": "0.5rem",
-          "type": "borderRadius"
         },
-        "padding": {
-          "value": "0.75rem 1rem",
-          "type": "spacing"
+        "focus": {
+          "borderColor": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "fontSize": {
-          "value": "1rem",
-          "type": "fontSizes"
+        "error": {
+          "borderColor": {
+            "value": "#CA7373",
+            "type": "color"
+          }
         }
       },
       "navbar": {
@@ -1902,7 +2314,7 @@ export const tokens = {
           "type": "color"
         },
         "activeBackground": {
-          "value": "#F0F9FF",
+          "value": "#F0D3E6",
           "type": "color"
         },
         "activeBorder": {
@@ -1914,34 +2326,164 @@ export const tokens = {
           "type": "color"
         },
         "activeIconColor": {
-          "value": "#0F3340",
+          "value": "#673391",
           "type": "color"
         }
       },
-      "table": {
-        "headerBackground": {
-          "value": "linear-gradient(180deg, #FFFFFF 0%, #F0F9FF 100%)",
-          "type": "color"
+      "text": {
+        "heading1": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "3rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "700",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.22",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "headerText": {
-          "value": "#556A7D",
-          "type": "color"
+        "heading2": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "2.25rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "600",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.22",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "rowBackground": {
-          "value": "#FFFFFF",
-          "type": "color"
+        "heading3": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "1.875rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "600",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.22",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "alternateRowBackground": {
-          "value": "#F3F8FC",
-          "type": "color"
+        "body": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "1rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "400",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.5",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
         },
-        "borderColor": {
-          "value": "#E7EDF0",
-          "type": "color"
+        "bodySecondary": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "0.875rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "400",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.5",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#757575",
+            "type": "color"
+          }
         },
-        "textColor": {
-          "value": "#000000",
-          "type": "color"
+        "caption": {
+          "fontFamily": {
+            "value": "DM Sans,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "0.75rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "500",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.5",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#909BAA",
+            "type": "color"
+          }
+        },
+        "success": {
+          "fontFamily": {
+            "value": "Roboto,system-ui,sans-serif",
+            "type": "fontFamilies"
+          },
+          "fontSize": {
+            "value": "0.875rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "500",
+            "type": "fontWeights"
+          },
+          "lineHeight": {
+            "value": "1.5",
+            "type": "lineHeights"
+          },
+          "color": {
+            "value": "#2D8659",
+            "type": "color"
+          }
         }
       },
       "status": {
@@ -1957,11 +2499,11 @@ export const tokens = {
         },
         "pending": {
           "backgroundColor": {
-            "value": "#E0F5FF",
+            "value": "#FFF8E1",
             "type": "color"
           },
           "textColor": {
-            "value": "#0074A5",
+            "value": "#FF9800",
             "type": "color"
           }
         },
@@ -1977,27 +2519,27 @@ export const tokens = {
         },
         "revoked": {
           "backgroundColor": {
-            "value": "#F9ECF3",
+            "value": "#F7E9F2",
             "type": "color"
           },
           "textColor": {
-            "value": "#7C3A60",
+            "value": "#C965A7",
             "type": "color"
           }
         },
         "paused": {
           "backgroundColor": {
-            "value": "#FFF1DF",
+            "value": "#F3F8FC",
             "type": "color"
           },
           "textColor": {
-            "value": "#AC732B",
+            "value": "#757575",
             "type": "color"
           }
         },
         "failed": {
           "backgroundColor": {
-            "value": "#FAEDED",
+            "value": "#FCF0EE",
             "type": "color"
           },
           "textColor": {
@@ -2007,11 +2549,69 @@ export const tokens = {
         },
         "expired": {
           "backgroundColor": {
-            "value": "#F7EFE4",
+            "value": "#F3F8FC",
+            "type": "color"
+          },
+          "textColor": {
+            "value": "#757575",
+            "type": "color"
+          }
+        },
+        "verified": {
+          "backgroundColor": {
+            "value": "#51A037",
             "type": "color"
           },
           "textColor": {
-            "value": "#7A5E3A",
+            "value": "#FFFFFF",
+            "type": "color"
+          }
+        }
+      },
+      "consent": {
+        "card": {
+          "backgroundColor": {
+            "value": "#FAFAFA",
+            "type": "color"
+          },
+          "borderRadius": {
+            "value": "0.5rem",
+            "type": "borderRadius"
+          },
+          "padding": {
+            "value": "1rem",
+            "type": "spacing"
+          },
+          "borderColor": {
+            "value": "#673391",
+            "type": "color"
+          }
+        },
+        "title": {
+          "fontSize": {
+            "value": "1.125rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "600",
+            "type": "fontWeights"
+          },
+          "color": {
+            "value": "#673391",
+            "type": "color"
+          }
+        },
+        "description": {
+          "fontSize": {
+            "value": "0.875rem",
+            "type": "fontSizes"
+          },
+          "fontWeight": {
+            "value": "400",
+            "type": "fontWeights"
+          },
+          "color": {
+            "value": "#757575",
             "type": "color"
           }
         }
@@ -2019,7 +2619,7 @@ export const tokens = {
     }
   },
   "_metadata": {
-    "processedAt": "2025-09-27T07:41:51.563Z",
+    "processedAt": "2026-10-19T15:38:30.964Z",
     "version": "2.0.0"
   }
 };
@@ -2027,36 +2627,38 @@ export const tokens = {
 // Individual category exports
 export const colors = {
   "primary": {
-    "50": "#F8FEFF",
-    "100": "#F0F9FF",
-    "200": "#E5F5FF",
-    "300": "#C3E7FF",
-    "400": "#C1E4FB",
-    "500": "#0F3340",
-    "600": "#0F1F40",
-    "700": "#0074A5",
-    "800": "#556A7D",
-    "900": "#475A66"
+    "50": "#F7E9F2",
+    "100": "#F0D3E6",
+    "200": "#E8BDD9",
+    "300": "#E0A7CD",
+    "400": "#D991C1",
+    "500": "#673391",
+    "600": "#76479B",
+    "700": "#835AA5",
+    "800": "#926EB0",
+    "900": "#4F286F"
   },
-  "gray": {
-    "50": "#FFFFFF",
-    "100": "#FAFAFA",
-    "200": "#F3F8FC",
-    "300": "#F0F6FA",
-    "400": "#FAFDFF",
-    "500": "#E7EDF0",
-    "600": "#909BAA",
-    "700": "#757575",
-    "800": "#708497",
-    "900": "#000000"
+  "accent": {
+    "50": "#F7E9F2",
+    "100": "#F0D3E6",
+    "200": "#E8BDD9",
+    "300": "#E0A7CD",
+    "400": "#D991C1",
+    "500": "#B22382",
+    "600": "#BA398F",
+    "700": "#C965A7",
+    "800": "#7A1057",
+    "900": "#7A1057"
   },
   "success": {
     "50": "#E6F4EC",
-    "100": "#2D8659"
+    "100": "#2D8659",
+    "200": "#51A037",
+    "300": "#3E7D2B"
   },
   "warning": {
-    "50": "#E0F5FF",
-    "100": "#0074A5"
+    "50": "#FFF8E1",
+    "100": "#FF9800"
   },
   "error": {
     "50": "#FCF0EE",
@@ -2064,51 +2666,24 @@ export const colors = {
     "200": "#FAEDED",
     "300": "#A22F2F"
   },
-  "info": {
-    "50": "#F9ECF3",
-    "100": "#7C3A60"
-  },
   "neutral": {
-    "50": "#FFF1DF",
-    "100": "#AC732B",
-    "200": "#F7EFE4",
-    "300": "#7A5E3A"
-  },
-  "text": {
-    "primary": "#0F3340",
-    "secondary": "#757575",
-    "tertiary": "#909BAA",
-    "inverse": "#FFFFFF",
-    "muted": "#708497"
-  },
-  "background": {
-    "primary": "#F8FEFF",
-    "secondary": "#FFFFFF",
-    "tertiary": "#F3F8FC",
-    "inverse": "#0F3340"
-  },
-  "border": {
-    "default": "#E7EDF0",
-    "hover": "#C1E4FB",
-    "focus": "#0F3340",
-    "light": "#E7EDF0"
-  },
-  "brand": {
-    "primary": "#0F3340",
-    "secondary": "#0F1F40",
-    "tertiary": "#E5F5FF"
+    "50": "#FFFFFF",
+    "100": "#FAFAFA",
+    "200": "#F3F8FC",
+    "300": "#F0F6FA",
+    "400": "#FAFDFF",
+    "500": "#E7EDF0",
+    "600": "#909BAA",
+    "700": "#757575",
+    "800": "#708497",
+    "900": "#000000"
   },
-  "feedback": {
+  "status": {
     "success": "#2D8659",
-    "success-bg": "#E6F4EC",
-    "warning": "#0074A5",
-    "warning-bg": "#E0F5FF",
+    "warning": "#FF9800",
     "error": "#CA7373",
-    "error-bg": "#FCF0EE",
-    "info": "#7C3A60",
-    "info-bg": "#F9ECF3",
-    "neutral": "#AC732B",
-    "neutral-bg": "#FFF1DF"
+    "info": "#BA398F",
+    "verified": "#51A037"
   }
 };
 export const spacing = {
@@ -2128,9 +2703,13 @@ export const spacing = {
 };
 export const typography = {
   "fontFamily": {
-    "sans": [
-      "Helvetica Neue",
-      "Inter",
+    "primary": [
+      "Roboto",
+      "system-ui",
+      "sans-serif"
+    ],
+    "secondary": [
+      "DM Sans",
       "system-ui",
       "sans-serif"
     ],
@@ -0,0 +1,333 @@
+/**
+ * Color helpers
+ * Parses CSS colors, converts between srgb/hsl/lch and applies Token Studio
+ * color modifiers (`$extensions["studio.tokens"].modify`)
+ */
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+
+/**
+ * Parse a hex, rgb() or hsl() color into srgb channels (0-1) and alpha
+ * Returns null for anything else (named colors, gradients, references)
+ */
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+
+  const hex = color.match(/^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16) / 255);
+    return { r: channels[0], g: channels[1], b: channels[2], alpha: channels[3] ?? 1 };
+  }
+
+  const fn = color.match(/^(rgba?|hsla?)\(([^)]+)\)$/);
+  if (!fn) return null;
+
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) return null;
+
+  const number = (part, scale) => part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part) / scale;
+  const alpha = parts[3] !== undefined ? number(parts[3], 1) : 1;
+
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(part => number(part, 255));
+    if ([r, g, b, alpha].some(Number.isNaN)) return null;
+    return { r: clamp(r), g: clamp(g), b: clamp(b), alpha: clamp(alpha) };
+  }
+
+  const h = parseFloat(parts[0]);
+  const s = parseFloat(parts[1]);
+  const l = parseFloat(parts[2]);
+  if ([h, s, l, alpha].some(Number.isNaN)) return null;
+  return { ...hslToRgb({ h, s, l }), alpha: clamp(alpha) };
+}
+
+/**
+ * Format an srgb color as hex (#rrggbb, #rrggbbaa when translucent), rgb, hsl or lch
+ */
+export function formatColor(color, format = 'hex') {
+  const round = (value, decimals = 2) => Number(value.toFixed(decimals));
+  const alpha = color.alpha < 1 ? ` / ${round(color.alpha, 3)}` : '';
+
+  switch (format) {
+    case 'rgb':
+    case 'srgb': {
+      const [r, g, b] = [color.r, color.g, color.b].map(channel => Math.round(clamp(channel) * 255));
+      return `rgb(${r} ${g} ${b}${alpha})`;
+    }
+    case 'hsl': {
+      const { h, s, l } = rgbToHsl(color);
+      return `hsl(${round(h)} ${round(s)}% ${round(l)}%${alpha})`;
+    }
+    case 'lch': {
+      const { l, c, h } = rgbToLch(color);
+      return `lch(${round(l)}% ${round(c)} ${round(h)}${alpha})`;
+    }
+    default: {
+      const channels = [color.r, color.g, color.b];
+      if (color.alpha < 1) channels.push(color.alpha);
+      return '#' + channels
+        .map(channel => Math.round(clamp(channel) * 255).toString(16).padStart(2, '0'))
+        .join('');
+    }
+  }
+}
+
+export function rgbToHsl({ r, g, b }) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  if (d === 0) {
+    return { h: 0, s: 0, l: l * 100 };
+  }
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) {
+    h = ((g - b) / d) % 6;
+  } else if (max === g) {
+    h = (b - r) / d + 2;
+  } else {
+    h = (r - g) / d + 4;
+  }
+
+  return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+}
+
+export function hslToRgb({ h, s, l }) {
+  const saturation = clamp(s / 100);
+  const lightness = clamp(l / 100);
+  const k = (n) => (n + h / 30) % 12;
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const channel = (n) => lightness - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+  return { r: channel(0), g: channel(8), b: channel(4) };
+}
+
+// CIE LCh (D50), as used by CSS lch()
+const D50 = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+const multiply = (matrix, vector) => matrix.map(row => row.reduce((sum, value, i) => sum + value * vector[i], 0));
+
+// Linear srgb -> XYZ D50 (Bradford adapted) and back
+const RGB_TO_XYZ = [
+  [0.4360747, 0.3850649, 0.1430804],
+  [0.2225045, 0.7168786, 0.0606169],
+  [0.0139322, 0.0971045, 0.7141733]
+];
+const XYZ_TO_RGB = [
+  [3.1338561, -1.6168667, -0.4906146],
+  [-0.9787684, 1.9161415, 0.0334540],
+  [0.0719453, -0.2289914, 1.4052427]
+];
+
+const toLinear = (c) => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+const fromLinear = (c) => c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+
+export function rgbToLab({ r, g, b }) {
+  const xyz = multiply(RGB_TO_XYZ, [r, g, b].map(toLinear));
+  const [fx, fy, fz] = xyz.map((value, i) => {
+    const t = value / D50[i];
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  });
+
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+export function rgbToLch(color) {
+  const { l, a, b: bb } = rgbToLab(color);
+  const c = Math.sqrt(a * a + bb * bb);
+  const h = c < 1e-4 ? 0 : (Math.atan2(bb, a) * 180 / Math.PI + 360) % 360;
+
+  return { l, c, h };
+}
+
+export function lchToRgb({ l, c, h }) {
+  const a = c * Math.cos(h * Math.PI / 180);
+  const bb = c * Math.sin(h * Math.PI / 180);
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - bb / 200;
+
+  const xyz = [fx, fy, fz].map((f, i) => {
+    const t = f * f * f > 216 / 24389 ? f * f * f : (116 * f - 16) / (24389 / 27);
+    return t * D50[i];
+  });
+
+  const [r, g, b] = multiply(XYZ_TO_RGB, xyz).map(value => clamp(fromLinear(value)));
+  return { r, g, b };
+}
+
+/**
+ * CIEDE2000 color difference between two srgb colors (alpha is ignored)
+ * Below 1 the difference is not perceptible, around 2-3 it is only noticed side by side
+ */
+export function deltaE(color, other) {
+  const radians = (degrees) => degrees * Math.PI / 180;
+  const degrees = (value) => (value * 180 / Math.PI + 360) % 360;
+
+  const lab1 = rgbToLab(color);
+  const lab2 = rgbToLab(other);
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean7 = Math.pow((c1 + c2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const cp1 = Math.hypot(a1, lab1.b);
+  const cp2 = Math.hypot(a2, lab2.b);
+  const hp1 = cp1 === 0 ? 0 : degrees(Math.atan2(lab1.b, a1));
+  const hp2 = cp2 === 0 ? 0 : degrees(Math.atan2(lab2.b, a2));
+
+  const dL = lab2.l - lab1.l;
+  const dC = cp2 - cp1;
+  let dh = 0;
+  if (cp1 * cp2 !== 0) {
+    dh = hp2 - hp1;
+    if (dh > 180) dh -= 360;
+    if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(radians(dh / 2));
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cpMean = (cp1 + cp2) / 2;
+  let hMean = hp1 + hp2;
+  if (cp1 * cp2 !== 0) {
+    hMean = Math.abs(hp1 - hp2) > 180 ? (hp1 + hp2 + (hp1 + hp2 < 360 ? 360 : -360)) / 2 : (hp1 + hp2) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos(radians(hMean - 30))
+    + 0.24 * Math.cos(radians(2 * hMean))
+    + 0.32 * Math.cos(radians(3 * hMean + 6))
+    - 0.20 * Math.cos(radians(4 * hMean - 63));
+  const sL = 1 + (0.015 * Math.pow(lMean - 50, 2)) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+  const sC = 1 + 0.045 * cpMean;
+  const sH = 1 + 0.015 * cpMean * t;
+  const cpMean7 = Math.pow(cpMean, 7);
+  const rT = -2 * Math.sqrt(cpMean7 / (cpMean7 + Math.pow(25, 7)))
+    * Math.sin(radians(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2))));
+
+  return Math.sqrt(
+    Math.pow(dL / sL, 2) + Math.pow(dC / sC, 2) + Math.pow(dH / sH, 2) + rT * (dC / sC) * (dH / sH)
+  );
+}
+
+/**
+ * Convert an srgb color into the channels of a color space and back
+ */
+const SPACES = {
+  srgb: {
+    to: ({ r, g, b }) => [r, g, b],
+    from: ([r, g, b]) => ({ r: clamp(r), g: clamp(g), b: clamp(b) }),
+    lightness: null
+  },
+  hsl: {
+    to: (color) => {
+      const { h, s, l } = rgbToHsl(color);
+      return [h, s, l];
+    },
+    from: ([h, s, l]) => hslToRgb({ h, s, l }),
+    hue: 0,
+    chroma: 1,
+    lightness: 2
+  },
+  lch: {
+    to: (color) => {
+      const { l, c, h } = rgbToLch(color);
+      return [l, c, h];
+    },
+    from: ([l, c, h]) => lchToRgb({ l, c, h }),
+    hue: 2,
+    chroma: 1,
+    lightness: 0
+  }
+};
+
+// Below this saturation (hsl) or chroma (lch) a color is grey and its hue is powerless
+const ACHROMATIC_THRESHOLD = 0.5;
+
+function mixColors(color, other, amount, space) {
+  const from = space.to(color);
+  const to = space.to(other);
+
+  // A grey has no real hue (white comes out of lch at ~213°), so it takes the other color's
+  if (space.hue !== undefined) {
+    const fromGrey = from[space.chroma] < ACHROMATIC_THRESHOLD;
+    const toGrey = to[space.chroma] < ACHROMATIC_THRESHOLD;
+    if (fromGrey && !toGrey) from[space.hue] = to[space.hue];
+    if (toGrey && !fromGrey) to[space.hue] = from[space.hue];
+  }
+
+  const channels = from.map((value, i) => {
+    let target = to[i];
+    // Interpolate hue along the shorter arc
+    if (i === space.hue) {
+      if (target - value > 180) target -= 360;
+      if (value - target > 180) target += 360;
+      return ((value + (target - value) * amount) + 360) % 360;
+    }
+    return value + (target - value) * amount;
+  });
+
+  return {
+    ...space.from(channels),
+    alpha: color.alpha + (other.alpha - color.alpha) * amount
+  };
+}
+
+function scaleLightness(color, amount, space, direction) {
+  const channels = space.to(color);
+  const scale = (value, max) => direction === 'lighten'
+    ? value + (max - value) * amount
+    : value - value * amount;
+
+  if (space.lightness === null) {
+    return { ...space.from(channels.map(value => scale(value, 1))), alpha: color.alpha };
+  }
+
+  channels[space.lightness] = scale(channels[space.lightness], 100);
+  return { ...space.from(channels), alpha: color.alpha };
+}
+
+/**
+ * Apply a Token Studio color modifier
+ * modifier: { type: lighten|darken|mix|alpha, value, space: srgb|hsl|lch, color?, format? }
+ * Returns undefined when the color or modifier cannot be applied
+ */
+export function modifyColor(value, modifier) {
+  const color = parseColor(value);
+  const amount = parseFloat(modifier?.value);
+  if (!color || Number.isNaN(amount)) return undefined;
+
+  const space = SPACES[modifier.space || 'srgb'];
+  if (!space) return undefined;
+
+  let result;
+  switch (modifier.type) {
+    case 'lighten':
+    case 'darken':
+      result = scaleLightness(color, clamp(amount), space, modifier.type);
+      break;
+    case 'mix': {
+      const other = parseColor(modifier.color);
+      if (!other) return undefined;
+      result = mixColors(color, other, clamp(amount), space);
+      break;
+    }
+    case 'alpha':
+      result = { ...color, alpha: clamp(amount) };
+      break;
+    default:
+      return undefined;
+  }
+
+  return formatColor(result, modifier.format);
+}
@@ -0,0 +1,224 @@
+/**
+ * Composite token helpers
+ * Typography, shadow, border, transition and gradient tokens carry object (or array)
+ * values. These helpers recognise them in both Token Studio and W3C DTCG shapes and
+ * render them as CSS values; native generators read the normalized fields directly.
+ */
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const TYPOGRAPHY_FIELDS = ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'];
+
+/**
+ * Check if a value is a composite token value (typography, shadow, border, transition, gradient)
+ */
+export function isCompositeValue(value) {
+  return isTypographyValue(value) || isShadowValue(value) || isBorderValue(value) ||
+    isTransitionValue(value) || isGradientValue(value);
+}
+
+export function isTypographyValue(value) {
+  return isPlainObject(value) && TYPOGRAPHY_FIELDS.some(field => value[field] !== undefined);
+}
+
+export function isShadowValue(value) {
+  const isLayer = (layer) => isPlainObject(layer) &&
+    ['x', 'y', 'offsetX', 'offsetY', 'blur'].some(field => layer[field] !== undefined);
+  return Array.isArray(value) ? value.length > 0 && value.every(isLayer) : isLayer(value);
+}
+
+export function isBorderValue(value) {
+  return isPlainObject(value) && value.width !== undefined && value.style !== undefined;
+}
+
+export function isTransitionValue(value) {
+  return isPlainObject(value) && (value.duration !== undefined || value.timingFunction !== undefined);
+}
+
+export function isGradientValue(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(stop => isPlainObject(stop) && stop.color !== undefined && stop.position !== undefined);
+}
+
+const FONT_WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  normal: 400,
+  regular: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900
+};
+
+/**
+ * Format a dimension field; unitless numbers are pixels, as in Figma/Token Studio
+ */
+export function formatDimension(value, fallback = '0') {
+  if (value === undefined || value === null || value === '') return fallback;
+  const string = String(value).trim();
+  if (/^-?[\d.]+$/.test(string)) {
+    return parseFloat(string) === 0 ? '0' : `${string}px`;
+  }
+  return string;
+}
+
+/**
+ * Convert a length to unitless pixels (1rem = 1em = 16px; pt, dp and sp count as px)
+ * Shared by the size/unitless transform and the native generators, so values are only
+ * ever converted one way. Returns undefined for values that are not a single length
+ */
+export function toPixels(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  const match = String(value ?? '').trim().match(/^(-?\d*\.?\d+)(px|rem|em|pt|dp|sp)?$/);
+  if (!match) return undefined;
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? number * 16 : number;
+}
+
+/**
+ * Get a numeric font weight from a number or a style name ("Semi Bold", "bold")
+ */
+export function getFontWeight(value) {
+  if (value === undefined || value === null) return undefined;
+  if (/^\d+$/.test(String(value))) return parseInt(value, 10);
+  return FONT_WEIGHTS[String(value).toLowerCase().replace(/[\s_-]/g, '')];
+}
+
+/**
+ * Get typography metrics for native platforms: first font family, size in px,
+ * numeric weight, line height as a multiplier of the size and letter spacing in px
+ * Bare line heights are multipliers, as in CSS and the DTCG format
+ */
+export function getTypographyMetrics(value) {
+  const toPx = (dimension) => {
+    const match = String(dimension).trim().match(/^(-?[\d.]+)(px|rem|em|%)?$/);
+    if (!match) return undefined;
+    const number = parseFloat(match[1]);
+    return match[2] === 'rem' || match[2] === 'em' ? number * 16 : number;
+  };
+
+  const fontSize = toPx(formatDimension(value.fontSize, '16px')) ?? 16;
+  const family = Array.isArray(value.fontFamily) ? value.fontFamily[0] : String(value.fontFamily ?? '').split(',')[0];
+
+  let lineHeight;
+  const lineHeightMatch = String(value.lineHeight ?? '').trim().match(/^([\d.]+)(px|rem|%)?$/);
+  if (lineHeightMatch) {
+    const number = parseFloat(lineHeightMatch[1]);
+    lineHeight = lineHeightMatch[2] === '%'
+      ? number / 100
+      : lineHeightMatch[2] ? toPx(lineHeightMatch[0]) / fontSize : number;
+  }
+
+  let letterSpacing;
+  const letterSpacingMatch = String(value.letterSpacing ?? '').trim().match(/^(-?[\d.]+)(px|rem|em|%)?$/);
+  if (letterSpacingMatch) {
+    const number = parseFloat(letterSpacingMatch[1]);
+    letterSpacing = letterSpacingMatch[2] === 'em' ? number * fontSize
+      : letterSpacingMatch[2] === '%' ? number / 100 * fontSize
+        : toPx(letterSpacingMatch[0]);
+  }
+
+  const round = (number) => number === undefined ? undefined : Number(number.toFixed(2));
+
+  return {
+    fontFamily: family.trim().replace(/['"]/g, '') || undefined,
+    fontSize: round(fontSize),
+    fontWeight: getFontWeight(value.fontWeight),
+    lineHeight: round(lineHeight),
+    letterSpacing: round(letterSpacing)
+  };
+}
+
+/**
+ * Normalize shadow layers from Token Studio ({x, y, blur, spread, color, type})
+ * or DTCG ({offsetX, offsetY, blur, spread, color, inset}) into one shape
+ */
+export function getShadowLayers(value) {
+  return [].concat(value).map(layer => ({
+    x: formatDimension(layer.x ?? layer.offsetX),
+    y: formatDimension(layer.y ?? layer.offsetY),
+    blur: formatDimension(layer.blur),
+    spread: formatDimension(layer.spread),
+    color: layer.color || '#000000',
+    inset: layer.inset === true || layer.type === 'innerShadow'
+  }));
+}
+
+export function formatShadow(value) {
+  return getShadowLayers(value)
+    .map(layer => [
+      layer.inset ? 'inset' : null,
+      layer.x,
+      layer.y,
+      layer.blur,
+      layer.spread,
+      layer.color
+    ].filter(Boolean).join(' '))
+    .join(', ');
+}
+
+export function formatFontFamily(value) {
+  const families = Array.isArray(value) ? value : String(value).split(',').map(family => family.trim());
+  return families
+    .map(family => /\s/.test(family) && !/^['"]/.test(family) ? `"${family}"` : family)
+    .join(', ');
+}
+
+/**
+ * Render typography as the CSS `font` shorthand: [style] weight size[/line-height] family
+ */
+export function formatTypography(value) {
+  const parts = [];
+  if (value.fontStyle) parts.push(value.fontStyle);
+  if (value.fontWeight !== undefined) parts.push(String(getFontWeight(value.fontWeight) ?? value.fontWeight));
+
+  const size = formatDimension(value.fontSize, '1rem');
+  const lineHeight = String(value.lineHeight ?? '').toLowerCase() === 'auto' ? 'normal' : value.lineHeight;
+  parts.push(lineHeight !== undefined ? `${size}/${lineHeight}` : size);
+  parts.push(value.fontFamily !== undefined ? formatFontFamily(value.fontFamily) : 'sans-serif');
+
+  return parts.join(' ');
+}
+
+export function formatBorder(value) {
+  // DTCG stroke style objects ({ dashArray, lineCap }) have no CSS keyword
+  const style = isPlainObject(value.style) ? 'dashed' : value.style;
+  return [formatDimension(value.width), style, value.color].filter(Boolean).join(' ');
+}
+
+export function formatTransition(value) {
+  const timingFunction = Array.isArray(value.timingFunction)
+    ? `cubic-bezier(${value.timingFunction.join(', ')})`
+    : value.timingFunction;
+
+  return [value.duration, timingFunction, value.delay].filter(Boolean).join(' ');
+}
+
+export function formatGradient(value) {
+  const stops = value.map(stop => {
+    const position = typeof stop.position === 'number' ? `${Number((stop.position * 100).toFixed(2))}%` : stop.position;
+    return `${stop.color} ${position}`;
+  });
+  return `linear-gradient(${stops.join(', ')})`;
+}
+
+/**
+ * Render any token value as a CSS value
+ * Composites become their CSS shorthand; primitives are returned unchanged
+ */
+export function toCSSValue(value) {
+  if (isTypographyValue(value)) return formatTypography(value);
+  if (isShadowValue(value)) return formatShadow(value);
+  if (isGradientValue(value)) return formatGradient(value);
+  if (isBorderValue(value)) return formatBorder(value);
+  if (isTransitionValue(value)) return formatTransition(value);
+  return value;
+}
@@ -6,13 +6,115 @@ import path from 'path';
 
 const MODULE_NAME = 'design-tokens';
 
-// Configuration schema
-const configSchema = Joi.object({
+// A transform name or an inline definition, registered under its name
+const transformSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({
+    name: Joi.string().required(),
+    type: Joi.string().valid('value', 'name', 'attribute').default('value'),
+    matcher: Joi.function(),
+    transformer: Joi.function().required()
+  })
+);
+
+// A filter name, a function, a named definition or a token matcher ({ type: 'color' })
+const filterSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.function(),
+  Joi.object({
+    name: Joi.string().required(),
+    filter: Joi.function().required()
+  }),
+  Joi.object()
+);
+
+const hookSchema = Joi.alternatives().try(
+  Joi.function(),
+  Joi.array().items(Joi.function())
+).allow(null);
+
+// Configuration schema, also the source of the published JSON Schema (dts schema)
+export const configSchema = Joi.object({
+  // JSON config files may point editors at the published schema
+  $schema: Joi.string(),
+
   tokens: Joi.object({
-    input: Joi.string().default('tokens.json'),
+    // A file, a glob (tokens/**/*.json) or an array of either
+    input: Joi.alternatives().try(
+      Joi.string(),
+      Joi.array().items(Joi.string()).min(1)
+    ).default('tokens.json'),
+    // Fail on unresolved references instead of leaving them in the output
+    strict: Joi.boolean().default(false),
+    // Comment each generated token with the file:line:column it comes from
+    sourceComments: Joi.boolean().default(false),
     validation: Joi.object({
       required: Joi.array().items(Joi.string()).default(['colors']),
-      optional: Joi.array().items(Joi.string()).default(['spacing', 'typography'])
+      optional: Joi.array().items(Joi.string()).default(['spacing', 'typography']),
+      // WCAG contrast of foreground/background pairs (true checks the default pairs)
+      contrast: Joi.alternatives().try(
+        Joi.boolean(),
+        Joi.object({
+          error: Joi.string().valid('AA', 'AAA').allow(null),
+          warning: Joi.string().valid('AA', 'AAA').allow(null),
+          size: Joi.string().valid('normal', 'large'),
+          apca: Joi.alternatives().try(Joi.boolean(), Joi.number().min(0)),
+          pairs: Joi.array().items(Joi.object({
+            foreground: Joi.string().required(),
+            background: Joi.string().required(),
+            // Token patterns left out of both sides
+            exclude: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())),
+            error: Joi.string().valid('AA', 'AAA').allow(null),
+            warning: Joi.string().valid('AA', 'AAA').allow(null),
+            size: Joi.string().valid('normal', 'large'),
+            apca: Joi.alternatives().try(Joi.boolean(), Joi.number().min(0))
+          }))
+        })
+      ).default(false),
+      // Naming conventions, each checked by its naming-* rule when set
+      naming: Joi.object({
+        // Path regexes per tier (first path segment), "*" for the other tiers
+        patterns: Joi.object().pattern(
+          Joi.string(),
+          Joi.alternatives().try(
+            Joi.string(),
+            Joi.object().instance(RegExp),
+            Joi.array().items(Joi.string(), Joi.object().instance(RegExp))
+          )
+        ),
+        case: Joi.string().valid('camel', 'pascal', 'kebab', 'snake', 'lower'),
+        // Shades of every color ramp, or per ramp path pattern
+        shades: Joi.alternatives().try(
+          Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number())),
+          Joi.object().pattern(Joi.string(), Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number())))
+        ),
+        // Words to avoid, or an object of words to their replacements (null: no replacement)
+        bannedWords: Joi.alternatives().try(
+          Joi.array().items(Joi.string()),
+          Joi.object().pattern(Joi.string(), Joi.string().allow(null))
+        ),
+        maxDepth: Joi.number().integer().min(1)
+      }).default({}),
+      // Rule severities: 'off', 'warn', 'error' or [severity, options]
+      rules: Joi.object().pattern(
+        Joi.string(),
+        Joi.alternatives().try(
+          Joi.string().valid('off', 'warn', 'error'),
+          Joi.array().ordered(Joi.string().valid('off', 'warn', 'error').required(), Joi.object())
+        )
+      ).default({}),
+      // Custom rules: check(context) functions or { severity, description, check }
+      customRules: Joi.object().pattern(
+        Joi.string(),
+        Joi.alternatives().try(
+          Joi.function(),
+          Joi.object({
+            severity: Joi.string().valid('off', 'warn', 'error'),
+            description: Joi.string(),
+            check: Joi.function().required()
+          })
+        )
+      ).default({})
     })
   }),
   
@@ -33,14 +135,56 @@ const configSchema = Joi.object({
     flutter: Joi.string().allow(null),
     kotlinCompose: Joi.string().allow(null),
     swiftui: Joi.string().allow(null)
-  }),
+  }).pattern(Joi.string(), Joi.string().allow(null)), // custom formats
+
+  // Transforms and filters applied to `output` tokens; inline definitions
+  // are also registered by name for platforms
+  transforms: Joi.array().items(transformSchema).default([]),
+  filters: Joi.array().items(filterSchema).default([]),
+
+  // Custom formats: name -> ({ tokens, dictionary, options, platform, file, fileHeader }) => string
+  formats: Joi.object().pattern(Joi.string(), Joi.function()).optional(),
   
+  // Style Dictionary style platforms: each platform runs its own transforms
+  // and writes one file per format under its buildPath
+  platforms: Joi.object().pattern(Joi.string(), Joi.object({
+    transformGroup: Joi.string(),
+    transforms: Joi.array().items(transformSchema).default([]),
+    buildPath: Joi.string().allow('').default(''),
+    files: Joi.array().items(Joi.object({
+      format: Joi.string().required(),
+      destination: Joi.string().required(),
+      filter: filterSchema,
+      // Passed to custom formats as `options`
+      options: Joi.object()
+    })).min(1).required()
+  })).optional(),
+
+  // Token Studio $themes output (default theme goes to :root)
+  themes: Joi.object({
+    default: Joi.string().allow(null),
+    dark: Joi.string().allow(null),
+    selector: Joi.string().default('[data-theme="{theme}"]')
+  }).optional(),
+
+  // Incremental sync: skip rewriting generated files whose content did not change
+  cache: Joi.object({
+    enabled: Joi.boolean().default(true),
+    dir: Joi.string().default('.tokens-cache')
+  }).default(),
+
   git: Joi.object({
     enabled: Joi.boolean().default(true),
     autoCommit: Joi.boolean().default(true),
     autoPush: Joi.boolean().default(false),
     commitMessage: Joi.string().default('🎨 Update design tokens')
   }),
+
+  // Token releases: where the version lives and the CHANGELOG written by `release --changelog`
+  release: Joi.object({
+    versionFile: Joi.string().default('package.json'),
+    changelog: Joi.string().default('CHANGELOG.md')
+  }).default(),
   
   analytics: Joi.object({
     enabled: Joi.boolean().default(true),
@@ -85,9 +229,27 @@ const configSchema = Joi.object({
     generateStatic: Joi.boolean().default(false)
   }).optional(),
   
+  // Build hooks: each phase takes a function or an array of functions
   hooks: Joi.object({
-    beforeSync: Joi.function().allow(null),
-    afterSync: Joi.function().allow(null)
+    beforeSync: hookSchema,
+    beforeProcess: hookSchema,
+    beforeValidate: hookSchema,
+    afterValidate: hookSchema,
+    afterProcess: hookSchema,
+    beforeGenerate: hookSchema,
+    afterGenerate: hookSchema,
+    afterSync: hookSchema,
+    // Abort the sync when a hook throws
+    failOnError: Joi.boolean().default(false),
+    // false disables every built-in hook; an object disables them one by one
+    builtIn: Joi.alternatives().try(
+      Joi.boolean(),
+      Joi.object({
+        metadata: Joi.boolean(),
+        referenceCheck: Joi.boolean(),
+        componentCSS: Joi.boolean()
+      })
+    ).default(true)
   }).optional()
 }).default();
 
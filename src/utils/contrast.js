@@ -0,0 +1,71 @@
+/**
+ * Color contrast helpers
+ * WCAG 2.1 contrast ratios and APCA lightness contrast (Lc) for parsed srgb colors
+ */
+
+// Minimum WCAG 2.1 contrast ratios for normal and large (18pt, or 14pt bold) text
+export const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+// Minimum APCA Lc for body and large text (APCA "Bronze" readability levels)
+export const APCA_THRESHOLDS = { normal: 75, large: 60 };
+
+/**
+ * Composite a translucent color over an opaque backdrop
+ */
+export function blendColors(color, backdrop) {
+  const alpha = color.alpha ?? 1;
+  return {
+    r: color.r * alpha + backdrop.r * (1 - alpha),
+    g: color.g * alpha + backdrop.g * (1 - alpha),
+    b: color.b * alpha + backdrop.b * (1 - alpha),
+    alpha: 1
+  };
+}
+
+/**
+ * WCAG 2.1 relative luminance
+ */
+export function getLuminance({ r, g, b }) {
+  const linear = (c) => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG 2.1 contrast ratio (1-21) of a foreground on a background
+ * Translucent backgrounds are placed on white, translucent foregrounds on the background
+ */
+export function getContrastRatio(foreground, background) {
+  const backdrop = blendColors(background, { r: 1, g: 1, b: 1 });
+  const luminances = [getLuminance(blendColors(foreground, backdrop)), getLuminance(backdrop)];
+  return (Math.max(...luminances) + 0.05) / (Math.min(...luminances) + 0.05);
+}
+
+/**
+ * APCA 0.0.98G lightness contrast (Lc) of text on a background
+ * Positive for dark text on light backgrounds, negative for light text on dark ones
+ */
+export function getAPCAContrast(foreground, background) {
+  const backdrop = blendColors(background, { r: 1, g: 1, b: 1 });
+  const text = blendColors(foreground, backdrop);
+
+  const luminance = ({ r, g, b }) => {
+    const y = 0.2126729 * Math.pow(r, 2.4) + 0.7151522 * Math.pow(g, 2.4) + 0.0721750 * Math.pow(b, 2.4);
+    // Soft clamp near black
+    return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+  };
+
+  const textY = luminance(text);
+  const backgroundY = luminance(backdrop);
+  if (Math.abs(backgroundY - textY) < 0.0005) return 0;
+
+  if (backgroundY > textY) {
+    const contrast = (Math.pow(backgroundY, 0.56) - Math.pow(textY, 0.57)) * 1.14;
+    return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
+  }
+
+  const contrast = (Math.pow(backgroundY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
+  return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
+}
@@ -0,0 +1,29 @@
+/**
+ * Token deprecation helpers
+ * Tokens are deprecated with `deprecated: true` or a message naming their replacement,
+ * e.g. `"deprecated": "use {semantic.text.primary}"` (DTCG `$deprecated` is normalized to it)
+ */
+
+const REFERENCE_REGEX = /\{([^{}]+)\}/;
+
+/**
+ * Check if a raw token node is deprecated
+ */
+export function isDeprecated(token) {
+  return !!token && typeof token === 'object' && token.deprecated !== undefined && token.deprecated !== false;
+}
+
+/**
+ * Describe a deprecated token: { path, message, replacement }
+ * message is null for `deprecated: true`; references in it are written as plain paths
+ */
+export function getDeprecation(token, tokenPath) {
+  if (!isDeprecated(token)) return null;
+
+  const text = typeof token.deprecated === 'string' ? token.deprecated.trim() : '';
+  return {
+    path: tokenPath,
+    message: text ? text.replace(new RegExp(REFERENCE_REGEX.source, 'g'), '$1') : null,
+    replacement: text.match(REFERENCE_REGEX)?.[1] || null
+  };
+}
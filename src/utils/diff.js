@@ -0,0 +1,173 @@
+/**
+ * Line diff helpers
+ * Myers' O((N+M)D) diff over lines, in linear space (divide and conquer on the
+ * middle snake), and unified diff rendering (as `diff -u` / git)
+ */
+
+/**
+ * Diff two texts line by line
+ * Returns [{ type: 'equal'|'add'|'remove', line }] in order
+ */
+export function diffLines(oldText = '', newText = '') {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const edits = [];
+
+  diffRange(a, 0, a.length, b, 0, b.length, edits);
+  return edits;
+}
+
+/**
+ * Append the edits turning a[aStart..aEnd) into b[bStart..bEnd)
+ */
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, edits) {
+  // Common prefix and suffix need no search
+  const prefixEnd = aStart;
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    aStart++;
+    bStart++;
+  }
+  for (let i = prefixEnd; i < aStart; i++) {
+    edits.push({ type: 'equal', line: a[i] });
+  }
+
+  const suffixEnd = aEnd;
+  while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+  const suffix = a.slice(aEnd, suffixEnd);
+
+  if (aStart === aEnd) {
+    for (let i = bStart; i < bEnd; i++) edits.push({ type: 'add', line: b[i] });
+  } else if (bStart === bEnd) {
+    for (let i = aStart; i < aEnd; i++) edits.push({ type: 'remove', line: a[i] });
+  } else {
+    // Both sides differ at their ends, so the edit script has at least two edits
+    // and the halves around the middle snake are strictly smaller
+    const [x, y, u, v] = findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd);
+    diffRange(a, aStart, x, b, bStart, y, edits);
+    for (let i = x; i < u; i++) edits.push({ type: 'equal', line: a[i] });
+    diffRange(a, u, aEnd, b, v, bEnd, edits);
+  }
+
+  suffix.forEach(line => edits.push({ type: 'equal', line }));
+}
+
+/**
+ * Find the middle snake of a shortest edit script, searching forwards from the start
+ * and backwards from the end until the paths overlap
+ * Returns [x, y, u, v]: the snake runs from a[x]/b[y] to a[u]/b[v] (absolute indexes)
+ */
+function findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  // Furthest x reached on each diagonal, forwards and backwards (from the end)
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && x + backward[offset + c] >= n) {
+        return [aStart + startX, bStart + startY, aStart + x, bStart + y];
+      }
+    }
+
+    for (let c = -d; c <= d; c += 2) {
+      let x = c === -d || (c !== d && backward[offset + c - 1] < backward[offset + c + 1])
+        ? backward[offset + c + 1]
+        : backward[offset + c - 1] + 1;
+      let y = x - c;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + c] = x;
+
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && x + forward[offset + k] >= n) {
+        return [aEnd - x, bEnd - y, aEnd - startX, bEnd - startY];
+      }
+    }
+  }
+
+  throw new Error('No middle snake found');
+}
+
+/**
+ * Render a unified diff between two texts
+ * Returns an empty string when they are identical
+ */
+export function createUnifiedDiff(oldText, newText, { oldPath = 'a', newPath = 'b', context = 3 } = {}) {
+  const edits = diffLines(oldText ?? '', newText ?? '');
+  if (edits.every(edit => edit.type === 'equal')) return '';
+
+  const lines = [`--- ${oldPath}`, `+++ ${newPath}`];
+  const changed = edits.map((edit, i) => edit.type !== 'equal' ? i : -1).filter(i => i >= 0);
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  changed.forEach(i => {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= context * 2) {
+      last.end = i;
+    } else {
+      hunks.push({ start: i, end: i });
+    }
+  });
+
+  // Line numbers of each edit in the old and new text
+  const oldLines = [];
+  const newLines = [];
+  edits.reduce(([oldLine, newLine], edit, i) => {
+    oldLines[i] = oldLine;
+    newLines[i] = newLine;
+    return [oldLine + (edit.type !== 'add' ? 1 : 0), newLine + (edit.type !== 'remove' ? 1 : 0)];
+  }, [1, 1]);
+
+  hunks.forEach(({ start, end }) => {
+    const from = Math.max(0, start - context);
+    const to = Math.min(edits.length - 1, end + context);
+    const oldLine = oldLines[from];
+    const newLine = newLines[from];
+
+    const body = edits.slice(from, to + 1);
+    const oldCount = body.filter(edit => edit.type !== 'add').length;
+    const newCount = body.filter(edit => edit.type !== 'remove').length;
+
+    lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    body.forEach(edit => {
+      const prefix = edit.type === 'add' ? '+' : edit.type === 'remove' ? '-' : ' ';
+      lines.push(`${prefix}${edit.line}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
@@ -0,0 +1,143 @@
+/**
+ * W3C Design Tokens Community Group (DTCG) format helpers
+ * Normalizes `$value`/`$type`/`$description` tokens into the internal
+ * Token Studio shape (`value`/`type`/`description`) used across the pipeline
+ */
+
+// Group/token properties defined by the DTCG spec
+const DTCG_PROPERTIES = ['$value', '$type', '$description', '$extensions', '$deprecated'];
+
+// `$type`s defined by the DTCG spec
+export const DTCG_TYPES = [
+  'color', 'dimension', 'fontFamily', 'fontWeight', 'duration', 'cubicBezier', 'number',
+  'strokeStyle', 'border', 'transition', 'shadow', 'gradient', 'typography'
+];
+
+// Token Studio `type`s
+export const TOKEN_STUDIO_TYPES = [
+  'color', 'dimension', 'sizing', 'spacing', 'borderRadius', 'borderWidth', 'opacity',
+  'fontFamilies', 'fontWeights', 'fontSizes', 'lineHeights', 'letterSpacing', 'paragraphSpacing',
+  'textCase', 'textDecoration', 'typography', 'boxShadow', 'border', 'composition', 'asset', 'text', 'other'
+];
+
+/**
+ * Check if tokens are in W3C DTCG format (any token carries `$value`)
+ */
+export function isDTCGFormat(tokens) {
+  const hasDollarValue = (obj) => {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return false;
+    if (obj.$value !== undefined) return true;
+
+    return Object.entries(obj).some(([key, value]) =>
+      !DTCG_PROPERTIES.includes(key) && hasDollarValue(value)
+    );
+  };
+
+  return hasDollarValue(tokens);
+}
+
+/**
+ * Convert a DTCG token tree into the internal format.
+ * `$type` is inherited from the closest parent group that declares it.
+ */
+export function normalizeDTCGTokens(tokens) {
+  const normalizeNode = (node, inheritedType) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      return node;
+    }
+
+    const type = node.$type || inheritedType;
+
+    if (node.$value !== undefined) {
+      return normalizeToken(node, type);
+    }
+
+    const group = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (DTCG_PROPERTIES.includes(key)) {
+        // Group-level metadata only feeds inheritance
+        continue;
+      }
+      if (key.startsWith('$')) {
+        // Non-token root metadata ($themes, $metadata, ...) is kept as-is
+        group[key] = value;
+        continue;
+      }
+      group[key] = normalizeNode(value, type);
+    }
+    return group;
+  };
+
+  return normalizeNode(tokens, undefined);
+}
+
+function normalizeToken(token, type) {
+  const normalized = {
+    value: normalizeValue(token.$value, type)
+  };
+
+  if (type) normalized.type = type;
+  if (token.$description !== undefined) normalized.description = token.$description;
+  if (token.$extensions !== undefined) normalized.$extensions = token.$extensions;
+  if (token.$deprecated !== undefined) normalized.deprecated = token.$deprecated;
+
+  // Keep any non-spec properties tooling may have attached
+  for (const [key, value] of Object.entries(token)) {
+    if (!DTCG_PROPERTIES.includes(key) && normalized[key] === undefined) {
+      normalized[key] = value;
+    }
+  }
+
+  return normalized;
+}
+
+// Sub-value types of DTCG composite tokens
+const COMPOSITE_FIELD_TYPES = {
+  shadow: { color: 'color', offsetX: 'dimension', offsetY: 'dimension', blur: 'dimension', spread: 'dimension' },
+  typography: { fontSize: 'dimension', letterSpacing: 'dimension' },
+  border: { color: 'color', width: 'dimension' },
+  transition: { duration: 'duration', delay: 'duration', timingFunction: 'cubicBezier' },
+  gradient: { color: 'color' }
+};
+
+/**
+ * Convert structured DTCG values into the string values the generators expect
+ * Composite values keep their shape with each field normalized
+ */
+function normalizeValue(value, type) {
+  const fieldTypes = COMPOSITE_FIELD_TYPES[type];
+  if (fieldTypes && value && typeof value === 'object') {
+    const normalizeFields = (item) => Object.fromEntries(
+      Object.entries(item).map(([field, fieldValue]) => [field, normalizeValue(fieldValue, fieldTypes[field])])
+    );
+    return Array.isArray(value) ? value.map(normalizeFields) : normalizeFields(value);
+  }
+
+  if (typeof value === 'string' || value === null || value === undefined) {
+    return value;
+  }
+
+  // Dimension/duration objects: { value: 16, unit: 'px' }
+  if ((type === 'dimension' || type === 'duration') &&
+      typeof value === 'object' && value.value !== undefined && value.unit !== undefined) {
+    return `${value.value}${value.unit}`;
+  }
+
+  // Color objects: { colorSpace, components, alpha, hex }
+  if (type === 'color' && typeof value === 'object' && !Array.isArray(value)) {
+    if (value.hex) return value.hex;
+    if (value.colorSpace === 'srgb' && Array.isArray(value.components)) {
+      const [r, g, b] = value.components.map(c => Math.round(c * 255));
+      const alpha = value.alpha ?? 1;
+      return alpha === 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+    return value;
+  }
+
+  // Cubic bezier arrays: [x1, y1, x2, y2]
+  if (type === 'cubicBezier' && Array.isArray(value) && value.length === 4) {
+    return `cubic-bezier(${value.join(', ')})`;
+  }
+
+  return value;
+}
@@ -0,0 +1,79 @@
+/**
+ * Glob matching for paths that are not on disk (files listed from a git tree)
+ * Supports **, *, ?, [...] and {a,b}
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+
+    if (char === '*') {
+      if (normalized[i + 1] === '*') {
+        // `**/` matches any number of directories, including none
+        const slash = normalized[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = normalized.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${normalized.slice(i + 1, end).replace(/^!/, '^')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = normalized.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = normalized.slice(i + 1, end).split(',');
+        source += `(?:${options.map(option => globToRegExp(option).source.slice(1, -1)).join('|')})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a path matches a glob pattern
+ */
+export function matchesGlob(file, pattern) {
+  return globToRegExp(pattern).test(file.replace(/\\/g, '/').replace(/^\.\//, ''));
+}
+
+/**
+ * Token path patterns: `*` matches within one segment, `**` any number of segments
+ * and `<name>` one or more segments, captured as a named group
+ * e.g. `component.<component>.textColor` captures `component` = "button.primary"
+ */
+export function tokenPatternToRegExp(pattern) {
+  const segments = pattern.split('.');
+  let source = '';
+
+  segments.forEach((segment, index) => {
+    const last = index === segments.length - 1;
+    const placeholder = segment.match(/^<(\w+)>$/);
+
+    if (segment === '**') {
+      source += last ? '.*' : '(?:[^.]+\\.)*';
+      return;
+    }
+    source += placeholder
+      ? `(?<${placeholder[1]}>[^.]+(?:\\.[^.]+)*?)`
+      : segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*');
+    if (!last) source += '\\.';
+  });
+
+  return new RegExp(`^${source}$`);
+}
@@ -0,0 +1,314 @@
+import { configSchema } from './config.js';
+import { DTCG_TYPES, TOKEN_STUDIO_TYPES } from './dtcg.js';
+
+/**
+ * JSON Schemas for tokens.json and the config file
+ * The config schema is converted from the Joi schema loadConfig validates with,
+ * so the published schema and the runtime validation cannot drift apart
+ */
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+// Functions and RegExps cannot be written in JSON config files
+const javascriptOnly = (name) => ({
+  not: {},
+  description: `${name}: only available in JavaScript config files`
+});
+
+const withNull = (schema) => {
+  if (typeof schema.type === 'string') return { ...schema, type: [schema.type, 'null'] };
+  return { anyOf: [schema, { type: 'null' }] };
+};
+
+/**
+ * Convert a Joi schema description (schema.describe()) into a JSON Schema
+ */
+export function joiToJSONSchema(description) {
+  const flags = description.flags || {};
+  const rules = description.rules || [];
+  const getRule = (name) => rules.find(rule => rule.name === name);
+  let schema;
+
+  switch (description.type) {
+    case 'function':
+      return javascriptOnly('A function');
+
+    case 'string':
+      schema = { type: 'string' };
+      break;
+
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+
+    case 'number':
+      schema = { type: getRule('integer') ? 'integer' : 'number' };
+      if (getRule('min')) schema.minimum = getRule('min').args.limit;
+      if (getRule('max')) schema.maximum = getRule('max').args.limit;
+      break;
+
+    case 'array':
+      schema = { type: 'array' };
+      if (description.ordered) {
+        schema.items = description.ordered.map(joiToJSONSchema);
+        schema.minItems = description.ordered.filter(item => item.flags?.presence === 'required').length;
+        schema.maxItems = description.ordered.length;
+      } else if (description.items) {
+        const items = description.items.map(joiToJSONSchema);
+        schema.items = items.length === 1 ? items[0] : { anyOf: items };
+      }
+      if (getRule('min')) schema.minItems = getRule('min').args.limit;
+      break;
+
+    case 'object': {
+      if (getRule('instance')) return javascriptOnly(`A ${getRule('instance').args.name}`);
+
+      schema = { type: 'object' };
+      if (description.keys) {
+        schema.properties = Object.fromEntries(
+          Object.entries(description.keys).map(([key, keySchema]) => [key, joiToJSONSchema(keySchema)])
+        );
+        const required = Object.keys(description.keys)
+          .filter(key => description.keys[key].flags?.presence === 'required');
+        if (required.length > 0) schema.required = required;
+      }
+
+      // Joi rejects unknown keys once an object declares its keys
+      if (description.patterns) {
+        const patterns = description.patterns.map(pattern => joiToJSONSchema(pattern.rule));
+        schema.additionalProperties = patterns.length === 1 ? patterns[0] : { anyOf: patterns };
+      } else if (description.keys) {
+        schema.additionalProperties = false;
+      }
+      break;
+    }
+
+    case 'alternatives':
+      schema = { anyOf: description.matches.map(match => joiToJSONSchema(match.schema)) };
+      break;
+
+    default:
+      schema = {};
+  }
+
+  if (flags.only) {
+    schema = { enum: description.allow };
+  } else if (description.allow?.includes(null)) {
+    schema = withNull(schema);
+  }
+
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && (flags.default === null || typeof flags.default !== 'object' || Array.isArray(flags.default))) {
+    schema.default = flags.default;
+  }
+
+  return schema;
+}
+
+/**
+ * JSON Schema for JSON config files (.design-tokensrc.json, package.json "design-tokens")
+ */
+export function createConfigSchema() {
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: 'design-tokens-sync configuration',
+    ...joiToJSONSchema(configSchema.describe())
+  };
+}
+
+/**
+ * JSON Schema for token files, in Token Studio (value/type) or DTCG ($value/$type) format
+ */
+export function createTokensSchema() {
+  const tokenTypes = [...new Set([...DTCG_TYPES, ...TOKEN_STUDIO_TYPES])];
+  const deprecated = {
+    type: ['boolean', 'string'],
+    description: 'Deprecated token: true or the reason/replacement ({new.token})'
+  };
+
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: 'Design tokens',
+    type: 'object',
+    properties: {
+      $themes: {
+        type: 'array',
+        description: 'Token Studio themes',
+        items: {
+          type: 'object',
+          required: ['name', 'selectedTokenSets'],
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            group: { type: 'string' },
+            selectedTokenSets: {
+              anyOf: [
+                { type: 'object', additionalProperties: { $ref: '#/definitions/tokenSetStatus' } },
+                {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['id', 'status'],
+                    properties: { id: { type: 'string' }, status: { $ref: '#/definitions/tokenSetStatus' } }
+                  }
+                }
+              ]
+            }
+          }
+        }
+      },
+      $metadata: {
+        type: 'object',
+        properties: {
+          tokenSetOrder: {
+            description: 'Token set merge order',
+            anyOf: [{ type: 'array', items: { type: 'string' } }, { type: 'object' }]
+          }
+        }
+      }
+    },
+    patternProperties: { '^\\$': {} },
+    additionalProperties: { $ref: '#/definitions/node' },
+    propertyNames: { $ref: '#/definitions/name' },
+    definitions: {
+      // Token paths are dotted and references are wrapped in braces
+      name: { not: { pattern: '[.{}]' } },
+      type: { enum: tokenTypes },
+      tokenSetStatus: { enum: ['enabled', 'source', 'disabled'] },
+      node: {
+        if: { type: 'object', required: ['$value'] },
+        then: { $ref: '#/definitions/dtcgToken' },
+        else: {
+          if: { type: 'object', required: ['value'] },
+          then: { $ref: '#/definitions/token' },
+          else: {
+            if: { type: 'object' },
+            then: { $ref: '#/definitions/group' },
+            else: { type: ['string', 'number'], description: 'Token value without a type' }
+          }
+        }
+      },
+      token: {
+        type: 'object',
+        description: 'Token Studio token',
+        properties: {
+          value: { description: 'Token value or a {reference}' },
+          type: { $ref: '#/definitions/type' },
+          description: { type: 'string' },
+          deprecated,
+          $extensions: { type: 'object' }
+        }
+      },
+      dtcgToken: {
+        type: 'object',
+        description: 'DTCG token',
+        properties: {
+          $value: { description: 'Token value or a {reference}' },
+          $type: { $ref: '#/definitions/type' },
+          $description: { type: 'string' },
+          $deprecated: deprecated,
+          $extensions: { type: 'object' }
+        }
+      },
+      group: {
+        type: 'object',
+        properties: {
+          $type: { $ref: '#/definitions/type' },
+          $description: { type: 'string' },
+          $deprecated: deprecated,
+          $extensions: { type: 'object' }
+        },
+        patternProperties: { '^\\$': {} },
+        additionalProperties: { $ref: '#/definitions/node' },
+        propertyNames: { $ref: '#/definitions/name' }
+      }
+    }
+  };
+}
+
+/**
+ * Convert a Joi schema description into a TypeScript type, for JavaScript config files
+ */
+export function joiToTypeScript(description, indent = '') {
+  const flags = description.flags || {};
+  const rules = description.rules || [];
+  let type;
+
+  switch (description.type) {
+    case 'function':
+      type = '((...args: any[]) => any)';
+      break;
+
+    case 'string':
+    case 'boolean':
+    case 'number':
+      type = description.type;
+      break;
+
+    case 'array':
+      if (description.ordered) {
+        type = `[${description.ordered.map(item =>
+          `${joiToTypeScript(item, indent)}${item.flags?.presence === 'required' ? '' : '?'}`
+        ).join(', ')}]`;
+      } else {
+        const items = (description.items || []).map(item => joiToTypeScript(item, indent));
+        type = items.length === 0 ? 'unknown[]' : `Array<${items.join(' | ')}>`;
+      }
+      break;
+
+    case 'object': {
+      const instance = rules.find(rule => rule.name === 'instance');
+      if (instance) {
+        type = instance.args.name;
+        break;
+      }
+      if (!description.keys && !description.patterns) {
+        type = 'Record<string, any>';
+        break;
+      }
+
+      const inner = `${indent}  `;
+      const keys = Object.entries(description.keys || {}).map(([key, keySchema]) => [key, keySchema, joiToTypeScript(keySchema, inner)]);
+      const lines = keys.map(([key, keySchema, keyType]) => {
+        const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+        const optional = keySchema.flags?.presence === 'required' ? '' : '?';
+        return `${inner}${name}${optional}: ${keyType};`;
+      });
+      if (description.patterns) {
+        // The index signature has to cover the declared keys too
+        const patterns = description.patterns.map(pattern => joiToTypeScript(pattern.rule, inner));
+        const indexTypes = new Set([...patterns, ...keys.map(([, , keyType]) => keyType)]
+          .flatMap(type => /[{(<[]/.test(type) ? [type] : type.split(' | ')));
+        if (keys.length > 0) indexTypes.add('undefined');
+        lines.push(`${inner}[key: string]: ${[...indexTypes].join(' | ')};`);
+      }
+      type = `{\n${lines.join('\n')}\n${indent}}`;
+      break;
+    }
+
+    case 'alternatives':
+      type = description.matches.map(match => joiToTypeScript(match.schema, indent)).join(' | ');
+      break;
+
+    default:
+      type = 'any';
+  }
+
+  if (flags.only) {
+    return description.allow.map(value => JSON.stringify(value)).join(' | ');
+  }
+  return description.allow?.includes(null) ? `${type} | null` : type;
+}
+
+/**
+ * TypeScript declarations for design-tokens.config.js, used from a JSDoc
+ * `@type {import('design-tokens-sync/schemas/config').DesignTokensConfig}` comment
+ */
+export function createConfigTypes() {
+  return [
+    '// Generated by design-tokens-sync from its configuration schema (dts schema)',
+    '',
+    `export interface DesignTokensConfig ${joiToTypeScript(configSchema.describe())}`,
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,126 @@
+/**
+ * Position-preserving JSON parsing
+ * Token files are parsed with the line and column of every key so issues can point
+ * at the token in its source file
+ */
+
+/**
+ * Parse JSON text, recording where each object key is written
+ * Returns { value, locations: Map<dotted path, { line, column }> } (1-based);
+ * array items are addressed by index. Throws SyntaxError with the position on bad JSON
+ */
+export function parseJSONWithLocations(text) {
+  const locations = new Map();
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at line ${line}, column ${index - lineStart + 1}`);
+  };
+
+  const skipWhitespace = () => {
+    while (index < text.length) {
+      const char = text[index];
+      if (char === '\n') {
+        line++;
+        lineStart = index + 1;
+      } else if (char !== ' ' && char !== '\t' && char !== '\r') {
+        break;
+      }
+      index++;
+    }
+  };
+
+  const parseString = () => {
+    const start = index;
+    index++;
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === '\n') fail('Unterminated string');
+      index += text[index] === '\\' ? 2 : 1;
+    }
+    if (index >= text.length) fail('Unterminated string');
+    index++;
+    return JSON.parse(text.slice(start, index));
+  };
+
+  const parseValue = (path) => {
+    skipWhitespace();
+    const char = text[index];
+
+    if (char === '{') {
+      const result = {};
+      index++;
+      skipWhitespace();
+      if (text[index] === '}') {
+        index++;
+        return result;
+      }
+
+      while (true) {
+        skipWhitespace();
+        if (text[index] !== '"') fail('Expected a property name');
+        const position = { line, column: index - lineStart + 1 };
+        const key = parseString();
+        const keyPath = [...path, key];
+        locations.set(keyPath.join('.'), position);
+
+        skipWhitespace();
+        if (text[index] !== ':') fail('Expected ":"');
+        index++;
+        result[key] = parseValue(keyPath);
+
+        skipWhitespace();
+        if (text[index] === ',') {
+          index++;
+        } else if (text[index] === '}') {
+          index++;
+          return result;
+        } else {
+          fail('Expected "," or "}"');
+        }
+      }
+    }
+
+    if (char === '[') {
+      const result = [];
+      index++;
+      skipWhitespace();
+      if (text[index] === ']') {
+        index++;
+        return result;
+      }
+
+      while (true) {
+        result.push(parseValue([...path, String(result.length)]));
+        skipWhitespace();
+        if (text[index] === ',') {
+          index++;
+        } else if (text[index] === ']') {
+          index++;
+          return result;
+        } else {
+          fail('Expected "," or "]"');
+        }
+      }
+    }
+
+    if (char === '"') {
+      return parseString();
+    }
+
+    const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(index, index + 64));
+    if (!literal) fail(char === undefined ? 'Unexpected end of JSON' : `Unexpected token ${char}`);
+    index += literal[0].length;
+    return JSON.parse(literal[0]);
+  };
+
+  // A byte order mark is not part of the content
+  if (text.charCodeAt(0) === 0xFEFF) index = 1;
+
+  const value = parseValue([]);
+  skipWhitespace();
+  if (index < text.length) fail('Unexpected content after JSON');
+
+  return { value, locations };
+}
@@ -0,0 +1,182 @@
+/**
+ * Token Studio math expressions
+ * Evaluates values such as `8px * 2`, `(16 + 4) / 2` or `roundTo(14.6px)` without eval()
+ */
+
+const FUNCTIONS = {
+  roundTo: (value, decimals = 0) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  },
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max
+};
+
+const TOKEN_REGEX = /\s*(?:(\d*\.?\d+(?:e[+-]?\d+)?)([a-z%]+)?|([a-z_]\w*)|([-+*/(),]))/iy;
+
+/**
+ * Check if a literal value looks like a math expression worth evaluating
+ * (an operator surrounded by spaces or a known function call)
+ */
+export function isMathExpression(value) {
+  if (typeof value !== 'string') return false;
+
+  const functionCall = new RegExp(`\\b(${Object.keys(FUNCTIONS).join('|')})\\(`);
+  return /\s[-+*/]\s/.test(value) || functionCall.test(value);
+}
+
+/**
+ * Evaluate a math expression
+ * Returns the result as a string (keeping the operands' unit) or undefined when the
+ * value is not a valid expression, mixes units, or contains no operation at all
+ */
+export function evaluateMathExpression(expression) {
+  if (typeof expression !== 'string') return undefined;
+
+  const tokens = tokenize(expression);
+  if (!tokens) return undefined;
+
+  const state = { tokens, position: 0, operations: 0 };
+
+  try {
+    const result = parseExpression(state);
+    if (state.position !== tokens.length || state.operations === 0 || !Number.isFinite(result.value)) {
+      return undefined;
+    }
+    return `${Number(result.value.toFixed(4))}${result.unit}`;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_REGEX.lastIndex = 0;
+
+  while (TOKEN_REGEX.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_REGEX.lastIndex))) break;
+
+    const match = TOKEN_REGEX.exec(expression);
+    if (!match) return null;
+
+    const [, number, unit, identifier, operator] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(number), unit: unit || '' });
+    } else if (identifier !== undefined) {
+      tokens.push({ type: 'identifier', value: identifier });
+    } else {
+      tokens.push({ type: 'operator', value: operator });
+    }
+  }
+
+  return tokens;
+}
+
+function peek(state) {
+  return state.tokens[state.position];
+}
+
+function expect(state, value) {
+  const token = state.tokens[state.position++];
+  if (!token || token.value !== value) {
+    throw new Error(`Expected "${value}"`);
+  }
+}
+
+function combineUnits(left, right) {
+  if (left.unit && right.unit && left.unit !== right.unit) {
+    throw new Error(`Cannot mix units ${left.unit} and ${right.unit}`);
+  }
+  return left.unit || right.unit;
+}
+
+/**
+ * Unit of a product or quotient: a length times a number keeps the unit and the ratio
+ * of two lengths in the same unit is a plain number; `8px * 2px` and `2 / 8px` have
+ * no CSS unit and are not evaluated
+ */
+function multiplyUnits(operator, left, right) {
+  if (operator === '*') {
+    if (left.unit && right.unit) {
+      throw new Error(`Cannot multiply ${left.unit} by ${right.unit}`);
+    }
+    return left.unit || right.unit;
+  }
+
+  if (!right.unit) return left.unit;
+  if (left.unit === right.unit) return '';
+  throw new Error(left.unit ? `Cannot divide ${left.unit} by ${right.unit}` : `Cannot divide a number by ${right.unit}`);
+}
+
+function parseExpression(state) {
+  let left = parseTerm(state);
+
+  while (peek(state)?.value === '+' || peek(state)?.value === '-') {
+    const operator = state.tokens[state.position++].value;
+    const right = parseTerm(state);
+    state.operations++;
+    left = {
+      value: operator === '+' ? left.value + right.value : left.value - right.value,
+      unit: combineUnits(left, right)
+    };
+  }
+
+  return left;
+}
+
+function parseTerm(state) {
+  let left = parseFactor(state);
+
+  while (peek(state)?.value === '*' || peek(state)?.value === '/') {
+    const operator = state.tokens[state.position++].value;
+    const right = parseFactor(state);
+    state.operations++;
+    left = {
+      value: operator === '*' ? left.value * right.value : left.value / right.value,
+      unit: multiplyUnits(operator, left, right)
+    };
+  }
+
+  return left;
+}
+
+function parseFactor(state) {
+  const token = state.tokens[state.position++];
+  if (!token) throw new Error('Unexpected end of expression');
+
+  if (token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+    const operand = parseFactor(state);
+    return { value: token.value === '-' ? -operand.value : operand.value, unit: operand.unit };
+  }
+
+  if (token.type === 'number') {
+    return { value: token.value, unit: token.unit };
+  }
+
+  if (token.type === 'operator' && token.value === '(') {
+    const result = parseExpression(state);
+    expect(state, ')');
+    return result;
+  }
+
+  if (token.type === 'identifier' && FUNCTIONS[token.value]) {
+    expect(state, '(');
+    const args = [parseExpression(state)];
+    while (peek(state)?.value === ',') {
+      state.position++;
+      args.push(parseExpression(state));
+    }
+    expect(state, ')');
+    state.operations++;
+
+    // Unitless arguments (roundTo(14.6px, 1)) take the unit of the others
+    const value = FUNCTIONS[token.value](...args.map(arg => arg.value));
+    return { value, unit: args.reduce((unit, arg) => combineUnits({ unit }, arg), '') };
+  }
+
+  throw new Error(`Unexpected token "${token.value}"`);
+}
@@ -0,0 +1,60 @@
+/**
+ * Token naming helpers
+ * Casing checks and conversions for single path segments
+ */
+
+// Digits are allowed anywhere so scale steps like `2xl` or `1-5` keep their case
+export const CASE_PATTERNS = {
+  camel: /^[a-z0-9][a-zA-Z0-9]*$/,
+  pascal: /^[A-Z0-9][a-zA-Z0-9]*$/,
+  kebab: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+  snake: /^[a-z0-9]+(_[a-z0-9]+)*$/,
+  lower: /^[a-z0-9]+$/
+};
+
+/**
+ * Split a segment into lowercase words: "primaryHover", "primary-hover" and
+ * "primary_hover" all give ["primary", "hover"]
+ */
+export function splitWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * Write a segment in the given case
+ */
+export function toCase(name, casing) {
+  const words = splitWords(name);
+  const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+  switch (casing) {
+    case 'camel':
+      return words.map((word, index) => index === 0 ? word : capitalize(word)).join('');
+    case 'pascal':
+      return words.map(capitalize).join('');
+    case 'snake':
+      return words.join('_');
+    case 'lower':
+      return words.join('');
+    default:
+      return words.join('-');
+  }
+}
+
+/**
+ * Guess the case a segment is written in
+ */
+export function detectCase(name) {
+  return ['kebab', 'snake', 'camel', 'pascal'].find(casing => CASE_PATTERNS[casing].test(name)) || 'kebab';
+}
+
+/**
+ * Check that a segment follows a case; numeric segments (shades, scale steps) always do
+ */
+export function isCase(name, casing) {
+  return /^\d+$/.test(name) || CASE_PATTERNS[casing].test(name);
+}
@@ -0,0 +1,69 @@
+/**
+ * Semantic version helpers
+ * Enough of semver for suggesting and checking release bumps (no ranges)
+ */
+
+export const RELEASE_TYPES = ['patch', 'minor', 'major'];
+
+/**
+ * Parse "1.2.3" (optionally "v1.2.3" or with a prerelease suffix) into numbers
+ */
+export function parseVersion(version) {
+  const match = String(version ?? '').trim().match(/^v?(\d+)\.(\d+)\.(\d+)(?:-([\w.-]+))?/);
+  if (!match) return null;
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+    prerelease: match[4] || null
+  };
+}
+
+/**
+ * Bump a version by a release type
+ * Before 1.0.0 breaking changes bump the minor version, as npm and Cargo treat 0.x
+ */
+export function bumpVersion(version, type) {
+  const parsed = parseVersion(version);
+  if (!parsed) throw new Error(`Invalid version "${version}"`);
+  const { major, minor, patch } = parsed;
+
+  switch (type) {
+    case 'major':
+      return major === 0 ? `0.${minor + 1}.0` : `${major + 1}.0.0`;
+    case 'minor':
+      return major === 0 ? `0.${minor}.${patch + 1}` : `${major}.${minor + 1}.0`;
+    case 'patch':
+      return `${major}.${minor}.${patch + 1}`;
+    default:
+      return `${major}.${minor}.${patch}`;
+  }
+}
+
+/**
+ * Compare two release types; returns a negative number, 0 or a positive number
+ */
+export function compareReleaseTypes(a, b) {
+  return RELEASE_TYPES.indexOf(a) - RELEASE_TYPES.indexOf(b);
+}
+
+/**
+ * Get the release type a version change amounts to ("major", "minor", "patch" or null)
+ * Follows bumpVersion, so 0.1.0 -> 0.2.0 counts as a major release
+ */
+export function getReleaseType(from, to) {
+  const a = parseVersion(from);
+  const b = parseVersion(to);
+  if (!a || !b) return null;
+
+  if (b.major !== a.major) return b.major > a.major ? 'major' : null;
+  if (b.minor !== a.minor) {
+    if (b.minor < a.minor) return null;
+    return a.major === 0 ? 'major' : 'minor';
+  }
+  if (b.patch !== a.patch) {
+    if (b.patch < a.patch) return null;
+    return a.major === 0 ? 'minor' : 'patch';
+  }
+  return null;
+}
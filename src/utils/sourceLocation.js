@@ -0,0 +1,39 @@
+import path from 'path';
+
+/**
+ * Token source locations
+ * TokenLoader maps every token path to { file, line, column } in its source file
+ */
+
+/**
+ * Find where a token path is defined
+ * Paths reported without their token set (colors.primary.500 for core.colors.primary.500)
+ * fall back to the first location ending with the path
+ */
+export function findLocation(locations, tokenPath) {
+  if (!locations || !tokenPath) return null;
+  if (locations.has(tokenPath)) return locations.get(tokenPath);
+
+  for (const [keyPath, location] of locations) {
+    if (keyPath.endsWith(`.${tokenPath}`)) return location;
+  }
+  return null;
+}
+
+/**
+ * Format a location as file:line:column, relative to the working directory
+ */
+export function formatLocation(location) {
+  if (!location) return null;
+
+  const file = path.relative(process.cwd(), location.file).replace(/\\/g, '/');
+  return location.line ? `${file}:${location.line}:${location.column}` : file;
+}
+
+/**
+ * Append a token's location to a message: `message (tokens.json:12:5)`
+ */
+export function withLocation(message, locations, tokenPath) {
+  const location = formatLocation(findLocation(locations, tokenPath));
+  return location ? `${message} (${location})` : message;
+}
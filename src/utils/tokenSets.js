@@ -0,0 +1,23 @@
+/**
+ * Token Studio token set helpers
+ */
+
+/**
+ * Normalize `$metadata.tokenSetOrder` to a list of set names
+ * Token Studio exports it as an array or with indexed entries: { "0": { value: "core" } }
+ */
+export function normalizeTokenSetOrder(tokenSetOrder) {
+  if (Array.isArray(tokenSetOrder)) {
+    return tokenSetOrder;
+  }
+  if (!tokenSetOrder || typeof tokenSetOrder !== 'object') {
+    return [];
+  }
+
+  return Object.keys(tokenSetOrder)
+    .sort((a, b) => Number(a) - Number(b))
+    .map(index => {
+      const entry = tokenSetOrder[index];
+      return entry && typeof entry === 'object' ? entry.value : entry;
+    });
+}
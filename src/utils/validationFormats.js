@@ -0,0 +1,115 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Machine-readable validation reports
+ * Issues are { ruleId, severity, path, message, fix, file, line, column }
+ */
+
+const packageJson = fs.readJSONSync(new URL('../../package.json', import.meta.url));
+
+const SARIF_LEVELS = { error: 'error', warn: 'warning' };
+
+/**
+ * JSON report: { valid, summary, issues }
+ */
+export function formatJSON(issues, summary) {
+  return JSON.stringify({
+    valid: !issues.some(issue => issue.severity === 'error'),
+    summary,
+    issues
+  }, null, 2);
+}
+
+/**
+ * SARIF 2.1.0 log, as read by GitHub code scanning
+ * rules is the validator's Map of rule id -> { description }
+ */
+export function formatSARIF(issues, rules = new Map()) {
+  const ruleIds = [...new Set([...rules.keys(), ...issues.map(issue => issue.ruleId).filter(Boolean)])];
+
+  const results = issues.map(issue => {
+    const result = {
+      ruleId: issue.ruleId || 'source',
+      level: SARIF_LEVELS[issue.severity],
+      message: { text: issue.fix ? `${issue.message}. Fix: ${issue.fix}` : issue.message },
+      properties: { tokenPath: issue.path, fix: issue.fix }
+    };
+
+    if (issue.file) {
+      result.locations = [{
+        physicalLocation: {
+          artifactLocation: { uri: issue.file },
+          ...(issue.line ? { region: { startLine: issue.line, startColumn: issue.column } } : {})
+        },
+        ...(issue.path ? { logicalLocations: [{ fullyQualifiedName: issue.path, kind: 'member' }] } : {})
+      }];
+    }
+    return result;
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: packageJson.name,
+          version: packageJson.version,
+          informationUri: packageJson.homepage,
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: rules.get(id)?.description || id }
+          }))
+        }
+      },
+      results
+    }]
+  }, null, 2);
+}
+
+/**
+ * JUnit XML: a test suite per token file with a failing test case per issue
+ */
+export function formatJUnit(issues, files = []) {
+  const escape = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  // Files without issues pass
+  const suites = new Map(files.map(file => [path.relative(process.cwd(), file).replace(/\\/g, '/'), []]));
+  issues.forEach(issue => {
+    const name = issue.file || 'tokens';
+    if (!suites.has(name)) suites.set(name, []);
+    suites.get(name).push(issue);
+  });
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<testsuites name="${escape(packageJson.name)}" tests="${Math.max(issues.length, 1)}" failures="${issues.length}">`);
+
+  suites.forEach((suiteIssues, name) => {
+    lines.push(`  <testsuite name="${escape(name)}" tests="${Math.max(suiteIssues.length, 1)}" failures="${suiteIssues.length}" errors="0">`);
+
+    if (suiteIssues.length === 0) {
+      lines.push(`    <testcase name="validate" classname="${escape(name)}"/>`);
+    }
+
+    suiteIssues.forEach(issue => {
+      const location = issue.line ? `${name}:${issue.line}:${issue.column}` : name;
+      lines.push(`    <testcase name="${escape(issue.path || issue.message)}" classname="${escape(issue.ruleId || 'source')}">`);
+      lines.push(`      <failure message="${escape(issue.message)}" type="${issue.severity}">${escape([
+        `${issue.severity === 'error' ? 'Error' : 'Warning'}: ${issue.message}`,
+        `at ${location}`,
+        issue.fix ? `Fix: ${issue.fix}` : null
+      ].filter(Boolean).join('\n'))}</failure>`);
+      lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
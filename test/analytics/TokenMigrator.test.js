@@ -0,0 +1,93 @@
+import { TokenMigrator } from '../../src/analytics/TokenMigrator.js';
+
+const migrator = new TokenMigrator();
+const rename = { from: 'core.colors.primary.500', to: 'core.colors.brand.500' };
+const entries = migrator.createEntries([rename]);
+
+const migrate = (content, extension) => {
+  const result = migrator.migrateContent(content, extension, entries);
+  return { content: result.content, count: result.replacements.get(rename) || 0 };
+};
+
+describe('TokenMigrator.parseMap', () => {
+  test('reads an object of renames', () => {
+    expect(TokenMigrator.parseMap({ 'colors.a': 'colors.b' })).toEqual([{ from: 'colors.a', to: 'colors.b' }]);
+  });
+
+  test('reads the renamed list of dts diff JSON output', () => {
+    const diff = { renamed: [{ from: 'colors.a', to: 'colors.b', type: 'color' }], added: [] };
+    expect(TokenMigrator.parseMap(diff)).toEqual([{ from: 'colors.a', to: 'colors.b' }]);
+  });
+
+  test('rejects invalid maps', () => {
+    expect(() => TokenMigrator.parseMap(['colors.a'])).toThrow('Rename map must be an object');
+    expect(() => TokenMigrator.parseMap({ 'colors.a': 42 })).toThrow('Rename of "colors.a" must be a token path, got 42');
+  });
+});
+
+describe('TokenMigrator.getNames', () => {
+  test('follows the generated output names', () => {
+    const names = migrator.getNames('core.colors.primary.500');
+    expect(names.category).toBe('colors');
+    expect(names.css).toBe('color-primary-500');
+    expect(names.android).toBe('primary_500');
+    expect(names.members.camel).toBe('primary500');
+    expect(names.members.pascal).toBe('Primary500');
+    expect(names.tailwind).toContain('bg-primary-500');
+  });
+
+  test('splits typography subcategories', () => {
+    const names = migrator.getNames('typography.fontSize.lg');
+    expect(names.category).toBe('typography.fontSize');
+    expect(names.css).toBe('typography-fontSize-lg');
+    expect(names.tailwind).toEqual(['text-lg']);
+  });
+});
+
+describe('TokenMigrator.migrateContent', () => {
+  test('rewrites CSS custom properties and Tailwind classes', () => {
+    expect(migrate('.a { color: var(--color-primary-500); @apply bg-primary-500 hover:text-primary-500/50; }', '.css')).toEqual({
+      content: '.a { color: var(--color-brand-500); @apply bg-brand-500 hover:text-brand-500/50; }',
+      count: 3
+    });
+  });
+
+  test('rewrites SCSS variables without touching longer names', () => {
+    expect(migrate('$color-primary-500; var(--color-primary-5000)', '.scss')).toEqual({
+      content: '$color-brand-500; var(--color-primary-5000)',
+      count: 1
+    });
+  });
+
+  test('rewrites members only on their category container', () => {
+    expect(migrate('UIColor.primary500; Colors.primary500; theme.primary500', '.swift')).toEqual({
+      content: 'UIColor.brand500; Colors.brand500; theme.primary500',
+      count: 2
+    });
+  });
+
+  test('rewrites Android resources', () => {
+    expect(migrate('R.color.primary_500', '.kt').content).toBe('R.color.brand_500');
+    expect(migrate('<item android:color="@color/primary_500"/>', '.xml').content).toBe('<item android:color="@color/brand_500"/>');
+  });
+
+  test('rewrites token references in JSON', () => {
+    expect(migrate('{ "value": "{core.colors.primary.500}" }', '.json')).toEqual({
+      content: '{ "value": "{core.colors.brand.500}" }',
+      count: 1
+    });
+  });
+
+  test('leaves unknown file types alone', () => {
+    expect(migrate('--color-primary-500', '.md')).toEqual({ content: '--color-primary-500', count: 0 });
+  });
+
+  test('applies chained renames once', () => {
+    const chain = [
+      { from: 'colors.a', to: 'colors.b' },
+      { from: 'colors.b', to: 'colors.c' }
+    ];
+    const result = migrator.migrateContent('var(--color-a) var(--color-b)', '.css', migrator.createEntries(chain));
+    expect(result.content).toBe('var(--color-b) var(--color-c)');
+  });
+});
@@ -0,0 +1,38 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const bin = fileURLToPath(new URL('../../bin/design-tokens-sync.js', import.meta.url));
+
+describe('validate --format sarif', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'dts-validate-'));
+    fs.writeFileSync(path.join(cwd, 'tokens.json'), JSON.stringify({
+      core: { colors: { white: { value: '#ffffff', type: 'color' } } },
+      semantic: {
+        text: { value: '{core.colors.white}', type: 'color' },
+        background: { value: '#fefefe', type: 'color' }
+      }
+    }));
+    fs.writeFileSync(
+      path.join(cwd, 'design-tokens.config.js'),
+      "export default { tokens: { input: 'tokens.json' }, output: {}, git: { enabled: false } };\n"
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('writes nothing but the SARIF log to stdout', () => {
+    const result = spawnSync(process.execPath, [bin, 'validate', '-f', 'sarif'], { cwd, encoding: 'utf8' });
+
+    const log = JSON.parse(result.stdout);
+    expect(log.version).toBe('2.1.0');
+    expect(log.runs[0].results.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,47 @@
+import { FileGenerator } from '../../src/core/FileGenerator.js';
+import { TransformEngine } from '../../src/core/TransformEngine.js';
+
+describe('FileGenerator Flutter output', () => {
+  test('writes text styles as a top-level class', () => {
+    const content = new FileGenerator().generateFlutterContent({
+      typography: {
+        styles: {
+          heading: { fontFamily: 'Inter', fontSize: '32px', fontWeight: 700, lineHeight: 1.2 }
+        }
+      }
+    });
+
+    expect(content).not.toMatch(/static class/);
+    expect(content).toContain([
+      'class AppTextStyles {',
+      '  static const TextStyle heading = TextStyle(',
+      "    fontFamily: 'Inter',",
+      '    fontSize: 32,',
+      '    fontWeight: FontWeight.w700,',
+      '    height: 1.2,',
+      '  );',
+      '}'
+    ].join('\n'));
+  });
+});
+
+describe('FileGenerator native units', () => {
+  const generator = new FileGenerator();
+  const unitless = (value) => new TransformEngine().transformToken({ name: 'size', value, type: 'spacing', attributes: {} }, ['size/unitless']).value;
+
+  test('converts lengths like the size/unitless transform', () => {
+    ['16px', '1.5rem', '-0.25rem', '12pt', 8].forEach(value => {
+      expect(generator.convertToPoints(value)).toBe(String(unitless(value)));
+    });
+    expect(generator.convertToDp('-0.25rem')).toBe('-4dp');
+    expect(generator.convertToSp('1rem')).toBe('16sp');
+    expect(generator.convertToRNPoints(12)).toBe(12);
+  });
+
+  test('leaves values converted by a transform group unchanged', () => {
+    const value = unitless('1.5rem');
+    expect(value).toBe('24');
+    expect(generator.convertToPoints(value)).toBe('24');
+    expect(generator.convertToDp(value)).toBe('24dp');
+  });
+});
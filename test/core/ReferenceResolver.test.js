@@ -0,0 +1,88 @@
+import { ReferenceResolver } from '../../src/core/ReferenceResolver.js';
+
+const tokens = {
+  core: {
+    colors: {
+      primary: { value: '#673391', type: 'color' },
+      brand: { value: '{core.colors.primary}', type: 'color' }
+    },
+    spacing: {
+      base: { value: '8px', type: 'spacing' },
+      double: { value: '{core.spacing.base} * 2', type: 'spacing' }
+    },
+    shadow: {
+      value: { x: '0', y: '{core.spacing.base}', color: '{core.colors.primary}' },
+      type: 'boxShadow'
+    }
+  },
+  semantic: {
+    border: { value: '1px solid {core.colors.brand}', type: 'border' },
+    elevated: { value: '{core.shadow}', type: 'boxShadow' }
+  }
+};
+
+describe('ReferenceResolver', () => {
+  test('resolves references through chains of aliases', () => {
+    const resolver = new ReferenceResolver(tokens);
+    expect(resolver.resolve('core.colors.brand')).toBe('#673391');
+    expect(resolver.resolve('semantic.border')).toBe('1px solid #673391');
+  });
+
+  test('evaluates math after substituting references', () => {
+    expect(new ReferenceResolver(tokens).resolve('core.spacing.double')).toBe('16px');
+  });
+
+  test('resolves references inside composite values and keeps referenced composites', () => {
+    const resolver = new ReferenceResolver(tokens);
+    const shadow = { x: '0', y: '8px', color: '#673391' };
+    expect(resolver.resolve('core.shadow')).toEqual(shadow);
+    expect(resolver.resolve('semantic.elevated')).toEqual(shadow);
+  });
+
+  test('keeps the type of numbers behind a lone reference', () => {
+    const resolver = new ReferenceResolver({
+      size: { base: { value: 16 } },
+      opacity: { disabled: { value: 0.4 } },
+      alias: { value: '{size.base}' },
+      faded: { value: '{opacity.disabled}' },
+      label: { value: '{size.base}px' }
+    });
+    expect(resolver.resolve('alias')).toBe(16);
+    expect(resolver.resolve('faded')).toBe(0.4);
+    expect(resolver.resolve('label')).toBe('16px');
+  });
+
+  test('returns undefined for paths that are not tokens', () => {
+    const resolver = new ReferenceResolver(tokens);
+    expect(resolver.resolve('core.colors')).toBeUndefined();
+    expect(resolver.resolve('missing.token')).toBeUndefined();
+  });
+
+  test('keeps unresolved references and reports them', () => {
+    const resolver = new ReferenceResolver({ a: { value: '{missing}' } });
+    expect(resolver.resolve('a')).toBe('{missing}');
+    expect(resolver.check().warnings).toEqual(['Unresolved reference "{missing}" in a']);
+  });
+
+  test('throws on unresolved references in strict mode', () => {
+    const resolver = new ReferenceResolver({ a: { value: '{missing}' } }, { strict: true });
+    expect(() => resolver.resolve('a')).toThrow('Unresolved reference "{missing}" in a');
+  });
+
+  test('detects circular references once per cycle', () => {
+    const resolver = new ReferenceResolver({
+      a: { value: '{b}' },
+      b: { value: '{c}' },
+      c: { value: '{a}' }
+    });
+    expect(() => resolver.resolve('a')).toThrow('Circular token reference: {a} → {b} → {c} → {a}');
+
+    const { errors } = new ReferenceResolver({ a: { value: '{b}' }, b: { value: '{a}' } }).check();
+    expect(errors).toHaveLength(1);
+  });
+
+  test('lists token paths, skipping $ metadata', () => {
+    const resolver = new ReferenceResolver({ $themes: [], a: { value: 1 }, group: { b: '2px' } });
+    expect(resolver.getTokenPaths()).toEqual(['a', 'group.b']);
+  });
+});
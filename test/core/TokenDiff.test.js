@@ -0,0 +1,82 @@
+import { TokenDiff } from '../../src/core/TokenDiff.js';
+
+const tokens = (colors, semantic = {}) => ({
+  core: { colors },
+  semantic
+});
+
+describe('TokenDiff.compare', () => {
+  const diff = new TokenDiff();
+
+  test('reports added, removed and changed tokens', () => {
+    const result = diff.compare(
+      tokens({ blue: { value: '#00f', type: 'color' }, red: { value: '#f00', type: 'color' } }),
+      tokens({ blue: { value: '#00e', type: 'color' }, green: { value: '#0f0', type: 'color' } })
+    );
+
+    expect(result.added.map(token => token.path)).toEqual(['core.colors.green']);
+    expect(result.removed.map(token => token.path)).toEqual(['core.colors.red']);
+    expect(result.changed).toEqual([{
+      path: 'core.colors.blue',
+      before: { value: '#00f', type: 'color' },
+      after: { value: '#00e', type: 'color' }
+    }]);
+    expect(result.release.type).toBe('major');
+  });
+
+  test('compares resolved values', () => {
+    const before = tokens({ blue: { value: '#00f', type: 'color' } }, { link: { value: '{core.colors.blue}', type: 'color' } });
+    const after = tokens({ blue: { value: '#00e', type: 'color' } }, { link: { value: '{core.colors.blue}', type: 'color' } });
+    expect(diff.compare(before, after).changed.map(token => token.path)).toEqual(['core.colors.blue', 'semantic.link']);
+  });
+
+  test('detects renames by type and value', () => {
+    const result = diff.compare(
+      tokens({ primary: { value: '#673391', type: 'color' } }),
+      tokens({ brand: { value: '#673391', type: 'color' } })
+    );
+    expect(result.renamed).toEqual([{ from: 'core.colors.primary', to: 'core.colors.brand', value: '#673391', type: 'color' }]);
+    expect(result.summary.total).toBe(1);
+  });
+
+  test('reports aliases of a renamed token as broken references, not value changes', () => {
+    const alias = { text: { value: '{core.colors.primary}', type: 'color' }, link: { value: '{semantic.text}', type: 'color' } };
+    const result = diff.compare(
+      tokens({ primary: { value: '#673391', type: 'color' } }, alias),
+      tokens({ brand: { value: '#673391', type: 'color' } }, alias)
+    );
+
+    expect(result.changed).toEqual([]);
+    expect(result.broken).toEqual([
+      {
+        path: 'semantic.text',
+        type: 'color',
+        references: ['core.colors.primary'],
+        renamedTo: { 'core.colors.primary': 'core.colors.brand' },
+        before: { value: '#673391', type: 'color' }
+      },
+      {
+        path: 'semantic.link',
+        type: 'color',
+        references: ['core.colors.primary'],
+        renamedTo: { 'core.colors.primary': 'core.colors.brand' },
+        before: { value: '#673391', type: 'color' }
+      }
+    ]);
+    expect(result.release.breaking).toContain(
+      'broke `semantic.text`, which references `{core.colors.primary}` (renamed to `core.colors.brand`)'
+    );
+  });
+
+  test('does not report references that were already broken', () => {
+    const broken = { text: { value: '{core.colors.missing}', type: 'color' } };
+    const result = diff.compare(tokens({}, broken), tokens({ blue: { value: '#00f', type: 'color' } }, broken));
+    expect(result.broken).toEqual([]);
+    expect(result.release.type).toBe('minor');
+  });
+
+  test('classifies value-only changes as a patch', () => {
+    const result = diff.compare(tokens({ blue: { value: '#00f', type: 'color' } }), tokens({ blue: { value: '#00e', type: 'color' } }));
+    expect(result.release).toEqual({ type: 'patch', breaking: [] });
+  });
+});
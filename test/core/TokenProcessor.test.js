@@ -0,0 +1,45 @@
+import { TokenProcessor } from '../../src/core/TokenProcessor.js';
+
+const transform = (rawTokens) => {
+  const processor = new TokenProcessor();
+  processor.config = { tokens: {}, output: {} };
+  processor.rawTokens = rawTokens;
+  return { processor, tokens: processor.transformTokens(rawTokens) };
+};
+
+describe('TokenProcessor semantic tokens', () => {
+  const rawTokens = {
+    core: { colors: { primary: { 500: { value: '#3366ff', type: 'color' } } } },
+    semantic: {
+      text: {
+        primary: {
+          value: '{core.colors.primary.500}',
+          type: 'color',
+          description: 'Body text',
+          deprecated: 'use {core.colors.primary.500}',
+          $extensions: { 'studio.tokens': {} }
+        }
+      },
+      colors: {
+        status: { success: { text: { value: '#2d8659', type: 'color' } } }
+      }
+    }
+  };
+
+  test('emits nested semantic tokens as their resolved values', () => {
+    const { tokens } = transform(rawTokens);
+    expect(tokens.semantic).toEqual({
+      text: { primary: '#3366ff' },
+      colors: { status: { success: { text: '#2d8659' } } }
+    });
+  });
+
+  test('marks the deprecated token key in JavaScript output', () => {
+    const { processor, tokens } = transform(rawTokens);
+    const js = processor.fileGenerator.generateJavaScriptContent(tokens);
+    const semantic = js.slice(js.indexOf('"semantic"'), js.indexOf('"component"'));
+
+    expect(semantic).toContain('/** @deprecated use core.colors.primary.500 */\n      "primary": "#3366ff"');
+    expect(semantic).not.toContain('use #3366ff');
+  });
+});
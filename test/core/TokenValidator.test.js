@@ -0,0 +1,134 @@
+import { TokenValidator } from '../../src/core/TokenValidator.js';
+
+const validateContrast = (tokens, options = {}) => {
+  const validator = new TokenValidator({ tokens: { validation: { contrast: true } } });
+  const results = [];
+  validator.validateContrast({ tokens, options, report: (result) => results.push(result) });
+  return results.map(result => result.message.match(/: (.+) is /)[1]);
+};
+
+describe('TokenValidator contrast', () => {
+  test('pairs text and background colors by role by default', () => {
+    const tokens = {
+      semantic: {
+        colors: {
+          text: { primary: '#111111', inverse: '#ffffff', muted: '#bbbbbb' },
+          background: { primary: '#ffffff', inverse: '#222222', surface: '#eeeeee' },
+          status: {
+            warning: { text: '#ffcc00', background: '#ffffff' }
+          }
+        }
+      }
+    };
+
+    expect(validateContrast(tokens)).toEqual([
+      'semantic.colors.text.muted on semantic.colors.background.primary',
+      'semantic.colors.status.warning.text on semantic.colors.status.warning.background'
+    ]);
+  });
+
+  test('checks text roles without a background of their own on the default background', () => {
+    const tokens = {
+      semantic: {
+        text: { muted: '#999999', secondary: '#555555', inverse: '#ffffff' },
+        background: { default: '#ffffff', inverse: '#000000' }
+      }
+    };
+
+    expect(validateContrast(tokens)).toEqual(['semantic.text.muted on semantic.background.default']);
+  });
+
+  test('leaves excluded tokens out of configured pairs', () => {
+    const tokens = { text: { a: '#777777', b: '#777777' }, background: { a: '#ffffff' } };
+    const pairs = [{ foreground: 'text.*', background: 'background.*', exclude: 'text.b' }];
+
+    expect(validateContrast(tokens, { pairs })).toEqual(['text.a on background.a']);
+  });
+
+  test('pairs each component text color with its own background', () => {
+    const tokens = {
+      component: {
+        button: {
+          primary: { textColor: '#ffffff', backgroundColor: '#999999' },
+          secondary: { textColor: '#000000', backgroundColor: '#ffffff' }
+        }
+      }
+    };
+
+    expect(validateContrast(tokens)).toEqual([
+      'component.button.primary.textColor on component.button.primary.backgroundColor'
+    ]);
+  });
+
+  test('checks every match of configured wildcard pairs', () => {
+    const tokens = { text: { a: '#777777' }, background: { a: '#ffffff', b: '#eeeeee' } };
+    const pairs = [{ foreground: 'text.*', background: 'background.*' }];
+
+    expect(validateContrast(tokens, { pairs })).toEqual(['text.a on background.a', 'text.a on background.b']);
+  });
+});
+
+describe('TokenValidator duplicate values', () => {
+  const validateConsistency = async (tokens) => {
+    const validator = new TokenValidator({ tokens: { validation: {} } });
+    const result = await validator.validate(tokens);
+    return result.results.filter(issue => issue.ruleId === 'no-duplicate-values').map(({ path, message, fix }) => ({ path, message, fix }));
+  };
+
+  test('reports real token paths', async () => {
+    const tokens = {
+      core: { colors: { primary: { 50: { value: '#f7e9f2', type: 'color' } } } },
+      semantic: { colors: { background: { primary: { value: '#f7e9f2', type: 'color' } } } }
+    };
+
+    expect(await validateConsistency(tokens)).toEqual([{
+      path: 'semantic.colors.background.primary',
+      message: 'Duplicate value "#f7e9f2" found in: core.colors.primary.50, semantic.colors.background.primary',
+      fix: 'Reference {core.colors.primary.50} instead of repeating the value'
+    }]);
+  });
+
+  test('skips aliases that share a reference', async () => {
+    const tokens = {
+      colors: {
+        primary: { value: '#673391', type: 'color' },
+        link: { value: '{colors.primary}', type: 'color' },
+        focus: { value: '{colors.primary}', type: 'color' }
+      }
+    };
+
+    expect(await validateConsistency(tokens)).toEqual([]);
+  });
+
+  test('compares Token Studio sets by their referenced paths', async () => {
+    const tokens = {
+      global: { colors: { white: { value: '#ffffff', type: 'color' } } },
+      light: { colors: { surface: { value: '#ffffff', type: 'color' } } },
+      dark: { colors: { surface: { value: '#ffffff', type: 'color' } } },
+      $themes: [
+        { name: 'Light', selectedTokenSets: { global: 'source', light: 'enabled' } },
+        { name: 'Dark', selectedTokenSets: { global: 'source', dark: 'enabled' } }
+      ]
+    };
+
+    expect(await validateConsistency(tokens)).toEqual([{
+      path: 'light.colors.surface',
+      message: 'Duplicate value "#ffffff" found in: global.colors.white, light.colors.surface',
+      fix: 'Reference {colors.white} instead of repeating the value'
+    }]);
+  });
+});
+
+describe('TokenValidator naming', () => {
+  test('skips Token Studio set names listed in an indexed tokenSetOrder', async () => {
+    const validator = new TokenValidator({ tokens: { validation: { naming: { case: 'camel' } } } });
+    const result = await validator.validate({
+      'Core-Set': { colors: { brandPrimary: { value: '#673391', type: 'color' } } },
+      'Semantic-Set': { colors: { 'text-primary': { value: '{colors.brandPrimary}', type: 'color' } } },
+      $metadata: { tokenSetOrder: { 0: { value: 'Core-Set' }, 1: { value: 'Semantic-Set' } } }
+    });
+
+    expect(result.results.filter(issue => issue.ruleId === 'naming-case').map(issue => issue.path))
+      .toEqual(['Semantic-Set.colors.text-primary']);
+  });
+});
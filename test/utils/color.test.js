@@ -0,0 +1,76 @@
+import { formatColor, modifyColor, parseColor, rgbToHsl, rgbToLch } from '../../src/utils/color.js';
+
+const BRAND = '#673391';
+const hueOf = (value) => rgbToLch(parseColor(value)).h;
+const mix = (color, space, value = 0.5) => modifyColor(BRAND, { type: 'mix', value, color, space });
+
+describe('parseColor', () => {
+  test('parses hex, rgb() and hsl() colors', () => {
+    expect(parseColor('#fff')).toEqual({ r: 1, g: 1, b: 1, alpha: 1 });
+    expect(parseColor('rgb(255 0 0 / 50%)')).toEqual({ r: 1, g: 0, b: 0, alpha: 0.5 });
+    expect(parseColor('hsl(120, 100%, 50%)')).toEqual({ r: 0, g: 1, b: 0, alpha: 1 });
+  });
+
+  test('returns null for values it cannot parse', () => {
+    expect(parseColor('red')).toBeNull();
+    expect(parseColor('{colors.primary}')).toBeNull();
+    expect(parseColor(12)).toBeNull();
+  });
+});
+
+describe('formatColor', () => {
+  test('formats hex, rgb, hsl and lch', () => {
+    const color = parseColor(BRAND);
+    expect(formatColor(color)).toBe(BRAND);
+    expect(formatColor(color, 'rgb')).toBe('rgb(103 51 145)');
+    expect(formatColor({ ...color, alpha: 0.5 })).toBe('#67339180');
+    expect(formatColor(parseColor('#ff0000'), 'hsl')).toBe('hsl(0 100% 50%)');
+  });
+});
+
+describe('modifyColor', () => {
+  test('lightens and darkens in each space', () => {
+    expect(modifyColor(BRAND, { type: 'lighten', value: 0.5 })).toBe('#b399c8');
+    expect(modifyColor(BRAND, { type: 'lighten', value: 0.2, space: 'hsl' })).toBe('#8845be');
+    expect(modifyColor(BRAND, { type: 'darken', value: 0.2, space: 'lch' })).toBe('#562380');
+  });
+
+  test('sets alpha', () => {
+    expect(modifyColor(BRAND, { type: 'alpha', value: 0.5 })).toBe('#67339180');
+  });
+
+  test('returns undefined for unknown modifiers and colors', () => {
+    expect(modifyColor(BRAND, { type: 'spin', value: 1 })).toBeUndefined();
+    expect(modifyColor('red', { type: 'alpha', value: 0.5 })).toBeUndefined();
+    expect(modifyColor(BRAND, { type: 'mix', value: 0.5, color: 'nope' })).toBeUndefined();
+  });
+
+  test('mixes in srgb', () => {
+    expect(mix('#ffffff', 'srgb')).toBe('#b399c8');
+    expect(mix('#000000', 'srgb')).toBe('#341a49');
+  });
+
+  describe.each(['hsl', 'lch'])('mixing with greys in %s', (space) => {
+    test.each(['#ffffff', '#000000', '#808080'])('keeps the hue when mixing with %s', (grey) => {
+      const result = mix(grey, space);
+      expect(Math.abs(hueOf(result) - hueOf(BRAND))).toBeLessThan(8);
+      expect(rgbToHsl(parseColor(result)).s).toBeGreaterThan(10);
+    });
+
+    test('mixes in either direction', () => {
+      expect(modifyColor('#ffffff', { type: 'mix', value: 0.5, color: BRAND, space })).toBe(mix('#ffffff', space));
+    });
+
+    test('mixes two greys into a grey', () => {
+      const result = parseColor(modifyColor('#ffffff', { type: 'mix', value: 0.5, color: '#000000', space }));
+      expect(result.r).toBeCloseTo(result.g, 2);
+      expect(result.g).toBeCloseTo(result.b, 2);
+    });
+  });
+
+  test('interpolates hue along the shorter arc', () => {
+    // red (0°) and magenta (300°) meet around 330°, not at green
+    const result = modifyColor('#ff0000', { type: 'mix', value: 0.5, color: '#ff00ff', space: 'hsl' });
+    expect(rgbToHsl(parseColor(result)).h).toBeCloseTo(330, 0);
+  });
+});
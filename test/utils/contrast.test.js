@@ -0,0 +1,50 @@
+import { blendColors, getAPCAContrast, getContrastRatio, getLuminance } from '../../src/utils/contrast.js';
+import { parseColor } from '../../src/utils/color.js';
+
+const black = parseColor('#000000');
+const white = parseColor('#ffffff');
+
+describe('getLuminance', () => {
+  test('ranges from black to white', () => {
+    expect(getLuminance(black)).toBe(0);
+    expect(getLuminance(white)).toBeCloseTo(1, 10);
+    expect(getLuminance(parseColor('#777777'))).toBeCloseTo(0.1845, 4);
+  });
+});
+
+describe('blendColors', () => {
+  test('composites translucent colors over the backdrop', () => {
+    const blended = blendColors(parseColor('rgba(0, 0, 0, 0.5)'), white);
+    expect(blended).toEqual({ r: 0.5, g: 0.5, b: 0.5, alpha: 1 });
+    expect(blendColors(black, white)).toEqual({ ...black, alpha: 1 });
+  });
+});
+
+describe('getContrastRatio', () => {
+  test('matches WCAG 2.1 ratios in either order', () => {
+    expect(getContrastRatio(black, white)).toBeCloseTo(21, 5);
+    expect(getContrastRatio(white, black)).toBeCloseTo(21, 5);
+    expect(getContrastRatio(parseColor('#777777'), white)).toBeCloseTo(4.48, 2);
+    expect(getContrastRatio(white, white)).toBe(1);
+  });
+
+  test('places translucent colors on their background', () => {
+    expect(getContrastRatio(parseColor('rgba(0, 0, 0, 0)'), white)).toBe(1);
+    // A translucent background sits on white
+    expect(getContrastRatio(white, parseColor('rgba(0, 0, 0, 0.5)')))
+      .toBeCloseTo(getContrastRatio(white, parseColor('#808080')), 1);
+  });
+});
+
+describe('getAPCAContrast', () => {
+  test('matches the APCA reference values', () => {
+    expect(getAPCAContrast(black, white)).toBeCloseTo(106.04, 1);
+    expect(getAPCAContrast(white, black)).toBeCloseTo(-107.88, 1);
+    expect(getAPCAContrast(parseColor('#888888'), white)).toBeCloseTo(63.06, 1);
+    expect(getAPCAContrast(white, parseColor('#888888'))).toBeCloseTo(-68.54, 1);
+  });
+
+  test('is 0 for colors that are too close', () => {
+    expect(getAPCAContrast(parseColor('#777777'), parseColor('#787878'))).toBe(0);
+  });
+});
@@ -0,0 +1,109 @@
+import { createUnifiedDiff, diffLines } from '../../src/utils/diff.js';
+
+const lines = (...items) => items.map(item => `${item}\n`).join('');
+
+// Apply an edit script to the old lines and check it yields the new ones
+function apply(edits) {
+  return {
+    old: edits.filter(edit => edit.type !== 'add').map(edit => edit.line),
+    new: edits.filter(edit => edit.type !== 'remove').map(edit => edit.line)
+  };
+}
+
+// Length of the longest common subsequence, for the minimal number of edits
+function lcsLength(a, b) {
+  const row = new Array(b.length + 1).fill(0);
+  a.forEach(item => {
+    let previous = 0;
+    b.forEach((other, j) => {
+      const current = row[j + 1];
+      row[j + 1] = item === other ? previous + 1 : Math.max(row[j + 1], row[j]);
+      previous = current;
+    });
+  });
+  return row[b.length];
+}
+
+describe('diffLines', () => {
+  test('returns equal lines for identical texts', () => {
+    expect(diffLines(lines('a', 'b'), lines('a', 'b'))).toEqual([
+      { type: 'equal', line: 'a' },
+      { type: 'equal', line: 'b' }
+    ]);
+  });
+
+  test('adds or removes every line of a new or deleted file', () => {
+    expect(diffLines('', lines('a', 'b')).map(edit => edit.type)).toEqual(['add', 'add']);
+    expect(diffLines(lines('a', 'b'), '').map(edit => edit.type)).toEqual(['remove', 'remove']);
+  });
+
+  test('finds changes between a common prefix and suffix', () => {
+    expect(diffLines(lines('a', 'b', 'c'), lines('a', 'x', 'c'))).toEqual([
+      { type: 'equal', line: 'a' },
+      { type: 'remove', line: 'b' },
+      { type: 'add', line: 'x' },
+      { type: 'equal', line: 'c' }
+    ]);
+  });
+
+  test('produces minimal edit scripts', () => {
+    // Deterministic pseudo-random inputs over a small alphabet
+    let seed = 42;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    const randomLines = () => Array.from({ length: Math.floor(random() * 30) }, () => 'abcd'[Math.floor(random() * 4)]);
+
+    for (let i = 0; i < 200; i++) {
+      const a = randomLines();
+      const b = randomLines();
+      const edits = diffLines(a.join('\n'), b.join('\n'));
+      expect(apply(edits)).toEqual({ old: a, new: b });
+      expect(edits.filter(edit => edit.type !== 'equal')).toHaveLength(a.length + b.length - 2 * lcsLength(a, b));
+    }
+  });
+
+  test('diffs large rewrites in linear space', () => {
+    const a = Array.from({ length: 5000 }, (_, i) => `old ${i}`).join('\n');
+    const b = Array.from({ length: 5000 }, (_, i) => i % 2 ? `old ${i}` : `new ${i}`).join('\n');
+    const edits = diffLines(a, b);
+    expect(edits.filter(edit => edit.type === 'equal')).toHaveLength(2500);
+    expect(edits.filter(edit => edit.type === 'add')).toHaveLength(2500);
+  });
+});
+
+describe('createUnifiedDiff', () => {
+  test('returns an empty string for identical texts', () => {
+    expect(createUnifiedDiff(lines('a'), lines('a'))).toBe('');
+  });
+
+  test('renders hunks with context and line numbers', () => {
+    const numbers = Array.from({ length: 15 }, (_, i) => i + 1);
+    const before = lines(...numbers);
+    const after = lines(...numbers.map(n => n === 5 ? 'five' : n), 16);
+    expect(createUnifiedDiff(before, after, { oldPath: 'a/t.css', newPath: 'b/t.css' })).toBe([
+      '--- a/t.css',
+      '+++ b/t.css',
+      '@@ -2,7 +2,7 @@',
+      ' 2',
+      ' 3',
+      ' 4',
+      '-5',
+      '+five',
+      ' 6',
+      ' 7',
+      ' 8',
+      '@@ -13,3 +13,4 @@',
+      ' 13',
+      ' 14',
+      ' 15',
+      '+16'
+    ].join('\n'));
+  });
+
+  test('numbers added and deleted files from 0', () => {
+    expect(createUnifiedDiff('', lines('a'))).toBe('--- a\n+++ b\n@@ -0,0 +1,1 @@\n+a');
+    expect(createUnifiedDiff(lines('a'), null)).toBe('--- a\n+++ b\n@@ -1,1 +0,0 @@\n-a');
+  });
+});
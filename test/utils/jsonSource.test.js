@@ -0,0 +1,42 @@
+import { parseJSONWithLocations } from '../../src/utils/jsonSource.js';
+
+describe('parseJSONWithLocations', () => {
+  const text = [
+    '{',
+    '  "colors": {',
+    '    "primary": { "value": "#673391", "type": "color" },',
+    '    "escaped \\"name\\"": 1',
+    '  },',
+    '  "shadows": [{ "x": -1.5e2 }, true, null]',
+    '}'
+  ].join('\n');
+
+  test('parses like JSON.parse', () => {
+    expect(parseJSONWithLocations(text).value).toEqual(JSON.parse(text));
+  });
+
+  test('records the 1-based position of every key by dotted path', () => {
+    const { locations } = parseJSONWithLocations(text);
+    expect(locations.get('colors')).toEqual({ line: 2, column: 3 });
+    expect(locations.get('colors.primary')).toEqual({ line: 3, column: 5 });
+    expect(locations.get('colors.primary.type')).toEqual({ line: 3, column: 38 });
+    expect(locations.get('colors.escaped "name"')).toEqual({ line: 4, column: 5 });
+    // Array items are addressed by index
+    expect(locations.get('shadows.0.x')).toEqual({ line: 6, column: 17 });
+    expect(locations.size).toBe(7);
+  });
+
+  test('handles CRLF line endings and a byte order mark', () => {
+    const { value, locations } = parseJSONWithLocations('\uFEFF{\r\n  "a": {\r\n    "b": 1\r\n  }\r\n}\r\n');
+    expect(value).toEqual({ a: { b: 1 } });
+    expect(locations.get('a.b')).toEqual({ line: 3, column: 5 });
+  });
+
+  test('throws SyntaxError with the position on invalid JSON', () => {
+    expect(() => parseJSONWithLocations('{\n  "a": 1,\n}')).toThrow(new SyntaxError('Expected a property name at line 3, column 1'));
+    expect(() => parseJSONWithLocations('{ "a": tru }')).toThrow('Unexpected token t at line 1, column 8');
+    expect(() => parseJSONWithLocations('{ "a": "b\n" }')).toThrow('Unterminated string at line 1, column 10');
+    expect(() => parseJSONWithLocations('{} {}')).toThrow('Unexpected content after JSON at line 1, column 4');
+    expect(() => parseJSONWithLocations('')).toThrow('Unexpected end of JSON');
+  });
+});
@@ -0,0 +1,55 @@
+import { evaluateMathExpression, isMathExpression } from '../../src/utils/math.js';
+
+describe('evaluateMathExpression', () => {
+  test('evaluates arithmetic with operator precedence and parentheses', () => {
+    expect(evaluateMathExpression('2 * 3 + 4')).toBe('10');
+    expect(evaluateMathExpression('(16 + 4) / 2')).toBe('10');
+  });
+
+  test('keeps the unit of the operands', () => {
+    expect(evaluateMathExpression('8px * 2')).toBe('16px');
+    expect(evaluateMathExpression('8px - 2')).toBe('6px');
+    expect(evaluateMathExpression('-4px * 2')).toBe('-8px');
+  });
+
+  test('divides lengths in the same unit to a plain number', () => {
+    expect(evaluateMathExpression('16px / 2px')).toBe('8');
+    expect(evaluateMathExpression('24px / 16px * 1rem')).toBe('1.5rem');
+    expect(evaluateMathExpression('16px / 2')).toBe('8px');
+  });
+
+  test('does not multiply or divide lengths into units CSS does not have', () => {
+    expect(evaluateMathExpression('8px * 2px')).toBeUndefined();
+    expect(evaluateMathExpression('16px / 1rem')).toBeUndefined();
+    expect(evaluateMathExpression('2 / 8px')).toBeUndefined();
+  });
+
+  test('supports functions', () => {
+    expect(evaluateMathExpression('roundTo(14.6px)')).toBe('15px');
+    expect(evaluateMathExpression('floor(3.7)')).toBe('3');
+  });
+
+  test('rounds results to 4 decimals', () => {
+    expect(evaluateMathExpression('10 / 3')).toBe('3.3333');
+  });
+
+  test('returns undefined for mixed units, plain values and invalid input', () => {
+    expect(evaluateMathExpression('8px + 1rem')).toBeUndefined();
+    expect(evaluateMathExpression('16')).toBeUndefined();
+    expect(evaluateMathExpression('8px *')).toBeUndefined();
+    expect(evaluateMathExpression('1 / 0')).toBeUndefined();
+    expect(evaluateMathExpression(8)).toBeUndefined();
+  });
+});
+
+describe('isMathExpression', () => {
+  test('detects operators surrounded by spaces and function calls', () => {
+    expect(isMathExpression('8px * 2')).toBe(true);
+    expect(isMathExpression('roundTo(14.6px)')).toBe(true);
+  });
+
+  test('ignores plain values', () => {
+    expect(isMathExpression('16px')).toBe(false);
+    expect(isMathExpression('Inter, sans-serif')).toBe(false);
+  });
+});
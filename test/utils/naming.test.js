@@ -0,0 +1,48 @@
+import { CASE_PATTERNS, detectCase, isCase, splitWords, toCase } from '../../src/utils/naming.js';
+
+describe('splitWords', () => {
+  test('splits every case into lowercase words', () => {
+    ['primaryHover', 'PrimaryHover', 'primary-hover', 'primary_hover', 'primary hover'].forEach(name => {
+      expect(splitWords(name)).toEqual(['primary', 'hover']);
+    });
+    expect(splitWords('heading2Xl')).toEqual(['heading2', 'xl']);
+    expect(splitWords(500)).toEqual(['500']);
+  });
+});
+
+describe('toCase', () => {
+  test('converts to each case', () => {
+    expect(toCase('primary-hover', 'camel')).toBe('primaryHover');
+    expect(toCase('primary-hover', 'pascal')).toBe('PrimaryHover');
+    expect(toCase('primaryHover', 'kebab')).toBe('primary-hover');
+    expect(toCase('primaryHover', 'snake')).toBe('primary_hover');
+    expect(toCase('primaryHover', 'lower')).toBe('primaryhover');
+  });
+});
+
+describe('detectCase', () => {
+  test('guesses the case of a segment', () => {
+    expect(detectCase('primary-hover')).toBe('kebab');
+    expect(detectCase('primary_hover')).toBe('snake');
+    expect(detectCase('primaryHover')).toBe('camel');
+    expect(detectCase('PrimaryHover')).toBe('pascal');
+    // Single words are valid kebab case
+    expect(detectCase('primary')).toBe('kebab');
+    expect(detectCase('Primary Hover')).toBe('kebab');
+  });
+});
+
+describe('isCase', () => {
+  test('checks segments against CASE_PATTERNS', () => {
+    expect(isCase('primaryHover', 'camel')).toBe(true);
+    expect(isCase('primary-hover', 'camel')).toBe(false);
+    expect(isCase('2xl', 'kebab')).toBe(true);
+    expect(isCase('Primary', 'lower')).toBe(false);
+    expect(Object.keys(CASE_PATTERNS)).toEqual(['camel', 'pascal', 'kebab', 'snake', 'lower']);
+  });
+
+  test('accepts numeric segments in every case', () => {
+    Object.keys(CASE_PATTERNS).forEach(casing => expect(isCase('500', casing)).toBe(true));
+    expect(isCase('500', 'pascal')).toBe(true);
+  });
+});
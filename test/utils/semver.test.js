@@ -0,0 +1,59 @@
+import { bumpVersion, compareReleaseTypes, getReleaseType, parseVersion } from '../../src/utils/semver.js';
+
+describe('parseVersion', () => {
+  test('parses versions with a v prefix and prerelease', () => {
+    expect(parseVersion('v1.2.3-beta.1')).toEqual({ major: 1, minor: 2, patch: 3, prerelease: 'beta.1' });
+    expect(parseVersion('0.4.0')).toEqual({ major: 0, minor: 4, patch: 0, prerelease: null });
+  });
+
+  test('returns null for invalid versions', () => {
+    expect(parseVersion('1.2')).toBeNull();
+    expect(parseVersion(undefined)).toBeNull();
+  });
+});
+
+describe('bumpVersion', () => {
+  test('bumps by release type', () => {
+    expect(bumpVersion('1.2.3', 'major')).toBe('2.0.0');
+    expect(bumpVersion('1.2.3', 'minor')).toBe('1.3.0');
+    expect(bumpVersion('1.2.3', 'patch')).toBe('1.2.4');
+    expect(bumpVersion('v1.2.3-rc.1', null)).toBe('1.2.3');
+  });
+
+  test('treats 0.x minor versions as breaking', () => {
+    expect(bumpVersion('0.3.1', 'major')).toBe('0.4.0');
+    expect(bumpVersion('0.3.1', 'minor')).toBe('0.3.2');
+  });
+
+  test('throws on invalid versions', () => {
+    expect(() => bumpVersion('next', 'patch')).toThrow('Invalid version "next"');
+  });
+});
+
+describe('getReleaseType', () => {
+  test('classifies version changes', () => {
+    expect(getReleaseType('1.2.3', '2.0.0')).toBe('major');
+    expect(getReleaseType('1.2.3', '1.3.0')).toBe('minor');
+    expect(getReleaseType('1.2.3', '1.2.4')).toBe('patch');
+    expect(getReleaseType('1.2.3', '1.2.3')).toBeNull();
+    expect(getReleaseType('1.2.3', '1.1.0')).toBeNull();
+  });
+
+  test('follows bumpVersion for 0.x versions', () => {
+    expect(getReleaseType('0.1.0', '0.2.0')).toBe('major');
+    expect(getReleaseType('0.1.0', '0.1.1')).toBe('minor');
+  });
+
+  test('returns null for invalid versions', () => {
+    expect(getReleaseType('1.2.3', 'next')).toBeNull();
+  });
+});
+
+describe('compareReleaseTypes', () => {
+  test('orders patch < minor < major', () => {
+    expect(compareReleaseTypes('major', 'minor')).toBeGreaterThan(0);
+    expect(compareReleaseTypes('patch', 'minor')).toBeLessThan(0);
+    expect(compareReleaseTypes('minor', 'minor')).toBe(0);
+    expect(['major', 'patch', 'minor'].sort(compareReleaseTypes)).toEqual(['patch', 'minor', 'major']);
+  });
+});
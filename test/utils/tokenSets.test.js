@@ -0,0 +1,17 @@
+import { normalizeTokenSetOrder } from '../../src/utils/tokenSets.js';
+
+describe('normalizeTokenSetOrder', () => {
+  test('keeps arrays', () => {
+    expect(normalizeTokenSetOrder(['core', 'semantic'])).toEqual(['core', 'semantic']);
+  });
+
+  test('reads indexed Token Studio entries in index order', () => {
+    expect(normalizeTokenSetOrder({ 1: { value: 'semantic' }, 0: { value: 'core' }, 10: 'dark', 2: 'light' }))
+      .toEqual(['core', 'semantic', 'light', 'dark']);
+  });
+
+  test('returns an empty list without an order', () => {
+    expect(normalizeTokenSetOrder(undefined)).toEqual([]);
+    expect(normalizeTokenSetOrder('core')).toEqual([]);
+  });
+});